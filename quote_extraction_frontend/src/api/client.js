@@ -7,15 +7,38 @@
  * - Public interface functions are documented and prefixed with PUBLIC_INTERFACE marker
  */
 
-import { getApiBaseUrl, getDefaultHeaders, getMultipartHeaders } from "../config";
+import { getApiBaseUrl, getDefaultHeaders, getMultipartHeaders, getWorkspaceId } from "../config";
 import {
   enableMockMode,
   getMockUploadResponse,
   getMockUploadStatus,
+  getMockUploadPolicy,
+  createMockChunkedUpload,
+  getMockChunkedUpload,
+  recordMockChunk,
+  completeMockChunkedUpload,
+  deleteMockChunkedUpload,
   getMockTranscriptList,
   getMockTranscript,
+  addMockTranscript,
+  appendMockSegment,
+  updateMockTranscript,
+  getMockTranscriptVersions,
+  getMockTranscriptAudit,
+  getMockGlossary,
+  addMockGlossaryTerm,
+  updateMockGlossaryTerm,
+  deleteMockGlossaryTerm,
   getMockQuoteList,
   getMockQuote,
+  addMockQuote,
+  updateMockQuote,
+  deleteMockQuote,
+  extractMockQuotes,
+  getMockCollections,
+  addMockCollection,
+  updateMockCollection,
+  deleteMockCollection,
   getMockExportJob,
   getMockExportResult,
   isMockMode,
@@ -36,6 +59,59 @@ async function handleResponse(res) {
   return payload;
 }
 
+// Internal helper: XMLHttpRequest for request bodies whose upload progress matters (fetch can't report it).
+// Settles like fetch + handleResponse; network failures reject with status 0 and aborting through
+// `signal` rejects with an AbortError.
+function sendWithProgress(method, url, body, { headers = {}, onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Upload cancelled", "AbortError"));
+      return;
+    }
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+    const cleanup = () => signal?.removeEventListener("abort", onAbort);
+    signal?.addEventListener("abort", onAbort);
+
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+    if (onProgress) {
+      xhr.upload.onprogress = (e) => onProgress({ loaded: e.loaded, total: e.lengthComputable ? e.total : null });
+    }
+    xhr.onload = () => {
+      cleanup();
+      const isJson = (xhr.getResponseHeader("content-type") || "").includes("application/json");
+      let payload = xhr.responseText;
+      if (isJson) {
+        try {
+          payload = JSON.parse(xhr.responseText);
+        } catch {
+          payload = null;
+        }
+      }
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve(payload);
+        return;
+      }
+      const error = new Error(`HTTP ${xhr.status} ${xhr.statusText}`);
+      error.status = xhr.status;
+      error.payload = payload;
+      reject(error);
+    };
+    xhr.onerror = () => {
+      cleanup();
+      const error = new Error("Network error");
+      error.status = 0;
+      reject(error);
+    };
+    xhr.onabort = () => {
+      cleanup();
+      reject(new DOMException("Upload cancelled", "AbortError"));
+    };
+    xhr.send(body);
+  });
+}
+
 // Internal helper to build URL with optional query params
 function buildUrl(path, query) {
   let base = getApiBaseUrl();
@@ -68,6 +144,8 @@ async function tryWithMock(apiCall, mockData) {
   try {
     return await apiCall();
   } catch (error) {
+    // A cancelled request is the caller's decision, not a sign the backend is down
+    if (error?.name === "AbortError") throw error;
     if (error.status === 0 || error.status === undefined || error.status === 404) {
       enableMockMode();
       return typeof mockData === "function" ? mockData() : mockData;
@@ -162,25 +240,120 @@ export async function listAssets() {
 }
 
 // PUBLIC_INTERFACE
-export async function uploadAsset(file, { owner_id, token } = {}) {
+export async function uploadAsset(file, { owner_id, token, onProgress, signal } = {}) {
+  /**
+   * POST /api/uploads - multipart upload of one media file.
+   * Reports byte progress through onProgress({ loaded, total }) (total is null when the browser
+   * can't tell) and stops the transfer when `signal` (an AbortController's signal) is aborted,
+   * rejecting with an AbortError.
+   */
   return tryWithMock(
     async () => {
       const form = new FormData();
       form.append("file", file);
       if (owner_id) form.append("owner_id", owner_id);
 
-      const headers = getMultipartHeaders(token);
-      const res = await fetch(buildUrl("/api/uploads", null), {
-        method: "POST",
-        headers,
-        body: form,
+      return sendWithProgress("POST", buildUrl("/api/uploads", null), form, {
+        headers: getMultipartHeaders(token),
+        onProgress,
+        signal,
       });
-      return handleResponse(res);
     },
-    getMockUploadResponse
+    () => {
+      if (onProgress && file) onProgress({ loaded: file.size, total: file.size });
+      return getMockUploadResponse();
+    }
   );
 }
 
+// PUBLIC_INTERFACE
+export async function initChunkedUpload({ filename, size, content_type, chunk_size }, { owner_id, token } = {}) {
+  /**
+   * POST /api/uploads/chunked - start a resumable upload. Returns { upload_id, chunk_size, received: [] }.
+   * No mock fallback: a 404 means this server has no chunked uploads, which the caller handles.
+   */
+  const payload = { filename, size, content_type, chunk_size, owner_id: owner_id || undefined };
+  if (isMockMode()) return createMockChunkedUpload(payload);
+  const res = await fetch(buildUrl("/api/uploads/chunked", null), {
+    method: "POST",
+    headers: getDefaultHeaders(token),
+    body: JSON.stringify(payload),
+  });
+  return handleResponse(res);
+}
+
+// PUBLIC_INTERFACE
+export async function getChunkedUpload(upload_id) {
+  /**
+   * GET /api/uploads/chunked/{id} - parts the server has acknowledged: { upload_id, chunk_size, received: [] }.
+   * No mock fallback: a 404 means the upload expired and has to start over, not that the backend is missing.
+   */
+  if (isMockMode()) return getMockChunkedUpload(upload_id);
+  const res = await fetch(buildUrl(`/api/uploads/chunked/${encodeURIComponent(upload_id)}`, null), {
+    method: "GET",
+    headers: getDefaultHeaders(),
+  });
+  return handleResponse(res);
+}
+
+// PUBLIC_INTERFACE
+export async function uploadChunk(upload_id, index, blob, { checksum, token, onProgress, signal } = {}) {
+  /**
+   * PUT /api/uploads/chunked/{id}/parts/{index} - one part as raw bytes, with its SHA-256 in
+   * X-Chunk-SHA256 (the server answers 422 on a mismatch). Progress and abort as in uploadAsset.
+   * No mock fallback: a dropped connection mid-upload is retried by the caller.
+   */
+  if (isMockMode()) {
+    if (onProgress) onProgress({ loaded: blob.size, total: blob.size });
+    return recordMockChunk(upload_id, index);
+  }
+  const headers = { ...getMultipartHeaders(token), "Content-Type": "application/octet-stream" };
+  if (checksum) headers["X-Chunk-SHA256"] = checksum;
+  const url = buildUrl(`/api/uploads/chunked/${encodeURIComponent(upload_id)}/parts/${index}`, null);
+  return sendWithProgress("PUT", url, blob, { headers, onProgress, signal });
+}
+
+// PUBLIC_INTERFACE
+export async function completeChunkedUpload(upload_id, { parts }) {
+  /**
+   * POST /api/uploads/chunked/{id}/complete - assemble the parts; returns the same shape as uploadAsset.
+   * No mock fallback: the parts are on the server, so a failure here has to be reported.
+   */
+  if (isMockMode()) return completeMockChunkedUpload(upload_id);
+  const res = await fetch(buildUrl(`/api/uploads/chunked/${encodeURIComponent(upload_id)}/complete`, null), {
+    method: "POST",
+    headers: getDefaultHeaders(),
+    body: JSON.stringify({ parts }),
+  });
+  return handleResponse(res);
+}
+
+// PUBLIC_INTERFACE
+export async function abortChunkedUpload(upload_id) {
+  /** DELETE /api/uploads/chunked/{id} - discard a pending upload and its parts. No mock fallback. */
+  if (isMockMode()) return deleteMockChunkedUpload(upload_id);
+  const res = await fetch(buildUrl(`/api/uploads/chunked/${encodeURIComponent(upload_id)}`, null), {
+    method: "DELETE",
+    headers: getDefaultHeaders(),
+  });
+  return handleResponse(res);
+}
+
+// PUBLIC_INTERFACE
+export async function getUploadPolicy() {
+  /**
+   * GET /api/uploads/policy - limits checked before uploading:
+   * { max_size_bytes, max_duration_seconds, processing_ratio } (processing seconds per second of media).
+   * No mock fallback: a server without this endpoint has no limits to check, callers treat any failure that way.
+   */
+  if (isMockMode()) return getMockUploadPolicy();
+  const res = await fetch(buildUrl("/api/uploads/policy", null), {
+    method: "GET",
+    headers: getDefaultHeaders(),
+  });
+  return handleResponse(res);
+}
+
 // PUBLIC_INTERFACE
 export async function getUploadStatus(asset_id) {
   return tryWithMock(
@@ -209,6 +382,21 @@ export async function getAsset(asset_id) {
   );
 }
 
+// PUBLIC_INTERFACE
+export function getAssetMediaUrl(asset) {
+  /**
+   * Resolve a playable URL for an asset.
+   * Prefers a URL provided by the backend on the asset record, otherwise
+   * falls back to the media streaming endpoint GET /api/uploads/{id}/media.
+   */
+  if (!asset) return null;
+  const direct = asset.media_url || asset.url || asset.download_url;
+  if (direct) return direct;
+  const id = asset.id || asset.asset_id;
+  if (!id) return null;
+  return buildUrl(`/api/uploads/${encodeURIComponent(id)}/media`, null);
+}
+
 /* ========== Transcripts ========== */
 
 // PUBLIC_INTERFACE
@@ -225,8 +413,75 @@ export async function listTranscripts() {
   );
 }
 
+// PUBLIC_INTERFACE
+export async function listGlossary({ workspaceId = getWorkspaceId() } = {}) {
+  /** GET /api/glossary - Workspace glossary terms: { id, term, kind, variants[], note }. */
+  return tryWithMock(
+    async () => {
+      const res = await fetch(buildUrl("/api/glossary", { workspace_id: workspaceId }), {
+        method: "GET",
+        headers: getDefaultHeaders(),
+      });
+      return handleResponse(res);
+    },
+    getMockGlossary
+  );
+}
+
+// PUBLIC_INTERFACE
+export async function createGlossaryTerm(payload, { workspaceId = getWorkspaceId() } = {}) {
+  /** POST /api/glossary - Add a preferred spelling with its known variants. */
+  return tryWithMock(
+    async () => {
+      const res = await fetch(buildUrl("/api/glossary", null), {
+        method: "POST",
+        headers: getDefaultHeaders(),
+        body: JSON.stringify({ ...payload, workspace_id: workspaceId }),
+      });
+      return handleResponse(res);
+    },
+    () => addMockGlossaryTerm(payload)
+  );
+}
+
+// PUBLIC_INTERFACE
+export async function updateGlossaryTerm(term_id, payload) {
+  /** PATCH /api/glossary/{id} - Update a glossary term. */
+  return tryWithMock(
+    async () => {
+      const res = await fetch(buildUrl(`/api/glossary/${encodeURIComponent(term_id)}`, null), {
+        method: "PATCH",
+        headers: getDefaultHeaders(),
+        body: JSON.stringify(payload),
+      });
+      return handleResponse(res);
+    },
+    () => updateMockGlossaryTerm(term_id, payload)
+  );
+}
+
+// PUBLIC_INTERFACE
+export async function deleteGlossaryTerm(term_id) {
+  /** DELETE /api/glossary/{id} - Remove a glossary term. */
+  return tryWithMock(
+    async () => {
+      const res = await fetch(buildUrl(`/api/glossary/${encodeURIComponent(term_id)}`, null), {
+        method: "DELETE",
+        headers: getDefaultHeaders(),
+      });
+      if (res.status === 204) return true;
+      return handleResponse(res);
+    },
+    () => deleteMockGlossaryTerm(term_id)
+  );
+}
+
 // PUBLIC_INTERFACE
 export async function createTranscript(payload) {
+  /**
+   * POST /api/transcripts - create a transcript without transcribing media, e.g. from an imported
+   * caption file: { title, language, asset_id?, text, segments, source?, source_filename? }.
+   */
   return tryWithMock(
     async () => {
       const res = await fetch(buildUrl("/api/transcripts", null), {
@@ -236,7 +491,7 @@ export async function createTranscript(payload) {
       });
       return handleResponse(res);
     },
-    { transcript: getMockTranscript() }
+    () => addMockTranscript(payload)
   );
 }
 
@@ -250,7 +505,7 @@ export async function getTranscript(transcript_id) {
       });
       return handleResponse(res);
     },
-    getMockTranscript
+    () => getMockTranscript(transcript_id)
   );
 }
 
@@ -265,7 +520,7 @@ export async function updateTranscript(transcript_id, payload) {
       });
       return handleResponse(res);
     },
-    getMockTranscript
+    () => updateMockTranscript(transcript_id, payload)
   );
 }
 
@@ -279,7 +534,7 @@ export async function getTranscriptVersions(transcript_id) {
       );
       return handleResponse(res);
     },
-    [{ version: 1, ...getMockTranscript() }]
+    () => getMockTranscriptVersions(transcript_id)
   );
 }
 
@@ -293,7 +548,7 @@ export async function getTranscriptAudit(transcript_id) {
       );
       return handleResponse(res);
     },
-    [{ action: "created", timestamp: new Date().toISOString() }]
+    () => getMockTranscriptAudit(transcript_id)
   );
 }
 
@@ -307,7 +562,7 @@ export async function appendTranscriptSegment(transcript_id, payload) {
       );
       return handleResponse(res);
     },
-    getMockTranscript
+    () => appendMockSegment(transcript_id, payload)
   );
 }
 
@@ -324,21 +579,29 @@ export async function createQuote(payload) {
       });
       return handleResponse(res);
     },
-    { quote: getMockQuote() }
+    () => addMockQuote(payload)
   );
 }
 
 // PUBLIC_INTERFACE
-export async function listQuotes({ assetId, status, minConfidence } = {}) {
+export async function listQuotes(params = {}) {
+  /**
+   * GET /api/quotes - All parameters optional (see toListQuotesParams in utils/quoteQuery):
+   * q, status, minConfidence, speaker, createdFrom, createdTo, transcriptId, assetId,
+   * tags (comma-separated) with tagMode "all" | "any", excludeTags, sort and order.
+   * ids (comma-separated) fetches specific quotes, e.g. the members of a collection.
+   * Pagination: pass limit (and the previous page's next_cursor as cursor) to get
+   * { items, next_cursor, total }; without limit the full list is returned.
+   */
   return tryWithMock(
     async () => {
       const res = await fetch(
-        buildUrl("/api/quotes", { assetId, status, minConfidence }),
+        buildUrl("/api/quotes", params),
         { method: "GET", headers: getDefaultHeaders() }
       );
       return handleResponse(res);
     },
-    getMockQuoteList
+    () => getMockQuoteList(params)
   );
 }
 
@@ -353,7 +616,7 @@ export async function extractQuotes(payload) {
       });
       return handleResponse(res);
     },
-    { items: getMockQuoteList() }
+    () => extractMockQuotes(payload)
   );
 }
 
@@ -367,7 +630,7 @@ export async function getQuote(quote_id) {
       });
       return handleResponse(res);
     },
-    getMockQuote
+    () => getMockQuote(quote_id)
   );
 }
 
@@ -382,10 +645,7 @@ export async function updateQuote(quote_id, payload) {
       });
       return handleResponse(res);
     },
-    () => {
-      const mockQuote = getMockQuote(quote_id);
-      return { ...mockQuote, ...payload };
-    }
+    () => updateMockQuote(quote_id, payload)
   );
 }
 
@@ -400,7 +660,72 @@ export async function deleteQuote(quote_id) {
       if (res.status === 204) return true;
       return handleResponse(res);
     },
-    true
+    () => deleteMockQuote(quote_id)
+  );
+}
+
+/* ========== Collections ========== */
+
+// PUBLIC_INTERFACE
+export async function listCollections({ workspaceId = getWorkspaceId() } = {}) {
+  /** GET /api/collections - Named, ordered sets of quotes: { id, name, notes, quote_ids[] }. */
+  return tryWithMock(
+    async () => {
+      const res = await fetch(buildUrl("/api/collections", { workspace_id: workspaceId }), {
+        method: "GET",
+        headers: getDefaultHeaders(),
+      });
+      return handleResponse(res);
+    },
+    getMockCollections
+  );
+}
+
+// PUBLIC_INTERFACE
+export async function createCollection(payload, { workspaceId = getWorkspaceId() } = {}) {
+  /** POST /api/collections - Create a collection ({ name, notes?, quote_ids? }). */
+  return tryWithMock(
+    async () => {
+      const res = await fetch(buildUrl("/api/collections", null), {
+        method: "POST",
+        headers: getDefaultHeaders(),
+        body: JSON.stringify({ ...payload, workspace_id: workspaceId }),
+      });
+      return handleResponse(res);
+    },
+    () => addMockCollection(payload)
+  );
+}
+
+// PUBLIC_INTERFACE
+export async function updateCollection(collection_id, payload) {
+  /** PATCH /api/collections/{id} - Rename, edit notes, or replace quote_ids (which also sets the order). */
+  return tryWithMock(
+    async () => {
+      const res = await fetch(buildUrl(`/api/collections/${encodeURIComponent(collection_id)}`, null), {
+        method: "PATCH",
+        headers: getDefaultHeaders(),
+        body: JSON.stringify(payload),
+      });
+      return handleResponse(res);
+    },
+    () => updateMockCollection(collection_id, payload)
+  );
+}
+
+// PUBLIC_INTERFACE
+export async function deleteCollection(collection_id) {
+  /** DELETE /api/collections/{id} - Remove a collection; its quotes are not touched. */
+  return tryWithMock(
+    async () => {
+      const res = await fetch(buildUrl(`/api/collections/${encodeURIComponent(collection_id)}`, null), {
+        method: "DELETE",
+        headers: getDefaultHeaders(),
+      });
+      if (res.status === 204) return true;
+      return handleResponse(res);
+    },
+    () => deleteMockCollection(collection_id)
   );
 }
 
@@ -0,0 +1,32 @@
+import { createTranscript, getTranscript, listTranscripts } from "./client";
+import { disableMockMode, enableMockMode } from "./mockData";
+import { parseTranscriptFile } from "../utils/transcriptImport";
+
+const SRT = `1
+00:00:01,000 --> 00:00:03,000
+Host: Welcome back.
+
+2
+00:00:03,500 --> 00:00:06,000
+Host: Today we talk pipelines.
+`;
+
+beforeEach(enableMockMode);
+afterEach(disableMockMode);
+
+test("an imported transcript round-trips through the mock backend", async () => {
+  const parsed = parseTranscriptFile("ep.srt", SRT);
+  const res = await createTranscript({
+    title: "Episode 12",
+    text: parsed.text,
+    segments: parsed.segments,
+    source: "import",
+    source_filename: "ep.srt",
+  });
+  const created = res.transcript;
+
+  expect(created.id).toMatch(/^mock_transcript_/);
+  const fetched = await getTranscript(created.id);
+  expect(fetched).toMatchObject({ id: created.id, title: "Episode 12", text: parsed.text, segments: parsed.segments });
+  expect((await listTranscripts()).map((t) => t.id)).toContain(created.id);
+});
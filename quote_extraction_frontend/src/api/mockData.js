@@ -1,5 +1,7 @@
 // Mock data store and utilities for fallback when backend is unavailable
 
+import { applyQuoteQuery } from "../utils/quoteQuery";
+
 const MOCK_ASSET = {
   id: "mock_asset_1",
   filename: "startup_founder_interview.mp4",
@@ -195,10 +197,35 @@ Thank you, Sarah. This was fantastic.`,
   updated_at: new Date().toISOString(),
 };
 
+// Version history and audit trail for the mock transcript (version 1 = as transcribed)
+const MOCK_TRANSCRIPT_VERSIONS = [
+  {
+    version: 1,
+    transcript_id: MOCK_TRANSCRIPT.id,
+    text: MOCK_TRANSCRIPT.text,
+    segments: MOCK_TRANSCRIPT.segments,
+    language: MOCK_TRANSCRIPT.language,
+    author: "transcription",
+    created_at: MOCK_TRANSCRIPT.created_at,
+  },
+];
+
+const MOCK_TRANSCRIPT_AUDIT = [
+  {
+    transcript_id: MOCK_TRANSCRIPT.id,
+    action: "created",
+    user: "transcription",
+    timestamp: MOCK_TRANSCRIPT.created_at,
+    details: "Transcript generated from startup_founder_interview.mp4",
+  },
+];
+
 const MOCK_QUOTES = [
   {
     id: "mock_quote_1",
     transcript_id: MOCK_TRANSCRIPT.id,
+    asset_id: MOCK_ASSET.id,
+    speaker: "Marcus Rodriguez",
     text: "We'd spend more time debugging our analytics than actually using them to make decisions.",
     start: 26.1,
     end: 51.7,
@@ -211,6 +238,8 @@ const MOCK_QUOTES = [
   {
     id: "mock_quote_2",
     transcript_id: MOCK_TRANSCRIPT.id,
+    asset_id: MOCK_ASSET.id,
+    speaker: "Marcus Rodriguez",
     text: "There had to be a better way – a way to make real-time data processing as simple as setting up a website.",
     start: 59.8,
     end: 78.2,
@@ -223,6 +252,8 @@ const MOCK_QUOTES = [
   {
     id: "mock_quote_3",
     transcript_id: MOCK_TRANSCRIPT.id,
+    asset_id: MOCK_ASSET.id,
+    speaker: "Marcus Rodriguez",
     text: "She's the kind of person who can optimize a neural network in the morning and design a distributed system architecture in the afternoon.",
     start: 85.3,
     end: 103.8,
@@ -235,6 +266,8 @@ const MOCK_QUOTES = [
   {
     id: "mock_quote_4",
     transcript_id: MOCK_TRANSCRIPT.id,
+    asset_id: MOCK_ASSET.id,
+    speaker: "Marcus Rodriguez",
     text: "We went from zero to $2.3 million ARR in just eighteen months.",
     start: 113.2,
     end: 134.9,
@@ -247,6 +280,8 @@ const MOCK_QUOTES = [
   {
     id: "mock_quote_5",
     transcript_id: MOCK_TRANSCRIPT.id,
+    asset_id: MOCK_ASSET.id,
+    speaker: "Marcus Rodriguez",
     text: "We focused obsessively on solving one specific problem really, really well: making real-time analytics accessible to companies that don't have massive engineering teams.",
     start: 143.0,
     end: 162.5,
@@ -259,6 +294,8 @@ const MOCK_QUOTES = [
   {
     id: "mock_quote_6",
     transcript_id: MOCK_TRANSCRIPT.id,
+    asset_id: MOCK_ASSET.id,
+    speaker: "Marcus Rodriguez",
     text: "Imagine getting a Slack notification the moment something unexpected happens in your business metrics, without having to set up complex rules or thresholds.",
     start: 171.1,
     end: 187.8,
@@ -271,6 +308,8 @@ const MOCK_QUOTES = [
   {
     id: "mock_quote_7",
     transcript_id: MOCK_TRANSCRIPT.id,
+    asset_id: MOCK_ASSET.id,
+    speaker: "Marcus Rodriguez",
     text: "Being smaller can actually be an advantage. We can move faster, we can be more responsive to customer feedback, and we can take risks that larger companies wouldn't take.",
     start: 201.2,
     end: 220.6,
@@ -283,6 +322,8 @@ const MOCK_QUOTES = [
   {
     id: "mock_quote_8",
     transcript_id: MOCK_TRANSCRIPT.id,
+    asset_id: MOCK_ASSET.id,
+    speaker: "Marcus Rodriguez",
     text: "Focus on your customers, not your competitors. Your customers will tell you exactly what to build next – you just have to listen.",
     start: 230.7,
     end: 248.9,
@@ -295,6 +336,8 @@ const MOCK_QUOTES = [
   {
     id: "mock_quote_9",
     transcript_id: MOCK_TRANSCRIPT.id,
+    asset_id: MOCK_ASSET.id,
+    speaker: "Marcus Rodriguez",
     text: "We want to democratize access to sophisticated data tools so that every company, regardless of size, can make decisions based on real-time insights.",
     start: 258.3,
     end: 277.1,
@@ -306,6 +349,40 @@ const MOCK_QUOTES = [
   }
 ];
 
+// Workspace glossary: preferred spellings plus the variants transcription tends to produce
+const MOCK_GLOSSARY = [
+  { id: "mock_term_1", term: "DataFlow", kind: "product", variants: ["Data Flow", "Data-Flow"], note: "Company name, one word" },
+  { id: "mock_term_2", term: "Sarah Chen", kind: "name", variants: ["Sara Chen", "Sarah Chan"], note: "Host" },
+  { id: "mock_term_3", term: "Marcus Rodriguez", kind: "name", variants: ["Marcus Rodrigues", "Markus Rodriguez"], note: "Guest" },
+  { id: "mock_term_4", term: "Elena", kind: "name", variants: ["Alena", "Elana"], note: "Co-founder" },
+  { id: "mock_term_5", term: "ARR", kind: "term", variants: [], note: "Annual recurring revenue" },
+  { id: "mock_term_6", term: "WordPress", kind: "product", variants: ["Word Press"], note: "" },
+];
+let mockGlossarySeq = MOCK_GLOSSARY.length;
+
+// Collections: named, ordered sets of quotes for campaigns
+const MOCK_COLLECTIONS = [
+  {
+    id: "mock_collection_1",
+    name: "Launch week tweets",
+    notes: "One per day, Monday to Friday. Lead with the traction numbers.",
+    quote_ids: ["mock_quote_4", "mock_quote_5", "mock_quote_2"],
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString(),
+  },
+];
+let mockCollectionSeq = MOCK_COLLECTIONS.length;
+
+// Chunked uploads in progress, by upload id (in memory: a reload starts them over)
+const MOCK_CHUNKED_UPLOADS = {};
+let mockChunkedSeq = 0;
+
+const MOCK_UPLOAD_POLICY = {
+  max_size_bytes: 4 * 1024 ** 3,
+  max_duration_seconds: 6 * 60 * 60,
+  processing_ratio: 0.3,
+};
+
 const MOCK_EXPORT = {
   id: "mock_export_1",
   quote_ids: ["mock_quote_1", "mock_quote_2", "mock_quote_4", "mock_quote_5", "mock_quote_7", "mock_quote_8"],
@@ -324,6 +401,42 @@ export function getMockUploadResponse() {
   };
 }
 
+export function createMockChunkedUpload(payload) {
+  mockChunkedSeq += 1;
+  const upload = {
+    upload_id: `mock_upload_${Date.now()}_${mockChunkedSeq}`,
+    ...payload,
+    received: [],
+  };
+  MOCK_CHUNKED_UPLOADS[upload.upload_id] = upload;
+  return { ...upload, received: [] };
+}
+
+export function getMockChunkedUpload(uploadId) {
+  const upload = MOCK_CHUNKED_UPLOADS[uploadId];
+  return upload ? { ...upload, received: [...upload.received] } : null;
+}
+
+export function recordMockChunk(uploadId, index) {
+  const upload = MOCK_CHUNKED_UPLOADS[uploadId];
+  if (upload && !upload.received.includes(index)) upload.received.push(index);
+  return { upload_id: uploadId, index, received: !!upload };
+}
+
+export function completeMockChunkedUpload(uploadId) {
+  delete MOCK_CHUNKED_UPLOADS[uploadId];
+  return getMockUploadResponse();
+}
+
+export function deleteMockChunkedUpload(uploadId) {
+  delete MOCK_CHUNKED_UPLOADS[uploadId];
+  return { ok: true };
+}
+
+export function getMockUploadPolicy() {
+  return { ...MOCK_UPLOAD_POLICY };
+}
+
 export function getMockUploadStatus() {
   return {
     asset_id: MOCK_ASSET.id,
@@ -334,20 +447,259 @@ export function getMockUploadStatus() {
   };
 }
 
+// The demo transcript plus any created (e.g. imported) in this session
+const MOCK_TRANSCRIPTS = [MOCK_TRANSCRIPT];
+let mockTranscriptSeq = 0;
+
+// Unknown ids get the demo transcript, so links to it keep working in mock mode
+function findMockTranscript(id) {
+  return MOCK_TRANSCRIPTS.find((t) => t.id === id) || MOCK_TRANSCRIPT;
+}
+
 export function getMockTranscriptList() {
-  return [MOCK_TRANSCRIPT];
+  return MOCK_TRANSCRIPTS.map((t) => ({ ...t }));
+}
+
+export function getMockTranscript(id) {
+  return { ...findMockTranscript(id) };
+}
+
+export function addMockTranscript(payload) {
+  const now = new Date().toISOString();
+  mockTranscriptSeq += 1;
+  const transcript = {
+    id: `mock_transcript_${Date.now()}_${mockTranscriptSeq}`,
+    asset_id: null,
+    language: "en",
+    text: "",
+    segments: [],
+    ...payload,
+    status: "completed",
+    created_at: now,
+    updated_at: now,
+  };
+  MOCK_TRANSCRIPTS.push(transcript);
+  recordMockVersion(transcript, "created", `Created from ${payload?.source_filename || "an import"}`);
+  return { transcript: { ...transcript } };
+}
+
+export function updateMockTranscript(id, payload) {
+  // Only apply fields that were sent, mirroring the partial PUT the backend accepts
+  const transcript = findMockTranscript(id);
+  const changed = [];
+  Object.entries(payload || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      transcript[key] = value;
+      changed.push(key);
+    }
+  });
+  transcript.updated_at = new Date().toISOString();
+  recordMockVersion(transcript, "updated", `Changed ${changed.join(", ") || "nothing"}`);
+  return { ...transcript };
+}
+
+export function appendMockSegment(id, segment) {
+  // Keep segments ordered by start time, as the backend does
+  const transcript = findMockTranscript(id);
+  transcript.segments = [...transcript.segments, { ...segment }].sort((a, b) => (a.start ?? 0) - (b.start ?? 0));
+  transcript.updated_at = new Date().toISOString();
+  recordMockVersion(transcript, "segment_appended", `Appended segment "${String(segment?.text || "").slice(0, 40)}"`);
+  return { ...transcript };
+}
+
+export function getMockTranscriptVersions(id) {
+  const transcriptId = findMockTranscript(id).id;
+  return MOCK_TRANSCRIPT_VERSIONS.filter((v) => v.transcript_id === transcriptId).map((v) => ({ ...v }));
+}
+
+export function getMockTranscriptAudit(id) {
+  const transcriptId = findMockTranscript(id).id;
+  return MOCK_TRANSCRIPT_AUDIT.filter((a) => a.transcript_id === transcriptId).map((a) => ({ ...a }));
+}
+
+function recordMockVersion(transcript, action, details) {
+  const version = MOCK_TRANSCRIPT_VERSIONS.filter((v) => v.transcript_id === transcript.id).length + 1;
+  MOCK_TRANSCRIPT_VERSIONS.push({
+    version,
+    transcript_id: transcript.id,
+    text: transcript.text,
+    segments: transcript.segments,
+    language: transcript.language,
+    author: "demo@example.com",
+    created_at: transcript.updated_at,
+  });
+  MOCK_TRANSCRIPT_AUDIT.push({
+    transcript_id: transcript.id,
+    action,
+    user: "demo@example.com",
+    timestamp: transcript.updated_at,
+    version,
+    details,
+  });
+}
+
+export function getMockGlossary() {
+  return MOCK_GLOSSARY.map((t) => ({ ...t, variants: [...(t.variants || [])] }));
+}
+
+export function addMockGlossaryTerm(payload) {
+  mockGlossarySeq += 1;
+  const term = {
+    id: `mock_term_${mockGlossarySeq}`,
+    kind: "term",
+    variants: [],
+    note: "",
+    ...payload,
+    created_at: new Date().toISOString(),
+  };
+  MOCK_GLOSSARY.push(term);
+  return { ...term };
+}
+
+export function updateMockGlossaryTerm(id, payload) {
+  const term = MOCK_GLOSSARY.find((t) => t.id === id);
+  if (!term) return null;
+  Object.assign(term, payload, { updated_at: new Date().toISOString() });
+  return { ...term };
+}
+
+export function deleteMockGlossaryTerm(id) {
+  const idx = MOCK_GLOSSARY.findIndex((t) => t.id === id);
+  if (idx >= 0) MOCK_GLOSSARY.splice(idx, 1);
+  return true;
+}
+
+export function getMockCollections() {
+  return MOCK_COLLECTIONS.map((c) => ({ ...c, quote_ids: [...c.quote_ids] }));
+}
+
+export function addMockCollection(payload) {
+  mockCollectionSeq += 1;
+  const now = new Date().toISOString();
+  const collection = {
+    id: `mock_collection_${mockCollectionSeq}`,
+    notes: "",
+    quote_ids: [],
+    ...payload,
+    created_at: now,
+    updated_at: now,
+  };
+  MOCK_COLLECTIONS.push(collection);
+  return { ...collection, quote_ids: [...collection.quote_ids] };
+}
+
+export function updateMockCollection(id, payload) {
+  const collection = MOCK_COLLECTIONS.find((c) => c.id === id);
+  if (!collection) return null;
+  Object.assign(collection, payload, { updated_at: new Date().toISOString() });
+  return { ...collection, quote_ids: [...collection.quote_ids] };
+}
+
+export function deleteMockCollection(id) {
+  const idx = MOCK_COLLECTIONS.findIndex((c) => c.id === id);
+  if (idx >= 0) MOCK_COLLECTIONS.splice(idx, 1);
+  return true;
+}
+
+export function getMockQuoteList(params = {}) {
+  // Filter/sort like the backend; copies, so screens never share objects with the mock store
+  const { cursor, limit, ids, ...filters } = params || {};
+  const query = Object.fromEntries(
+    Object.entries(filters).filter(([, v]) => v !== undefined && v !== null && v !== "")
+  );
+  const wanted = ids ? new Set(String(ids).split(",")) : null;
+  const source = wanted ? MOCK_QUOTES.filter((q) => wanted.has(q.id)) : MOCK_QUOTES;
+  const all = applyQuoteQuery(source, query).map((q) => ({ ...q }));
+  if (!limit) return all;
+  // Paged like the backend: the cursor is an opaque offset
+  const offset = Number(cursor) || 0;
+  const next = offset + Number(limit);
+  return {
+    items: all.slice(offset, next),
+    next_cursor: next < all.length ? String(next) : null,
+    total: all.length,
+  };
+}
+
+let mockQuoteSeq = 0;
+
+export function addMockQuote(payload) {
+  // Newest first, so a manually created quote shows at the top of the Quotes page
+  const now = new Date().toISOString();
+  mockQuoteSeq += 1;
+  const quote = {
+    id: `mock_quote_${Date.now()}_${mockQuoteSeq}`, // unique even when several are added at once
+    transcript_id: MOCK_TRANSCRIPT.id,
+    asset_id: MOCK_ASSET.id,
+    confidence: null,
+    approved: false,
+    tags: [],
+    ...payload,
+    created_at: now,
+    updated_at: now,
+  };
+  MOCK_QUOTES.unshift(quote);
+  return { quote: { ...quote } };
+}
+
+export function updateMockQuote(id, payload) {
+  const quote = MOCK_QUOTES.find((q) => q.id === id);
+  if (!quote) return { ...getMockQuote(id), ...payload };
+  Object.assign(quote, payload, { updated_at: new Date().toISOString() });
+  return { ...quote };
 }
 
-export function getMockTranscript() {
-  return MOCK_TRANSCRIPT;
+export function deleteMockQuote(id) {
+  const index = MOCK_QUOTES.findIndex((q) => q.id === id);
+  if (index !== -1) MOCK_QUOTES.splice(index, 1);
+  return true;
 }
 
-export function getMockQuoteList() {
-  return MOCK_QUOTES;
+export function extractMockQuotes(payload = {}) {
+  // Sentence-level candidates from the mock transcript, honoring the extraction settings
+  const minLength = payload.min_length ?? 24;
+  const maxLength = payload.max_length ?? 400;
+  const speakers = payload.speakers?.length ? payload.speakers : null;
+  const hints = (payload.tag_hints || []).map((t) => String(t).toLowerCase());
+  const candidates = [];
+  MOCK_TRANSCRIPT.segments.forEach((seg) => {
+    if (speakers && !speakers.includes(seg.speaker)) return;
+    if (payload.start != null && seg.end < payload.start) return;
+    if (payload.end != null && seg.start > payload.end) return;
+    const sentences = seg.text.match(/[^.!?]+[.!?]+["”’]?/g) || [seg.text];
+    let offset = 0;
+    sentences.forEach((raw) => {
+      const text = raw.trim();
+      const at = seg.text.indexOf(text, offset);
+      offset = at + text.length;
+      if (text.length < minLength || text.length > maxLength) return;
+      const span = seg.end - seg.start;
+      const start = Math.round((seg.start + (span * at) / seg.text.length) * 10) / 10;
+      const end = Math.round((seg.start + (span * offset) / seg.text.length) * 10) / 10;
+      // Longer, more specific sentences score higher in the mock
+      const confidence = Math.min(0.97, 0.55 + text.length / 800 + (/\d/.test(text) ? 0.05 : 0));
+      candidates.push({
+        transcript_id: MOCK_TRANSCRIPT.id,
+        text,
+        start,
+        end,
+        speaker: seg.speaker,
+        confidence: Math.round(confidence * 100) / 100,
+        approved: false,
+        tags: hints.filter((h) => text.toLowerCase().includes(h)),
+      });
+    });
+  });
+  const items = candidates
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, payload.max_candidates ?? 6)
+    .sort((a, b) => a.start - b.start);
+  if (payload.dry_run) return { items };
+  return { items: items.map((c) => addMockQuote(c).quote) };
 }
 
 export function getMockQuote(id) {
-  return MOCK_QUOTES.find((q) => q.id === id) || MOCK_QUOTES[0];
+  return { ...(MOCK_QUOTES.find((q) => q.id === id) || MOCK_QUOTES[0]) };
 }
 
 export function getMockExportJob() {
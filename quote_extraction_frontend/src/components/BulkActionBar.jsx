@@ -0,0 +1,327 @@
+import React, { useId, useState } from "react";
+
+/**
+ * BulkActionBar
+ * Toolbar for the quotes selected on the Quotes page:
+ * - Selection count with select-all-filtered and clear
+ * - Approve, reject, tag / untag, move to trash and send to export
+ * - In the trash view: restore and delete forever (behind a confirm)
+ * - Progress while a batch runs and a report of the items that failed
+ *
+ * Props:
+ * - selectedCount: number
+ * - visibleCount: number - quotes matching the current filters, also those on pages not loaded yet
+ * - onSelectAll: function() -> void - loads the remaining pages before selecting
+ * - onClear: function() -> void
+ * - inTrash: boolean - the trash is being viewed
+ * - tagSuggestions: string[]
+ * - exportableCount: number - selected quotes that are approved
+ * - onApprove, onReject, onTrash, onRestore, onDeleteForever, onSendToExport: function() -> void
+ * - onTag, onUntag: function(tag) -> void
+ * - progress: { label, done, total } | null - a running batch
+ * - report: { label, succeeded, failed: [{ id, text, message }] } | null - the last finished batch
+ * - onDismissReport: function() -> void
+ */
+export default function BulkActionBar({
+  selectedCount = 0,
+  visibleCount = 0,
+  onSelectAll,
+  onClear,
+  inTrash = false,
+  tagSuggestions = [],
+  exportableCount = 0,
+  onApprove,
+  onReject,
+  onTag,
+  onUntag,
+  onTrash,
+  onRestore,
+  onDeleteForever,
+  onSendToExport,
+  progress = null,
+  report = null,
+  onDismissReport,
+}) {
+  const listId = useId();
+  const [tag, setTag] = useState("");
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+
+  const busy = !!progress;
+  const none = selectedCount === 0;
+  const cleanTag = tag.trim().replace(/^#/, "");
+  const disabled = busy || none;
+
+  const act = (fn) => () => {
+    if (!disabled && fn) fn();
+  };
+
+  const tagAction = (fn) => () => {
+    if (disabled || !cleanTag || !fn) return;
+    fn(cleanTag);
+    setTag("");
+  };
+
+  return (
+    <div style={wrap} role="toolbar" aria-label="Bulk actions">
+      <div style={row}>
+        <span style={{ fontWeight: 800, fontSize: 13 }}>
+          {selectedCount} selected
+        </span>
+        <button
+          type="button"
+          onClick={onSelectAll}
+          disabled={busy || !visibleCount || selectedCount === visibleCount}
+          style={{ ...linkBtn, ...(busy || !visibleCount || selectedCount === visibleCount ? btnDisabled : {}) }}
+        >
+          Select all {visibleCount}
+        </button>
+        {!none && (
+          <button type="button" onClick={onClear} disabled={busy} style={linkBtn}>
+            Clear
+          </button>
+        )}
+
+        <span style={divider} aria-hidden="true" />
+
+        {inTrash ? (
+          confirmingDelete ? (
+            <>
+              <span style={{ fontSize: 12 }}>Delete {selectedCount} forever?</span>
+              <button
+                type="button"
+                onClick={() => {
+                  setConfirmingDelete(false);
+                  act(onDeleteForever)();
+                }}
+                style={dangerBtn}
+              >
+                Delete
+              </button>
+              <button type="button" onClick={() => setConfirmingDelete(false)} style={miniGhostBtn}>
+                Cancel
+              </button>
+            </>
+          ) : (
+            <>
+              <button type="button" onClick={act(onRestore)} disabled={disabled} style={btn(miniPrimaryBtn, disabled)}>
+                ↩️ Restore
+              </button>
+              <button
+                type="button"
+                onClick={() => setConfirmingDelete(true)}
+                disabled={disabled}
+                style={btn(miniGhostBtn, disabled)}
+              >
+                Delete forever
+              </button>
+            </>
+          )
+        ) : (
+          <>
+            <button type="button" onClick={act(onApprove)} disabled={disabled} style={btn(miniPrimaryBtn, disabled)}>
+              ✅ Approve
+            </button>
+            <button type="button" onClick={act(onReject)} disabled={disabled} style={btn(miniGhostBtn, disabled)}>
+              🚫 Reject
+            </button>
+            <input
+              aria-label="Tag for selected quotes"
+              placeholder="tag"
+              value={tag}
+              onChange={(e) => setTag(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") tagAction(onTag)();
+              }}
+              list={`${listId}-tags`}
+              style={input}
+            />
+            <datalist id={`${listId}-tags`}>
+              {tagSuggestions.map((t) => (
+                <option key={t} value={t} />
+              ))}
+            </datalist>
+            <button
+              type="button"
+              onClick={tagAction(onTag)}
+              disabled={disabled || !cleanTag}
+              style={btn(miniGhostBtn, disabled || !cleanTag)}
+              title="Add this tag to the selected quotes"
+            >
+              + Tag
+            </button>
+            <button
+              type="button"
+              onClick={tagAction(onUntag)}
+              disabled={disabled || !cleanTag}
+              style={btn(miniGhostBtn, disabled || !cleanTag)}
+              title="Remove this tag from the selected quotes"
+            >
+              − Untag
+            </button>
+            <button type="button" onClick={act(onTrash)} disabled={disabled} style={btn(miniGhostBtn, disabled)}>
+              🗑 Delete
+            </button>
+            <button
+              type="button"
+              onClick={act(onSendToExport)}
+              disabled={disabled || !exportableCount}
+              style={btn(miniGhostBtn, disabled || !exportableCount)}
+              title="Only approved quotes can be exported"
+            >
+              📤 Send {exportableCount || ""} to export
+            </button>
+          </>
+        )}
+      </div>
+
+      {progress && (
+        <div style={progressWrap} role="status" aria-live="polite">
+          <div style={progressTrack}>
+            <div style={{ ...progressFill, width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%` }} />
+          </div>
+          <span style={{ fontSize: 12, opacity: 0.85 }}>
+            {progress.label} {progress.done}/{progress.total}…
+          </span>
+        </div>
+      )}
+
+      {report && !progress && report.failed.length > 0 && (
+        <div role="alert" style={failureBox}>
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+            <span>
+              {report.label}: {report.succeeded} done, {report.failed.length} failed. Failed quotes stay selected so you can retry.
+            </span>
+            <button type="button" onClick={onDismissReport} style={linkBtn} aria-label="Dismiss failures">
+              ✕
+            </button>
+          </div>
+          <ul style={failureList}>
+            {report.failed.map((f) => (
+              <li key={f.id}>
+                “{String(f.text || "").slice(0, 60)}
+                {String(f.text || "").length > 60 ? "…" : ""}” — {f.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const btn = (base, disabled) => (disabled ? { ...base, ...btnDisabled } : base);
+
+const wrap = {
+  position: "sticky",
+  top: 8,
+  zIndex: 5,
+  marginTop: 12,
+  border: "1px solid var(--border-color)",
+  background: "var(--bg-secondary)",
+  borderRadius: 12,
+  padding: "8px 10px",
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+  boxShadow: "0 6px 18px rgba(0,0,0,0.15)",
+};
+
+const row = {
+  display: "flex",
+  alignItems: "center",
+  gap: 6,
+  flexWrap: "wrap",
+};
+
+const divider = {
+  width: 1,
+  alignSelf: "stretch",
+  background: "var(--border-color)",
+  margin: "0 4px",
+};
+
+const input = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 8px",
+  width: 110,
+};
+
+const progressWrap = {
+  display: "flex",
+  alignItems: "center",
+  gap: 10,
+};
+
+const progressTrack = {
+  flex: 1,
+  height: 6,
+  borderRadius: 999,
+  background: "rgba(255,255,255,0.08)",
+  overflow: "hidden",
+};
+
+const progressFill = {
+  height: "100%",
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  transition: "width 0.2s ease",
+};
+
+const failureBox = {
+  padding: "8px 10px",
+  border: "1px solid rgba(239,68,68,0.4)",
+  background: "rgba(239,68,68,0.08)",
+  color: "#EF4444",
+  borderRadius: 10,
+  fontSize: 12,
+  fontWeight: 600,
+};
+
+const failureList = {
+  margin: "6px 0 0",
+  paddingLeft: 18,
+  fontWeight: 500,
+};
+
+const linkBtn = {
+  background: "none",
+  border: "none",
+  padding: "4px 6px",
+  color: "var(--text-secondary)",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+const miniPrimaryBtn = {
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  color: "#0b0b0b",
+  border: "none",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 800,
+  letterSpacing: 0.2,
+  cursor: "pointer",
+};
+
+const miniGhostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+const dangerBtn = {
+  ...miniGhostBtn,
+  color: "#EF4444",
+  borderColor: "rgba(239,68,68,0.5)",
+};
+
+const btnDisabled = {
+  opacity: 0.5,
+  cursor: "not-allowed",
+};
@@ -0,0 +1,485 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { listQuotes } from "../api/client";
+import { addQuoteIds, moveItem, orderedMembers } from "../utils/collections";
+import { reviewStatus } from "../utils/quoteStatus";
+
+/**
+ * CollectionsPanel
+ * Collapsible panel for named quote collections (e.g. "Launch week tweets"):
+ * - Create, rename and delete collections (delete asks first; quotes are not touched)
+ * - Notes per collection
+ * - The collection's quotes in its custom order: drag to reorder (or ↑ / ↓), remove
+ * - Add the quotes selected on the page, from any transcript
+ * - Send the collection to the Export page as its quote selection
+ * Quotes of the open collection that aren't in `quotes` are fetched by id.
+ *
+ * Props:
+ * - collections: [{ id, name, notes, quote_ids[] }]
+ * - quotes: Quote[] - quotes already loaded by the page
+ * - selectedIds: Set<string> - quotes selected on the page
+ * - onCreate: async function(name) -> collection
+ * - onUpdate: async function(id, patch) -> void
+ * - onDelete: async function(id) -> void
+ * - onExport: function(id) -> void
+ * - error: string
+ */
+export default function CollectionsPanel({
+  collections = [],
+  quotes = [],
+  selectedIds,
+  onCreate,
+  onUpdate,
+  onDelete,
+  onExport,
+  error = "",
+}) {
+  const [open, setOpen] = useState(false);
+  const [activeId, setActiveId] = useState("");
+  const [newName, setNewName] = useState("");
+  const [nameDraft, setNameDraft] = useState("");
+  const [notesDraft, setNotesDraft] = useState("");
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [fetched, setFetched] = useState({}); // quote id -> quote, for members the page hasn't loaded
+  const [loadingMembers, setLoadingMembers] = useState(false);
+  const [drag, setDrag] = useState(null); // { from, over }
+
+  const active = collections.find((c) => c.id === activeId) || null;
+  const selectedCount = selectedIds?.size || 0;
+
+  // Drafts follow the open collection
+  const activeName = active?.name || "";
+  const activeNotes = active?.notes || "";
+  useEffect(() => {
+    setNameDraft(activeName);
+    setNotesDraft(activeNotes);
+    setConfirmingDelete(false);
+  }, [activeId, activeName, activeNotes]);
+
+  // Fetch members that are neither loaded by the page nor fetched before
+  const known = useMemo(() => {
+    const map = { ...fetched };
+    quotes.forEach((q) => {
+      map[q.id] = q;
+    });
+    return map;
+  }, [fetched, quotes]);
+  const missing = (active?.quote_ids || []).filter((id) => known[id] === undefined).join(",");
+  useEffect(() => {
+    if (!missing) return undefined;
+    let activeRequest = true;
+    (async () => {
+      setLoadingMembers(true);
+      const ids = missing.split(",");
+      let found = [];
+      try {
+        const res = await listQuotes({ ids: missing });
+        found = Array.isArray(res) ? res : res?.items || res?.data || [];
+      } catch {
+        // Shown as unavailable below
+      }
+      if (!activeRequest) return;
+      setFetched((prev) => {
+        const next = { ...prev };
+        ids.forEach((id) => {
+          next[id] = null;
+        });
+        found.forEach((q) => {
+          next[q.id] = q;
+        });
+        return next;
+      });
+      setLoadingMembers(false);
+    })();
+    return () => {
+      activeRequest = false;
+    };
+  }, [missing]);
+
+  const members = orderedMembers(active, Object.values(known).filter(Boolean));
+
+  const create = async () => {
+    const name = newName.trim();
+    if (!name || !onCreate) return;
+    const created = await onCreate(name);
+    if (created?.id) {
+      setActiveId(created.id);
+      setNewName("");
+    }
+  };
+
+  const reorder = (from, to) => {
+    if (!active || from === to) return;
+    onUpdate(active.id, { quote_ids: moveItem(active.quote_ids, from, to) });
+  };
+
+  const saveName = () => {
+    const name = nameDraft.trim();
+    if (active && name && name !== active.name) onUpdate(active.id, { name });
+    else setNameDraft(activeName);
+  };
+
+  const summary = collections.length
+    ? collections.map((c) => `${c.name} (${c.quote_ids?.length || 0})`).join(" • ")
+    : "Group quotes for a campaign, in your own order";
+
+  return (
+    <div style={wrap}>
+      <button type="button" onClick={() => setOpen((v) => !v)} style={toggleRow} aria-expanded={open ? "true" : "false"}>
+        <span style={{ fontWeight: 800 }}>📚 Collections</span>
+        <span style={summaryText}>{summary}</span>
+        <span aria-hidden="true">{open ? "▴" : "▾"}</span>
+      </button>
+
+      {open && (
+        <div style={body}>
+          <div style={row}>
+            {collections.map((c) => (
+              <button
+                key={c.id}
+                type="button"
+                onClick={() => setActiveId(c.id === activeId ? "" : c.id)}
+                style={{ ...chipBtn, ...(c.id === activeId ? chipOn : {}) }}
+                aria-pressed={c.id === activeId ? "true" : "false"}
+              >
+                {c.name} <span style={{ opacity: 0.7 }}>{c.quote_ids?.length || 0}</span>
+              </button>
+            ))}
+            <input
+              aria-label="New collection name"
+              placeholder="New collection, e.g. Newsletter #12"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") create();
+              }}
+              style={{ ...input, minWidth: 220 }}
+            />
+            <button
+              type="button"
+              onClick={create}
+              disabled={!newName.trim()}
+              style={{ ...miniGhostBtn, ...(!newName.trim() ? btnDisabled : {}) }}
+            >
+              + Create
+            </button>
+          </div>
+
+          {!!error && (
+            <div role="alert" style={errorText}>
+              {error}
+            </div>
+          )}
+
+          {active && (
+            <div style={detail}>
+              <div style={row}>
+                <input
+                  aria-label="Collection name"
+                  value={nameDraft}
+                  onChange={(e) => setNameDraft(e.target.value)}
+                  onBlur={saveName}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") e.currentTarget.blur();
+                  }}
+                  style={{ ...input, fontWeight: 700, flex: 1, minWidth: 180 }}
+                />
+                <button
+                  type="button"
+                  onClick={() => onUpdate(active.id, { quote_ids: addQuoteIds(active.quote_ids, [...selectedIds]) })}
+                  disabled={!selectedCount}
+                  style={{ ...miniGhostBtn, ...(!selectedCount ? btnDisabled : {}) }}
+                  title="Add the quotes selected below"
+                >
+                  + Add {selectedCount} selected
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onExport && onExport(active.id)}
+                  disabled={!active.quote_ids?.length}
+                  style={{ ...miniPrimaryBtn, ...(!active.quote_ids?.length ? btnDisabled : {}) }}
+                >
+                  📤 Export collection
+                </button>
+                {confirmingDelete ? (
+                  <>
+                    <span style={{ fontSize: 12 }}>Delete “{active.name}”?</span>
+                    <button type="button" onClick={() => onDelete(active.id)} style={dangerBtn}>
+                      Delete
+                    </button>
+                    <button type="button" onClick={() => setConfirmingDelete(false)} style={miniGhostBtn}>
+                      Cancel
+                    </button>
+                  </>
+                ) : (
+                  <button type="button" onClick={() => setConfirmingDelete(true)} style={miniGhostBtn} title="Delete collection">
+                    🗑
+                  </button>
+                )}
+              </div>
+
+              <textarea
+                aria-label="Collection notes"
+                placeholder="Notes: schedule, angle, who it's for…"
+                value={notesDraft}
+                onChange={(e) => setNotesDraft(e.target.value)}
+                onBlur={() => notesDraft !== activeNotes && onUpdate(active.id, { notes: notesDraft })}
+                rows={2}
+                style={{ ...input, resize: "vertical", fontFamily: "inherit" }}
+              />
+
+              {members.length === 0 ? (
+                <div style={emptyText}>No quotes yet. Select quotes below and add them here.</div>
+              ) : (
+                <ol style={memberList} aria-label={`Quotes in ${active.name}`}>
+                  {members.map(({ id, quote }, i) => (
+                    <li
+                      key={id}
+                      draggable
+                      onDragStart={(e) => {
+                        setDrag({ from: i, over: i });
+                        e.dataTransfer.effectAllowed = "move";
+                        e.dataTransfer.setData("text/plain", id);
+                      }}
+                      onDragOver={(e) => {
+                        e.preventDefault();
+                        if (drag && drag.over !== i) setDrag({ ...drag, over: i });
+                      }}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        if (drag) reorder(drag.from, i);
+                        setDrag(null);
+                      }}
+                      onDragEnd={() => setDrag(null)}
+                      style={{
+                        ...memberRow,
+                        ...(drag?.from === i ? { opacity: 0.5 } : {}),
+                        ...(drag && drag.over === i && drag.from !== i ? memberDropTarget : {}),
+                      }}
+                    >
+                      <span style={handle} aria-hidden="true" title="Drag to reorder">
+                        ⠿
+                      </span>
+                      <span style={{ flex: 1, minWidth: 0 }}>
+                        {quote ? (
+                          <>
+                            <span style={memberText}>“{quote.text}”</span>
+                            <span style={memberMeta}>
+                              {[quote.speaker, reviewStatus(quote), quote.transcript_id].filter(Boolean).join(" • ")}
+                            </span>
+                          </>
+                        ) : (
+                          <span style={{ ...memberMeta, fontStyle: "italic" }}>
+                            {loadingMembers && known[id] === undefined
+                              ? "Loading…"
+                              : "Unavailable (archived, in the trash or deleted)"}
+                          </span>
+                        )}
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => reorder(i, i - 1)}
+                        disabled={i === 0}
+                        style={{ ...iconBtn, ...(i === 0 ? btnDisabled : {}) }}
+                        aria-label="Move up"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => reorder(i, i + 1)}
+                        disabled={i === members.length - 1}
+                        style={{ ...iconBtn, ...(i === members.length - 1 ? btnDisabled : {}) }}
+                        aria-label="Move down"
+                      >
+                        ↓
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => onUpdate(active.id, { quote_ids: active.quote_ids.filter((q) => q !== id) })}
+                        style={iconBtn}
+                        aria-label="Remove from collection"
+                      >
+                        ✕
+                      </button>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const wrap = {
+  border: "1px solid var(--border-color)",
+  background: "var(--bg-secondary)",
+  borderRadius: 14,
+  marginBottom: 12,
+  overflow: "hidden",
+};
+
+const toggleRow = {
+  width: "100%",
+  display: "flex",
+  alignItems: "center",
+  gap: 10,
+  padding: "10px 12px",
+  background: "transparent",
+  border: "none",
+  color: "var(--text-primary)",
+  cursor: "pointer",
+  textAlign: "left",
+};
+
+const summaryText = {
+  flex: 1,
+  fontSize: 12,
+  opacity: 0.75,
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  whiteSpace: "nowrap",
+};
+
+const body = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 10,
+  padding: "0 12px 12px",
+};
+
+const row = {
+  display: "flex",
+  alignItems: "center",
+  gap: 8,
+  flexWrap: "wrap",
+};
+
+const detail = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+  borderTop: "1px dashed var(--border-color)",
+  paddingTop: 10,
+};
+
+const input = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 8px",
+};
+
+const chipBtn = {
+  fontSize: 12,
+  padding: "4px 10px",
+  borderRadius: 999,
+  border: "1px solid var(--border-color)",
+  background: "transparent",
+  color: "var(--text-primary)",
+  cursor: "pointer",
+  fontWeight: 600,
+};
+
+const chipOn = {
+  background: "var(--text-secondary)",
+  color: "#0b0b0b",
+  borderColor: "transparent",
+};
+
+const memberList = {
+  listStyle: "none",
+  margin: 0,
+  padding: 0,
+  display: "flex",
+  flexDirection: "column",
+  gap: 6,
+  maxHeight: 360,
+  overflow: "auto",
+};
+
+const memberRow = {
+  display: "flex",
+  alignItems: "center",
+  gap: 8,
+  padding: "6px 8px",
+  border: "1px solid var(--border-color)",
+  borderRadius: 10,
+  background: "rgba(255,255,255,0.02)",
+};
+
+const memberDropTarget = {
+  borderColor: "rgba(97,218,251,0.9)",
+  boxShadow: "0 0 0 2px rgba(97,218,251,0.25)",
+};
+
+const handle = {
+  cursor: "grab",
+  opacity: 0.6,
+  userSelect: "none",
+};
+
+const memberText = {
+  display: "block",
+  fontSize: 13,
+  whiteSpace: "nowrap",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+};
+
+const memberMeta = {
+  display: "block",
+  fontSize: 11,
+  opacity: 0.65,
+};
+
+const emptyText = {
+  fontSize: 12,
+  opacity: 0.75,
+};
+
+const errorText = {
+  color: "#EF4444",
+  fontSize: 12,
+  fontWeight: 600,
+};
+
+const miniPrimaryBtn = {
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  color: "#0b0b0b",
+  border: "none",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 800,
+  letterSpacing: 0.2,
+  cursor: "pointer",
+};
+
+const miniGhostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+const iconBtn = {
+  ...miniGhostBtn,
+  padding: "2px 8px",
+};
+
+const dangerBtn = {
+  ...miniGhostBtn,
+  color: "#EF4444",
+  borderColor: "rgba(239,68,68,0.5)",
+};
+
+const btnDisabled = {
+  opacity: 0.5,
+  cursor: "not-allowed",
+};
@@ -1,26 +1,68 @@
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
+import { orderedMembers } from "../utils/collections";
+import { episodeLabel, inScope } from "../utils/scope";
+import ScopePicker from "./ScopePicker";
 
 /**
  * ExportForm
  * A modern minimal form allowing:
  * - Format selection (plain_text, json, twitter, linkedin, instagram, srt, vtt)
  * - Optional title and author for applicable formats
- * - Quote selection (checkbox list)
+ * - Quote selection (checkbox list), picked by hand or taken from a collection (in its order)
+ * - Hand-picked quotes can be narrowed to one episode / transcript; only quotes in scope are exported
  * - Submit to create export job
  *
  * Props:
  * - quotes: Quote[] - list of approved quotes
+ * - initialSelectedIds: string[] - quotes to preselect (e.g. sent from the Quotes page)
+ * - collections: [{ id, name, quote_ids[] }] - offered as sources (optional)
+ * - initialCollectionId: string - collection to start from (e.g. sent from the Quotes page)
+ * - assets, transcripts: episodes and transcripts for the scope picker (optional)
  * - disabled: boolean
- * - onSubmit: function({ format, title?, author?, quoteIds: string[] })
+ * - onSubmit: function({ format, title?, author?, quoteIds: string[], collectionId: string | null })
  */
-export default function ExportForm({ quotes = [], disabled = false, onSubmit }) {
+export default function ExportForm({
+  quotes = [],
+  initialSelectedIds = [],
+  collections = [],
+  initialCollectionId = "",
+  assets = [],
+  transcripts = [],
+  disabled = false,
+  onSubmit,
+}) {
   const [format, setFormat] = useState("plain_text");
   const [title, setTitle] = useState("");
   const [author, setAuthor] = useState("");
-  const [selected, setSelected] = useState(() => new Set());
+  const [selected, setSelected] = useState(() => new Set(initialSelectedIds));
+  const [source, setSource] = useState(initialCollectionId || "manual"); // "manual" or a collection id
+  const [scope, setScope] = useState({ assetId: "", transcriptId: "" });
 
   const quoteArray = useMemo(() => (Array.isArray(quotes) ? quotes : []), [quotes]);
 
+  // A collection source lists its approved quotes in collection order; the rest are skipped
+  const sourceCollection = collections.find((c) => c.id === source) || null;
+  const members = useMemo(
+    () => (sourceCollection ? orderedMembers(sourceCollection, quoteArray) : []),
+    [sourceCollection, quoteArray]
+  );
+  const listed = useMemo(
+    () =>
+      sourceCollection
+        ? members.filter((m) => m.quote).map((m) => m.quote)
+        : quoteArray.filter((q) => inScope(q, scope, transcripts)),
+    [sourceCollection, members, quoteArray, scope, transcripts]
+  );
+  const skipped = members.length - listed.length;
+
+  // Picking a collection (or its contents arriving) selects all of its exportable quotes
+  const collectionKey = sourceCollection ? `${source}:${sourceCollection.quote_ids.join(",")}:${quoteArray.length}` : "";
+  useEffect(() => {
+    if (!collectionKey) return;
+    setSelected(new Set(members.filter((m) => m.quote).map((m) => m.id)));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [collectionKey]);
+
   const onToggleQuote = (id) => {
     setSelected((prev) => {
       const next = new Set(prev);
@@ -33,8 +75,16 @@ export default function ExportForm({ quotes = [], disabled = false, onSubmit })
     });
   };
 
+  // Selected quotes outside the scope stay selected (widening the scope brings them back) but aren't exported
+  const listedIds = useMemo(() => new Set(listed.map((q) => q.id)), [listed]);
+  const chosenCount = Array.from(selected).filter((id) => listedIds.has(id)).length;
+  const episodes = useMemo(
+    () => new Map(listed.map((q) => [q.id, episodeLabel(q, { assets, transcripts })])),
+    [listed, assets, transcripts]
+  );
+
   const onSelectAll = () => {
-    setSelected(new Set(quoteArray.map((q) => q.id)));
+    setSelected(new Set(listed.map((q) => q.id)));
   };
   const onClearAll = () => {
     setSelected(new Set());
@@ -43,12 +93,16 @@ export default function ExportForm({ quotes = [], disabled = false, onSubmit })
   const onSubmitClick = (e) => {
     e.preventDefault();
     if (!onSubmit) return;
-    const quoteIds = Array.from(selected);
+    // Collections keep their custom order; hand-picked quotes keep the order they were picked in
+    const quoteIds = sourceCollection
+      ? listed.filter((q) => selected.has(q.id)).map((q) => q.id)
+      : Array.from(selected).filter((id) => listedIds.has(id));
     onSubmit({
       format,
       title: title.trim() || "",
       author: author.trim() || "",
       quoteIds,
+      collectionId: sourceCollection ? sourceCollection.id : null,
     });
   };
 
@@ -109,17 +163,55 @@ export default function ExportForm({ quotes = [], disabled = false, onSubmit })
         )}
       </div>
 
+      {collections.length > 0 && (
+        <div style={group}>
+          <label htmlFor="export-source" style={label}>Source</label>
+          <select
+            id="export-source"
+            value={sourceCollection ? source : "manual"}
+            onChange={(e) => setSource(e.target.value)}
+            style={select}
+            disabled={disabled}
+          >
+            <option value="manual">Pick quotes</option>
+            {collections.map((c) => (
+              <option key={c.id} value={c.id}>
+                📚 {c.name} ({c.quote_ids?.length || 0})
+              </option>
+            ))}
+          </select>
+          {sourceCollection && skipped > 0 && (
+            <span style={{ fontSize: 12, opacity: 0.75 }}>
+              {skipped} quote{skipped === 1 ? " in this collection isn't" : "s in this collection aren't"} approved
+              and will be skipped.
+            </span>
+          )}
+        </div>
+      )}
+
+      {!sourceCollection && (assets.length > 0 || transcripts.length > 0) && (
+        <ScopePicker
+          assets={assets}
+          transcripts={transcripts}
+          assetId={scope.assetId}
+          transcriptId={scope.transcriptId}
+          onChange={setScope}
+          idPrefix="export-scope"
+          disabled={disabled}
+        />
+      )}
+
       <div style={listHeader}>
         <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
           <span style={{ fontWeight: 700, letterSpacing: 0.3 }}>Include Quotes</span>
-          <span style={chipSmall}>{selected.size} selected</span>
+          <span style={chipSmall}>{chosenCount} selected</span>
         </div>
         <div style={{ display: "flex", gap: 8 }}>
           <button
             type="button"
             style={miniGhostBtn}
             onClick={onSelectAll}
-            disabled={disabled || quoteArray.length === 0}
+            disabled={disabled || listed.length === 0}
             title="Select all"
           >
             Select All
@@ -128,7 +220,7 @@ export default function ExportForm({ quotes = [], disabled = false, onSubmit })
             type="button"
             style={miniGhostBtn}
             onClick={onClearAll}
-            disabled={disabled || selected.size === 0}
+            disabled={disabled || chosenCount === 0}
             title="Clear selection"
           >
             Clear
@@ -137,10 +229,16 @@ export default function ExportForm({ quotes = [], disabled = false, onSubmit })
       </div>
 
       <div style={quoteList}>
-        {quoteArray.length === 0 && (
-          <div style={emptyBox}>No approved quotes available.</div>
+        {listed.length === 0 && (
+          <div style={emptyBox}>
+            {sourceCollection
+              ? "None of this collection's quotes are approved yet."
+              : scope.assetId || scope.transcriptId
+              ? "No approved quotes from this episode."
+              : "No approved quotes available."}
+          </div>
         )}
-        {quoteArray.map((q) => (
+        {listed.map((q) => (
           <label key={q.id} style={quoteItem}>
             <input
               type="checkbox"
@@ -154,6 +252,11 @@ export default function ExportForm({ quotes = [], disabled = false, onSubmit })
               <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap", minWidth: 0 }}>
                 <span style={chipTime}>{formatTime(q.start)} - {formatTime(q.end)}</span>
                 {typeof q.confidence === "number" && <span style={chipSmall}>Conf: {q.confidence.toFixed(2)}</span>}
+                {!scope.assetId && episodes.get(q.id) && (
+                  <span style={{ ...chipSmall, maxWidth: 180, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                    🎬 {episodes.get(q.id)}
+                  </span>
+                )}
                 {q.tags?.length ? (
                   <span style={{ 
                     ...chipSmall, 
@@ -1,5 +1,6 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { getExportJob } from "../api/client";
+import { applyGlossaryCasing } from "../utils/glossary";
 
 /**
  * ExportResult
@@ -8,14 +9,16 @@ import { getExportJob } from "../api/client";
  * - Status badge, timestamps, and errors
  * - Download button (uses /api/exports/{id}?download=1)
  * - Inline preview for text and JSON results
+ * - Glossary terms rewritten with their preferred capitalization in preview and download
  *
  * Props:
  * - job: ExportJob | null
  * - submitting: boolean
  * - error: string
  * - onRefresh: () => Promise<void>
+ * - glossary: GlossaryTerm[] - workspace glossary (optional)
  */
-export default function ExportResult({ job, submitting = false, error = "", onRefresh }) {
+export default function ExportResult({ job, submitting = false, error = "", onRefresh, glossary = EMPTY_GLOSSARY }) {
   const [preview, setPreview] = useState("");
   const [previewType, setPreviewType] = useState("text"); // "text" | "json"
   const [loadingPreview, setLoadingPreview] = useState(false);
@@ -63,7 +66,7 @@ export default function ExportResult({ job, submitting = false, error = "", onRe
       setPreviewError("");
       try {
         // When download=1, backend returns raw output (text or JSON string)
-        const res = await getExportJob(job.id, { download: 1 });
+        const res = applyGlossaryCasing(await getExportJob(job.id, { download: 1 }), glossary);
         if (!active) return;
         if (typeof res === "string") {
           setPreview(res);
@@ -85,12 +88,12 @@ export default function ExportResult({ job, submitting = false, error = "", onRe
     return () => {
       active = false;
     };
-  }, [job?.id, job?.status]);
+  }, [job?.id, job?.status, glossary]);
 
   const onDownload = async () => {
     if (!job?.id) return;
     try {
-      const res = await getExportJob(job.id, { download: 1 });
+      const res = applyGlossaryCasing(await getExportJob(job.id, { download: 1 }), glossary);
       // Create a file locally and trigger download
       let blob;
       let filename = `export-${job.id}.${inferExtension(job?.format)}`;
@@ -232,6 +235,8 @@ export default function ExportResult({ job, submitting = false, error = "", onRe
   );
 }
 
+const EMPTY_GLOSSARY = [];
+
 const chipSmall = {
   fontSize: 11,
   padding: "4px 8px",
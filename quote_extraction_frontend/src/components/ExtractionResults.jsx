@@ -0,0 +1,402 @@
+import React, { useMemo, useState } from "react";
+import { findNearDuplicates } from "../utils/similarity";
+import { segmentsAround } from "../utils/segments";
+import { formatTime } from "../utils/transcriptTiming";
+
+/**
+ * ExtractionResults
+ * Review panel for the candidates of an extraction run, before they reach the Quotes page:
+ * - Each candidate next to its transcript context (the matching segments plus one on each side)
+ * - Near-duplicates of existing quotes flagged with their similarity
+ * - Accept (creates the quote), discard, or merge into a flagged duplicate
+ * - Accept all candidates that have no duplicate in one go
+ *
+ * Props:
+ * - candidates: Candidate[] - extraction items with a unique `key` and an optional
+ *   `resolution` ("accepted" | "merged" | "discarded") once reviewed
+ * - existingQuotes: Quote[] - quotes already saved for this transcript
+ * - segments: Segment[]
+ * - onAccept: async function(candidate) -> void
+ * - onMerge: async function(candidate, quote) -> void
+ * - onDiscard: function(candidate) -> void
+ * - onSeek: function(seconds) -> void (optional)
+ * - onClose: function() -> void
+ */
+export default function ExtractionResults({
+  candidates = [],
+  existingQuotes = [],
+  segments = [],
+  onAccept,
+  onMerge,
+  onDiscard,
+  onSeek,
+  onClose,
+}) {
+  const [busyKey, setBusyKey] = useState("");
+  const [error, setError] = useState("");
+
+  const duplicatesByKey = useMemo(() => {
+    const map = {};
+    candidates.forEach((c) => {
+      map[c.key] = findNearDuplicates(c, existingQuotes).slice(0, 3);
+    });
+    return map;
+  }, [candidates, existingQuotes]);
+
+  const pending = candidates.filter((c) => !c.resolution);
+  const pendingNew = pending.filter((c) => !duplicatesByKey[c.key]?.length);
+  const duplicateCount = pending.length - pendingNew.length;
+
+  const run = async (key, action) => {
+    setBusyKey(key);
+    setError("");
+    try {
+      await action();
+    } catch (e) {
+      setError(e?.payload?.detail || e?.message || "Failed to update quotes.");
+    } finally {
+      setBusyKey("");
+    }
+  };
+
+  const acceptAllNew = () =>
+    run("all", async () => {
+      for (const c of pendingNew) {
+        // Sequential so a failure stops the batch with everything before it saved
+        await onAccept(c);
+      }
+    });
+
+  return (
+    <section style={wrap} aria-label="Extraction results">
+      <header style={header}>
+        <div>
+          <div style={{ fontWeight: 800 }}>Extraction results</div>
+          <div style={metaText}>
+            {candidates.length} candidate{candidates.length === 1 ? "" : "s"} • {pending.length} to review
+            {duplicateCount > 0 && ` • ${duplicateCount} possible duplicate${duplicateCount === 1 ? "" : "s"}`}
+          </div>
+        </div>
+        <div style={{ display: "flex", gap: 8 }}>
+          <button
+            type="button"
+            onClick={acceptAllNew}
+            disabled={!pendingNew.length || !!busyKey}
+            style={{ ...miniPrimaryBtn, ...(!pendingNew.length || busyKey ? btnDisabled : {}) }}
+            title="Accept every candidate that has no near-duplicate"
+          >
+            Accept all new ({pendingNew.length})
+          </button>
+          <button type="button" onClick={onClose} style={miniGhostBtn} aria-label="Close extraction results">
+            ✕
+          </button>
+        </div>
+      </header>
+
+      {!!error && (
+        <div role="alert" style={errorStyle}>
+          {error}
+        </div>
+      )}
+
+      {!candidates.length && <div style={emptyBox}>No candidates matched the extraction settings.</div>}
+
+      <ol style={list}>
+        {candidates.map((c) => {
+          const dups = duplicatesByKey[c.key] || [];
+          const busy = busyKey === c.key || busyKey === "all";
+          if (c.resolution) {
+            return (
+              <li key={c.key} style={{ ...card, ...resolvedCard }}>
+                <span style={{ ...chip, ...resolutionChip[c.resolution] }}>{c.resolution.toUpperCase()}</span>
+                <span style={resolvedText}>“{c.text}”</span>
+              </li>
+            );
+          }
+          return (
+            <li key={c.key} style={card}>
+              <div style={candidateCol}>
+                <div style={chipRow}>
+                  <button
+                    type="button"
+                    onClick={() => onSeek && typeof c.start === "number" && onSeek(c.start)}
+                    style={{ ...chip, cursor: onSeek ? "pointer" : "default" }}
+                    title="Play from here"
+                  >
+                    {formatTime(c.start)} - {formatTime(c.end)}
+                  </button>
+                  {typeof c.confidence === "number" && <span style={chip}>Conf: {c.confidence.toFixed(2)}</span>}
+                  {c.speaker && <span style={chip}>🎙 {c.speaker}</span>}
+                  {(c.tags || []).map((t) => (
+                    <span key={t} style={chip}>
+                      #{t}
+                    </span>
+                  ))}
+                </div>
+                <blockquote style={quoteText}>“{c.text}”</blockquote>
+
+                {dups.length > 0 && (
+                  <div style={dupBox}>
+                    <div style={{ fontWeight: 700, fontSize: 12 }}>⚠️ Similar to existing quote{dups.length === 1 ? "" : "s"}</div>
+                    {dups.map(({ quote, score }) => (
+                      <div key={quote.id} style={dupRow}>
+                        <span style={chip}>{Math.round(score * 100)}%</span>
+                        <span style={dupText}>“{quote.text}”</span>
+                        <button
+                          type="button"
+                          onClick={() => run(c.key, () => onMerge(c, quote))}
+                          disabled={busy}
+                          style={{ ...miniGhostBtn, ...(busy ? btnDisabled : {}) }}
+                          title="Merge this candidate into the existing quote"
+                        >
+                          Merge
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                <div style={actions}>
+                  <button
+                    type="button"
+                    onClick={() => run(c.key, () => onAccept(c))}
+                    disabled={busy}
+                    style={{ ...miniPrimaryBtn, ...(busy ? btnDisabled : {}) }}
+                  >
+                    {dups.length ? "Accept anyway" : "Accept"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onDiscard && onDiscard(c)}
+                    disabled={busy}
+                    style={{ ...miniGhostBtn, ...(busy ? btnDisabled : {}) }}
+                  >
+                    Discard
+                  </button>
+                </div>
+              </div>
+
+              <div style={contextCol} aria-label="Transcript context">
+                {segmentsAround(segments, c.start, c.end).map(({ segment, index, inRange }) => (
+                  <div key={index} style={{ ...contextSeg, ...(inRange ? contextHit : {}) }}>
+                    <div style={metaText}>
+                      {formatTime(segment.start)}
+                      {segment.speaker ? ` • ${segment.speaker}` : ""}
+                    </div>
+                    <div>{inRange ? highlight(segment.text, c.text) : segment.text}</div>
+                  </div>
+                ))}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </section>
+  );
+}
+
+// Mark the candidate text inside its segment when it appears verbatim
+function highlight(text, quote) {
+  const source = String(text || "");
+  const at = quote ? source.indexOf(quote) : -1;
+  if (at === -1) return source;
+  return (
+    <>
+      {source.slice(0, at)}
+      <mark style={markStyle}>{quote}</mark>
+      {source.slice(at + quote.length)}
+    </>
+  );
+}
+
+const wrap = {
+  border: "1px solid var(--border-color)",
+  background: "var(--bg-secondary)",
+  borderRadius: 14,
+  padding: 12,
+  marginTop: 12,
+  display: "flex",
+  flexDirection: "column",
+  gap: 10,
+};
+
+const header = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  gap: 10,
+};
+
+const metaText = {
+  fontSize: 12,
+  opacity: 0.75,
+};
+
+const list = {
+  listStyle: "none",
+  margin: 0,
+  padding: 0,
+  display: "flex",
+  flexDirection: "column",
+  gap: 10,
+};
+
+const card = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(260px, 1fr))",
+  gap: 12,
+  border: "1px solid var(--border-color)",
+  borderRadius: 12,
+  padding: 12,
+  background: "linear-gradient(180deg, rgba(255,255,255,0.02), rgba(255,255,255,0.04))",
+};
+
+const resolvedCard = {
+  display: "flex",
+  alignItems: "center",
+  gap: 8,
+  padding: "8px 12px",
+  opacity: 0.7,
+};
+
+const resolvedText = {
+  fontSize: 13,
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  whiteSpace: "nowrap",
+};
+
+const candidateCol = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+  minWidth: 0,
+};
+
+const contextCol = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 6,
+  fontSize: 13,
+  lineHeight: 1.5,
+  maxHeight: 240,
+  overflow: "auto",
+};
+
+const contextSeg = {
+  padding: "6px 8px",
+  borderRadius: 8,
+  opacity: 0.7,
+};
+
+const contextHit = {
+  opacity: 1,
+  border: "1px solid var(--border-color)",
+  background: "rgba(97,218,251,0.06)",
+};
+
+const markStyle = {
+  background: "rgba(97,218,251,0.3)",
+  color: "inherit",
+  borderRadius: 4,
+};
+
+const chipRow = {
+  display: "flex",
+  alignItems: "center",
+  gap: 6,
+  flexWrap: "wrap",
+};
+
+const chip = {
+  fontSize: 11,
+  padding: "4px 8px",
+  borderRadius: 999,
+  background: "rgba(255,255,255,0.06)",
+  border: "1px solid var(--border-color)",
+  color: "var(--text-primary)",
+  whiteSpace: "nowrap",
+};
+
+const resolutionChip = {
+  accepted: { background: "#22C55E", color: "#0b0b0b", borderColor: "transparent", fontWeight: 700 },
+  merged: { background: "#61dafb", color: "#0b0b0b", borderColor: "transparent", fontWeight: 700 },
+  discarded: { fontWeight: 700 },
+};
+
+const quoteText = {
+  margin: 0,
+  fontSize: 15,
+  lineHeight: 1.5,
+};
+
+const dupBox = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 6,
+  padding: 8,
+  borderRadius: 10,
+  border: "1px solid rgba(255,176,32,0.45)",
+  background: "rgba(255,176,32,0.08)",
+};
+
+const dupRow = {
+  display: "flex",
+  alignItems: "center",
+  gap: 8,
+};
+
+const dupText = {
+  flex: 1,
+  fontSize: 12,
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  whiteSpace: "nowrap",
+};
+
+const actions = {
+  display: "flex",
+  gap: 8,
+};
+
+const emptyBox = {
+  padding: 12,
+  border: "1px dashed var(--border-color)",
+  borderRadius: 10,
+  opacity: 0.85,
+};
+
+const errorStyle = {
+  padding: 12,
+  border: "1px solid rgba(239,68,68,0.4)",
+  background: "rgba(239,68,68,0.08)",
+  color: "#EF4444",
+  borderRadius: 10,
+  fontWeight: 600,
+};
+
+const miniPrimaryBtn = {
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  color: "#0b0b0b",
+  border: "none",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 800,
+  letterSpacing: 0.2,
+  cursor: "pointer",
+};
+
+const miniGhostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+const btnDisabled = {
+  opacity: 0.5,
+  cursor: "not-allowed",
+};
@@ -0,0 +1,443 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  CHANNEL_PROFILES,
+  DEFAULT_EXTRACTION_SETTINGS,
+  deleteShowPreset,
+  listShows,
+  loadShowPresets,
+  saveShowPreset,
+  validateExtractionSettings,
+} from "../utils/extractionSettings";
+import { summarizeSpeakers } from "../utils/speakers";
+
+/**
+ * ExtractionSettings
+ * Collapsible panel that tunes quote extraction:
+ * - Channel profiles (Twitter/X, LinkedIn, long-form, ...) as starting points
+ * - Candidate count, min/max length, target speakers, segment or time range, tag hints
+ * - Whether a run clears or keeps unreviewed candidates from earlier runs (local review list only,
+ *   not sent with the extraction request)
+ * - Named presets saved per show (stored on this device)
+ *
+ * Props:
+ * - settings: ExtractionSettings (see DEFAULT_EXTRACTION_SETTINGS)
+ * - onChange: function(nextSettings) -> void
+ * - segments: Segment[] - used for the speaker list and segment range bounds
+ * - defaultShow: string - show name suggested for saving presets (optional)
+ */
+export default function ExtractionSettings({ settings, onChange, segments = [], defaultShow = "" }) {
+  const [open, setOpen] = useState(false);
+  const [show, setShow] = useState(defaultShow);
+  const [presetName, setPresetName] = useState("");
+  const [profile, setProfile] = useState("default");
+  const [presetsVersion, setPresetsVersion] = useState(0); // bump to re-read presets from storage
+  const [status, setStatus] = useState("");
+
+  // The show usually arrives with the asset, after the first render
+  useEffect(() => {
+    if (defaultShow) setShow(defaultShow);
+  }, [defaultShow]);
+
+  const s = { ...DEFAULT_EXTRACTION_SETTINGS, ...(settings || {}) };
+  const speakers = useMemo(() => summarizeSpeakers(segments).map((sp) => sp.name), [segments]);
+  const errors = validateExtractionSettings(s, { segmentCount: segments.length });
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const showPresets = useMemo(() => loadShowPresets(show), [show, presetsVersion]);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  const knownShows = useMemo(() => listShows(), [presetsVersion]);
+
+  const set = (patch) => onChange && onChange({ ...s, ...patch });
+
+  const applyProfile = (value) => {
+    setProfile(value);
+    if (value.startsWith("preset:")) {
+      const preset = showPresets.find((p) => `preset:${p.name}` === value);
+      if (preset) {
+        onChange({ ...DEFAULT_EXTRACTION_SETTINGS, ...preset.settings });
+        setPresetName(preset.name);
+      }
+      return;
+    }
+    const channel = CHANNEL_PROFILES.find((c) => c.id === value);
+    if (channel) onChange({ ...DEFAULT_EXTRACTION_SETTINGS, ...channel.settings, speakers: s.speakers });
+  };
+
+  const toggleSpeaker = (name) => {
+    const next = s.speakers.includes(name) ? s.speakers.filter((n) => n !== name) : [...s.speakers, name];
+    set({ speakers: next });
+  };
+
+  const savePreset = () => {
+    if (!show.trim() || !presetName.trim()) {
+      setStatus("Enter a show and a preset name to save.");
+      return;
+    }
+    const ok = saveShowPreset(show, presetName, s);
+    setPresetsVersion((v) => v + 1);
+    setProfile(`preset:${presetName.trim()}`);
+    setStatus(ok ? `Saved “${presetName.trim()}” for ${show.trim()}.` : "Presets could not be stored in this browser.");
+  };
+
+  const removePreset = () => {
+    const name = profile.replace(/^preset:/, "");
+    deleteShowPreset(show, name);
+    setPresetsVersion((v) => v + 1);
+    setProfile("default");
+    setStatus(`Deleted “${name}”.`);
+  };
+
+  const summary = [
+    `${s.maxCandidates} candidates`,
+    `${s.minLength}–${s.maxLength} chars`,
+    s.speakers.length ? s.speakers.join(", ") : "all speakers",
+    s.rangeMode === "all" ? "whole transcript" : s.rangeMode === "segments" ? "segment range" : "time range",
+    s.mode === "append" ? "keep unreviewed candidates" : "clear unreviewed candidates",
+  ].join(" • ");
+
+  return (
+    <div style={wrap}>
+      <button type="button" onClick={() => setOpen((v) => !v)} style={toggleRow} aria-expanded={open ? "true" : "false"}>
+        <span style={{ fontWeight: 800 }}>⚙️ Extraction settings</span>
+        <span style={summaryText}>{summary}</span>
+        <span aria-hidden="true">{open ? "▴" : "▾"}</span>
+      </button>
+
+      {open && (
+        <div style={body}>
+          <div style={grid}>
+            <label style={field}>
+              <span style={labelText}>Profile</span>
+              <select value={profile} onChange={(e) => applyProfile(e.target.value)} style={input} aria-label="Extraction profile">
+                <optgroup label="Channels">
+                  {CHANNEL_PROFILES.map((c) => (
+                    <option key={c.id} value={c.id}>
+                      {c.name}
+                    </option>
+                  ))}
+                </optgroup>
+                {showPresets.length > 0 && (
+                  <optgroup label={`${show} presets`}>
+                    {showPresets.map((p) => (
+                      <option key={p.name} value={`preset:${p.name}`}>
+                        {p.name}
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+              </select>
+            </label>
+            <label style={field}>
+              <span style={labelText}>Candidates</span>
+              <input
+                type="number"
+                min={1}
+                max={50}
+                value={s.maxCandidates}
+                onChange={(e) => set({ maxCandidates: e.target.value === "" ? "" : Number(e.target.value) })}
+                style={input}
+                aria-label="Maximum candidates"
+              />
+            </label>
+            <label style={field}>
+              <span style={labelText}>Min length (chars)</span>
+              <input
+                type="number"
+                min={0}
+                value={s.minLength}
+                onChange={(e) => set({ minLength: e.target.value === "" ? "" : Number(e.target.value) })}
+                style={input}
+                aria-label="Minimum length"
+              />
+            </label>
+            <label style={field}>
+              <span style={labelText}>Max length (chars)</span>
+              <input
+                type="number"
+                min={1}
+                value={s.maxLength}
+                onChange={(e) => set({ maxLength: e.target.value === "" ? "" : Number(e.target.value) })}
+                style={input}
+                aria-label="Maximum length"
+              />
+            </label>
+          </div>
+
+          <div style={field}>
+            <span style={labelText}>Speakers {s.speakers.length ? "" : "(all)"}</span>
+            <div style={chipRow}>
+              {speakers.length === 0 && <span style={{ fontSize: 12, opacity: 0.7 }}>No speaker labels on this transcript.</span>}
+              {speakers.map((name) => (
+                <button
+                  key={name}
+                  type="button"
+                  onClick={() => toggleSpeaker(name)}
+                  aria-pressed={s.speakers.includes(name) ? "true" : "false"}
+                  style={{ ...chipBtn, ...(s.speakers.includes(name) ? chipOn : {}) }}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div style={grid}>
+            <label style={field}>
+              <span style={labelText}>Range</span>
+              <select value={s.rangeMode} onChange={(e) => set({ rangeMode: e.target.value })} style={input} aria-label="Range">
+                <option value="all">Whole transcript</option>
+                <option value="segments" disabled={!segments.length}>
+                  Segments
+                </option>
+                <option value="time">Time window</option>
+              </select>
+            </label>
+            {s.rangeMode === "segments" && (
+              <>
+                <label style={field}>
+                  <span style={labelText}>From segment</span>
+                  <input
+                    type="number"
+                    min={1}
+                    max={segments.length}
+                    placeholder="1"
+                    value={s.segmentFrom}
+                    onChange={(e) => set({ segmentFrom: e.target.value })}
+                    style={input}
+                    aria-label="From segment"
+                  />
+                </label>
+                <label style={field}>
+                  <span style={labelText}>To segment</span>
+                  <input
+                    type="number"
+                    min={1}
+                    max={segments.length}
+                    placeholder={String(segments.length)}
+                    value={s.segmentTo}
+                    onChange={(e) => set({ segmentTo: e.target.value })}
+                    style={input}
+                    aria-label="To segment"
+                  />
+                </label>
+              </>
+            )}
+            {s.rangeMode === "time" && (
+              <>
+                <label style={field}>
+                  <span style={labelText}>From (m:ss)</span>
+                  <input
+                    placeholder="0:00"
+                    value={s.timeFrom}
+                    onChange={(e) => set({ timeFrom: e.target.value })}
+                    style={input}
+                    aria-label="From time"
+                  />
+                </label>
+                <label style={field}>
+                  <span style={labelText}>To (m:ss)</span>
+                  <input
+                    placeholder="end"
+                    value={s.timeTo}
+                    onChange={(e) => set({ timeTo: e.target.value })}
+                    style={input}
+                    aria-label="To time"
+                  />
+                </label>
+              </>
+            )}
+          </div>
+
+          <div style={grid}>
+            <label style={{ ...field, gridColumn: "span 2" }}>
+              <span style={labelText}>Tag hints</span>
+              <input
+                placeholder="e.g. vision, funding, advice"
+                value={s.tagHints}
+                onChange={(e) => set({ tagHints: e.target.value })}
+                style={input}
+                aria-label="Tag hints"
+              />
+            </label>
+            <div style={{ ...field, gridColumn: "span 2" }}>
+              <span style={labelText}>Unreviewed candidates from earlier runs</span>
+              <div style={{ display: "flex", gap: 12, fontSize: 13 }}>
+                {[
+                  ["replace", "Clear them"],
+                  ["append", "Keep them in the review list"],
+                ].map(([value, label]) => (
+                  <label key={value} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                    <input type="radio" name="extract-mode" checked={s.mode === value} onChange={() => set({ mode: value })} />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {errors.length > 0 && (
+            <ul style={errorList} role="alert">
+              {errors.map((err) => (
+                <li key={err}>{err}</li>
+              ))}
+            </ul>
+          )}
+
+          <div style={presetRow}>
+            <input
+              placeholder="Show"
+              value={show}
+              onChange={(e) => setShow(e.target.value)}
+              list="extraction-shows"
+              style={input}
+              aria-label="Show"
+            />
+            <datalist id="extraction-shows">
+              {knownShows.map((name) => (
+                <option key={name} value={name} />
+              ))}
+            </datalist>
+            <input
+              placeholder="Preset name"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              style={input}
+              aria-label="Preset name"
+            />
+            <button type="button" onClick={savePreset} style={miniPrimaryBtn}>
+              Save preset
+            </button>
+            {profile.startsWith("preset:") && (
+              <button type="button" onClick={removePreset} style={miniGhostBtn}>
+                Delete preset
+              </button>
+            )}
+            {!!status && <span style={{ fontSize: 12, opacity: 0.8 }}>{status}</span>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const wrap = {
+  border: "1px solid var(--border-color)",
+  background: "var(--bg-secondary)",
+  borderRadius: 14,
+  marginBottom: 12,
+  overflow: "hidden",
+};
+
+const toggleRow = {
+  width: "100%",
+  display: "flex",
+  alignItems: "center",
+  gap: 10,
+  padding: "10px 12px",
+  background: "transparent",
+  border: "none",
+  color: "var(--text-primary)",
+  cursor: "pointer",
+  textAlign: "left",
+};
+
+const summaryText = {
+  flex: 1,
+  fontSize: 12,
+  opacity: 0.75,
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  whiteSpace: "nowrap",
+};
+
+const body = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 10,
+  padding: "0 12px 12px",
+};
+
+const grid = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(150px, 1fr))",
+  gap: 10,
+};
+
+const field = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 4,
+};
+
+const labelText = {
+  fontSize: 12,
+  opacity: 0.8,
+};
+
+const input = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 8px",
+};
+
+const chipRow = {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: 6,
+};
+
+const chipBtn = {
+  fontSize: 12,
+  padding: "4px 10px",
+  borderRadius: 999,
+  border: "1px solid var(--border-color)",
+  background: "transparent",
+  color: "var(--text-primary)",
+  cursor: "pointer",
+  fontWeight: 600,
+};
+
+const chipOn = {
+  background: "var(--text-secondary)",
+  color: "#0b0b0b",
+  borderColor: "transparent",
+};
+
+const presetRow = {
+  display: "flex",
+  alignItems: "center",
+  gap: 8,
+  flexWrap: "wrap",
+  borderTop: "1px dashed var(--border-color)",
+  paddingTop: 10,
+};
+
+const errorList = {
+  margin: 0,
+  paddingLeft: 18,
+  color: "#EF4444",
+  fontSize: 12,
+  fontWeight: 600,
+};
+
+const miniPrimaryBtn = {
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  color: "#0b0b0b",
+  border: "none",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 800,
+  letterSpacing: 0.2,
+  cursor: "pointer",
+};
+
+const miniGhostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
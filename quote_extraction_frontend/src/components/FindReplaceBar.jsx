@@ -0,0 +1,270 @@
+import React, { useMemo, useState } from "react";
+import { buildPattern, expandReplacement, findMatches, replaceInTranscript } from "../utils/findReplace";
+
+/**
+ * FindReplaceBar
+ * Find/replace across a transcript:
+ * - Match case, whole word and regex options ($1, $<name> in regex replacements)
+ * - Live preview of matches with context and the resulting replacement
+ * - Replace all applies to the full text and every segment's text as a single change
+ *
+ * Props:
+ * - text: string - full transcript text
+ * - segments: Segment[]
+ * - previewSegments: boolean - preview matches per segment (segment mode) instead of in the full text
+ * - onApply: function({ text, segments, count, query, replacement }) -> void
+ * - onUndo: function() -> void
+ * - canUndo: boolean
+ * - onClose: function() -> void
+ */
+export default function FindReplaceBar({
+  text = "",
+  segments = [],
+  previewSegments = false,
+  onApply,
+  onUndo,
+  canUndo = false,
+  onClose,
+}) {
+  const [query, setQuery] = useState("");
+  const [replacement, setReplacement] = useState("");
+  const [options, setOptions] = useState({ matchCase: false, wholeWord: false, regex: false });
+
+  const { pattern, error } = useMemo(() => buildPattern(query, options), [query, options]);
+
+  // Matches shown in the preview, labelled with where they live
+  const matches = useMemo(() => {
+    if (!pattern) return [];
+    if (!previewSegments) return findMatches(text, pattern).map((m) => ({ ...m, where: "Text" }));
+    return segments.flatMap((s, idx) =>
+      findMatches(s?.text, pattern).map((m) => ({ ...m, where: `Segment ${idx + 1}` }))
+    );
+  }, [pattern, previewSegments, text, segments]);
+
+  const toggle = (key) => setOptions((prev) => ({ ...prev, [key]: !prev[key] }));
+
+  const replaceAll = () => {
+    if (!pattern || !matches.length || !onApply) return;
+    const res = replaceInTranscript({ text, segments }, query, replacement, options);
+    if (res.error) return;
+    onApply({
+      text: res.text,
+      segments: res.segments,
+      count: previewSegments ? res.segmentCount : res.textCount,
+      query,
+      replacement,
+    });
+  };
+
+  return (
+    <div style={wrap} role="search" aria-label="Find and replace">
+      <div style={row}>
+        <input
+          autoFocus
+          aria-label="Find"
+          placeholder="Find"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Escape" && onClose) onClose();
+          }}
+          style={{ ...input, ...(error ? inputError : {}) }}
+        />
+        <input
+          aria-label="Replace with"
+          placeholder="Replace with"
+          value={replacement}
+          onChange={(e) => setReplacement(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") replaceAll();
+            if (e.key === "Escape" && onClose) onClose();
+          }}
+          style={input}
+        />
+        {[
+          ["matchCase", "Aa", "Match case"],
+          ["wholeWord", "W", "Whole word"],
+          ["regex", ".*", "Regular expression"],
+        ].map(([key, label, title]) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => toggle(key)}
+            aria-pressed={options[key] ? "true" : "false"}
+            title={title}
+            style={{ ...toggleBtn, ...(options[key] ? toggleOn : {}) }}
+          >
+            {label}
+          </button>
+        ))}
+        <span style={countText}>{query ? `${matches.length} match${matches.length === 1 ? "" : "es"}` : ""}</span>
+        <button
+          type="button"
+          onClick={replaceAll}
+          disabled={!matches.length}
+          style={{ ...miniPrimaryBtn, ...(!matches.length ? btnDisabled : {}) }}
+        >
+          Replace all
+        </button>
+        <button
+          type="button"
+          onClick={onUndo}
+          disabled={!canUndo}
+          style={{ ...miniGhostBtn, ...(!canUndo ? btnDisabled : {}) }}
+          title="Undo the last change"
+        >
+          ↶ Undo
+        </button>
+        {onClose && (
+          <button type="button" onClick={onClose} style={miniGhostBtn} title="Close" aria-label="Close find and replace">
+            ✕
+          </button>
+        )}
+      </div>
+
+      {!!error && <div style={errorText}>{error}</div>}
+
+      {matches.length > 0 && (
+        <ul style={previewList} aria-label="Match preview">
+          {matches.slice(0, PREVIEW_LIMIT).map((m, i) => (
+            <li key={i} style={previewItem}>
+              <span style={whereChip}>{m.where}</span>
+              <span style={{ opacity: 0.7 }}>…{m.before}</span>
+              <del style={delStyle}>{m.match}</del>
+              <ins style={insStyle}>{expandReplacement(replacement, m, options.regex)}</ins>
+              <span style={{ opacity: 0.7 }}>{m.after}…</span>
+            </li>
+          ))}
+          {matches.length > PREVIEW_LIMIT && (
+            <li style={{ ...previewItem, opacity: 0.7 }}>and {matches.length - PREVIEW_LIMIT} more…</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const PREVIEW_LIMIT = 25;
+
+const wrap = {
+  border: "1px solid var(--border-color)",
+  background: "var(--bg-secondary)",
+  borderRadius: 14,
+  padding: 10,
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+};
+
+const row = {
+  display: "flex",
+  alignItems: "center",
+  gap: 6,
+  flexWrap: "wrap",
+};
+
+const input = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 8px",
+  minWidth: 160,
+};
+
+const inputError = {
+  borderColor: "rgba(239,68,68,0.6)",
+};
+
+const toggleBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "5px 8px",
+  fontFamily: "monospace",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+const toggleOn = {
+  background: "var(--text-secondary)",
+  color: "#0b0b0b",
+  borderColor: "transparent",
+};
+
+const countText = {
+  fontSize: 12,
+  opacity: 0.75,
+  minWidth: 70,
+};
+
+const errorText = {
+  fontSize: 12,
+  color: "#EF4444",
+  fontWeight: 600,
+};
+
+const previewList = {
+  listStyle: "none",
+  margin: 0,
+  padding: 0,
+  maxHeight: 180,
+  overflow: "auto",
+  display: "flex",
+  flexDirection: "column",
+  gap: 4,
+  fontSize: 12,
+};
+
+const previewItem = {
+  whiteSpace: "nowrap",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+};
+
+const whereChip = {
+  fontSize: 11,
+  padding: "1px 6px",
+  borderRadius: 999,
+  border: "1px solid var(--border-color)",
+  marginRight: 6,
+  opacity: 0.85,
+};
+
+const insStyle = {
+  background: "rgba(34,197,94,0.2)",
+  textDecoration: "none",
+  borderRadius: 4,
+};
+
+const delStyle = {
+  background: "rgba(239,68,68,0.18)",
+  borderRadius: 4,
+};
+
+const miniPrimaryBtn = {
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  color: "#0b0b0b",
+  border: "none",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 800,
+  letterSpacing: 0.2,
+  cursor: "pointer",
+};
+
+const miniGhostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+const btnDisabled = {
+  opacity: 0.5,
+  cursor: "not-allowed",
+};
@@ -0,0 +1,389 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { createGlossaryTerm, deleteGlossaryTerm, listGlossary } from "../api/client";
+import { applyGlossaryFixes, findGlossaryIssues } from "../utils/glossary";
+import { joinSegments, updateSegment } from "../utils/segments";
+
+/**
+ * GlossaryPanel
+ * Workspace glossary checks for a transcript:
+ * - Flags likely misspellings of glossary terms and names with a suggested spelling
+ * - One-click fixes per suggestion (all occurrences) or for everything at once
+ * - Manage the glossary: add terms with known variants, remove terms
+ *
+ * Props:
+ * - text: string - full transcript text
+ * - segments: Segment[]
+ * - previewSegments: boolean - check segment texts (segment mode) instead of the full text
+ * - onApply: function({ text, segments }, message) -> void
+ */
+export default function GlossaryPanel({ text = "", segments = [], previewSegments = false, onApply }) {
+  const [glossary, setGlossary] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [ignored, setIgnored] = useState(() => new Set());
+  const [managing, setManaging] = useState(false);
+  const [draft, setDraft] = useState({ term: "", variants: "", kind: "name" });
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    let active = true;
+    (async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const res = await listGlossary();
+        if (!active) return;
+        setGlossary(Array.isArray(res) ? res : res?.items || res?.data || []);
+      } catch (e) {
+        if (!active) return;
+        setError(e?.payload?.detail || e?.message || "Failed to load glossary.");
+      } finally {
+        if (active) setLoading(false);
+      }
+    })();
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  // Issues tagged with the segment they belong to (null for the full text)
+  const issues = useMemo(() => {
+    if (!previewSegments) return findGlossaryIssues(text, glossary).map((i) => ({ ...i, segmentIndex: null }));
+    return segments.flatMap((s, idx) =>
+      findGlossaryIssues(s?.text, glossary).map((i) => ({ ...i, segmentIndex: idx }))
+    );
+  }, [previewSegments, text, segments, glossary]);
+
+  // One row per distinct misspelling -> suggestion
+  const groups = useMemo(() => {
+    const map = new Map();
+    issues.forEach((issue) => {
+      const key = `${issue.found.toLowerCase()}→${issue.suggestion}`;
+      if (ignored.has(key)) return;
+      if (!map.has(key)) map.set(key, { key, found: issue.found, suggestion: issue.suggestion, reason: issue.reason, items: [] });
+      map.get(key).items.push(issue);
+    });
+    return Array.from(map.values());
+  }, [issues, ignored]);
+
+  const fix = (items, message) => {
+    if (!onApply || !items.length) return;
+    if (!previewSegments) {
+      onApply({ text: applyGlossaryFixes(text, items), segments }, message);
+      return;
+    }
+    let next = segments;
+    const bySegment = new Map();
+    items.forEach((i) => bySegment.set(i.segmentIndex, [...(bySegment.get(i.segmentIndex) || []), i]));
+    bySegment.forEach((list, idx) => {
+      next = updateSegment(next, idx, { text: applyGlossaryFixes(next[idx]?.text, list) });
+    });
+    onApply({ text: joinSegments(next), segments: next }, message);
+  };
+
+  const addTerm = async () => {
+    const term = draft.term.trim();
+    if (!term) return;
+    setBusy(true);
+    setError("");
+    try {
+      const variants = draft.variants
+        .split(",")
+        .map((v) => v.trim())
+        .filter(Boolean);
+      const res = await createGlossaryTerm({ term, variants, kind: draft.kind });
+      const created = res?.term || res;
+      setGlossary((prev) => [...prev, created]);
+      setDraft({ term: "", variants: "", kind: draft.kind });
+    } catch (e) {
+      setError(e?.payload?.detail || e?.message || "Failed to add glossary term.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const removeTerm = async (entry) => {
+    setBusy(true);
+    setError("");
+    try {
+      await deleteGlossaryTerm(entry.id);
+      setGlossary((prev) => prev.filter((g) => g.id !== entry.id));
+    } catch (e) {
+      setError(e?.payload?.detail || e?.message || "Failed to remove glossary term.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const totalOpen = groups.reduce((acc, g) => acc + g.items.length, 0);
+
+  return (
+    <div style={wrap}>
+      <div style={header}>
+        <span style={{ fontWeight: 800 }}>Glossary</span>
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <span style={{ fontSize: 12, opacity: 0.75 }}>
+            {loading ? "Loading…" : `${glossary.length} terms • ${totalOpen} suggestion(s)`}
+          </span>
+          {totalOpen > 0 && (
+            <button
+              onClick={() =>
+                fix(
+                  groups.flatMap((g) => g.items),
+                  `Applied ${totalOpen} glossary correction(s).`
+                )
+              }
+              style={miniPrimaryBtn}
+            >
+              Fix all
+            </button>
+          )}
+          <button onClick={() => setManaging((v) => !v)} style={miniGhostBtn} aria-pressed={managing ? "true" : "false"}>
+            {managing ? "Done" : "Manage terms"}
+          </button>
+        </div>
+      </div>
+
+      {!!error && <div style={errorText}>{error}</div>}
+
+      {!loading && groups.length === 0 && !managing && (
+        <div style={emptyBox}>No likely misspellings of glossary terms.</div>
+      )}
+
+      {groups.length > 0 && (
+        <ul style={list}>
+          {groups.map((g) => (
+            <li key={g.key} style={row}>
+              <div style={{ display: "flex", alignItems: "center", gap: 6, minWidth: 0, flexWrap: "wrap" }}>
+                <del style={delStyle}>{g.found}</del>
+                <span style={{ opacity: 0.6 }}>→</span>
+                <ins style={insStyle}>{g.suggestion}</ins>
+                <span style={chipSmall} title={REASONS[g.reason]}>
+                  {g.reason}
+                </span>
+                <span style={{ fontSize: 12, opacity: 0.75 }}>×{g.items.length}</span>
+              </div>
+              <div style={{ display: "flex", gap: 6 }}>
+                <button
+                  onClick={() => fix(g.items, `Replaced “${g.found}” with “${g.suggestion}” (${g.items.length}×).`)}
+                  style={miniPrimaryBtn}
+                  aria-label={`Fix ${g.found} to ${g.suggestion}`}
+                >
+                  Fix
+                </button>
+                <button
+                  onClick={() => setIgnored((prev) => new Set(prev).add(g.key))}
+                  style={miniGhostBtn}
+                  title="Hide this suggestion for now"
+                >
+                  Ignore
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {managing && (
+        <div style={manageBox}>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+            {glossary.map((g) => (
+              <span key={g.id || g.term} style={termChip} title={[...(g.variants || []), g.note].filter(Boolean).join(" • ")}>
+                {g.term}
+                <button
+                  onClick={() => removeTerm(g)}
+                  disabled={busy}
+                  style={chipRemove}
+                  aria-label={`Remove ${g.term} from glossary`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center" }}>
+            <input
+              aria-label="Preferred spelling"
+              placeholder="Preferred spelling"
+              value={draft.term}
+              onChange={(e) => setDraft({ ...draft, term: e.target.value })}
+              style={input}
+            />
+            <input
+              aria-label="Known variants"
+              placeholder="Variants (comma separated)"
+              value={draft.variants}
+              onChange={(e) => setDraft({ ...draft, variants: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") addTerm();
+              }}
+              style={{ ...input, flex: 1 }}
+            />
+            <select
+              aria-label="Term kind"
+              value={draft.kind}
+              onChange={(e) => setDraft({ ...draft, kind: e.target.value })}
+              style={input}
+            >
+              <option value="name">Name</option>
+              <option value="product">Product</option>
+              <option value="term">Term</option>
+            </select>
+            <button
+              onClick={addTerm}
+              disabled={busy || !draft.term.trim()}
+              style={{ ...miniPrimaryBtn, ...(busy || !draft.term.trim() ? btnDisabled : {}) }}
+            >
+              Add
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const REASONS = {
+  variant: "Listed as a known variant of this term",
+  spelling: "Same letters with different capitalization or spacing",
+  similar: "Close to a glossary term",
+};
+
+const wrap = {
+  border: "1px solid var(--border-color)",
+  background: "var(--bg-secondary)",
+  borderRadius: 14,
+  padding: 12,
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+};
+
+const header = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  gap: 8,
+  flexWrap: "wrap",
+};
+
+const list = {
+  listStyle: "none",
+  margin: 0,
+  padding: 0,
+  display: "flex",
+  flexDirection: "column",
+  gap: 6,
+  maxHeight: 220,
+  overflow: "auto",
+};
+
+const row = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  gap: 6,
+  border: "1px solid var(--border-color)",
+  borderRadius: 10,
+  padding: "6px 10px",
+};
+
+const manageBox = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+  borderTop: "1px dashed var(--border-color)",
+  paddingTop: 8,
+};
+
+const termChip = {
+  display: "inline-flex",
+  alignItems: "center",
+  gap: 4,
+  fontSize: 12,
+  padding: "3px 4px 3px 10px",
+  borderRadius: 999,
+  border: "1px solid var(--border-color)",
+  background: "rgba(255,255,255,0.06)",
+  fontWeight: 600,
+};
+
+const chipRemove = {
+  background: "transparent",
+  border: "none",
+  color: "var(--text-primary)",
+  cursor: "pointer",
+  fontSize: 14,
+  lineHeight: 1,
+  padding: "0 4px",
+};
+
+const emptyBox = {
+  opacity: 0.7,
+  fontSize: 13,
+  border: "1px dashed var(--border-color)",
+  borderRadius: 10,
+  padding: 8,
+};
+
+const errorText = {
+  fontSize: 12,
+  color: "#EF4444",
+  fontWeight: 600,
+};
+
+const input = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "5px 8px",
+};
+
+const insStyle = {
+  background: "rgba(34,197,94,0.2)",
+  textDecoration: "none",
+  borderRadius: 4,
+  padding: "0 2px",
+};
+
+const delStyle = {
+  background: "rgba(239,68,68,0.18)",
+  borderRadius: 4,
+  padding: "0 2px",
+};
+
+const chipSmall = {
+  fontSize: 11,
+  padding: "2px 8px",
+  borderRadius: 999,
+  background: "rgba(255,255,255,0.06)",
+  border: "1px solid var(--border-color)",
+  fontWeight: 600,
+};
+
+const miniPrimaryBtn = {
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  color: "#0b0b0b",
+  border: "none",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 800,
+  letterSpacing: 0.2,
+  cursor: "pointer",
+};
+
+const miniGhostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+const btnDisabled = {
+  opacity: 0.5,
+  cursor: "not-allowed",
+};
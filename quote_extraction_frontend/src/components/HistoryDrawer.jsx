@@ -0,0 +1,507 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { getTranscriptAudit, getTranscriptVersions } from "../api/client";
+import { diffStats, diffWords } from "../utils/textDiff";
+import { joinSegments } from "../utils/segments";
+
+/**
+ * HistoryDrawer
+ * Slide-in drawer with a transcript's history:
+ * - Lists saved versions (GET /api/transcripts/{id}/versions)
+ * - Word-level diff between any two versions (or a version and the current editor state)
+ * - Restore an older version as a new save
+ * - Audit trail of who changed what (GET /api/transcripts/{id}/audit)
+ *
+ * Props:
+ * - isOpen: boolean
+ * - onClose: function
+ * - transcript: current transcript (including unsaved edits)
+ * - onRestore: async function(version) -> void
+ * - refreshKey: any - reloads history when it changes (e.g. transcript.updated_at)
+ */
+export default function HistoryDrawer({ isOpen, onClose, transcript, onRestore, refreshKey }) {
+  const [tab, setTab] = useState("versions"); // "versions" | "audit"
+  const [versions, setVersions] = useState([]);
+  const [audit, setAudit] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [fromKey, setFromKey] = useState("");
+  const [toKey, setToKey] = useState(CURRENT_KEY);
+  const [confirming, setConfirming] = useState(null); // version number awaiting restore confirmation
+  const [restoring, setRestoring] = useState(false);
+
+  const transcriptId = transcript?.id;
+
+  useEffect(() => {
+    if (!isOpen || !transcriptId) return;
+    let active = true;
+    (async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const [vRes, aRes] = await Promise.all([
+          getTranscriptVersions(transcriptId),
+          getTranscriptAudit(transcriptId),
+        ]);
+        if (!active) return;
+        const vList = normalizeList(vRes)
+          .map((v, i) => ({ ...v, version: v.version ?? i + 1 }))
+          .sort((a, b) => b.version - a.version);
+        setVersions(vList);
+        setAudit(
+          normalizeList(aRes).sort((a, b) => String(b.timestamp || "").localeCompare(String(a.timestamp || "")))
+        );
+        // Default comparison: latest saved version vs the one before it
+        setFromKey(vList[1] ? String(vList[1].version) : vList[0] ? String(vList[0].version) : "");
+        setToKey(vList[0] ? String(vList[0].version) : CURRENT_KEY);
+      } catch (e) {
+        if (!active) return;
+        setError(e?.payload?.detail || e?.message || "Failed to load history.");
+      } finally {
+        if (active) setLoading(false);
+      }
+    })();
+    return () => {
+      active = false;
+    };
+  }, [isOpen, transcriptId, refreshKey]);
+
+  const textFor = (key) => {
+    if (key === CURRENT_KEY) return transcript?.text || joinSegments(transcript?.segments);
+    const v = versions.find((x) => String(x.version) === key);
+    return v ? versionText(v) : "";
+  };
+
+  const fromText = textFor(fromKey);
+  const toText = textFor(toKey);
+  const parts = useMemo(() => diffWords(fromText, toText), [fromText, toText]);
+  const stats = useMemo(() => diffStats(parts), [parts]);
+
+  const doRestore = async (version) => {
+    if (!onRestore) return;
+    setRestoring(true);
+    setError("");
+    try {
+      await onRestore(version);
+      setConfirming(null);
+    } catch (e) {
+      setError(e?.payload?.detail || e?.message || "Failed to restore version.");
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const options = [
+    { key: CURRENT_KEY, label: "Current (editor)" },
+    ...versions.map((v) => ({ key: String(v.version), label: `v${v.version} • ${formatDate(v.created_at || v.updated_at)}` })),
+  ];
+
+  return (
+    <>
+      <div style={backdropStyle} onClick={onClose} />
+      <aside style={drawerStyle} aria-label="Transcript history">
+        <div style={headerStyle}>
+          <div>
+            <div style={{ fontSize: 18, fontWeight: 700 }}>History</div>
+            <div style={{ fontSize: 12, opacity: 0.75 }}>
+              {versions.length} version(s) • {audit.length} audit event(s)
+            </div>
+          </div>
+          <button onClick={onClose} style={closeBtn} title="Close">
+            ✕
+          </button>
+        </div>
+
+        <div style={tabsRow}>
+          {[
+            ["versions", "🕘 Versions"],
+            ["audit", "📋 Audit Trail"],
+          ].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setTab(key)}
+              style={{ ...tabBtn, ...(tab === key ? tabActive : {}) }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div style={bodyStyle}>
+          {loading && <div style={loadingBox}>Loading history…</div>}
+          {!!error && (
+            <div role="alert" style={errorStyle}>
+              {error}
+            </div>
+          )}
+
+          {!loading && tab === "versions" && (
+            <>
+              <ul style={list}>
+                {versions.length === 0 && <li style={emptyBox}>No saved versions yet.</li>}
+                {versions.map((v, i) => (
+                  <li key={v.version} style={row}>
+                    <div style={{ minWidth: 0 }}>
+                      <div style={{ fontWeight: 700 }}>
+                        v{v.version} {i === 0 && <span style={chipSmall}>latest</span>}
+                      </div>
+                      <div style={metaText}>
+                        {formatDate(v.created_at || v.updated_at)}
+                        {versionAuthor(v) ? ` • ${versionAuthor(v)}` : ""}
+                      </div>
+                    </div>
+                    <div style={{ display: "flex", gap: 6 }}>
+                      <button
+                        onClick={() => {
+                          setFromKey(String(v.version));
+                          setToKey(CURRENT_KEY);
+                        }}
+                        style={miniGhostBtn}
+                        title="Compare with the current editor state"
+                      >
+                        Compare
+                      </button>
+                      {i > 0 &&
+                        (confirming === v.version ? (
+                          <>
+                            <button
+                              onClick={() => doRestore(v)}
+                              disabled={restoring}
+                              style={miniPrimaryBtn}
+                              aria-busy={restoring ? "true" : undefined}
+                            >
+                              {restoring ? "Restoring…" : "Confirm"}
+                            </button>
+                            <button onClick={() => setConfirming(null)} style={miniGhostBtn}>
+                              Cancel
+                            </button>
+                          </>
+                        ) : (
+                          <button
+                            onClick={() => setConfirming(v.version)}
+                            style={miniGhostBtn}
+                            title="Save this version as the newest one"
+                          >
+                            Restore
+                          </button>
+                        ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+              {confirming !== null && (
+                <div style={hintBox}>
+                  Restoring saves v{confirming} as a new version. Unsaved edits in the editor will be replaced.
+                </div>
+              )}
+
+              {versions.length > 0 && (
+                <div style={diffWrap}>
+                  <div style={diffToolbar}>
+                    <select
+                      aria-label="Compare from"
+                      value={fromKey}
+                      onChange={(e) => setFromKey(e.target.value)}
+                      style={selectStyle}
+                    >
+                      {options.map((o) => (
+                        <option key={o.key} value={o.key}>
+                          {o.label}
+                        </option>
+                      ))}
+                    </select>
+                    <span style={{ opacity: 0.7 }}>→</span>
+                    <select
+                      aria-label="Compare to"
+                      value={toKey}
+                      onChange={(e) => setToKey(e.target.value)}
+                      style={selectStyle}
+                    >
+                      {options.map((o) => (
+                        <option key={o.key} value={o.key}>
+                          {o.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div style={metaText}>
+                    <span style={{ color: "#22C55E" }}>+{stats.added}</span>{" "}
+                    <span style={{ color: "#EF4444" }}>−{stats.removed}</span> words
+                  </div>
+                  <div style={diffBody}>
+                    {stats.added === 0 && stats.removed === 0 ? (
+                      <span style={{ opacity: 0.7 }}>No differences.</span>
+                    ) : (
+                      parts.map((p, i) =>
+                        p.type === "equal" ? (
+                          <span key={i}>{collapseEqual(p.text)} </span>
+                        ) : p.type === "insert" ? (
+                          <ins key={i} style={insStyle}>
+                            {p.text}{" "}
+                          </ins>
+                        ) : (
+                          <del key={i} style={delStyle}>
+                            {p.text}{" "}
+                          </del>
+                        )
+                      )
+                    )}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+
+          {!loading && tab === "audit" && (
+            <ul style={list}>
+              {audit.length === 0 && <li style={emptyBox}>No audit events recorded.</li>}
+              {audit.map((a, i) => (
+                <li key={i} style={{ ...row, alignItems: "flex-start", flexDirection: "column", gap: 4 }}>
+                  <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                    <span style={chipSmall}>{String(a.action || "change").replace(/_/g, " ")}</span>
+                    <span style={{ fontWeight: 700 }}>{a.user || a.actor || a.user_id || "unknown"}</span>
+                    {a.version !== undefined && <span style={metaText}>v{a.version}</span>}
+                  </div>
+                  <div style={metaText}>{formatDate(a.timestamp || a.created_at)}</div>
+                  {(a.details || a.message) && <div style={{ fontSize: 13 }}>{a.details || a.message}</div>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </aside>
+    </>
+  );
+}
+
+const CURRENT_KEY = "current";
+
+function normalizeList(res) {
+  return Array.isArray(res) ? res : res?.items || res?.data || [];
+}
+
+function versionText(v) {
+  if (typeof v.text === "string" && v.text) return v.text;
+  return joinSegments(v.segments);
+}
+
+function versionAuthor(v) {
+  return v.author || v.updated_by || v.user || "";
+}
+
+function formatDate(value) {
+  if (!value) return "—";
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? String(value) : d.toLocaleString();
+}
+
+// Long unchanged stretches are shortened so the changes stay readable
+function collapseEqual(text) {
+  const words = text.split(" ");
+  if (words.length <= 24) return text;
+  return `${words.slice(0, 10).join(" ")} … ${words.slice(-10).join(" ")}`;
+}
+
+const backdropStyle = {
+  position: "fixed",
+  inset: 0,
+  backgroundColor: "rgba(0, 0, 0, 0.3)",
+  zIndex: 999,
+  backdropFilter: "blur(2px)",
+};
+
+const drawerStyle = {
+  position: "fixed",
+  top: 0,
+  right: 0,
+  width: "min(520px, 100vw)",
+  height: "100vh",
+  backgroundColor: "var(--bg-secondary)",
+  border: "1px solid var(--border-color)",
+  borderRight: "none",
+  display: "flex",
+  flexDirection: "column",
+  zIndex: 1000,
+  boxShadow: "-4px 0 20px rgba(0, 0, 0, 0.15)",
+  textAlign: "left",
+};
+
+const headerStyle = {
+  padding: 20,
+  borderBottom: "1px solid var(--border-color)",
+  background: "linear-gradient(135deg, rgba(97,218,251,0.1), rgba(34,197,94,0.1))",
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+};
+
+const closeBtn = {
+  background: "transparent",
+  border: "1px solid var(--border-color)",
+  color: "var(--text-primary)",
+  borderRadius: 8,
+  width: 32,
+  height: 32,
+  cursor: "pointer",
+};
+
+const tabsRow = {
+  display: "flex",
+  gap: 6,
+  padding: "10px 16px",
+  borderBottom: "1px solid var(--border-color)",
+};
+
+const tabBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  padding: "6px 10px",
+  borderRadius: 8,
+  cursor: "pointer",
+  fontWeight: 600,
+};
+
+const tabActive = {
+  background: "var(--text-secondary)",
+  color: "#0b0b0b",
+  borderColor: "transparent",
+};
+
+const bodyStyle = {
+  flex: 1,
+  overflow: "auto",
+  padding: 16,
+  display: "flex",
+  flexDirection: "column",
+  gap: 12,
+};
+
+const list = {
+  listStyle: "none",
+  margin: 0,
+  padding: 0,
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+};
+
+const row = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  gap: 8,
+  border: "1px solid var(--border-color)",
+  borderRadius: 10,
+  padding: "8px 10px",
+};
+
+const metaText = {
+  fontSize: 12,
+  opacity: 0.75,
+};
+
+const diffWrap = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+  border: "1px solid var(--border-color)",
+  borderRadius: 12,
+  padding: 10,
+};
+
+const diffToolbar = {
+  display: "flex",
+  alignItems: "center",
+  gap: 8,
+  flexWrap: "wrap",
+};
+
+const diffBody = {
+  fontSize: 13,
+  lineHeight: 1.6,
+  maxHeight: 360,
+  overflow: "auto",
+  whiteSpace: "pre-wrap",
+};
+
+const insStyle = {
+  background: "rgba(34,197,94,0.2)",
+  textDecoration: "none",
+  borderRadius: 4,
+};
+
+const delStyle = {
+  background: "rgba(239,68,68,0.18)",
+  borderRadius: 4,
+};
+
+const selectStyle = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 8px",
+  maxWidth: 220,
+};
+
+const chipSmall = {
+  fontSize: 11,
+  padding: "2px 8px",
+  borderRadius: 999,
+  background: "rgba(255,255,255,0.06)",
+  border: "1px solid var(--border-color)",
+  fontWeight: 600,
+};
+
+const miniPrimaryBtn = {
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  color: "#0b0b0b",
+  border: "none",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 800,
+  letterSpacing: 0.2,
+  cursor: "pointer",
+};
+
+const miniGhostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+const loadingBox = {
+  padding: 12,
+  border: "1px dashed var(--border-color)",
+  borderRadius: 10,
+  opacity: 0.85,
+};
+
+const emptyBox = {
+  padding: 10,
+  border: "1px dashed var(--border-color)",
+  borderRadius: 10,
+  opacity: 0.8,
+};
+
+const hintBox = {
+  padding: 10,
+  border: "1px dashed rgba(255,176,32,0.6)",
+  borderRadius: 10,
+  fontSize: 12,
+};
+
+const errorStyle = {
+  padding: 12,
+  border: "1px solid rgba(239,68,68,0.4)",
+  background: "rgba(239,68,68,0.08)",
+  color: "#EF4444",
+  borderRadius: 10,
+  fontWeight: 600,
+};
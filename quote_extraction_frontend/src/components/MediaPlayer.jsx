@@ -0,0 +1,165 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from "react";
+
+/**
+ * MediaPlayer
+ * Compact audio/video player used alongside the transcript editor:
+ * - Chooses <video> or <audio> based on the asset type
+ * - Reports playback position to the parent (for segment highlighting)
+ * - Exposes an imperative `seek(time, { play })` handle so segments can jump the media
+ * - Playback rate selector and a graceful fallback when the media cannot be loaded
+ *
+ * Props:
+ * - src: string | null - playable media URL
+ * - asset: { filename?, content_type?, asset_type? } | null
+ * - onTimeUpdate: function(seconds: number) -> void
+ */
+const MediaPlayer = forwardRef(function MediaPlayer({ src, asset, onTimeUpdate }, ref) {
+  const mediaRef = useRef(null);
+  const [rate, setRate] = useState(1);
+  const [loadError, setLoadError] = useState("");
+
+  const isVideo =
+    asset?.asset_type === "video" || String(asset?.content_type || "").startsWith("video/");
+
+  useEffect(() => {
+    setLoadError("");
+  }, [src]);
+
+  useEffect(() => {
+    if (mediaRef.current) mediaRef.current.playbackRate = rate;
+  }, [rate, src]);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      seek(time, { play = true } = {}) {
+        const el = mediaRef.current;
+        if (!el || typeof time !== "number" || Number.isNaN(time)) return;
+        el.currentTime = Math.max(0, time);
+        if (play && el.paused) {
+          const p = el.play();
+          if (p && typeof p.catch === "function") p.catch(() => {});
+        }
+      },
+      getCurrentTime() {
+        return mediaRef.current?.currentTime || 0;
+      },
+    }),
+    []
+  );
+
+  const onTime = () => {
+    if (onTimeUpdate && mediaRef.current) onTimeUpdate(mediaRef.current.currentTime);
+  };
+
+  if (!src) {
+    return <div style={emptyBox}>No source media linked to this transcript.</div>;
+  }
+
+  const mediaProps = {
+    ref: mediaRef,
+    src,
+    controls: true,
+    preload: "metadata",
+    onTimeUpdate: onTime,
+    onSeeked: onTime,
+    onError: () => setLoadError("Media could not be loaded. Playback is unavailable for this asset."),
+    style: isVideo ? videoStyle : audioStyle,
+  };
+
+  return (
+    <div style={wrap}>
+      <div style={header}>
+        <div style={{ display: "flex", alignItems: "center", gap: 8, minWidth: 0 }}>
+          <span style={eyebrowStyle}>{isVideo ? "Video" : "Audio"}</span>
+          {asset?.filename && <span style={fileName}>{asset.filename}</span>}
+        </div>
+        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, opacity: 0.85 }}>
+          Speed
+          <select value={rate} onChange={(e) => setRate(parseFloat(e.target.value))} style={selectStyle}>
+            {[0.75, 1, 1.25, 1.5, 2].map((r) => (
+              <option key={r} value={r}>
+                {r}×
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {isVideo ? <video {...mediaProps} /> : <audio {...mediaProps} />}
+      {!!loadError && <div style={noteStyle}>{loadError}</div>}
+    </div>
+  );
+});
+
+export default MediaPlayer;
+
+const wrap = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+  border: "1px solid var(--border-color)",
+  background: "var(--bg-secondary)",
+  borderRadius: 14,
+  padding: 12,
+  marginBottom: 12,
+};
+
+const header = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  gap: 10,
+};
+
+const eyebrowStyle = {
+  display: "inline-block",
+  fontSize: 12,
+  letterSpacing: 1.2,
+  textTransform: "uppercase",
+  color: "var(--text-secondary)",
+  padding: "5px 9px",
+  border: "1px solid var(--border-color)",
+  borderRadius: 999,
+};
+
+const fileName = {
+  fontSize: 13,
+  fontWeight: 700,
+  whiteSpace: "nowrap",
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+};
+
+const selectStyle = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "4px 6px",
+};
+
+const videoStyle = {
+  width: "100%",
+  maxHeight: 320,
+  borderRadius: 10,
+  background: "#000",
+};
+
+const audioStyle = {
+  width: "100%",
+};
+
+const emptyBox = {
+  padding: 12,
+  border: "1px dashed var(--border-color)",
+  borderRadius: 10,
+  opacity: 0.8,
+  fontSize: 13,
+  marginBottom: 12,
+};
+
+const noteStyle = {
+  fontSize: 12,
+  opacity: 0.8,
+  color: "#EF4444",
+};
@@ -0,0 +1,177 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+/**
+ * ProcessingPanel
+ * One combined view of the processing status of every asset uploaded in this session:
+ * - A row per asset with its status badge, last update, message and transcript link when ready
+ * - A summary of how many are still processing, ready or failed
+ * - An animated bar while any asset is still being polled
+ *
+ * Props:
+ * - items: [{ assetId, filename, info: { status, transcript_id?, updated_at?, message? } | null, error }]
+ * - polling: boolean
+ */
+export default function ProcessingPanel({ items = [], polling = false }) {
+  if (!items.length) return null;
+  const statusOf = (item) => (item.error ? "error" : (item.info?.status || "pending").toString());
+  const ready = items.filter((item) => statusOf(item) === "completed").length;
+  const failed = items.filter((item) => ["failed", "canceled", "error"].includes(statusOf(item))).length;
+  const processing = items.length - ready - failed;
+
+  return (
+    <div style={statusPanelStyle} role="status" aria-live="polite">
+      <div style={statusHeaderStyle}>
+        <span style={{ fontWeight: 700, letterSpacing: 0.3 }}>Processing Status</span>
+        <span style={{ fontSize: 12, opacity: 0.8 }}>
+          {ready} ready{processing ? ` • ${processing} processing` : ""}
+          {failed ? ` • ${failed} failed` : ""}
+        </span>
+      </div>
+      {polling && (
+        <div style={{ ...progressWrap, marginTop: 10 }}>
+          <div style={progressBar} />
+        </div>
+      )}
+      <ul style={rowList}>
+        {items.map((item) => {
+          const status = statusOf(item);
+          return (
+            <li key={item.assetId} style={row}>
+              <div style={{ display: "flex", alignItems: "center", gap: 10, minWidth: 0 }}>
+                <StatusBadge status={status} />
+                <span style={{ fontWeight: 700, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                  {item.filename || item.assetId}
+                </span>
+              </div>
+              <div style={rowDetails}>
+                <span>
+                  Asset ID: <code>{item.assetId}</code>
+                </span>
+                <span>
+                  Updated: {item.info?.updated_at ? new Date(item.info.updated_at).toLocaleString() : "—"}
+                </span>
+                {item.info?.transcript_id ? (
+                  <Link to={`/transcript?transcript=${encodeURIComponent(item.info.transcript_id)}`} style={linkStyle}>
+                    Open transcript →
+                  </Link>
+                ) : (
+                  <span>Transcript: not available yet</span>
+                )}
+                {(item.error || item.info?.message) && <span>{item.error || item.info.message}</span>}
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+const BADGE_COLORS = {
+  pending: "#FFB020",
+  processing: "#61dafb",
+  completed: "#22C55E",
+  failed: "#EF4444",
+  canceled: "#9CA3AF",
+  queued: "#FFB020",
+  error: "#EF4444",
+};
+
+function StatusBadge({ status }) {
+  return (
+    <span
+      style={{
+        display: "inline-flex",
+        alignItems: "center",
+        gap: 8,
+        padding: "6px 10px",
+        borderRadius: 999,
+        fontSize: 12,
+        fontWeight: 700,
+        letterSpacing: 0.3,
+        color: "#0b0b0b",
+        background: BADGE_COLORS[status] || "#61dafb",
+        whiteSpace: "nowrap",
+      }}
+    >
+      <span style={{ width: 8, height: 8, borderRadius: "50%", background: "#0b0b0b", opacity: 0.4 }} />
+      {status.toUpperCase()}
+    </span>
+  );
+}
+
+const statusPanelStyle = {
+  marginTop: 18,
+  padding: 14,
+  borderRadius: 12,
+  border: "1px solid var(--border-color)",
+  background: "var(--bg-secondary)",
+};
+
+const statusHeaderStyle = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  gap: 12,
+};
+
+const rowList = {
+  listStyle: "none",
+  margin: "10px 0 0",
+  padding: 0,
+  display: "flex",
+  flexDirection: "column",
+  gap: 10,
+};
+
+const row = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 6,
+  paddingTop: 10,
+  borderTop: "1px solid var(--border-color)",
+};
+
+const rowDetails = {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: "4px 16px",
+  fontSize: 12,
+  opacity: 0.85,
+};
+
+const linkStyle = {
+  color: "var(--text-secondary)",
+  fontWeight: 700,
+  textDecoration: "none",
+};
+
+const progressWrap = {
+  width: "100%",
+  height: 8,
+  borderRadius: 999,
+  background: "rgba(255,255,255,0.08)",
+  overflow: "hidden",
+  border: "1px solid var(--border-color)",
+};
+
+const progressBar = {
+  width: "45%",
+  height: "100%",
+  background:
+    "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  animation: "progress-pulse 1.2s ease-in-out infinite alternate",
+};
+
+// Add keyframes via a style tag injection (safe for CRA)
+if (typeof document !== "undefined") {
+  const styleTag = document.createElement("style");
+  styleTag.innerHTML = `
+@keyframes progress-pulse {
+  from { transform: translateX(-30%); opacity: 0.7; }
+  to { transform: translateX(85%); opacity: 1; }
+}
+`;
+  document.head.appendChild(styleTag);
+}
@@ -0,0 +1,299 @@
+import React, { useId, useState } from "react";
+import { formatTimePrecise, parseTime } from "../utils/transcriptTiming";
+
+/**
+ * QuoteEditForm
+ * Inline editor for a single quote:
+ * - Text, start/end time (m:ss), speaker attribution and tags
+ * - Tag input with autocomplete from tags already used on other quotes
+ * - The first text edit stores the transcript wording as `original_text`, so the quote keeps
+ *   a link to what was actually said
+ *
+ * Props:
+ * - quote: Quote
+ * - tagSuggestions: string[] - existing tags offered while typing
+ * - speakerSuggestions: string[] - known speaker names
+ * - onSave: async function(patch) -> void (throws on failure; the form stays open)
+ * - onCancel: function() -> void
+ */
+export default function QuoteEditForm({ quote, tagSuggestions = [], speakerSuggestions = [], onSave, onCancel }) {
+  const listId = useId();
+  const [text, setText] = useState(quote?.text || "");
+  const [start, setStart] = useState(typeof quote?.start === "number" ? formatTimePrecise(quote.start) : "");
+  const [end, setEnd] = useState(typeof quote?.end === "number" ? formatTimePrecise(quote.end) : "");
+  const [speaker, setSpeaker] = useState(quote?.speaker || "");
+  const [tags, setTags] = useState(quote?.tags || []);
+  const [tagInput, setTagInput] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const addTag = (raw) => {
+    const value = String(raw || "").trim().replace(/^#/, "");
+    if (value && !tags.some((t) => t.toLowerCase() === value.toLowerCase())) setTags((prev) => [...prev, value]);
+    setTagInput("");
+  };
+
+  const onTagKeyDown = (e) => {
+    if (e.key === "Enter" || e.key === ",") {
+      e.preventDefault();
+      addTag(tagInput);
+    } else if (e.key === "Backspace" && !tagInput && tags.length) {
+      setTags((prev) => prev.slice(0, -1));
+    }
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const trimmed = text.trim();
+    const startSec = start.trim() ? parseTime(start) : null;
+    const endSec = end.trim() ? parseTime(end) : null;
+    if (!trimmed) {
+      setError("Quote text cannot be empty.");
+      return;
+    }
+    if ((start.trim() && startSec === null) || (end.trim() && endSec === null)) {
+      setError("Enter times as m:ss (e.g. 1:05.5), or leave them empty.");
+      return;
+    }
+    if (startSec !== null && endSec !== null && endSec <= startSec) {
+      setError("The end time must be after the start time.");
+      return;
+    }
+    // Include a tag still sitting in the input
+    const pendingTag = tagInput.trim().replace(/^#/, "");
+    const nextTags = pendingTag && !tags.includes(pendingTag) ? [...tags, pendingTag] : tags;
+
+    const patch = { text: trimmed, start: startSec, end: endSec, speaker: speaker.trim() || null, tags: nextTags };
+    if (trimmed !== quote.text && !quote.original_text) patch.original_text = quote.text;
+
+    setSaving(true);
+    setError("");
+    try {
+      await onSave(patch);
+    } catch (err) {
+      setError(err?.payload?.detail || err?.message || "Failed to save quote.");
+      setSaving(false);
+    }
+  };
+
+  const suggestions = tagSuggestions.filter((t) => !tags.some((x) => x.toLowerCase() === t.toLowerCase()));
+
+  return (
+    <form onSubmit={submit} style={form} aria-label="Edit quote">
+      <textarea
+        aria-label="Quote text"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={4}
+        style={textarea}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") onCancel();
+        }}
+      />
+      {!!quote.original_text && quote.original_text !== text && (
+        <div style={originalBox}>
+          <span style={{ opacity: 0.75 }}>Transcript wording:</span> “{quote.original_text}”
+          <button type="button" onClick={() => setText(quote.original_text)} style={linkBtn}>
+            Use original
+          </button>
+        </div>
+      )}
+
+      <div style={row}>
+        <input aria-label="Start time" placeholder="start" value={start} onChange={(e) => setStart(e.target.value)} style={timeInput} />
+        <span style={{ opacity: 0.6 }}>–</span>
+        <input aria-label="End time" placeholder="end" value={end} onChange={(e) => setEnd(e.target.value)} style={timeInput} />
+        <input
+          aria-label="Speaker"
+          placeholder="Speaker"
+          value={speaker}
+          onChange={(e) => setSpeaker(e.target.value)}
+          list={`${listId}-speakers`}
+          style={{ ...input, flex: 1, minWidth: 120 }}
+        />
+        <datalist id={`${listId}-speakers`}>
+          {speakerSuggestions.map((s) => (
+            <option key={s} value={s} />
+          ))}
+        </datalist>
+      </div>
+
+      <div style={tagBox}>
+        {tags.map((t) => (
+          <span key={t} style={tagChip}>
+            #{t}
+            <button type="button" onClick={() => setTags((prev) => prev.filter((x) => x !== t))} style={tagRemove} aria-label={`Remove tag ${t}`}>
+              ×
+            </button>
+          </span>
+        ))}
+        <input
+          aria-label="Add tag"
+          placeholder={tags.length ? "" : "Add tags"}
+          value={tagInput}
+          onChange={(e) => {
+            // Picking a datalist option fires a change with the full value (inputType
+            // "insertReplacementText", or none in some browsers); add it right away. Typed text only
+            // commits on Enter, comma or blur, so "data" can still grow into "database".
+            const value = e.target.value;
+            const inputType = e.nativeEvent?.inputType;
+            const picked = !inputType || inputType === "insertReplacementText";
+            if (picked && suggestions.includes(value)) addTag(value);
+            else setTagInput(value);
+          }}
+          onKeyDown={onTagKeyDown}
+          onBlur={() => tagInput.trim() && addTag(tagInput)}
+          list={`${listId}-tags`}
+          style={tagInputStyle}
+        />
+        <datalist id={`${listId}-tags`}>
+          {suggestions.map((t) => (
+            <option key={t} value={t} />
+          ))}
+        </datalist>
+      </div>
+
+      {!!error && (
+        <div role="alert" style={errorText}>
+          {error}
+        </div>
+      )}
+
+      <div style={row}>
+        <button type="submit" disabled={saving} style={{ ...primaryBtn, ...(saving ? btnDisabled : {}) }}>
+          {saving ? "Saving…" : "💾 Save"}
+        </button>
+        <button type="button" onClick={onCancel} disabled={saving} style={ghostBtn}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+const form = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+};
+
+const row = {
+  display: "flex",
+  alignItems: "center",
+  gap: 6,
+  flexWrap: "wrap",
+};
+
+const input = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 8px",
+};
+
+const timeInput = {
+  ...input,
+  width: 76,
+  fontFamily: "monospace",
+};
+
+const textarea = {
+  ...input,
+  width: "100%",
+  resize: "vertical",
+  lineHeight: 1.5,
+  fontSize: 14,
+  fontFamily: "inherit",
+};
+
+const originalBox = {
+  fontSize: 12,
+  padding: "6px 8px",
+  borderRadius: 8,
+  border: "1px dashed var(--border-color)",
+  lineHeight: 1.5,
+};
+
+const linkBtn = {
+  marginLeft: 6,
+  background: "none",
+  border: "none",
+  padding: 0,
+  color: "var(--text-secondary)",
+  fontWeight: 700,
+  cursor: "pointer",
+  textDecoration: "underline",
+};
+
+const tagBox = {
+  display: "flex",
+  alignItems: "center",
+  flexWrap: "wrap",
+  gap: 6,
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "4px 6px",
+};
+
+const tagChip = {
+  display: "inline-flex",
+  alignItems: "center",
+  gap: 4,
+  fontSize: 11.5,
+  padding: "3px 4px 3px 8px",
+  borderRadius: 999,
+  background: "rgba(255,255,255,0.06)",
+  border: "1px solid var(--border-color)",
+};
+
+const tagRemove = {
+  background: "none",
+  border: "none",
+  color: "inherit",
+  cursor: "pointer",
+  padding: "0 4px",
+  opacity: 0.7,
+};
+
+const tagInputStyle = {
+  flex: 1,
+  minWidth: 80,
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "none",
+  outline: "none",
+  padding: "4px 2px",
+};
+
+const errorText = {
+  fontSize: 12,
+  color: "#EF4444",
+  fontWeight: 600,
+};
+
+const primaryBtn = {
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  color: "#0b0b0b",
+  border: "none",
+  borderRadius: 10,
+  padding: "8px 12px",
+  fontWeight: 800,
+  letterSpacing: 0.2,
+  cursor: "pointer",
+};
+
+const ghostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 10,
+  padding: "8px 12px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+const btnDisabled = {
+  opacity: 0.6,
+  cursor: "not-allowed",
+};
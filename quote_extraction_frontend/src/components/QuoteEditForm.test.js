@@ -0,0 +1,29 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import QuoteEditForm from "./QuoteEditForm";
+
+const quote = { id: "q1", text: "We rebuilt the pipeline.", start: 1, end: 4, tags: [] };
+
+test("typing a tag that extends a suggestion doesn't commit the shorter one", async () => {
+  const user = userEvent.setup();
+  render(<QuoteEditForm quote={quote} tagSuggestions={["data"]} onSave={jest.fn()} onCancel={jest.fn()} />);
+  const input = screen.getByLabelText("Add tag");
+
+  await user.type(input, "database");
+  expect(input).toHaveValue("database");
+  expect(screen.queryByText("#data")).not.toBeInTheDocument();
+
+  await user.keyboard("{Enter}");
+  expect(screen.getByText("#database")).toBeInTheDocument();
+  expect(input).toHaveValue("");
+});
+
+test("picking a suggestion adds it right away", () => {
+  render(<QuoteEditForm quote={quote} tagSuggestions={["data"]} onSave={jest.fn()} onCancel={jest.fn()} />);
+  const input = screen.getByLabelText("Add tag");
+
+  fireEvent.change(input, { target: { value: "data" } });
+  expect(screen.getByText("#data")).toBeInTheDocument();
+  expect(input).toHaveValue("");
+});
@@ -1,39 +1,100 @@
-import React from "react";
+import React, { useEffect, useId, useState } from "react";
+import { STATUS_FILTERS } from "../utils/quoteStatus";
+import { SORT_OPTIONS, toTagList } from "../utils/quoteQuery";
+import ScopePicker from "./ScopePicker";
 
 /**
  * QuoteFilters
- * Smart filter bar:
- * - Status: all | approved | pending
+ * Smart filter bar for a quote query (see utils/quoteQuery):
+ * - Text search across quote text, original wording and speaker
+ * - Status: all active | pending | approved | rejected, plus the archive and the trash
  * - Min Confidence: 0..1 (step 0.05)
- * - Tags: comma-separated contains filter (client-side)
- * - Refresh button
+ * - Sort by date added, confidence or time in recording, ascending or descending
+ * - Speaker, added-between dates and episode / transcript scope (see ScopePicker)
+ * - Tags: match all (AND) or any (OR), and tags to exclude (NOT)
+ * - Refresh, reset and copy a link to the current view
+ *
+ * Props:
+ * - query: normalized quote query
+ * - onChange: function(patch) -> void
+ * - speakers: string[]
+ * - assets: [{ id, filename?, title? }] - episodes for the scope picker
+ * - transcripts: [{ id, asset_id?, title?, language? }]
+ * - tagSuggestions: string[]
+ * - onReset: function() -> void
+ * - onRefresh: function() -> void
+ * - loading: boolean
  */
 export default function QuoteFilters({
-  status,
-  onStatusChange,
-  minConfidence,
-  onMinConfidenceChange,
-  tagQuery,
-  onTagQueryChange,
+  query,
+  onChange,
+  speakers = [],
+  assets = [],
+  transcripts = [],
+  tagSuggestions = [],
+  onReset,
   onRefresh,
   loading = false,
 }) {
+  // Tag fields are edited as text and applied on blur / Enter, so a trailing comma survives typing
+  const tagsText = query.tags.join(", ");
+  const excludeText = query.excludeTags.join(", ");
+  const [tagsDraft, setTagsDraft] = useState(tagsText);
+  const [excludeDraft, setExcludeDraft] = useState(excludeText);
+  const [copyState, setCopyState] = useState(""); // "" | "copied" | "failed"
+  const listId = useId();
+
+  useEffect(() => setTagsDraft(tagsText), [tagsText]);
+  useEffect(() => setExcludeDraft(excludeText), [excludeText]);
+
+  const commitTags = () => onChange({ tags: toTagList(tagsDraft) });
+  const commitExclude = () => onChange({ excludeTags: toTagList(excludeDraft) });
+  const onEnter = (commit) => (e) => {
+    if (e.key === "Enter") commit();
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopyState("copied");
+    } catch (_) {
+      setCopyState("failed");
+    }
+    setTimeout(() => setCopyState(""), 2000);
+  };
+
   return (
     <div style={wrap}>
       <div style={row}>
+        <div style={{ ...group, flex: 1, minWidth: 220 }}>
+          <label htmlFor="quote-search" style={label}>
+            Search
+          </label>
+          <input
+            id="quote-search"
+            type="search"
+            placeholder="Words in the quote or speaker"
+            value={query.q}
+            onChange={(e) => onChange({ q: e.target.value })}
+            style={input}
+          />
+        </div>
+
         <div style={group}>
           <label htmlFor="status" style={label}>
             Status
           </label>
           <select
             id="status"
-            value={status}
-            onChange={(e) => onStatusChange(e.target.value)}
+            value={query.status}
+            onChange={(e) => onChange({ status: e.target.value })}
             style={select}
           >
-            <option value="all">All</option>
-            <option value="approved">Approved</option>
-            <option value="pending">Pending</option>
+            {STATUS_FILTERS.map((f) => (
+              <option key={f.value} value={f.value}>
+                {f.label}
+              </option>
+            ))}
           </select>
         </div>
 
@@ -48,26 +109,36 @@ export default function QuoteFilters({
               min="0"
               max="1"
               step="0.05"
-              value={minConfidence}
-              onChange={(e) => onMinConfidenceChange(parseFloat(e.target.value))}
+              value={query.minConfidence}
+              onChange={(e) => onChange({ minConfidence: parseFloat(e.target.value) })}
               style={{ width: 180 }}
             />
-            <span style={chipSmall}>{minConfidence.toFixed(2)}</span>
+            <span style={chipSmall}>{query.minConfidence.toFixed(2)}</span>
           </div>
         </div>
 
-        <div style={{ ...group, flex: 1 }}>
-          <label htmlFor="tags" style={label}>
-            Tags (comma separated)
+        <div style={group}>
+          <label htmlFor="sort" style={label}>
+            Sort
           </label>
-          <input
-            id="tags"
-            type="text"
-            placeholder="e.g. product, funny"
-            value={tagQuery}
-            onChange={(e) => onTagQueryChange(e.target.value)}
-            style={input}
-          />
+          <div style={{ display: "flex", gap: 6 }}>
+            <select id="sort" value={query.sort} onChange={(e) => onChange({ sort: e.target.value })} style={select}>
+              {SORT_OPTIONS.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => onChange({ order: query.order === "asc" ? "desc" : "asc" })}
+              style={ghostBtn}
+              aria-label={query.order === "asc" ? "Ascending, switch to descending" : "Descending, switch to ascending"}
+              title={query.order === "asc" ? "Ascending" : "Descending"}
+            >
+              {query.order === "asc" ? "↑" : "↓"}
+            </button>
+          </div>
         </div>
 
         <div style={{ ...group, alignSelf: "flex-end" }}>
@@ -82,6 +153,114 @@ export default function QuoteFilters({
           </button>
         </div>
       </div>
+
+      <div style={{ ...row, marginTop: 10 }}>
+        <div style={group}>
+          <label htmlFor="speaker" style={label}>
+            Speaker
+          </label>
+          <select id="speaker" value={query.speaker} onChange={(e) => onChange({ speaker: e.target.value })} style={select}>
+            <option value="">Any speaker</option>
+            {/* Keep a speaker from a shared link selectable even if no loaded quote has it */}
+            {[...new Set([query.speaker, ...speakers].filter(Boolean))].map((s) => (
+              <option key={s} value={s}>
+                {s}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div style={group}>
+          <span style={label}>Added between</span>
+          <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            <input
+              type="date"
+              aria-label="Added from"
+              value={query.createdFrom}
+              max={query.createdTo || undefined}
+              onChange={(e) => onChange({ createdFrom: e.target.value })}
+              style={dateInput}
+            />
+            <span style={{ opacity: 0.6 }}>–</span>
+            <input
+              type="date"
+              aria-label="Added until"
+              value={query.createdTo}
+              min={query.createdFrom || undefined}
+              onChange={(e) => onChange({ createdTo: e.target.value })}
+              style={dateInput}
+            />
+          </div>
+        </div>
+
+        <ScopePicker
+          assets={assets}
+          transcripts={transcripts}
+          assetId={query.assetId}
+          transcriptId={query.transcriptId}
+          onChange={onChange}
+        />
+
+        <div style={{ ...group, flex: 1, minWidth: 200 }}>
+          <label htmlFor="tags" style={label}>
+            Tags
+          </label>
+          <div style={{ display: "flex", gap: 6 }}>
+            <input
+              id="tags"
+              type="text"
+              placeholder="e.g. product, funny"
+              value={tagsDraft}
+              onChange={(e) => setTagsDraft(e.target.value)}
+              onBlur={commitTags}
+              onKeyDown={onEnter(commitTags)}
+              list={`${listId}-tags`}
+              style={input}
+            />
+            <select
+              aria-label="Tag matching"
+              value={query.tagMode}
+              onChange={(e) => onChange({ tagMode: e.target.value })}
+              style={select}
+            >
+              <option value="all">All of</option>
+              <option value="any">Any of</option>
+            </select>
+          </div>
+        </div>
+
+        <div style={{ ...group, minWidth: 180 }}>
+          <label htmlFor="not-tags" style={label}>
+            Without tags
+          </label>
+          <input
+            id="not-tags"
+            type="text"
+            placeholder="e.g. intro"
+            value={excludeDraft}
+            onChange={(e) => setExcludeDraft(e.target.value)}
+            onBlur={commitExclude}
+            onKeyDown={onEnter(commitExclude)}
+            list={`${listId}-tags`}
+            style={input}
+          />
+        </div>
+        <datalist id={`${listId}-tags`}>
+          {tagSuggestions.map((t) => (
+            <option key={t} value={t} />
+          ))}
+        </datalist>
+      </div>
+
+      <div style={{ ...row, marginTop: 10, alignItems: "center" }}>
+        <span style={{ flex: 1 }} />
+        <button type="button" onClick={onReset} style={ghostBtn}>
+          Reset filters
+        </button>
+        <button type="button" onClick={copyLink} style={ghostBtn} title="Copy a link to this filtered view">
+          {copyState === "copied" ? "Link copied" : copyState === "failed" ? "Copy failed" : "🔗 Copy link"}
+        </button>
+      </div>
     </div>
   );
 }
@@ -130,6 +309,11 @@ const input = {
   width: "100%",
 };
 
+const dateInput = {
+  ...input,
+  width: "auto",
+};
+
 const chipSmall = {
   fontSize: 11,
   padding: "4px 8px",
@@ -150,6 +334,16 @@ const primaryBtn = {
   boxShadow: "0 6px 18px rgba(0,0,0,0.15)",
 };
 
+const ghostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "8px 10px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
 const btnDisabled = {
   opacity: 0.5,
   cursor: "not-allowed",
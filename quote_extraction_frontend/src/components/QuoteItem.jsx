@@ -1,26 +1,140 @@
-import React from "react";
+import React, { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import QuoteEditForm from "./QuoteEditForm";
+import { quoteLocation, reviewStatus } from "../utils/quoteStatus";
+import { segmentsAround } from "../utils/segments";
+import { quoteContextPath } from "../utils/provenance";
 
 /**
  * QuoteItem
  * Displays a single quote in a card:
- * - Text, timing badge, confidence, tags, status
- * - Approve / Reject buttons that call parent callbacks
+ * - Text, timing badge, confidence, speaker, tags, status
+ * - The episode the quote came from (`episode`, a display name resolved by the parent)
+ * - Review status (pending / approved / rejected) with Approve / Reject buttons
+ * - Archive and trash; trashed quotes can be restored or deleted permanently (after a confirm)
+ * - Inline editing of text, timing, speaker and tags (when onSave is provided)
+ * - Edited quotes can show the original transcript wording
+ * - Selection checkbox for bulk actions (shift-click selects a range; handled by the parent)
+ * - "View in context" link to the quote's place in its transcript
+ * - With `transcript` (the quote's source, loaded by the parent), the lines said just before and
+ *   after the quote, so it can be judged in context
+ * - `editing` / `onEditingChange` optionally control the editor from outside (e.g. a keyboard shortcut)
  */
-export default function QuoteItem({ quote, onApprove, onReject }) {
+export default function QuoteItem({
+  quote,
+  onApprove,
+  onReject,
+  onSave,
+  onArchive,
+  onTrash,
+  onRestore,
+  onDelete,
+  selected = false,
+  onToggleSelect,
+  editing: editingProp,
+  onEditingChange,
+  tagSuggestions,
+  speakerSuggestions,
+  transcript,
+  episode = "",
+}) {
+  const [editingState, setEditingState] = useState(false);
+  const editing = editingProp ?? editingState;
+  const setEditing = (value) => {
+    setEditingState(value);
+    if (onEditingChange) onEditingChange(value);
+  };
+  const [showOriginal, setShowOriginal] = useState(false);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
   const conf = typeof quote.confidence === "number" ? quote.confidence : null;
-  const statusBadge = quote.approved ? approvedBadge : pendingBadge;
+  const status = reviewStatus(quote);
+  const location = quoteLocation(quote);
+  const statusBadge = statusBadges[status];
+  const edited = !!quote.original_text && quote.original_text !== quote.text;
+  const contextPath = quoteContextPath(quote);
+  const context = useMemo(
+    () => (transcript?.segments ? segmentsAround(transcript.segments, quote.start, quote.end, { padding: 1 }) : []),
+    [transcript, quote.start, quote.end]
+  );
+  const before = context.filter((c, i) => !c.inRange && context.slice(i).some((n) => n.inRange));
+  const after = context.filter((c, i) => !c.inRange && context.slice(0, i).some((p) => p.inRange));
+
+  const renderContextLine = ({ segment, index }) => (
+    <div key={index} style={contextLine}>
+      {segment.speaker && <strong style={{ fontWeight: 700 }}>{segment.speaker}: </strong>}
+      {segment.text}
+    </div>
+  );
+
+  if (editing) {
+    return (
+      <article style={card} aria-label="Quote item">
+        <QuoteEditForm
+          quote={quote}
+          tagSuggestions={tagSuggestions}
+          speakerSuggestions={speakerSuggestions}
+          onSave={async (patch) => {
+            await onSave(quote.id, patch);
+            setEditing(false);
+          }}
+          onCancel={() => setEditing(false)}
+        />
+      </article>
+    );
+  }
 
   return (
-    <article style={card} aria-label="Quote item">
+    <article style={{ ...card, ...(selected ? cardSelected : {}) }} aria-label="Quote item">
       <header style={cardHeader}>
         <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
-          <span style={statusBadge}>{quote.approved ? "APPROVED" : "PENDING"}</span>
+          {onToggleSelect && (
+            <input
+              type="checkbox"
+              checked={selected}
+              // onClick rather than onChange so the shift key is available for range selection
+              onClick={(e) => onToggleSelect(quote.id, { shiftKey: e.shiftKey })}
+              onChange={() => {}}
+              aria-label="Select quote"
+              style={{ margin: 0, cursor: "pointer" }}
+            />
+          )}
+          <span style={statusBadge}>{status.toUpperCase()}</span>
+          {location !== "active" && <span style={chip}>{location === "trash" ? "🗑 In trash" : "📦 Archived"}</span>}
           {conf !== null && <span style={chip}>Conf: {conf.toFixed(2)}</span>}
           <span style={chipTime}>{formatTime(quote.start)} - {formatTime(quote.end)}</span>
+          {quote.speaker && <span style={chip}>🎙 {quote.speaker}</span>}
+          {episode && (
+            <span style={{ ...chip, ...chipEpisode }} title={episode}>
+              🎬 {episode}
+            </span>
+          )}
+          {edited && (
+            <button
+              type="button"
+              onClick={() => setShowOriginal((v) => !v)}
+              style={{ ...chip, cursor: "pointer", color: "var(--text-primary)" }}
+              aria-expanded={showOriginal ? "true" : "false"}
+              title="Show the transcript wording"
+            >
+              ✎ Edited
+            </button>
+          )}
         </div>
       </header>
 
+      {before.length > 0 && <div aria-label="Said before">{before.map(renderContextLine)}</div>}
       <blockquote style={quoteText}>"{quote.text}"</blockquote>
+      {after.length > 0 && <div aria-label="Said after">{after.map(renderContextLine)}</div>}
+      {contextPath && (
+        <Link to={contextPath} style={contextLink} title="Open the transcript at this quote">
+          📍 View in context
+        </Link>
+      )}
+      {edited && showOriginal && (
+        <div style={originalText}>
+          <span style={{ opacity: 0.75 }}>Transcript wording:</span> “{quote.original_text}”
+        </div>
+      )}
 
       {(quote.tags?.length ?? 0) > 0 && (
         <div style={tagsWrap} aria-label="Tags">
@@ -33,22 +147,69 @@ export default function QuoteItem({ quote, onApprove, onReject }) {
       )}
 
       <footer style={footer}>
-        <button
-          onClick={() => onApprove && onApprove(quote.id)}
-          style={{ ...primaryBtn, ...(quote.approved ? btnDisabled : {}) }}
-          disabled={!!quote.approved}
-          title="Approve"
-        >
-          ✅ Approve
-        </button>
-        <button
-          onClick={() => onReject && onReject(quote.id)}
-          style={{ ...ghostBtn, ...(!quote.approved ? btnDisabled : {}) }}
-          disabled={!quote.approved}
-          title="Reject"
-        >
-          🚫 Reject
-        </button>
+        {location === "trash" ? (
+          confirmingDelete ? (
+            <>
+              <span style={{ fontSize: 12, alignSelf: "center" }}>Delete forever?</span>
+              <button onClick={() => onDelete && onDelete(quote.id)} style={dangerBtn}>
+                Delete
+              </button>
+              <button onClick={() => setConfirmingDelete(false)} style={ghostBtn}>
+                Cancel
+              </button>
+            </>
+          ) : (
+            <>
+              <button onClick={() => onRestore && onRestore(quote.id)} style={primaryBtn} title="Move back out of the trash">
+                ↩️ Restore
+              </button>
+              <button onClick={() => setConfirmingDelete(true)} style={ghostBtn} title="Delete permanently">
+                Delete forever
+              </button>
+            </>
+          )
+        ) : (
+          <>
+            <button
+              onClick={() => onApprove && onApprove(quote.id)}
+              style={{ ...primaryBtn, ...(status === "approved" ? btnDisabled : {}) }}
+              disabled={status === "approved"}
+              title="Approve"
+            >
+              ✅ Approve
+            </button>
+            <button
+              onClick={() => onReject && onReject(quote.id)}
+              style={{ ...ghostBtn, ...(status === "rejected" ? btnDisabled : {}) }}
+              disabled={status === "rejected"}
+              title="Reject"
+            >
+              🚫 Reject
+            </button>
+            <span style={{ marginLeft: "auto", display: "flex", gap: 6 }}>
+              {onSave && (
+                <button onClick={() => setEditing(true)} style={iconBtn} title="Edit quote" aria-label="Edit quote">
+                  ✏️
+                </button>
+              )}
+              {onArchive && (
+                <button
+                  onClick={() => onArchive(quote.id, location !== "archived")}
+                  style={iconBtn}
+                  title={location === "archived" ? "Unarchive" : "Archive"}
+                  aria-label={location === "archived" ? "Unarchive quote" : "Archive quote"}
+                >
+                  {location === "archived" ? "📤" : "📦"}
+                </button>
+              )}
+              {onTrash && (
+                <button onClick={() => onTrash(quote.id)} style={iconBtn} title="Move to trash" aria-label="Move to trash">
+                  🗑
+                </button>
+              )}
+            </span>
+          </>
+        )}
       </footer>
     </article>
   );
@@ -72,6 +233,11 @@ const card = {
   gap: 10,
 };
 
+const cardSelected = {
+  borderColor: "rgba(97,218,251,0.8)",
+  boxShadow: "0 0 0 1px rgba(97,218,251,0.5)",
+};
+
 const cardHeader = {
   display: "flex",
   alignItems: "center",
@@ -85,6 +251,34 @@ const quoteText = {
   whiteSpace: "pre-wrap",
 };
 
+const originalText = {
+  fontSize: 12,
+  lineHeight: 1.5,
+  padding: "6px 8px",
+  borderRadius: 8,
+  border: "1px dashed var(--border-color)",
+};
+
+const contextLine = {
+  fontSize: 12,
+  lineHeight: 1.45,
+  opacity: 0.65,
+  paddingLeft: 8,
+  borderLeft: "2px solid var(--border-color)",
+  display: "-webkit-box",
+  WebkitLineClamp: 2,
+  WebkitBoxOrient: "vertical",
+  overflow: "hidden",
+};
+
+const contextLink = {
+  alignSelf: "flex-start",
+  fontSize: 12,
+  fontWeight: 700,
+  color: "var(--text-secondary)",
+  textDecoration: "none",
+};
+
 const tagsWrap = {
   display: "flex",
   flexWrap: "wrap",
@@ -113,6 +307,13 @@ const chip = {
   border: "1px solid var(--border-color)",
 };
 
+const chipEpisode = {
+  maxWidth: 220,
+  overflow: "hidden",
+  textOverflow: "ellipsis",
+  whiteSpace: "nowrap",
+};
+
 const chipTime = {
   fontSize: 12,
   padding: "4px 8px",
@@ -124,6 +325,17 @@ const chipTime = {
   letterSpacing: 0.2,
 };
 
+const rejectedBadge = {
+  fontSize: 11,
+  padding: "4px 8px",
+  borderRadius: 999,
+  background: "rgba(239,68,68,0.85)",
+  color: "#0b0b0b",
+  fontWeight: 800,
+  letterSpacing: 0.3,
+  border: "1px solid transparent",
+};
+
 const approvedBadge = {
   fontSize: 11,
   padding: "4px 8px",
@@ -146,6 +358,12 @@ const pendingBadge = {
   border: "1px solid transparent",
 };
 
+const statusBadges = {
+  pending: pendingBadge,
+  approved: approvedBadge,
+  rejected: rejectedBadge,
+};
+
 const primaryBtn = {
   background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
   color: "#0b0b0b",
@@ -168,6 +386,17 @@ const ghostBtn = {
   cursor: "pointer",
 };
 
+const iconBtn = {
+  ...ghostBtn,
+  padding: "8px 10px",
+};
+
+const dangerBtn = {
+  ...ghostBtn,
+  color: "#EF4444",
+  borderColor: "rgba(239,68,68,0.5)",
+};
+
 const btnDisabled = {
   opacity: 0.6,
   cursor: "not-allowed",
@@ -1,11 +1,187 @@
-import React from "react";
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import QuoteItem from "./QuoteItem";
+import { getTranscript } from "../api/client";
+import { chunk, columnsFor, rowOffsets, visibleRange } from "../utils/virtualWindow";
+
+const MIN_CARD_WIDTH = 280;
+const GAP = 12;
+const ESTIMATED_ROW_HEIGHT = 180; // until a row has been measured
+const OVERSCAN = 600; // px rendered above and below the viewport
+const LOAD_MORE_ROWS = 3; // start loading the next page this many rows before the end
 
 /**
  * QuoteList
- * Renders a list of quotes in elegant cards with approve/reject actions.
+ * Renders a list of quotes in elegant cards with review, archive/trash actions and inline editing.
+ * Tag and speaker suggestions for the editor are collected from the listed quotes.
+ * Selection (for bulk actions) is owned by the parent: pass selectedIds (a Set) and onToggleSelect.
+ *
+ * The list is virtualized: only the card rows near the viewport (the page scrolls, not the list) are
+ * mounted, with measured row heights. The quote being edited stays mounted so its draft survives
+ * scrolling. When the quotes change (e.g. a filter), the first visible quote is kept in place if it
+ * is still listed. Scrolling near the end calls onLoadMore while hasMore is set.
+ * Source transcripts of the mounted quotes are loaded (once per transcript) for the context lines.
+ * episodeOf (function(quote) -> string) names the episode shown on each card, when given.
+ *
+ * Pagination props:
+ * - hasMore: boolean - the server has more quotes for this query
+ * - loadingMore: boolean
+ * - loadMoreError: string - why the last page failed; shown with a retry, and scrolling stops loading
+ * - onLoadMore: function() -> void
+ * - totalCount: number | null - size of the full result, when the server reports it
  */
-export default function QuoteList({ quotes = [], onApprove, onReject }) {
+export default function QuoteList({
+  quotes = [],
+  onApprove,
+  onReject,
+  onSave,
+  onArchive,
+  onTrash,
+  onRestore,
+  onDelete,
+  selectedIds,
+  onToggleSelect,
+  hasMore = false,
+  loadingMore = false,
+  loadMoreError = "",
+  onLoadMore,
+  totalCount = null,
+  episodeOf,
+}) {
+  const tagSuggestions = useMemo(() => uniqueSorted(quotes.flatMap((q) => q.tags || [])), [quotes]);
+  const speakerSuggestions = useMemo(() => uniqueSorted(quotes.map((q) => q.speaker)), [quotes]);
+
+  const containerRef = useRef(null);
+  const rowEls = useRef(new Map()); // row key -> element, for the mounted rows
+  const rowHeights = useRef(new Map()); // row key -> measured height
+  const anchorRef = useRef(null); // { id, delta }: first visible quote and its offset from the viewport top
+  const [width, setWidth] = useState(0);
+  const [view, setView] = useState({ top: 0, bottom: typeof window !== "undefined" ? window.innerHeight : 800 });
+  const [, setMeasured] = useState(0); // bumped when a row height changes
+  const [editingId, setEditingId] = useState(null);
+  const [transcripts, setTranscripts] = useState({}); // transcript id -> transcript, null when it failed
+  const requestedTranscripts = useRef(new Set());
+
+  const cols = columnsFor(width, MIN_CARD_WIDTH, GAP);
+  const rows = useMemo(() => chunk(quotes, cols), [quotes, cols]);
+  const keyOf = (row) => `${cols}:${row.map((q) => q.id).join(",")}`;
+  const heights = rows.map((row) => rowHeights.current.get(keyOf(row)) ?? ESTIMATED_ROW_HEIGHT);
+  const { offsets, total } = rowOffsets(heights, GAP);
+  const [start, end] = visibleRange(offsets, heights, view.top, view.bottom, OVERSCAN);
+
+  // Viewport relative to the top of the list
+  const updateView = useCallback(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const rect = el.getBoundingClientRect();
+    setWidth(el.clientWidth);
+    setView((prev) => {
+      const next = { top: -rect.top, bottom: window.innerHeight - rect.top };
+      return prev.top === next.top && prev.bottom === next.bottom ? prev : next;
+    });
+  }, []);
+
+  useEffect(() => {
+    let frame = 0;
+    const onScroll = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(updateView);
+    };
+    updateView();
+    window.addEventListener("scroll", onScroll, { passive: true });
+    window.addEventListener("resize", onScroll);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", onScroll);
+      window.removeEventListener("resize", onScroll);
+    };
+  }, [updateView]);
+
+  // Measure the mounted rows; re-render when an estimate turns out wrong
+  const measureRows = useCallback(() => {
+    let changed = false;
+    rowEls.current.forEach((el, key) => {
+      const h = el.offsetHeight;
+      if (h && rowHeights.current.get(key) !== h) {
+        rowHeights.current.set(key, h);
+        changed = true;
+      }
+    });
+    if (changed) setMeasured((n) => n + 1);
+  }, []);
+
+  useLayoutEffect(measureRows);
+
+  // Cards grow and shrink (editing, "show original"), so mounted rows are observed too
+  const resizeObserver = useRef(null);
+  const observer = () => {
+    if (!resizeObserver.current && typeof ResizeObserver !== "undefined") {
+      resizeObserver.current = new ResizeObserver(measureRows);
+    }
+    return resizeObserver.current;
+  };
+  useEffect(() => () => resizeObserver.current && resizeObserver.current.disconnect(), []);
+
+  // The list may have moved or appeared since the last scroll
+  useLayoutEffect(updateView, [updateView, quotes]);
+
+  // Remember which quote is at the top of the viewport...
+  useEffect(() => {
+    const first = rows.findIndex((_, i) => offsets[i] + heights[i] > view.top);
+    if (first >= 0 && view.top > 0) {
+      anchorRef.current = { id: rows[first][0].id, delta: offsets[first] - view.top };
+    } else {
+      anchorRef.current = null;
+    }
+  });
+
+  // ...and keep it there when the quotes change under it
+  const prevQuotes = useRef(quotes);
+  useLayoutEffect(() => {
+    if (prevQuotes.current === quotes) return;
+    prevQuotes.current = quotes;
+    const anchor = anchorRef.current;
+    const el = containerRef.current;
+    if (!anchor || !el) return;
+    const index = rows.findIndex((row) => row.some((q) => q.id === anchor.id));
+    if (index < 0) return;
+    const listTop = el.getBoundingClientRect().top + window.scrollY;
+    window.scrollTo(0, listTop + offsets[index] - anchor.delta);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [quotes]);
+
+  // Source transcripts for the quotes on screen; most quotes share a handful of recordings
+  const mountedRows = [];
+  for (let i = start; i <= end; i += 1) mountedRows.push(i);
+  const editingRow = editingId ? rows.findIndex((row) => row.some((q) => q.id === editingId)) : -1;
+  if (editingRow >= 0 && (editingRow < start || editingRow > end)) mountedRows.push(editingRow);
+  const wantedTranscripts = [
+    ...new Set(mountedRows.flatMap((i) => rows[i].map((q) => q.transcript_id)).filter(Boolean)),
+  ]
+    .filter((id) => !requestedTranscripts.current.has(id))
+    .join(",");
+
+  useEffect(() => {
+    if (!wantedTranscripts) return;
+    wantedTranscripts.split(",").forEach(async (id) => {
+      requestedTranscripts.current.add(id);
+      let value = null;
+      try {
+        const res = await getTranscript(id);
+        value = res?.transcript || res;
+      } catch {
+        // Context is optional; remember the miss so it isn't retried on every scroll
+      }
+      setTranscripts((prev) => ({ ...prev, [id]: value }));
+    });
+  }, [wantedTranscripts]);
+
+  // Infinite scroll: ask for the next page when the end is near
+  useEffect(() => {
+    if (hasMore && !loadingMore && !loadMoreError && onLoadMore && rows.length && end >= rows.length - LOAD_MORE_ROWS) {
+      onLoadMore();
+    }
+  }, [hasMore, loadingMore, loadMoreError, onLoadMore, end, rows.length]);
+
   if (!quotes?.length) {
     return (
       <div style={emptyBox}>
@@ -15,18 +191,109 @@ export default function QuoteList({ quotes = [], onApprove, onReject }) {
   }
 
   return (
-    <div style={grid}>
-      {quotes.map((q) => (
-        <QuoteItem key={q.id} quote={q} onApprove={onApprove} onReject={onReject} />
-      ))}
+    <div>
+      <div ref={containerRef} style={{ position: "relative", height: total }}>
+        {/* The visible rows, plus the row of the quote being edited wherever it is */}
+        {mountedRows.map((i) => {
+          const key = keyOf(rows[i]);
+          return (
+            <div
+              key={key}
+              ref={(el) => {
+                const prev = rowEls.current.get(key);
+                if (prev && prev !== el && observer()) observer().unobserve(prev);
+                if (el) {
+                  rowEls.current.set(key, el);
+                  if (observer()) observer().observe(el);
+                } else {
+                  rowEls.current.delete(key);
+                }
+              }}
+              style={{ ...grid, position: "absolute", top: offsets[i], left: 0, right: 0 }}
+            >
+              {rows[i].map((q) => (
+                <QuoteItem
+                  key={q.id}
+                  quote={q}
+                  onApprove={onApprove}
+                  onReject={onReject}
+                  onSave={onSave}
+                  onArchive={onArchive}
+                  onTrash={onTrash}
+                  onRestore={onRestore}
+                  onDelete={onDelete}
+                  selected={!!selectedIds?.has(q.id)}
+                  onToggleSelect={onToggleSelect}
+                  editing={editingId === q.id}
+                  onEditingChange={(value) => setEditingId(value ? q.id : null)}
+                  tagSuggestions={tagSuggestions}
+                  speakerSuggestions={speakerSuggestions}
+                  transcript={q.transcript_id ? transcripts[q.transcript_id] : null}
+                  episode={episodeOf ? episodeOf(q) : ""}
+                />
+              ))}
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={footer} role="status" aria-live="polite">
+        {loadingMore ? (
+          "Loading more quotes…"
+        ) : hasMore && loadMoreError ? (
+          <span role="alert" style={loadMoreErrorStyle}>
+            {loadMoreError}
+            <button type="button" onClick={onLoadMore} style={loadMoreBtn}>
+              Retry
+            </button>
+          </span>
+        ) : hasMore ? (
+          <button type="button" onClick={onLoadMore} style={loadMoreBtn}>
+            Load more
+          </button>
+        ) : (
+          `${quotes.length}${totalCount && totalCount > quotes.length ? ` of ${totalCount}` : ""} quote${
+            quotes.length === 1 ? "" : "s"
+          }`
+        )}
+      </div>
     </div>
   );
 }
 
+function uniqueSorted(values) {
+  return [...new Set(values.filter(Boolean).map(String))].sort((a, b) => a.localeCompare(b));
+}
+
 const grid = {
   display: "grid",
-  gridTemplateColumns: "repeat(auto-fill, minmax(280px, 1fr))",
-  gap: 12,
+  gridTemplateColumns: `repeat(auto-fill, minmax(${MIN_CARD_WIDTH}px, 1fr))`,
+  gap: GAP,
+};
+
+const footer = {
+  marginTop: 12,
+  textAlign: "center",
+  fontSize: 12,
+  opacity: 0.75,
+};
+
+const loadMoreBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 12px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+const loadMoreErrorStyle = {
+  display: "inline-flex",
+  alignItems: "center",
+  gap: 10,
+  color: "#EF4444",
+  fontWeight: 600,
 };
 
 const emptyBox = {
@@ -0,0 +1,21 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import QuoteList from "./QuoteList";
+
+const quotes = [{ id: "q1", text: "Already loaded quote.", speaker: "Host", approved: false }];
+
+test("a failed page keeps the loaded quotes and offers a retry", () => {
+  const onLoadMore = jest.fn();
+  render(
+    <MemoryRouter>
+      <QuoteList quotes={quotes} hasMore loadMoreError="Server unavailable" onLoadMore={onLoadMore} />
+    </MemoryRouter>
+  );
+
+  expect(screen.getByText(/Already loaded quote/)).toBeInTheDocument();
+  expect(screen.getByRole("alert")).toHaveTextContent("Server unavailable");
+  expect(onLoadMore).not.toHaveBeenCalled();
+  fireEvent.click(screen.getByRole("button", { name: "Retry" }));
+  expect(onLoadMore).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,123 @@
+import React from "react";
+import { assetLabel, transcriptLabel, transcriptsForAsset } from "../utils/scope";
+
+/**
+ * ScopePicker
+ * Narrows a view to one episode (source asset) and, optionally, one of its transcripts:
+ * - Episode select fed by listAssets, transcript select fed by listTranscripts
+ * - The transcript list follows the chosen episode; picking a transcript alone shows its episode
+ * - Ids that aren't in the loaded lists (e.g. from a shared link) stay selectable
+ * - With allowAll off a transcript is always chosen: switching episode picks its first transcript
+ *
+ * Props:
+ * - assets: [{ id, filename?, title?, show? }]
+ * - transcripts: [{ id, asset_id?, title?, language? }]
+ * - assetId: string - "" for all episodes
+ * - transcriptId: string - "" for all transcripts
+ * - onChange: function({ assetId, transcriptId }) -> void
+ * - allowAll: boolean - offer "All episodes" / "All transcripts" (default true)
+ * - idPrefix: string - prefix for the select ids (default "scope")
+ * - disabled: boolean
+ */
+export default function ScopePicker({
+  assets = [],
+  transcripts = [],
+  assetId = "",
+  transcriptId = "",
+  onChange,
+  allowAll = true,
+  idPrefix = "scope",
+  disabled = false,
+}) {
+  const current = transcripts.find((t) => t.id === transcriptId) || null;
+  const shownAssetId = assetId || current?.asset_id || "";
+  const options = transcriptsForAsset(transcripts, shownAssetId);
+
+  const onEpisode = (id) => {
+    if (allowAll) {
+      onChange({ assetId: id, transcriptId: "" });
+      return;
+    }
+    const first = transcriptsForAsset(transcripts, id)[0];
+    onChange({ assetId: id, transcriptId: first?.id || transcriptId });
+  };
+
+  return (
+    <div style={wrap}>
+      <div style={group}>
+        <label htmlFor={`${idPrefix}-episode`} style={label}>
+          Episode
+        </label>
+        <select
+          id={`${idPrefix}-episode`}
+          value={shownAssetId}
+          onChange={(e) => onEpisode(e.target.value)}
+          disabled={disabled}
+          style={select}
+        >
+          {(allowAll || !shownAssetId) && <option value="">All episodes</option>}
+          {shownAssetId && !assets.some((a) => a.id === shownAssetId) && (
+            <option value={shownAssetId}>{shownAssetId}</option>
+          )}
+          {assets.map((a) => (
+            <option key={a.id} value={a.id}>
+              {assetLabel(a)}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div style={group}>
+        <label htmlFor={`${idPrefix}-transcript`} style={label}>
+          Transcript
+        </label>
+        <select
+          id={`${idPrefix}-transcript`}
+          value={transcriptId}
+          onChange={(e) => onChange({ assetId, transcriptId: e.target.value })}
+          disabled={disabled}
+          style={select}
+        >
+          {allowAll && <option value="">All transcripts</option>}
+          {!allowAll && !options.length && <option value="">No transcripts</option>}
+          {transcriptId && !options.some((t) => t.id === transcriptId) && (
+            <option value={transcriptId}>{current ? transcriptLabel(current) : transcriptId}</option>
+          )}
+          {options.map((t) => (
+            <option key={t.id} value={t.id}>
+              {transcriptLabel(t)}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+const wrap = {
+  display: "flex",
+  alignItems: "flex-end",
+  gap: 12,
+  flexWrap: "wrap",
+};
+
+const group = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 6,
+  minWidth: 160,
+};
+
+const label = {
+  fontSize: 12,
+  opacity: 0.75,
+};
+
+const select = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "8px 10px",
+  maxWidth: 280,
+};
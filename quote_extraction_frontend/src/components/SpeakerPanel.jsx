@@ -0,0 +1,323 @@
+import React, { useMemo, useState } from "react";
+import {
+  countUnassigned,
+  normalizeSpeaker,
+  reassignSegments,
+  renameSpeaker,
+  summarizeSpeakers,
+} from "../utils/speakers";
+import { formatTime } from "../utils/transcriptTiming";
+
+/**
+ * SpeakerPanel
+ * Speaker management for a transcript:
+ * - Lists speakers with segment count, talk time and share of talk time
+ * - Rename a speaker everywhere (renaming onto an existing name merges them)
+ * - Merge one speaker label into another
+ * - Reassign the currently selected segments to a speaker
+ *
+ * Props:
+ * - segments: Segment[]
+ * - selectedIndexes: number[] - indexes of segments selected in the editor
+ * - onApply: async function(nextSegments: Segment[], message: string) -> void
+ * - onClearSelection: function() -> void
+ * - busy: boolean - disables actions while a save is in flight
+ */
+export default function SpeakerPanel({ segments = [], selectedIndexes = [], onApply, onClearSelection, busy = false }) {
+  const [renaming, setRenaming] = useState(null); // { from, value }
+  const [merging, setMerging] = useState(null); // { from, into }
+  const [assignTo, setAssignTo] = useState("");
+
+  const speakers = useMemo(() => summarizeSpeakers(segments), [segments]);
+  const unassigned = useMemo(() => countUnassigned(segments), [segments]);
+
+  const apply = async (next, message) => {
+    if (!onApply || next === segments) return;
+    await onApply(next, message);
+  };
+
+  const submitRename = async () => {
+    const to = normalizeSpeaker(renaming?.value);
+    if (!renaming || !to) return;
+    const merged = speakers.some((s) => s.name === to && s.name !== renaming.from);
+    await apply(
+      renameSpeaker(segments, renaming.from, to),
+      merged ? `Merged “${renaming.from}” into “${to}”.` : `Renamed “${renaming.from}” to “${to}”.`
+    );
+    setRenaming(null);
+  };
+
+  const submitMerge = async () => {
+    if (!merging?.into) return;
+    await apply(renameSpeaker(segments, merging.from, merging.into), `Merged “${merging.from}” into “${merging.into}”.`);
+    setMerging(null);
+  };
+
+  const submitAssign = async () => {
+    if (!selectedIndexes.length) return;
+    const name = normalizeSpeaker(assignTo);
+    await apply(
+      reassignSegments(segments, selectedIndexes, name),
+      name
+        ? `Assigned ${selectedIndexes.length} segment(s) to “${name}”.`
+        : `Cleared the speaker on ${selectedIndexes.length} segment(s).`
+    );
+    setAssignTo("");
+    if (onClearSelection) onClearSelection();
+  };
+
+  return (
+    <div style={wrap}>
+      <div style={header}>
+        <span style={{ fontWeight: 800 }}>Speakers</span>
+        <span style={{ fontSize: 12, opacity: 0.75 }}>
+          {speakers.length} labeled{unassigned ? ` • ${unassigned} unassigned segment(s)` : ""}
+        </span>
+      </div>
+
+      {speakers.length === 0 && <div style={emptyBox}>No speaker labels on this transcript yet.</div>}
+
+      <ul style={list}>
+        {speakers.map((sp) => (
+          <li key={sp.name} style={row}>
+            {renaming?.from === sp.name ? (
+              <div style={inlineForm}>
+                <input
+                  autoFocus
+                  aria-label={`New name for ${sp.name}`}
+                  value={renaming.value}
+                  onChange={(e) => setRenaming({ ...renaming, value: e.target.value })}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") submitRename();
+                    if (e.key === "Escape") setRenaming(null);
+                  }}
+                  style={input}
+                  list="speaker-names"
+                />
+                <button onClick={submitRename} disabled={busy} style={miniPrimaryBtn}>
+                  Save
+                </button>
+                <button onClick={() => setRenaming(null)} style={miniGhostBtn}>
+                  Cancel
+                </button>
+              </div>
+            ) : merging?.from === sp.name ? (
+              <div style={inlineForm}>
+                <span style={{ fontSize: 12, opacity: 0.85 }}>Merge “{sp.name}” into</span>
+                <select
+                  aria-label={`Merge ${sp.name} into`}
+                  value={merging.into}
+                  onChange={(e) => setMerging({ ...merging, into: e.target.value })}
+                  style={input}
+                >
+                  <option value="">Choose speaker…</option>
+                  {speakers
+                    .filter((o) => o.name !== sp.name)
+                    .map((o) => (
+                      <option key={o.name} value={o.name}>
+                        {o.name}
+                      </option>
+                    ))}
+                </select>
+                <button onClick={submitMerge} disabled={busy || !merging.into} style={miniPrimaryBtn}>
+                  Merge
+                </button>
+                <button onClick={() => setMerging(null)} style={miniGhostBtn}>
+                  Cancel
+                </button>
+              </div>
+            ) : (
+              <>
+                <div style={{ display: "flex", alignItems: "center", gap: 8, minWidth: 0 }}>
+                  <span style={chipSmall}>{sp.name}</span>
+                  <span style={stat}>
+                    {sp.segmentCount} seg • {formatTime(sp.talkTime)} • {Math.round(sp.share * 100)}%
+                  </span>
+                </div>
+                <div style={{ display: "flex", gap: 6 }}>
+                  <button
+                    onClick={() => {
+                      setMerging(null);
+                      setRenaming({ from: sp.name, value: sp.name });
+                    }}
+                    disabled={busy}
+                    style={miniGhostBtn}
+                    title="Rename everywhere"
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={() => {
+                      setRenaming(null);
+                      setMerging({ from: sp.name, into: "" });
+                    }}
+                    disabled={busy || speakers.length < 2}
+                    style={miniGhostBtn}
+                    title="Merge into another speaker"
+                  >
+                    Merge
+                  </button>
+                </div>
+                <div style={shareTrack} aria-hidden="true">
+                  <div style={{ ...shareFill, width: `${Math.round(sp.share * 100)}%` }} />
+                </div>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div style={assignRow}>
+        <span style={{ fontSize: 12, opacity: 0.85 }}>
+          {selectedIndexes.length
+            ? `${selectedIndexes.length} segment(s) selected`
+            : "Tick segments on the right to reassign them"}
+        </span>
+        <input
+          aria-label="Assign selected segments to speaker"
+          placeholder="Speaker name"
+          value={assignTo}
+          onChange={(e) => setAssignTo(e.target.value)}
+          list="speaker-names"
+          style={input}
+          disabled={!selectedIndexes.length}
+        />
+        <button
+          onClick={submitAssign}
+          disabled={busy || !selectedIndexes.length}
+          style={{ ...miniPrimaryBtn, ...(busy || !selectedIndexes.length ? btnDisabled : {}) }}
+        >
+          Assign
+        </button>
+      </div>
+
+      <datalist id="speaker-names">
+        {speakers.map((sp) => (
+          <option key={sp.name} value={sp.name} />
+        ))}
+      </datalist>
+    </div>
+  );
+}
+
+const wrap = {
+  border: "1px solid var(--border-color)",
+  background: "var(--bg-secondary)",
+  borderRadius: 14,
+  padding: 12,
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+};
+
+const header = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+};
+
+const list = {
+  listStyle: "none",
+  margin: 0,
+  padding: 0,
+  display: "flex",
+  flexDirection: "column",
+  gap: 6,
+};
+
+const row = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  flexWrap: "wrap",
+  gap: 6,
+  border: "1px solid var(--border-color)",
+  borderRadius: 10,
+  padding: "8px 10px",
+};
+
+const inlineForm = {
+  display: "flex",
+  alignItems: "center",
+  gap: 6,
+  flexWrap: "wrap",
+  width: "100%",
+};
+
+const stat = {
+  fontSize: 12,
+  opacity: 0.75,
+};
+
+const shareTrack = {
+  width: "100%",
+  height: 4,
+  borderRadius: 999,
+  background: "rgba(255,255,255,0.06)",
+  overflow: "hidden",
+};
+
+const shareFill = {
+  height: "100%",
+  background: "linear-gradient(90deg, #61dafb, #22c55e)",
+};
+
+const assignRow = {
+  display: "flex",
+  alignItems: "center",
+  gap: 8,
+  flexWrap: "wrap",
+  borderTop: "1px dashed var(--border-color)",
+  paddingTop: 8,
+};
+
+const emptyBox = {
+  opacity: 0.7,
+  fontSize: 13,
+  border: "1px dashed var(--border-color)",
+  borderRadius: 10,
+  padding: 8,
+};
+
+const input = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "5px 8px",
+};
+
+const chipSmall = {
+  fontSize: 11,
+  padding: "4px 8px",
+  borderRadius: 999,
+  background: "rgba(255,255,255,0.06)",
+  border: "1px solid var(--border-color)",
+  fontWeight: 700,
+};
+
+const miniPrimaryBtn = {
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  color: "#0b0b0b",
+  border: "none",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 800,
+  letterSpacing: 0.2,
+  cursor: "pointer",
+};
+
+const miniGhostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+const btnDisabled = {
+  opacity: 0.5,
+  cursor: "not-allowed",
+};
@@ -1,22 +1,53 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { appendTranscriptSegment } from "../api/client";
+import { formatTime, formatTimePrecise, inferTimeRange, parseTime } from "../utils/transcriptTiming";
+import {
+  joinSegments,
+  mergeWithNext,
+  removeSegment,
+  segmentOffsets,
+  splitSegment,
+  updateSegment,
+} from "../utils/segments";
+import { EMPTY_HISTORY, recordCommand, redoCommand, undoCommand } from "../utils/editHistory";
+import { clearDraft, isDraftNewer, loadDraft, saveDraft } from "../utils/drafts";
+import SpeakerPanel from "./SpeakerPanel";
+import FindReplaceBar from "./FindReplaceBar";
+import GlossaryPanel from "./GlossaryPanel";
 
 /**
  * TranscriptEditor
  * A rich but lightweight inline transcript editor with:
- * - Full text editing with segment-aware styling
- * - Inline selection highlight + "Add as segment" helper
+ * - Per-segment inline editing (text, speaker, start/end); the full text is derived from segments
+ * - Split at the caret, merge with the next segment, delete a segment
+ * - Inline selection highlight with timing inferred from segment words
+ *   ("Split out as Segment", or "Add as Segment" for transcripts without segments yet)
  * - Save action bubble and keyboard shortcuts (Cmd/Ctrl+S)
  * - CTA to Extract Quotes
+ * - Media sync: the ▶ badge seeks the player, the playing segment is highlighted
+ * - Quote focus: segments holding a quote are marked, its span highlighted and scrolled into view
+ * - Speaker panel: talk-time stats, rename/merge speakers and reassign selected segments
+ * - Find & replace (case / whole word / regex) across the text and all segments, with undo
+ * - Glossary checks: likely misspellings of workspace terms and names with one-click fixes
+ * - Undo/redo history (Cmd/Ctrl+Z, Shift+Cmd/Ctrl+Z) covering edits, appends and replacements
+ * - Local draft autosave (IndexedDB) with a recovery prompt when a newer draft exists
+ * - "Make Quote" from the selection with inferred timing and speaker plus tags
+ *
+ * Transcripts that have no segments yet are edited as one full-text field.
  *
  * Props:
- * - transcript: { id, text, segments?, language?, asset_id? }
- * - onChange: function(newText: string) -> void
+ * - transcript: { id, text, segments?, language?, asset_id?, updated_at? }
+ * - onChange: function({ text: string, segments?: Segment[] }) -> void
  * - onSave: function() -> Promise<void> | void
  * - onExtractQuotes: function() -> void
  * - saving: boolean - indicates save is in progress
  * - error: string - optional error message to display
  * - onAppendSegment: async function({ start, end, text, speaker? }) -> void (optional)
+ * - currentTime: number - current media playback position in seconds (optional)
+ * - onSeek: function(seconds: number) -> void - seek the media player (optional)
+ * - onUpdateSegments: async function(segments: Segment[], text: string) -> void - persist segment changes (optional)
+ * - onCreateQuote: async function({ text, start, end, speaker, tags }) -> void - create a quote from the selection (optional)
+ * - highlight: { key, offset, length, segmentIndexes } - a quote span in the full text to show (optional, see locateQuote)
  */
 export default function TranscriptEditor({
   transcript,
@@ -26,104 +57,547 @@ export default function TranscriptEditor({
   saving = false,
   error = "",
   onAppendSegment,
+  currentTime = null,
+  onSeek,
+  onUpdateSegments,
+  onCreateQuote,
+  highlight = null,
 }) {
-  const [localText, setLocalText] = useState(transcript?.text || "");
+  const segments = useMemo(() => transcript?.segments || [], [transcript?.segments]);
+  // Segment mode is chosen per transcript load so appending the first segment never hides the full text
+  const [segmentMode, setSegmentMode] = useState(segments.length > 0);
+  const [plainText, setPlainText] = useState(transcript?.text || "");
   const [dirty, setDirty] = useState(false);
-  const [selection, setSelection] = useState({ start: 0, end: 0, text: "" });
+  const [selection, setSelection] = useState(EMPTY_SELECTION);
   const [note, setNote] = useState("");
-  const textAreaRef = useRef(null);
+  const [follow, setFollow] = useState(true);
+  const [manualTiming, setManualTiming] = useState(null); // { start, end } strings when timing can't be inferred
+  const [selectedSegs, setSelectedSegs] = useState(() => new Set());
+  const [speakerBusy, setSpeakerBusy] = useState(false);
+  const [findOpen, setFindOpen] = useState(false);
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const [recoverable, setRecoverable] = useState(null); // local draft newer than the server copy
+  const [quoteDraft, setQuoteDraft] = useState(null); // { start, end, speaker, tags } strings for "Make Quote"
+  const [creatingQuote, setCreatingQuote] = useState(false);
+  const plainRef = useRef(null);
+  const textRefs = useRef([]);
+  const segmentRefs = useRef([]);
+  const baseUpdatedRef = useRef(null); // server updated_at the current draft is based on
 
   useEffect(() => {
-    setLocalText(transcript?.text || "");
+    setPlainText(transcript?.text || "");
+    setSegmentMode((transcript?.segments || []).length > 0);
     setDirty(false);
+    setSelection(EMPTY_SELECTION);
+    setSelectedSegs(new Set());
+    setHistory(EMPTY_HISTORY);
+    setRecoverable(null);
+    baseUpdatedRef.current = transcript?.updated_at || null;
+
+    // Offer to recover a local draft that is newer than what the server has
+    let active = true;
+    const id = transcript?.id;
+    loadDraft(id).then((draft) => {
+      if (!active || !draft) return;
+      if (isDraftNewer(draft, transcript)) setRecoverable(draft);
+      else clearDraft(id);
+    });
+    return () => {
+      active = false;
+    };
   }, [transcript?.id]); // eslint-disable-line react-hooks/exhaustive-deps
 
-  // Handle selection changes on the textarea
-  const updateSelection = () => {
-    const el = textAreaRef.current;
-    if (!el) return;
-    const start = el.selectionStart || 0;
-    const end = el.selectionEnd || 0;
-    const selText = (localText || "").slice(start, end);
-    setSelection({ start, end, text: selText });
-  };
+  // A save (or a version restore) returns a fresh updated_at from the server: nothing is pending anymore
+  useEffect(() => {
+    if ((transcript?.updated_at || null) === baseUpdatedRef.current) return;
+    baseUpdatedRef.current = transcript?.updated_at || null;
+    if (!segmentMode) setPlainText(transcript?.text || "");
+    setDirty(false);
+    clearDraft(transcript?.id);
+  }, [transcript?.updated_at]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const fullText = segmentMode ? joinSegments(segments) : plainText;
+
+  // Autosave unsaved edits locally (debounced) so a tab close or crash loses nothing
+  useEffect(() => {
+    if (!dirty || !transcript?.id) return undefined;
+    const timer = setTimeout(() => {
+      saveDraft(transcript.id, { text: fullText, segments, baseUpdatedAt: baseUpdatedRef.current });
+    }, DRAFT_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [dirty, fullText, segments, transcript?.id]);
+  const offsets = useMemo(() => segmentOffsets(segments), [segments]);
 
-  // Keyboard shortcuts
+  // Keyboard shortcuts (undo/redo go through a ref so the listener always sees the latest history)
+  const undoRedoRef = useRef({});
   useEffect(() => {
     const handler = async (e) => {
-      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === "s") {
+      if (!(e.metaKey || e.ctrlKey)) return;
+      const key = e.key.toLowerCase();
+      if (key === "s") {
         e.preventDefault();
         if (onSave) {
           await onSave();
         }
+      } else if (key === "z" || key === "y") {
+        e.preventDefault();
+        if (key === "y" || e.shiftKey) undoRedoRef.current.redo?.();
+        else undoRedoRef.current.undo?.();
       }
     };
     window.addEventListener("keydown", handler);
     return () => window.removeEventListener("keydown", handler);
   }, [onSave]);
 
-  const segments = transcript?.segments || [];
+  // Index of the segment under the playhead (-1 when between segments or no media)
+  const activeIndex = useMemo(() => {
+    if (typeof currentTime !== "number") return -1;
+    return segments.findIndex((s) => currentTime >= s.start && currentTime < s.end);
+  }, [segments, currentTime]);
+
+  // Keep the playing segment in view while following along
+  useEffect(() => {
+    if (!follow || activeIndex < 0) return;
+    const el = segmentRefs.current[activeIndex];
+    if (el && typeof el.scrollIntoView === "function") {
+      el.scrollIntoView({ block: "nearest", behavior: "smooth" });
+    }
+  }, [activeIndex, follow]);
+
+  // Bring a focused quote into view once per focus (not again while the transcript is edited)
+  const highlightKey = highlight?.key;
+  useEffect(() => {
+    if (!highlightKey || !highlight) return;
+    if (segmentMode) {
+      const el = segmentRefs.current[highlight.segmentIndexes[0]];
+      if (el && typeof el.scrollIntoView === "function") el.scrollIntoView({ block: "center" });
+    } else if (plainRef.current) {
+      plainRef.current.focus();
+      plainRef.current.setSelectionRange(highlight.offset, highlight.offset + highlight.length);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [highlightKey]);
+  const quotedSegments = new Set(highlight?.segmentIndexes || []);
+
+  /* ----- Editing ----- */
 
-  const onTextChange = (e) => {
-    const val = e.target.value;
-    setLocalText(val);
+  // Every edit goes through commit() so it lands on the undo stack as one command
+  const applyState = (state) => {
+    if (!segmentMode) setPlainText(state.text);
     setDirty(true);
-    if (onChange) onChange(val);
+    if (onChange) {
+      onChange({ text: segmentMode ? joinSegments(state.segments) : state.text, segments: state.segments });
+    }
   };
 
-  const doAppendSegment = async () => {
-    const txt = selection.text?.trim();
-    if (!txt) {
-      setNote("Select some text in the transcript to append as a segment.");
+  const commit = (label, next, key = null) => {
+    setHistory((h) => recordCommand(h, { label, key, before: { text: fullText, segments }, after: next }));
+    applyState(next);
+  };
+
+  const emitSegments = (next, label, key = null) => commit(label, { text: joinSegments(next), segments: next }, key);
+
+  const onPlainTextChange = (e) => commit("Edit text", { text: e.target.value, segments }, "plain-text");
+
+  const undo = () => {
+    const res = undoCommand(history);
+    if (!res) return;
+    setHistory(res.history);
+    setSelection(EMPTY_SELECTION);
+    applyState(res.state);
+    setNote(`Undid: ${res.command.label}.`);
+  };
+
+  const redo = () => {
+    const res = redoCommand(history);
+    if (!res) return;
+    setHistory(res.history);
+    setSelection(EMPTY_SELECTION);
+    applyState(res.state);
+    setNote(`Redid: ${res.command.label}.`);
+  };
+  undoRedoRef.current = { undo, redo };
+
+  const applyReplace = ({ text, segments: nextSegments, count, query }) => {
+    setSelection(EMPTY_SELECTION);
+    commit(`Replace “${query}”`, { text, segments: nextSegments });
+    setNote(`Replaced ${count} occurrence(s) of “${query}”.`);
+  };
+
+  const applyGlossaryFix = ({ text, segments: nextSegments }, message) => {
+    setSelection(EMPTY_SELECTION);
+    commit("Glossary fix", { text, segments: nextSegments });
+    setNote(message);
+  };
+
+  const recoverDraft = () => {
+    if (!recoverable) return;
+    const draftSegments = Array.isArray(recoverable.segments) ? recoverable.segments : segments;
+    if (!segmentMode && draftSegments.length && !segments.length) setSegmentMode(true);
+    commit("Recover local draft", { text: recoverable.text ?? "", segments: draftSegments });
+    setRecoverable(null);
+    setNote("Recovered your local draft. Save to keep it.");
+  };
+
+  const discardDraft = () => {
+    clearDraft(transcript?.id);
+    setRecoverable(null);
+  };
+
+  const onSegmentField = (idx, patch) => {
+    const field = Object.keys(patch)[0];
+    emitSegments(updateSegment(segments, idx, patch), `Edit segment ${idx + 1} ${field}`, `seg-${idx}-${field}`);
+  };
+
+  const onSegmentTime = (idx, field, e) => {
+    const seg = segments[idx];
+    const value = parseTime(e.target.value);
+    const next = { start: seg.start, end: seg.end, [field]: value };
+    if (value === null || !(next.end > next.start)) {
+      e.target.value = formatTimePrecise(seg[field]);
+      setNote("Invalid time. Use m:ss (e.g. 1:05.5); the end must be after the start.");
       return;
     }
-    // For MVP, convert character index range to a pseudo time range (seconds), or leave null.
-    // Here we store zero timing, focusing on text grouping.
+    if (value !== seg[field]) onSegmentField(idx, { [field]: value });
+  };
+
+  const doSplitAtCaret = (idx) => {
+    const caret = selection.segmentIndex === idx ? selection.localEnd : null;
+    const next = caret === null ? null : splitSegment(segments, idx, caret);
+    if (!next) {
+      setNote("Place the cursor inside the segment text where it should be split.");
+      return;
+    }
+    emitSegments(next, `Split segment ${idx + 1}`);
+    setSelection(EMPTY_SELECTION);
+    setSelectedSegs(new Set());
+    setNote(`Segment split at ${formatTime(next[idx].end)}.`);
+  };
+
+  const doMerge = (idx) => {
+    const next = mergeWithNext(segments, idx);
+    if (!next) return;
+    emitSegments(next, `Merge segments ${idx + 1} and ${idx + 2}`);
+    setSelection(EMPTY_SELECTION);
+    setSelectedSegs(new Set());
+    setNote(`Merged segments ${idx + 1} and ${idx + 2}.`);
+  };
+
+  const doRemove = (idx) => {
+    emitSegments(removeSegment(segments, idx), `Delete segment ${idx + 1}`);
+    setSelection(EMPTY_SELECTION);
+    setSelectedSegs(new Set());
+    setNote(`Removed segment ${idx + 1}.`);
+  };
+
+  /* ----- Selection ----- */
+
+  const updatePlainSelection = () => {
+    const el = plainRef.current;
+    if (!el) return;
+    const start = el.selectionStart || 0;
+    const end = el.selectionEnd || 0;
+    setSelection({ start, end, text: plainText.slice(start, end), segmentIndex: null, localStart: start, localEnd: end });
+  };
+
+  const updateSegmentSelection = (idx) => {
+    const el = textRefs.current[idx];
+    if (!el) return;
+    const localStart = el.selectionStart || 0;
+    const localEnd = el.selectionEnd || 0;
+    const base = offsets[idx] || 0;
+    setSelection({
+      start: base + localStart,
+      end: base + localEnd,
+      text: (segments[idx]?.text || "").slice(localStart, localEnd),
+      segmentIndex: idx,
+      localStart,
+      localEnd,
+    });
+  };
+
+  const clearSelection = () => {
+    const el = selection.segmentIndex === null ? plainRef.current : textRefs.current[selection.segmentIndex];
+    if (el) el.setSelectionRange(el.selectionEnd, el.selectionEnd); // collapse to end
+    setSelection(EMPTY_SELECTION);
+  };
+
+  // Timing the current selection maps to, inferred from segment word timings
+  const selectionRange = useMemo(
+    () => (selection.text ? inferTimeRange(fullText, segments, selection.start, selection.end) : null),
+    [fullText, segments, selection]
+  );
+
+  useEffect(() => {
+    setManualTiming(null);
+    setQuoteDraft(null);
+  }, [selection.start, selection.end]);
+
+  const toggleSegment = (idx) => {
+    setSelectedSegs((prev) => {
+      const next = new Set(prev);
+      if (next.has(idx)) next.delete(idx);
+      else next.add(idx);
+      return next;
+    });
+  };
+
+  // Speaker edits are persisted right away so diarization fixes are never lost
+  const applySpeakerChange = async (nextSegments, message) => {
+    if (!onUpdateSegments) return;
+    setSpeakerBusy(true);
+    const before = { text: fullText, segments };
+    const nextText = segmentMode ? joinSegments(nextSegments) : plainText;
+    try {
+      await onUpdateSegments(nextSegments, nextText);
+      setHistory((h) => recordCommand(h, { label: "Speaker change", before, after: { text: nextText, segments: nextSegments } }));
+      setNote(message);
+    } catch (e) {
+      setNote(e?.payload?.detail || e?.message || "Failed to update speakers.");
+    } finally {
+      setSpeakerBusy(false);
+    }
+  };
+
+  const appendSegment = async (payload) => {
+    const before = { text: fullText, segments };
     try {
       if (onAppendSegment) {
-        await onAppendSegment({ start: 0, end: Math.max(1, Math.round(txt.length / 8)), text: txt });
+        await onAppendSegment(payload);
       } else if (transcript?.id) {
-        await appendTranscriptSegment(transcript.id, {
-          start: 0,
-          end: Math.max(1, Math.round(txt.length / 8)),
-          text: txt,
-        });
+        await appendTranscriptSegment(transcript.id, payload);
       }
-      setNote("Segment appended.");
+      // The server keeps segments ordered by start; mirror that for the redo state
+      const after = [...segments, payload].sort((a, b) => (a.start ?? 0) - (b.start ?? 0));
+      setHistory((h) => recordCommand(h, { label: "Append segment", before, after: { text: fullText, segments: after } }));
+      setManualTiming(null);
+      setNote(`Segment appended (${formatTime(payload.start)} - ${formatTime(payload.end)}).`);
     } catch (e) {
       setNote(e?.payload?.detail || e?.message || "Failed to append segment.");
     }
   };
 
-  const selectionBadge = useMemo(() => {
-    if (!selection?.text) return null;
-    const length = selection.text.length;
-    return (
-      <div style={selectionBar}>
-        <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-          <span style={{ opacity: 0.85 }}>Selected</span>
-          <span style={chipSmall}>{length} chars</span>
-        </div>
-        <div style={{ display: "flex", gap: 8 }}>
-          <button onClick={doAppendSegment} style={miniPrimaryBtn} title="Add selection as a new segment">
-            ➕ Add as Segment
-          </button>
-          <button
-            onClick={() => {
-              const el = textAreaRef.current;
-              if (!el) return;
-              el.selectionStart = el.selectionEnd = el.selectionEnd; // collapse to end
-              setSelection({ start: el.selectionStart, end: el.selectionEnd, text: "" });
+  const doAppendSegment = async () => {
+    const txt = selection.text?.trim();
+    if (!txt) {
+      setNote("Select some text in the transcript to append as a segment.");
+      return;
+    }
+    if (!selectionRange) {
+      // No timed segment covers the selection: ask for explicit timing instead of guessing
+      setManualTiming({ start: "", end: "" });
+      setNote("Timing could not be inferred for this selection. Enter a start and end time.");
+      return;
+    }
+    await appendSegment({
+      start: selectionRange.start,
+      end: selectionRange.end,
+      text: txt,
+      ...(selectionRange.speaker ? { speaker: selectionRange.speaker } : {}),
+    });
+  };
+
+  const confirmManualTiming = async () => {
+    const txt = selection.text?.trim();
+    const start = parseTime(manualTiming?.start);
+    const end = parseTime(manualTiming?.end);
+    if (!txt) return;
+    if (start === null || end === null || end <= start) {
+      setNote("Enter a valid start and end time (e.g. 1:05 and 1:12). End must be after start.");
+      return;
+    }
+    await appendSegment({ start, end, text: txt });
+  };
+
+  // In segment mode the selection becomes its own segment by splitting around it
+  const doSplitOutSelection = () => {
+    const idx = selection.segmentIndex;
+    if (idx === null || !selection.text.trim()) return;
+    let next = segments;
+    const afterEnd = splitSegment(next, idx, selection.localEnd);
+    if (afterEnd) next = afterEnd;
+    const beforeStart = splitSegment(next, idx, selection.localStart);
+    if (beforeStart) next = beforeStart;
+    if (next === segments) {
+      setNote("The selection already covers the whole segment.");
+      return;
+    }
+    emitSegments(next, "Split out selection");
+    setSelection(EMPTY_SELECTION);
+    setSelectedSegs(new Set());
+    const created = next[beforeStart ? idx + 1 : idx];
+    setNote(`Selection split into its own segment (${formatTime(created.start)} - ${formatTime(created.end)}).`);
+  };
+
+  const openQuoteDraft = () => {
+    setManualTiming(null);
+    const seg = selection.segmentIndex !== null ? segments[selection.segmentIndex] : null;
+    setQuoteDraft({
+      start: selectionRange ? formatTimePrecise(selectionRange.start) : "",
+      end: selectionRange ? formatTimePrecise(selectionRange.end) : "",
+      speaker: selectionRange?.speaker || seg?.speaker || "",
+      tags: "",
+    });
+  };
+
+  const confirmQuote = async () => {
+    const txt = selection.text?.trim();
+    if (!txt || !quoteDraft || !onCreateQuote) return;
+    const start = quoteDraft.start.trim() ? parseTime(quoteDraft.start) : null;
+    const end = quoteDraft.end.trim() ? parseTime(quoteDraft.end) : null;
+    if ((quoteDraft.start.trim() && start === null) || (quoteDraft.end.trim() && end === null)) {
+      setNote("Enter times as m:ss (e.g. 1:05.5), or leave them empty.");
+      return;
+    }
+    if (start !== null && end !== null && end <= start) {
+      setNote("The quote end must be after its start.");
+      return;
+    }
+    const tags = quoteDraft.tags
+      .split(",")
+      .map((t) => t.trim().replace(/^#/, ""))
+      .filter(Boolean);
+    setCreatingQuote(true);
+    try {
+      await onCreateQuote({ text: txt, start, end, speaker: quoteDraft.speaker.trim() || null, tags });
+      setQuoteDraft(null);
+      setNote("Quote created from the selection.");
+    } catch (e) {
+      setNote(e?.payload?.detail || e?.message || "Failed to create quote.");
+    } finally {
+      setCreatingQuote(false);
+    }
+  };
+
+  const selectionBadge = !selection?.text ? null : (
+    <div style={selectionBar}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+        <span style={{ opacity: 0.85 }}>Selected</span>
+        <span style={chipSmall}>{selection.text.length} chars</span>
+        {selectionRange && (
+          <span style={chipSmall} title="Inferred from segment timings">
+            ≈ {formatTime(selectionRange.start)} - {formatTime(selectionRange.end)}
+          </span>
+        )}
+      </div>
+      {quoteDraft ? (
+        <div style={{ display: "flex", alignItems: "center", gap: 8, flexWrap: "wrap" }}>
+          <input
+            aria-label="Quote start time"
+            placeholder="start (m:ss)"
+            value={quoteDraft.start}
+            onChange={(e) => setQuoteDraft((prev) => ({ ...prev, start: e.target.value }))}
+            style={timeInput}
+          />
+          <input
+            aria-label="Quote end time"
+            placeholder="end (m:ss)"
+            value={quoteDraft.end}
+            onChange={(e) => setQuoteDraft((prev) => ({ ...prev, end: e.target.value }))}
+            style={timeInput}
+          />
+          <input
+            aria-label="Quote speaker"
+            placeholder="Speaker"
+            value={quoteDraft.speaker}
+            onChange={(e) => setQuoteDraft((prev) => ({ ...prev, speaker: e.target.value }))}
+            list="segment-speakers"
+            style={speakerInput}
+          />
+          <input
+            aria-label="Quote tags"
+            placeholder="tags, comma separated"
+            value={quoteDraft.tags}
+            onChange={(e) => setQuoteDraft((prev) => ({ ...prev, tags: e.target.value }))}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") confirmQuote();
             }}
-            style={miniGhostBtn}
-            title="Clear selection"
+            style={speakerInput}
+          />
+          <button
+            onClick={confirmQuote}
+            disabled={creatingQuote}
+            style={{ ...miniPrimaryBtn, ...(creatingQuote ? btnDisabled : {}) }}
+            aria-busy={creatingQuote ? "true" : undefined}
           >
+            {creatingQuote ? "Creating…" : "✔ Create Quote"}
+          </button>
+          <button onClick={() => setQuoteDraft(null)} style={miniGhostBtn} title="Cancel">
+            Cancel
+          </button>
+        </div>
+      ) : manualTiming ? (
+        <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
+          <input
+            aria-label="Segment start time"
+            placeholder="start (m:ss)"
+            value={manualTiming.start}
+            onChange={(e) => setManualTiming((prev) => ({ ...prev, start: e.target.value }))}
+            style={timeInput}
+          />
+          <input
+            aria-label="Segment end time"
+            placeholder="end (m:ss)"
+            value={manualTiming.end}
+            onChange={(e) => setManualTiming((prev) => ({ ...prev, end: e.target.value }))}
+            style={timeInput}
+          />
+          <button onClick={confirmManualTiming} style={miniPrimaryBtn} title="Append with these timings">
+            ✔ Append
+          </button>
+          <button onClick={() => setManualTiming(null)} style={miniGhostBtn} title="Cancel">
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <div style={{ display: "flex", gap: 8 }}>
+          {segmentMode ? (
+            <button onClick={doSplitOutSelection} style={miniPrimaryBtn} title="Split the selection into its own segment">
+              ✂️ Split out as Segment
+            </button>
+          ) : (
+            <button onClick={doAppendSegment} style={miniPrimaryBtn} title="Add selection as a new segment">
+              ➕ Add as Segment
+            </button>
+          )}
+          {onCreateQuote && (
+            <button onClick={openQuoteDraft} style={miniGhostBtn} title="Create a quote from the selection">
+              💬 Make Quote
+            </button>
+          )}
+          <button onClick={clearSelection} style={miniGhostBtn} title="Clear selection">
             ✖ Clear
           </button>
         </div>
-      </div>
+      )}
+    </div>
+  );
+
+  const renderTimeBadge = (s) =>
+    onSeek ? (
+      <button
+        type="button"
+        onClick={() => onSeek(s.start)}
+        style={{ ...segmentBadge, border: "none", cursor: "pointer" }}
+        title={`Play from ${formatTime(s.start)}`}
+      >
+        ▶ {formatTime(s.start)}
+      </button>
+    ) : (
+      <span style={segmentBadge}>
+        {formatTime(s.start)} - {formatTime(s.end)}
+      </span>
+    );
+
+  const renderSelectBox = (idx) =>
+    onUpdateSegments && (
+      <input
+        type="checkbox"
+        checked={selectedSegs.has(idx)}
+        onChange={() => toggleSegment(idx)}
+        aria-label={`Select segment ${idx + 1}`}
+      />
     );
-  }, [selection]);
 
   return (
     <div style={wrapStyle}>
@@ -134,6 +608,32 @@ export default function TranscriptEditor({
           {dirty && <span style={{ ...chipSmall, background: "#FFB020", color: "#0b0b0b" }}>Unsaved</span>}
         </div>
         <div style={{ display: "flex", gap: 8 }}>
+          <button
+            onClick={undo}
+            disabled={!history.past.length}
+            style={{ ...ghostBtn, ...(!history.past.length ? btnDisabled : {}) }}
+            title={history.past.length ? `Undo: ${history.past[history.past.length - 1].label}` : "Nothing to undo"}
+            aria-label="Undo"
+          >
+            ↶
+          </button>
+          <button
+            onClick={redo}
+            disabled={!history.future.length}
+            style={{ ...ghostBtn, ...(!history.future.length ? btnDisabled : {}) }}
+            title={history.future.length ? `Redo: ${history.future[0].label}` : "Nothing to redo"}
+            aria-label="Redo"
+          >
+            ↷
+          </button>
+          <button
+            onClick={() => setFindOpen((v) => !v)}
+            style={ghostBtn}
+            aria-pressed={findOpen ? "true" : "false"}
+            title="Find and replace"
+          >
+            🔎 Find & Replace
+          </button>
           <button
             onClick={onSave}
             disabled={saving || !dirty}
@@ -154,62 +654,239 @@ export default function TranscriptEditor({
         </div>
       )}
 
+      {recoverable && (
+        <div role="alert" style={draftBanner}>
+          <span>
+            You have unsaved changes from {new Date(recoverable.saved_at).toLocaleString()} stored on this device.
+          </span>
+          <div style={{ display: "flex", gap: 8 }}>
+            <button onClick={recoverDraft} style={miniPrimaryBtn}>
+              Restore draft
+            </button>
+            <button onClick={discardDraft} style={miniGhostBtn}>
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
+      {findOpen && (
+        <FindReplaceBar
+          text={fullText}
+          segments={segments}
+          previewSegments={segmentMode}
+          onApply={applyReplace}
+          onUndo={undo}
+          canUndo={history.past.length > 0}
+          onClose={() => setFindOpen(false)}
+        />
+      )}
+
       {selectionBadge}
 
-      <div style={editorWrap}>
-        <div style={leftCol}>
-          <label htmlFor="transcript-editor" style={labelStyle}>
-            Full Text
-          </label>
-          <textarea
-            id="transcript-editor"
-            ref={textAreaRef}
-            value={localText}
-            onChange={onTextChange}
-            onSelect={updateSelection}
-            onKeyUp={updateSelection}
-            placeholder="Transcript text will appear here. Edit inline..."
-            style={textAreaStyle}
-          />
-          {!!note && <div style={noteStyle}>{note}</div>}
-          <div style={hintStyle}>Tip: Use Ctrl/Cmd+S to save quickly.</div>
-        </div>
+      {onUpdateSegments && segments.length > 0 && (
+        <SpeakerPanel
+          segments={segments}
+          selectedIndexes={Array.from(selectedSegs).sort((a, b) => a - b)}
+          onApply={applySpeakerChange}
+          onClearSelection={() => setSelectedSegs(new Set())}
+          busy={speakerBusy || saving}
+        />
+      )}
 
-        <div style={rightCol}>
-          <div style={segmentsHeader}>
-            <div style={{ fontWeight: 800 }}>Segments</div>
-            <div style={{ fontSize: 12, opacity: 0.75 }}>{segments.length} items</div>
-          </div>
-          <div style={segmentsList}>
-            {segments.length === 0 && (
-              <div style={emptySeg}>
-                No segments yet. Select part of the text and click “Add as Segment”.
+      <GlossaryPanel text={fullText} segments={segments} previewSegments={segmentMode} onApply={applyGlossaryFix} />
+
+      {segmentMode ? (
+        <div style={editorWrap} className="te-grid">
+          <div style={{ ...leftCol, ...scrollCol }}>
+            <div style={segmentsHeader}>
+              <div style={{ fontWeight: 800 }}>Segments</div>
+              <div style={{ display: "flex", alignItems: "center", gap: 10, fontSize: 12 }}>
+                {onSeek && (
+                  <label style={{ display: "flex", alignItems: "center", gap: 4, opacity: 0.85 }}>
+                    <input type="checkbox" checked={follow} onChange={(e) => setFollow(e.target.checked)} />
+                    Follow playback
+                  </label>
+                )}
+                <span style={{ opacity: 0.75 }}>{segments.length} items</span>
               </div>
-            )}
-            {segments.map((s, idx) => (
-              <div key={idx} style={segmentItem}>
-                <div style={segmentTop}>
-                  <span style={segmentBadge}>
-                    {formatTime(s.start)} - {formatTime(s.end)}
-                  </span>
-                  {s.speaker && <span style={{ ...chipSmall, marginLeft: "auto" }}>{s.speaker}</span>}
+            </div>
+            <div style={segmentsList}>
+              {segments.length === 0 && <div style={emptySeg}>All segments were removed.</div>}
+              {segments.map((s, idx) => (
+                <div
+                  key={idx}
+                  ref={(el) => {
+                    segmentRefs.current[idx] = el;
+                  }}
+                  style={{
+                    ...segmentItem,
+                    ...(quotedSegments.has(idx) ? segmentQuoted : {}),
+                    ...(idx === activeIndex ? segmentActive : {}),
+                  }}
+                  aria-current={idx === activeIndex ? "true" : undefined}
+                >
+                  <div style={{ ...segmentTop, flexWrap: "wrap" }}>
+                    {renderSelectBox(idx)}
+                    {renderTimeBadge(s)}
+                    <input
+                      key={`start-${idx}-${s.start}`}
+                      defaultValue={formatTimePrecise(s.start)}
+                      onBlur={(e) => onSegmentTime(idx, "start", e)}
+                      aria-label={`Segment ${idx + 1} start`}
+                      style={segTimeInput}
+                    />
+                    <span style={{ opacity: 0.6 }}>–</span>
+                    <input
+                      key={`end-${idx}-${s.end}`}
+                      defaultValue={formatTimePrecise(s.end)}
+                      onBlur={(e) => onSegmentTime(idx, "end", e)}
+                      aria-label={`Segment ${idx + 1} end`}
+                      style={segTimeInput}
+                    />
+                    <input
+                      value={s.speaker || ""}
+                      onChange={(e) => onSegmentField(idx, { speaker: e.target.value })}
+                      placeholder="Speaker"
+                      list="segment-speakers"
+                      aria-label={`Segment ${idx + 1} speaker`}
+                      style={speakerInput}
+                    />
+                    <div style={segActions}>
+                      <button
+                        type="button"
+                        onClick={() => doSplitAtCaret(idx)}
+                        style={iconBtn}
+                        title="Split at cursor"
+                        aria-label={`Split segment ${idx + 1} at cursor`}
+                      >
+                        ✂️
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => doMerge(idx)}
+                        disabled={idx === segments.length - 1}
+                        style={{ ...iconBtn, ...(idx === segments.length - 1 ? btnDisabled : {}) }}
+                        title="Merge with next segment"
+                        aria-label={`Merge segment ${idx + 1} with next`}
+                      >
+                        ⤓
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => doRemove(idx)}
+                        style={iconBtn}
+                        title="Delete segment"
+                        aria-label={`Delete segment ${idx + 1}`}
+                      >
+                        🗑
+                      </button>
+                    </div>
+                  </div>
+                  <textarea
+                    ref={(el) => {
+                      textRefs.current[idx] = el;
+                    }}
+                    value={s.text || ""}
+                    onChange={(e) => onSegmentField(idx, { text: e.target.value })}
+                    onSelect={() => updateSegmentSelection(idx)}
+                    onKeyUp={() => updateSegmentSelection(idx)}
+                    rows={Math.max(2, Math.ceil((s.text || "").length / 90))}
+                    aria-label={`Segment ${idx + 1} text`}
+                    style={segTextArea}
+                  />
                 </div>
-                <div style={segmentText}>{s.text}</div>
-              </div>
+              ))}
+            </div>
+            {!!note && <div style={noteStyle}>{note}</div>}
+            <div style={hintStyle}>Tip: Use Ctrl/Cmd+S to save quickly. Place the cursor in a segment and ✂️ to split.</div>
+          </div>
+
+          <div style={rightCol}>
+            <div style={segmentsHeader}>
+              <div style={{ fontWeight: 800 }}>Full Text</div>
+              <div style={{ fontSize: 12, opacity: 0.75 }}>derived from segments</div>
+            </div>
+            <div style={fullTextPreview}>
+              {highlight && highlight.offset + highlight.length <= fullText.length ? (
+                <>
+                  {fullText.slice(0, highlight.offset)}
+                  <mark style={quoteMark}>{fullText.slice(highlight.offset, highlight.offset + highlight.length)}</mark>
+                  {fullText.slice(highlight.offset + highlight.length)}
+                </>
+              ) : (
+                fullText || "—"
+              )}
+            </div>
+          </div>
+          <datalist id="segment-speakers">
+            {Array.from(new Set(segments.map((s) => s.speaker).filter(Boolean))).map((name) => (
+              <option key={name} value={name} />
             ))}
+          </datalist>
+        </div>
+      ) : (
+        <div style={editorWrap} className="te-grid">
+          <div style={leftCol}>
+            <label htmlFor="transcript-editor" style={labelStyle}>
+              Full Text
+            </label>
+            <textarea
+              id="transcript-editor"
+              ref={plainRef}
+              value={plainText}
+              onChange={onPlainTextChange}
+              onSelect={updatePlainSelection}
+              onKeyUp={updatePlainSelection}
+              placeholder="Transcript text will appear here. Edit inline..."
+              style={textAreaStyle}
+            />
+            {!!note && <div style={noteStyle}>{note}</div>}
+            <div style={hintStyle}>Tip: Use Ctrl/Cmd+S to save quickly.</div>
+          </div>
+
+          <div style={rightCol}>
+            <div style={segmentsHeader}>
+              <div style={{ fontWeight: 800 }}>Segments</div>
+              <div style={{ fontSize: 12, opacity: 0.75 }}>{segments.length} items</div>
+            </div>
+            <div style={segmentsList}>
+              {segments.length === 0 && (
+                <div style={emptySeg}>
+                  No segments yet. Select part of the text and click “Add as Segment”.
+                </div>
+              )}
+              {segments.map((s, idx) => (
+                <div
+                  key={idx}
+                  ref={(el) => {
+                    segmentRefs.current[idx] = el;
+                  }}
+                  style={{
+                    ...segmentItem,
+                    ...(quotedSegments.has(idx) ? segmentQuoted : {}),
+                    ...(idx === activeIndex ? segmentActive : {}),
+                  }}
+                  aria-current={idx === activeIndex ? "true" : undefined}
+                >
+                  <div style={segmentTop}>
+                    {renderSelectBox(idx)}
+                    {renderTimeBadge(s)}
+                    {s.speaker && <span style={{ ...chipSmall, marginLeft: "auto" }}>{s.speaker}</span>}
+                  </div>
+                  <div style={segmentText}>{s.text}</div>
+                </div>
+              ))}
+            </div>
           </div>
         </div>
-      </div>
+      )}
     </div>
   );
 }
 
-function formatTime(t) {
-  if (typeof t !== "number" || Number.isNaN(t)) return "0:00";
-  const m = Math.floor(t / 60);
-  const s = Math.floor(t % 60);
-  return `${m}:${s.toString().padStart(2, "0")}`;
-}
+const EMPTY_SELECTION = { start: 0, end: 0, text: "", segmentIndex: null, localStart: 0, localEnd: 0 };
+const DRAFT_DEBOUNCE_MS = 800;
 
 // Styles
 const wrapStyle = {
@@ -268,6 +945,79 @@ const textAreaStyle = {
   fontFamily: "inherit",
 };
 
+const scrollCol = {
+  maxHeight: 640,
+  overflow: "auto",
+};
+
+const quoteMark = {
+  background: "rgba(255,176,32,0.35)",
+  color: "inherit",
+  borderRadius: 3,
+  padding: "0 1px",
+};
+
+const segmentQuoted = {
+  borderColor: "rgba(255,176,32,0.9)",
+  boxShadow: "0 0 0 2px rgba(255,176,32,0.25)",
+};
+
+const fullTextPreview = {
+  whiteSpace: "pre-wrap",
+  lineHeight: 1.55,
+  fontSize: 13,
+  opacity: 0.85,
+};
+
+const segTextArea = {
+  width: "100%",
+  padding: 8,
+  borderRadius: 10,
+  border: "1px solid var(--border-color)",
+  resize: "vertical",
+  background: "transparent",
+  color: "var(--text-primary)",
+  lineHeight: 1.5,
+  fontFamily: "inherit",
+  boxSizing: "border-box",
+};
+
+const segTimeInput = {
+  width: 64,
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "3px 6px",
+  fontSize: 12,
+};
+
+const speakerInput = {
+  width: 140,
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 999,
+  padding: "3px 10px",
+  fontSize: 12,
+};
+
+const segActions = {
+  display: "flex",
+  gap: 4,
+  marginLeft: "auto",
+};
+
+const iconBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "3px 7px",
+  cursor: "pointer",
+  fontSize: 12,
+};
+
 const segmentsHeader = {
   display: "flex",
   alignItems: "center",
@@ -296,6 +1046,12 @@ const segmentItem = {
   background: "linear-gradient(180deg, rgba(255,255,255,0.02), rgba(255,255,255,0.04))",
 };
 
+const segmentActive = {
+  borderColor: "rgba(97,218,251,0.9)",
+  boxShadow: "0 0 0 2px rgba(97,218,251,0.25)",
+  background: "linear-gradient(180deg, rgba(97,218,251,0.10), rgba(97,218,251,0.04))",
+};
+
 const segmentTop = {
   display: "flex",
   alignItems: "center",
@@ -361,6 +1117,29 @@ const ctaBtn = {
   boxShadow: "0 6px 18px rgba(0,0,0,0.08)",
 };
 
+const draftBanner = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  gap: 10,
+  flexWrap: "wrap",
+  padding: "10px 12px",
+  border: "1px solid rgba(255,176,32,0.6)",
+  background: "rgba(255,176,32,0.08)",
+  borderRadius: 12,
+  fontSize: 13,
+};
+
+const ghostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 10,
+  padding: "10px 14px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
 const miniPrimaryBtn = {
   background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
   color: "#0b0b0b",
@@ -382,6 +1161,15 @@ const miniGhostBtn = {
   cursor: "pointer",
 };
 
+const timeInput = {
+  width: 90,
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "5px 8px",
+};
+
 const btnDisabled = {
   opacity: 0.5,
   cursor: "not-allowed",
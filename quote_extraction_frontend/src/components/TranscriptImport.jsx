@@ -0,0 +1,344 @@
+import React, { useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { createTranscript } from "../api/client";
+import { IMPORT_EXTENSIONS, parseTranscriptFile } from "../utils/transcriptImport";
+import { assetLabel } from "../utils/scope";
+import { formatTime } from "../utils/transcriptTiming";
+
+const PREVIEW_SEGMENTS = 5;
+
+/**
+ * TranscriptImport
+ * Creates a transcript from an existing caption or transcript file, without uploading media:
+ * - Choose or drop an .srt, .vtt, .txt or .json file; it is parsed in the browser
+ * - Preview of the first segments with their timings and speakers, the segment count, speakers
+ *   and duration, plus anything that was fixed or is missing (a file with errors can't be imported)
+ * - Title, language and an optional episode (asset) to link the transcript to
+ * - API integration with createTranscript; links to the new transcript once created
+ *
+ * Props:
+ * - assets: [{ id, filename?, title?, show? }] - episodes the transcript can be linked to
+ * - onImported: function(transcript) -> void
+ */
+export default function TranscriptImport({ assets = [], onImported }) {
+  const inputRef = useRef(null);
+  const [dragActive, setDragActive] = useState(false);
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null); // see parseTranscriptFile
+  const [title, setTitle] = useState("");
+  const [language, setLanguage] = useState("en");
+  const [assetId, setAssetId] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+  const [created, setCreated] = useState(null);
+
+  const readFile = async (file) => {
+    if (!file) return;
+    setError("");
+    setCreated(null);
+    try {
+      const content = await file.text();
+      setFileName(file.name);
+      setParsed(parseTranscriptFile(file.name, content));
+      setTitle(file.name.replace(/\.[^.]+$/, ""));
+    } catch (e) {
+      setParsed(null);
+      setError(e?.message || "Failed to read the file.");
+    }
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragActive(false);
+    readFile(e.dataTransfer?.files?.[0]);
+  };
+
+  const reset = () => {
+    setFileName("");
+    setParsed(null);
+    setTitle("");
+    setAssetId("");
+    setError("");
+    if (inputRef.current) inputRef.current.value = "";
+  };
+
+  const blocked = !parsed || parsed.problems.some((p) => p.level === "error");
+
+  const onImport = async () => {
+    if (blocked || saving) return;
+    setSaving(true);
+    setError("");
+    try {
+      const res = await createTranscript({
+        title: title.trim() || fileName,
+        language: language.trim() || undefined,
+        asset_id: assetId || undefined,
+        text: parsed.text,
+        segments: parsed.segments,
+        source: "import",
+        source_filename: fileName,
+      });
+      const transcript = res?.transcript || res;
+      setCreated(transcript);
+      reset();
+      if (onImported) onImported(transcript);
+    } catch (e) {
+      setError(e?.payload?.detail || e?.message || "Failed to import transcript.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={wrapStyle}>
+      <div style={{ fontWeight: 700, letterSpacing: 0.3 }}>Import an existing transcript</div>
+      <div style={hintStyle}>
+        Already have captions or a transcript? Import SRT, WebVTT, plain text or JSON instead of uploading media.
+        Plain text needs a timestamp such as [1:05] at the start of each paragraph.
+      </div>
+
+      <div
+        style={{ ...dropStyle, ...(dragActive ? dropActiveStyle : {}) }}
+        onDrop={onDrop}
+        onDragOver={(e) => {
+          e.preventDefault();
+          if (!dragActive) setDragActive(true);
+        }}
+        onDragLeave={() => setDragActive(false)}
+        onClick={() => inputRef.current?.click()}
+        role="button"
+        tabIndex={0}
+        aria-label="Choose a transcript file to import"
+        onKeyDown={(e) => {
+          if (e.key === "Enter" || e.key === " ") inputRef.current?.click();
+        }}
+      >
+        📄 {fileName ? <strong>{fileName}</strong> : <>Drop a transcript file here or <strong>browse</strong></>}
+        <input
+          ref={inputRef}
+          type="file"
+          accept={IMPORT_EXTENSIONS.join(",")}
+          onChange={(e) => readFile(e.target.files?.[0])}
+          style={{ display: "none" }}
+        />
+      </div>
+
+      {parsed && (
+        <>
+          <div style={summaryStyle}>
+            <span>{parsed.format.toUpperCase()}</span>
+            <span>
+              {parsed.segments.length} segment{parsed.segments.length === 1 ? "" : "s"}
+            </span>
+            {parsed.duration !== null && <span>⏱ {formatTime(parsed.duration)}</span>}
+            <span>{parsed.speakers.length ? `🎙 ${parsed.speakers.join(", ")}` : "No speakers"}</span>
+          </div>
+
+          {parsed.problems.length > 0 && (
+            <ul style={problemList}>
+              {parsed.problems.map((p) => (
+                <li key={p.message} style={{ color: p.level === "error" ? "#EF4444" : "#F59E0B" }}>
+                  {p.level === "error" ? "✖" : "⚠"} {p.message}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {parsed.segments.length > 0 && (
+            <ol style={previewList}>
+              {parsed.segments.slice(0, PREVIEW_SEGMENTS).map((s, i) => (
+                <li key={i} style={previewRow}>
+                  <span style={previewMeta}>
+                    {s.start !== null ? formatTime(s.start) : "—"}
+                    {s.speaker ? ` • ${s.speaker}` : ""}
+                  </span>
+                  <span>{s.text}</span>
+                </li>
+              ))}
+              {parsed.segments.length > PREVIEW_SEGMENTS && (
+                <li style={{ ...previewMeta, listStyle: "none" }}>
+                  …and {parsed.segments.length - PREVIEW_SEGMENTS} more
+                </li>
+              )}
+            </ol>
+          )}
+
+          <div style={fieldsRow}>
+            <label style={fieldLabel}>
+              Title
+              <input value={title} onChange={(e) => setTitle(e.target.value)} style={inputStyle} />
+            </label>
+            <label style={{ ...fieldLabel, flex: "0 0 90px" }}>
+              Language
+              <input value={language} onChange={(e) => setLanguage(e.target.value)} style={inputStyle} />
+            </label>
+            <label style={fieldLabel}>
+              Episode
+              <select value={assetId} onChange={(e) => setAssetId(e.target.value)} style={inputStyle}>
+                <option value="">Not linked</option>
+                {assets.map((a) => (
+                  <option key={a.id} value={a.id}>
+                    {assetLabel(a)}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div style={{ display: "flex", gap: 10 }}>
+            <button
+              onClick={onImport}
+              disabled={blocked || saving}
+              style={{ ...primaryBtn, ...(blocked || saving ? btnDisabled : {}) }}
+            >
+              {saving ? "Importing…" : "Import transcript"}
+            </button>
+            <button onClick={reset} disabled={saving} style={ghostBtn}>
+              Clear
+            </button>
+          </div>
+        </>
+      )}
+
+      {created?.id && (
+        <div role="status" style={hintStyle}>
+          Transcript imported.{" "}
+          <Link to={`/transcript?transcript=${encodeURIComponent(created.id)}`} style={linkStyle}>
+            Open transcript →
+          </Link>
+        </div>
+      )}
+      {!!error && (
+        <div role="alert" style={{ fontSize: 13, color: "#EF4444" }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const wrapStyle = {
+  marginTop: 18,
+  padding: 14,
+  borderRadius: 12,
+  border: "1px solid var(--border-color)",
+  background: "var(--bg-secondary)",
+  display: "flex",
+  flexDirection: "column",
+  gap: 10,
+};
+
+const hintStyle = {
+  fontSize: 13,
+  opacity: 0.8,
+};
+
+const dropStyle = {
+  border: "2px dashed var(--border-color)",
+  borderRadius: 10,
+  padding: "14px 12px",
+  textAlign: "center",
+  fontSize: 13,
+  cursor: "pointer",
+  transition: "all 0.25s ease",
+};
+
+const dropActiveStyle = {
+  borderColor: "rgba(97,218,251,0.75)",
+  boxShadow: "0 0 0 4px rgba(97,218,251,0.15) inset",
+};
+
+const summaryStyle = {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: "4px 16px",
+  fontSize: 12,
+  fontWeight: 700,
+  opacity: 0.85,
+};
+
+const problemList = {
+  listStyle: "none",
+  margin: 0,
+  padding: 0,
+  display: "flex",
+  flexDirection: "column",
+  gap: 2,
+  fontSize: 12,
+};
+
+const previewList = {
+  margin: 0,
+  paddingLeft: 18,
+  display: "flex",
+  flexDirection: "column",
+  gap: 6,
+  fontSize: 13,
+};
+
+const previewRow = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 2,
+};
+
+const previewMeta = {
+  fontSize: 11,
+  opacity: 0.7,
+};
+
+const fieldsRow = {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: 10,
+};
+
+const fieldLabel = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 4,
+  flex: "1 1 180px",
+  fontSize: 12,
+  fontWeight: 700,
+};
+
+const inputStyle = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 8px",
+  fontSize: 13,
+};
+
+const primaryBtn = {
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  color: "#0b0b0b",
+  border: "none",
+  borderRadius: 10,
+  padding: "8px 14px",
+  fontWeight: 800,
+  cursor: "pointer",
+};
+
+const ghostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 10,
+  padding: "8px 14px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
+const btnDisabled = {
+  opacity: 0.5,
+  cursor: "not-allowed",
+};
+
+const linkStyle = {
+  color: "var(--text-secondary)",
+  fontWeight: 700,
+  textDecoration: "none",
+};
@@ -0,0 +1,460 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import QuoteItem from "./QuoteItem";
+import MediaPlayer from "./MediaPlayer";
+import { getAsset, getAssetMediaUrl, getTranscript } from "../api/client";
+import { segmentsAround } from "../utils/segments";
+import { formatTime } from "../utils/transcriptTiming";
+import { assetLabel, transcriptLabel } from "../utils/scope";
+
+/**
+ * TriageMode
+ * Focused, keyboard-driven review of one quote at a time:
+ * - The quote card (naming its episode) with its surrounding transcript segments
+ * - A = approve, R = reject (both move on), J / K = next / previous, T = tag, E = edit, Esc = leave
+ * - Progress counter and session stats (approved, rejected, skipped, tagged, edited); a quote
+ *   decided again after going back counts once, with its latest decision
+ * - Source media seeks to the quote's start when the asset is playable
+ *
+ * Props:
+ * - queueIds: string[] - quotes to review, in order (fixed when triage starts)
+ * - quotes: Quote[] - current quote objects, so edits and decisions show up immediately
+ * - onApprove, onReject: async function(id) -> void - reject when the change wasn't saved; triage
+ *   then shows the error and stays on the quote
+ * - onSave: async function(id, patch) -> void - rejects like onApprove
+ * - tagSuggestions: string[]
+ * - speakerSuggestions: string[]
+ * - onExit: function() -> void
+ */
+export default function TriageMode({
+  queueIds = [],
+  quotes = [],
+  onApprove,
+  onReject,
+  onSave,
+  tagSuggestions = [],
+  speakerSuggestions = [],
+  onExit,
+}) {
+  const [queue] = useState(queueIds);
+  const [index, setIndex] = useState(0);
+  const [decisions, setDecisions] = useState({}); // quote id -> "approved" | "rejected" | "skipped"
+  const [actions, setActions] = useState({ tagged: 0, edited: 0 });
+  const [editing, setEditing] = useState(false);
+  const [tagging, setTagging] = useState(false);
+  const [tagInput, setTagInput] = useState("");
+  const [error, setError] = useState("");
+
+  // Transcripts and assets are cached by id; most queues come from one or two recordings
+  const [transcripts, setTranscripts] = useState({});
+  const [assets, setAssets] = useState({});
+  const playerRef = useRef(null);
+
+  const byId = useMemo(() => new Map(quotes.map((q) => [q.id, q])), [quotes]);
+  const done = index >= queue.length;
+  const quote = done ? null : byId.get(queue[index]) || null;
+  const transcript = quote?.transcript_id ? transcripts[quote.transcript_id] : null;
+  const asset = transcript?.asset_id ? assets[transcript.asset_id] : null;
+  const mediaUrl = asset ? getAssetMediaUrl(asset) : null;
+  const episode = asset ? assetLabel(asset) : transcriptLabel(transcript);
+
+  const transcriptId = quote?.transcript_id;
+  useEffect(() => {
+    if (!transcriptId || transcripts[transcriptId] !== undefined) return;
+    let active = true;
+    (async () => {
+      try {
+        const res = await getTranscript(transcriptId);
+        if (active) setTranscripts((prev) => ({ ...prev, [transcriptId]: res?.transcript || res }));
+      } catch {
+        // Context is a nice-to-have; remember the miss so it is not retried for every quote
+        if (active) setTranscripts((prev) => ({ ...prev, [transcriptId]: null }));
+      }
+    })();
+    return () => {
+      active = false;
+    };
+  }, [transcriptId, transcripts]);
+
+  const assetId = transcript?.asset_id;
+  useEffect(() => {
+    if (!assetId || assets[assetId] !== undefined) return;
+    let active = true;
+    (async () => {
+      try {
+        const res = await getAsset(assetId);
+        if (active) setAssets((prev) => ({ ...prev, [assetId]: res?.asset || res }));
+      } catch {
+        if (active) setAssets((prev) => ({ ...prev, [assetId]: null }));
+      }
+    })();
+    return () => {
+      active = false;
+    };
+  }, [assetId, assets]);
+
+  // Park the media at the quote's start whenever the quote (or the player) changes
+  const quoteStart = quote?.start;
+  useEffect(() => {
+    if (mediaUrl && typeof quoteStart === "number") playerRef.current?.seek(quoteStart, { play: false });
+  }, [quoteStart, mediaUrl, index]);
+
+  const stats = useMemo(() => {
+    const counts = { approved: 0, rejected: 0, skipped: 0, ...actions };
+    Object.values(decisions).forEach((kind) => {
+      counts[kind] += 1;
+    });
+    return counts;
+  }, [decisions, actions]);
+
+  const bump = (key) => setActions((prev) => ({ ...prev, [key]: prev[key] + 1 }));
+  const record = (id, kind) => setDecisions((prev) => ({ ...prev, [id]: kind }));
+
+  const go = (delta) => {
+    setEditing(false);
+    setTagging(false);
+    setError("");
+    setIndex((i) => Math.min(queue.length, Math.max(0, i + delta)));
+  };
+
+  const decide = async (kind) => {
+    if (!quote) return;
+    setError("");
+    try {
+      await (kind === "approved" ? onApprove : onReject)(quote.id);
+      record(quote.id, kind);
+      go(1);
+    } catch (e) {
+      setError(e?.payload?.detail || e?.message || "Failed to update quote.");
+    }
+  };
+
+  const skip = () => {
+    if (!quote) return;
+    // Skipping past an approved or rejected quote keeps its decision
+    if (!decisions[quote.id]) record(quote.id, "skipped");
+    go(1);
+  };
+
+  const addTag = async () => {
+    const tag = tagInput.trim().replace(/^#/, "");
+    if (!quote || !tag) return;
+    setError("");
+    try {
+      if (!(quote.tags || []).includes(tag)) {
+        await onSave(quote.id, { tags: [...(quote.tags || []), tag] });
+        bump("tagged");
+      }
+      setTagInput("");
+      setTagging(false);
+    } catch (e) {
+      setError(e?.payload?.detail || e?.message || "Failed to tag quote.");
+    }
+  };
+
+  // Latest handlers for the window-level key listener
+  const keysRef = useRef(null);
+  keysRef.current = { decide, skip, go, done, editing, tagging, onExit };
+
+  useEffect(() => {
+    const onKey = (e) => {
+      const k = keysRef.current;
+      if (e.metaKey || e.ctrlKey || e.altKey || k.editing) return;
+      const inField = ["INPUT", "TEXTAREA", "SELECT"].includes(e.target?.tagName) || e.target?.isContentEditable;
+      if (e.key === "Escape") {
+        if (k.tagging) setTagging(false);
+        else if (!inField) k.onExit();
+        return;
+      }
+      if (inField || k.tagging) return;
+      const key = e.key.toLowerCase();
+      if (key === "k") {
+        e.preventDefault();
+        k.go(-1);
+        return;
+      }
+      if (k.done) return;
+      if (key === "a") k.decide("approved");
+      else if (key === "r") k.decide("rejected");
+      else if (key === "j") k.skip();
+      else if (key === "t") setTagging(true);
+      else if (key === "e") setEditing(true);
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  const context = quote && transcript ? segmentsAround(transcript.segments, quote.start, quote.end, { padding: 2 }) : [];
+
+  return (
+    <section style={wrap} aria-label="Triage mode">
+      <header style={header}>
+        <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+          <span style={{ fontWeight: 800 }}>🎯 Triage</span>
+          <span style={counter}>
+            {Math.min(index + 1, queue.length)} / {queue.length}
+          </span>
+          <span style={statsText}>
+            ✅ {stats.approved} • 🚫 {stats.rejected} • ⏭ {stats.skipped} • # {stats.tagged} • ✏️ {stats.edited}
+          </span>
+        </div>
+        <button type="button" onClick={onExit} style={miniGhostBtn} title="Leave triage (Esc)">
+          Exit
+        </button>
+      </header>
+
+      <div style={progressTrack} aria-hidden="true">
+        <div style={{ ...progressFill, width: `${queue.length ? (Math.min(index, queue.length) / queue.length) * 100 : 0}%` }} />
+      </div>
+
+      {done ? (
+        <div style={doneBox}>
+          <div style={{ fontWeight: 800, fontSize: 18 }}>All {queue.length} quotes triaged 🎉</div>
+          <div style={statsText}>
+            {stats.approved} approved, {stats.rejected} rejected, {stats.skipped} skipped, {stats.tagged} tagged,{" "}
+            {stats.edited} edited
+          </div>
+          <div style={{ display: "flex", gap: 8, justifyContent: "center" }}>
+            <button type="button" onClick={() => go(-1)} style={miniGhostBtn}>
+              ← Back (K)
+            </button>
+            <button type="button" onClick={onExit} style={miniPrimaryBtn}>
+              Back to list
+            </button>
+          </div>
+        </div>
+      ) : !quote ? (
+        <div style={doneBox}>
+          This quote is no longer available.
+          <button type="button" onClick={() => go(1)} style={miniGhostBtn}>
+            Next (J)
+          </button>
+        </div>
+      ) : (
+        <div style={body}>
+          <div style={{ display: "flex", flexDirection: "column", gap: 10, minWidth: 0 }}>
+            <QuoteItem
+              quote={quote}
+              onApprove={() => decide("approved")}
+              onReject={() => decide("rejected")}
+              onSave={async (id, patch) => {
+                await onSave(id, patch);
+                bump("edited");
+              }}
+              editing={editing}
+              onEditingChange={setEditing}
+              tagSuggestions={tagSuggestions}
+              speakerSuggestions={speakerSuggestions}
+              episode={episode}
+            />
+
+            {tagging && (
+              <div style={tagRow}>
+                <input
+                  autoFocus
+                  aria-label="Add tag"
+                  placeholder="tag, then Enter"
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") addTag();
+                  }}
+                  list="triage-tags"
+                  style={input}
+                />
+                <datalist id="triage-tags">
+                  {tagSuggestions.map((t) => (
+                    <option key={t} value={t} />
+                  ))}
+                </datalist>
+                <button type="button" onClick={addTag} style={miniPrimaryBtn}>
+                  Add
+                </button>
+              </div>
+            )}
+
+            {!!error && (
+              <div role="alert" style={errorStyle}>
+                {error}
+              </div>
+            )}
+
+            <div style={keysHint}>
+              <kbd style={kbd}>A</kbd> approve <kbd style={kbd}>R</kbd> reject <kbd style={kbd}>J</kbd>/<kbd style={kbd}>K</kbd>{" "}
+              next/previous <kbd style={kbd}>T</kbd> tag <kbd style={kbd}>E</kbd> edit <kbd style={kbd}>Esc</kbd> exit
+            </div>
+          </div>
+
+          <div style={{ display: "flex", flexDirection: "column", gap: 10, minWidth: 0 }}>
+            {mediaUrl && <MediaPlayer ref={playerRef} asset={asset} src={mediaUrl} />}
+            {mediaUrl && typeof quote.start === "number" && (
+              <button type="button" onClick={() => playerRef.current?.seek(quote.start)} style={miniGhostBtn}>
+                ▶ Play from {formatTime(quote.start)}
+              </button>
+            )}
+            <div style={contextBox} aria-label="Transcript context">
+              {!quote.transcript_id && <div style={statsText}>No transcript linked to this quote.</div>}
+              {quote.transcript_id && transcript === undefined && <div style={statsText}>Loading context…</div>}
+              {quote.transcript_id && transcript !== undefined && !context.length && (
+                <div style={statsText}>No timed transcript context for this quote.</div>
+              )}
+              {context.map(({ segment, index: i, inRange }) => (
+                <div key={i} style={{ ...contextSeg, ...(inRange ? contextHit : {}) }}>
+                  <div style={statsText}>
+                    {formatTime(segment.start)}
+                    {segment.speaker ? ` • ${segment.speaker}` : ""}
+                  </div>
+                  <div>{segment.text}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
+
+const wrap = {
+  marginTop: 14,
+  display: "flex",
+  flexDirection: "column",
+  gap: 10,
+};
+
+const header = {
+  display: "flex",
+  alignItems: "center",
+  justifyContent: "space-between",
+  gap: 10,
+};
+
+const counter = {
+  fontSize: 12,
+  padding: "4px 8px",
+  borderRadius: 999,
+  background: "rgba(97,218,251,0.2)",
+  border: "1px solid var(--border-color)",
+  fontWeight: 800,
+};
+
+const statsText = {
+  fontSize: 12,
+  opacity: 0.8,
+};
+
+const progressTrack = {
+  height: 6,
+  borderRadius: 999,
+  background: "rgba(255,255,255,0.08)",
+  overflow: "hidden",
+};
+
+const progressFill = {
+  height: "100%",
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  transition: "width 0.2s ease",
+};
+
+const body = {
+  display: "grid",
+  gridTemplateColumns: "repeat(auto-fit, minmax(300px, 1fr))",
+  gap: 14,
+  alignItems: "start",
+};
+
+const contextBox = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 6,
+  fontSize: 13,
+  lineHeight: 1.5,
+  maxHeight: 360,
+  overflow: "auto",
+  border: "1px solid var(--border-color)",
+  borderRadius: 12,
+  padding: 8,
+};
+
+const contextSeg = {
+  padding: "6px 8px",
+  borderRadius: 8,
+  opacity: 0.7,
+};
+
+const contextHit = {
+  opacity: 1,
+  border: "1px solid var(--border-color)",
+  background: "rgba(97,218,251,0.06)",
+};
+
+const tagRow = {
+  display: "flex",
+  gap: 8,
+};
+
+const input = {
+  flex: 1,
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 8px",
+};
+
+const keysHint = {
+  fontSize: 12,
+  opacity: 0.75,
+  lineHeight: 2,
+};
+
+const kbd = {
+  fontFamily: "monospace",
+  fontSize: 11,
+  padding: "1px 6px",
+  borderRadius: 6,
+  border: "1px solid var(--border-color)",
+  background: "rgba(255,255,255,0.06)",
+  marginLeft: 4,
+};
+
+const doneBox = {
+  padding: 24,
+  border: "1px dashed var(--border-color)",
+  borderRadius: 12,
+  textAlign: "center",
+  display: "flex",
+  flexDirection: "column",
+  gap: 10,
+};
+
+const errorStyle = {
+  padding: 12,
+  border: "1px solid rgba(239,68,68,0.4)",
+  background: "rgba(239,68,68,0.08)",
+  color: "#EF4444",
+  borderRadius: 10,
+  fontWeight: 600,
+};
+
+const miniPrimaryBtn = {
+  background: "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
+  color: "#0b0b0b",
+  border: "none",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 800,
+  letterSpacing: 0.2,
+  cursor: "pointer",
+};
+
+const miniGhostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "6px 10px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
@@ -0,0 +1,74 @@
+import React from "react";
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import TriageMode from "./TriageMode";
+
+const quotes = [
+  { id: "q1", text: "First quote to review.", speaker: "Host", approved: false },
+  { id: "q2", text: "Second quote to review.", speaker: "Guest", approved: false },
+];
+
+const renderTriage = (props) =>
+  render(
+    <MemoryRouter>
+      <TriageMode queueIds={["q1", "q2"]} quotes={quotes} onSave={jest.fn()} onExit={jest.fn()} {...props} />
+    </MemoryRouter>
+  );
+
+test("a failed approve keeps the quote current and out of the tally", async () => {
+  const onApprove = jest.fn().mockRejectedValue(new Error("Server unavailable"));
+  renderTriage({ onApprove, onReject: jest.fn() });
+
+  await act(async () => {
+    fireEvent.keyDown(window, { key: "a" });
+  });
+
+  expect(onApprove).toHaveBeenCalledWith("q1");
+  expect(screen.getByRole("alert")).toHaveTextContent("Server unavailable");
+  expect(screen.getByText(/First quote to review/)).toBeInTheDocument();
+  expect(screen.getByText("1 / 2")).toBeInTheDocument();
+  expect(screen.getByText(/✅ 0 •/)).toBeInTheDocument();
+});
+
+test("a saved decision is counted and moves on", async () => {
+  const onReject = jest.fn().mockResolvedValue(undefined);
+  renderTriage({ onApprove: jest.fn(), onReject });
+
+  await act(async () => {
+    fireEvent.keyDown(window, { key: "r" });
+  });
+
+  expect(onReject).toHaveBeenCalledWith("q1");
+  expect(screen.getByText(/Second quote to review/)).toBeInTheDocument();
+  expect(screen.getByText("2 / 2")).toBeInTheDocument();
+  expect(screen.getByText(/🚫 1 •/)).toBeInTheDocument();
+});
+
+test("going back and deciding again replaces the earlier decision in the tally", async () => {
+  const onApprove = jest.fn().mockResolvedValue(undefined);
+  const onReject = jest.fn().mockResolvedValue(undefined);
+  renderTriage({ onApprove, onReject });
+
+  await act(async () => {
+    fireEvent.keyDown(window, { key: "a" });
+  });
+  await act(async () => {
+    fireEvent.keyDown(window, { key: "k" });
+  });
+  await act(async () => {
+    fireEvent.keyDown(window, { key: "r" });
+  });
+  expect(screen.getByText(/✅ 0 • 🚫 1 • ⏭ 0 •/)).toBeInTheDocument();
+
+  // Skipping back over a decided quote doesn't count it as skipped
+  await act(async () => {
+    fireEvent.keyDown(window, { key: "k" });
+  });
+  await act(async () => {
+    fireEvent.keyDown(window, { key: "j" });
+  });
+  await act(async () => {
+    fireEvent.keyDown(window, { key: "j" });
+  });
+  expect(screen.getByText(/✅ 0 • 🚫 1 • ⏭ 1 •/)).toBeInTheDocument();
+});
@@ -0,0 +1,66 @@
+import React, { useEffect } from "react";
+
+/**
+ * UndoToast
+ * Small toast in the bottom corner confirming an action, with an Undo button.
+ * Dismisses itself after `duration` ms.
+ *
+ * Props:
+ * - message: string
+ * - onUndo: function() -> void
+ * - onDismiss: function() -> void
+ * - duration: number (default 8000)
+ */
+export default function UndoToast({ message, onUndo, onDismiss, duration = 8000 }) {
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss && onDismiss(), duration);
+    return () => clearTimeout(timer);
+  }, [message, duration, onDismiss]);
+
+  return (
+    <div role="status" aria-live="polite" style={toast}>
+      <span>{message}</span>
+      <button type="button" onClick={onUndo} style={undoBtn}>
+        Undo
+      </button>
+      <button type="button" onClick={onDismiss} style={closeBtn} aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+const toast = {
+  position: "fixed",
+  right: 20,
+  bottom: 20,
+  zIndex: 50,
+  display: "flex",
+  alignItems: "center",
+  gap: 10,
+  padding: "10px 12px",
+  borderRadius: 12,
+  border: "1px solid var(--border-color)",
+  background: "var(--bg-secondary)",
+  color: "var(--text-primary)",
+  boxShadow: "0 10px 30px rgba(0,0,0,0.25)",
+  fontSize: 13,
+};
+
+const undoBtn = {
+  background: "transparent",
+  color: "var(--text-secondary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "4px 10px",
+  fontWeight: 800,
+  cursor: "pointer",
+};
+
+const closeBtn = {
+  background: "none",
+  border: "none",
+  color: "inherit",
+  opacity: 0.7,
+  cursor: "pointer",
+};
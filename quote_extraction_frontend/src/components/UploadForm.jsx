@@ -1,40 +1,125 @@
-import React, { useCallback, useRef, useState } from "react";
-import { uploadAsset } from "../api/client";
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import {
+  abortChunkedUpload,
+  completeChunkedUpload,
+  getChunkedUpload,
+  getUploadPolicy,
+  initChunkedUpload,
+  uploadAsset,
+  uploadChunk,
+} from "../api/client";
+import { addProgressSample, formatBytes, formatEta, progressStats } from "../utils/uploadProgress";
+import { CHUNKED_UPLOAD_MIN_SIZE, planChunks, runChunkedUpload } from "../utils/chunkedUpload";
+import { clearPendingUpload, fileFingerprint, listPendingUploads } from "../utils/pendingUploads";
+import { addToQueue, filesFromDataTransfer, nextToStart, queueSummary } from "../utils/uploadQueue";
+import { estimateProcessingSeconds, preflightProblems, probeMedia } from "../utils/mediaProbe";
+import { runBatch } from "../utils/batch";
+import { formatTime } from "../utils/transcriptTiming";
+
+// Network calls for runChunkedUpload
+const chunkedApi = {
+  // A server without the chunked endpoints answers 404/405; those files go up in one request instead
+  init: (meta) =>
+    initChunkedUpload(meta).catch((e) => {
+      if (e?.status === 404 || e?.status === 405) e.chunkedUnsupported = true;
+      throw e;
+    }),
+  status: getChunkedUpload,
+  uploadPart: uploadChunk,
+  complete: completeChunkedUpload,
+};
 
 /**
  * UploadForm provides:
- * - Drag & drop + click-to-browse
- * - File preview chip
- * - Stylish action buttons
- * - Progress indicator (client-side simulated)
- * - API integration with uploadAsset
+ * - Drag & drop + click-to-browse for many files at once, or a whole folder (non-media files are skipped)
+ * - Pre-flight checks on every added file before anything is sent: container/codecs from the file
+ *   header, duration (with an estimated processing time), empty, zero-length or silent media, and the
+ *   server's size and duration limits. Files that fail a check wait until uploaded anyway or removed.
+ * - An upload queue with a configurable number of parallel uploads and per-file status
+ * - Byte progress with transfer rate and time left for every file, and for the queue overall
+ * - Cancel stops a transfer (uploads are aborted, also when leaving the page); failed or cancelled
+ *   files can be retried
+ * - Large files go up in checksummed parts that are retried on flaky connections; an interrupted
+ *   upload resumes from the last acknowledged part when the same file is queued again, even after
+ *   a reload (unfinished uploads are listed and can be discarded)
+ * - API integration with uploadAsset and the chunked upload calls
  *
  * Props:
- * - onUploaded: function({ asset_id, status, asset? }) -> void
+ * - onUploaded: function({ asset_id, status, asset? }, file: File) -> void - once per uploaded file
  * - onError: function(message: string) -> void
  */
 export default function UploadForm({ onUploaded, onError }) {
   const inputRef = useRef(null);
+  const folderRef = useRef(null);
   const [dragActive, setDragActive] = useState(false);
-  const [file, setFile] = useState(null);
-  const [busy, setBusy] = useState(false);
-  const [progress, setProgress] = useState(0);
+  const [items, setItems] = useState([]); // see utils/uploadQueue
+  const [running, setRunning] = useState(false); // queued files start as soon as a slot is free
+  const [concurrency, setConcurrency] = useState(2);
   const [note, setNote] = useState("");
+  const [pending, setPending] = useState([]); // unfinished chunked uploads, from IndexedDB
+  const [policy, setPolicy] = useState(null); // upload limits from the server, see getUploadPolicy
+  const policyRef = useRef(null); // for probes that finish after the policy arrived
+  policyRef.current = policy;
+  const controllers = useRef(new Map()); // item id -> AbortController
+  const samples = useRef(new Map()); // item id -> progress samples
+
+  // Leaving the page mid-upload stops the transfers
+  useEffect(() => {
+    const active = controllers.current;
+    return () => active.forEach((controller) => controller.abort());
+  }, []);
 
-  const onSelectClick = () => inputRef.current?.click();
+  useEffect(() => {
+    let cancelled = false;
+    getUploadPolicy()
+      .then((res) => {
+        if (!cancelled) setPolicy(res || null);
+      })
+      .catch(() => {
+        // No policy (missing endpoint, server down) means no server limits to check: only the
+        // local checks apply, and the server still enforces whatever limits it has
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-  const handleFiles = (files) => {
-    const f = files?.[0];
-    if (!f) return;
-    setFile(f);
-    setNote("");
+  // A policy that arrives after files were checked re-checks them
+  useEffect(() => {
+    setItems((prev) => prev.map((item) => (item.probe ? withProblems(item, item.probe, policy) : item)));
+  }, [policy]);
+
+  const refreshPending = useCallback(() => {
+    listPendingUploads().then(setPending);
+  }, []);
+  useEffect(refreshPending, [refreshPending]);
+
+  const patchItem = (id, patch) => setItems((prev) => prev.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+  const pendingFor = (file) => pending.find((p) => p.id === fileFingerprint(file)) || null;
+
+  const addFiles = (files) => {
+    const { items: next, skipped } = addToQueue(items, files);
+    const known = new Set(items.map((item) => item.id));
+    setItems(next);
+    setNote(skipped ? `Skipped ${skipped} file${skipped === 1 ? "" : "s"} that ${skipped === 1 ? "isn't" : "aren't"} audio or video.` : "");
+    // Probing loads each file into a media element, so only a couple at a time
+    runBatch(
+      next.filter((item) => !known.has(item.id)),
+      async (item) => {
+        const probe = await probeMedia(item.file);
+        setItems((prev) => prev.map((it) => (it.id === item.id && it.status === "checking" ? withProblems(it, probe, policyRef.current) : it)));
+      },
+      { concurrency: 2 }
+    );
   };
 
-  const onDrop = (e) => {
+  const onSelectClick = () => inputRef.current?.click();
+
+  const onDrop = async (e) => {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
-    handleFiles(e.dataTransfer.files);
+    addFiles(await filesFromDataTransfer(e.dataTransfer));
   };
 
   const onDragOver = (e) => {
@@ -49,143 +134,382 @@ export default function UploadForm({ onUploaded, onError }) {
     setDragActive(false);
   };
 
-  const reset = useCallback(() => {
-    setFile(null);
-    setBusy(false);
-    setProgress(0);
-    setNote("");
-    if (inputRef.current) inputRef.current.value = "";
-  }, []);
-
-  const simulateProgress = useCallback(() => {
-    // Since fetch doesn't expose upload progress, simulate a quick progress stepper
-    let p = 5;
-    setProgress(p);
-    const timer = setInterval(() => {
-      p = Math.min(p + Math.random() * 18, 85);
-      setProgress(p);
-      if (p >= 85) clearInterval(timer);
-    }, 180);
-    return () => clearInterval(timer);
-  }, []);
+  const uploadItem = async (item) => {
+    const { id, file } = item;
+    const controller = new AbortController();
+    controllers.current.set(id, controller);
+    samples.current.set(id, []);
+    const chunked = file.size >= CHUNKED_UPLOAD_MIN_SIZE || !!pendingFor(file);
+    const onProgress = ({ loaded, total }) => {
+      const next = addProgressSample(samples.current.get(id) || [], { loaded, total: total ?? file.size, at: Date.now() });
+      samples.current.set(id, next);
+      patchItem(id, { transfer: progressStats(next), retryNote: "" });
+    };
+    let fellBack = false;
+    const sendWhole = () => uploadAsset(file, { onProgress, signal: controller.signal });
+    try {
+      let res;
+      if (chunked) {
+        try {
+          res = await runChunkedUpload(file, chunkedApi, {
+            onProgress,
+            signal: controller.signal,
+            onRetry: ({ index, attempt, delay }) =>
+              patchItem(id, {
+                retryNote: `Connection trouble on part ${index + 1}; retry ${attempt} in ${Math.ceil(delay / 1000)}s…`,
+              }),
+          });
+        } catch (e) {
+          if (!e?.chunkedUnsupported) throw e;
+          fellBack = true;
+          res = await sendWhole();
+        }
+      } else {
+        res = await sendWhole();
+      }
+      patchItem(id, { status: "done", result: res, retryNote: "" });
+      if (onUploaded) onUploaded(res, file);
+    } catch (e) {
+      if (e?.name === "AbortError") {
+        patchItem(id, { status: chunked && !fellBack ? "paused" : "cancelled", retryNote: "" });
+        return;
+      }
+      const message = e?.payload?.detail || e?.message || "Upload failed.";
+      patchItem(id, { status: "failed", error: message, retryNote: "" });
+      if (onError) onError(`${file.name}: ${message}`);
+    } finally {
+      controllers.current.delete(id);
+      samples.current.delete(id);
+      if (chunked) refreshPending();
+    }
+  };
 
-  const doUpload = async () => {
-    if (!file) {
-      setNote("Please choose a file to upload.");
+  // Start queued files whenever a slot frees up; the queue stops once nothing is left to start
+  useEffect(() => {
+    if (!running) return;
+    const toStart = nextToStart(items, concurrency);
+    if (!toStart.length) {
+      if (!items.some((item) => item.status === "uploading" || item.status === "checking")) setRunning(false);
       return;
     }
-    setBusy(true);
+    const ids = new Set(toStart.map((item) => item.id));
+    setItems((prev) => prev.map((item) => (ids.has(item.id) ? { ...item, status: "uploading", error: "", transfer: null } : item)));
+    toStart.forEach(uploadItem);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [items, concurrency, running]);
+
+  const startQueue = () => {
+    if (!items.some((item) => item.status === "queued" || item.status === "checking")) {
+      setNote("Please choose files to upload.");
+      return;
+    }
+    setNote("");
+    setRunning(true);
+  };
+
+  const cancelItem = (id) => controllers.current.get(id)?.abort();
+  const retryItem = (id) => {
+    patchItem(id, { status: "queued", error: "" });
+    setRunning(true);
+  };
+  const uploadAnyway = (id) => patchItem(id, { status: "queued", overridden: true });
+  const removeItem = (id) => setItems((prev) => prev.filter((item) => item.id !== id));
+  const cancelAll = () => {
+    setItems((prev) => prev.map((item) => (item.status === "queued" || item.status === "checking" ? { ...item, status: "cancelled" } : item)));
+    controllers.current.forEach((controller) => controller.abort());
+  };
+  const clearFinished = () => {
+    setItems((prev) => prev.filter((item) => ["checking", "queued", "uploading"].includes(item.status)));
     setNote("");
-    const stopSim = simulateProgress();
+    if (inputRef.current) inputRef.current.value = "";
+    if (folderRef.current) folderRef.current.value = "";
+  };
+
+  // Drops the parts the server holds as well as the local record
+  const discardPending = async (record) => {
     try {
-      const res = await uploadAsset(file, {});
-      // finalize progress animation
-      setProgress(100);
-      setTimeout(() => setBusy(false), 250);
-      if (onUploaded) onUploaded(res);
-      setNote("Upload registered successfully. Tracking processing status...");
-    } catch (e) {
-      setBusy(false);
-      if (onError) onError(e?.payload?.detail || e?.message || "Upload failed.");
-      setNote("Upload failed.");
-    } finally {
-      stopSim();
+      await abortChunkedUpload(record.upload_id);
+    } catch {
+      // Already gone on the server; forgetting it locally is all that's left
     }
+    await clearPendingUpload(record.id);
+    refreshPending();
   };
 
+  const summary = queueSummary(items);
+  const busy = summary.uploading > 0;
+  const waiting = summary.queued + summary.checking;
+  const queuedIds = new Set(items.map((item) => fileFingerprint(item.file)));
+  const otherPending = pending.filter((p) => !queuedIds.has(p.id));
+
   return (
     <div style={wrapStyle}>
       <div
         style={{
           ...dropStyle,
           ...(dragActive ? dropActiveStyle : {}),
-          ...(busy ? dropBusyStyle : {}),
         }}
         onDrop={onDrop}
         onDragOver={onDragOver}
         onDragLeave={onDragLeave}
-        onClick={!busy ? onSelectClick : undefined}
+        onClick={onSelectClick}
         role="button"
         aria-label="Upload media via drag and drop or click to browse"
         tabIndex={0}
         onKeyDown={(e) => {
-          if ((e.key === "Enter" || e.key === " ") && !busy) onSelectClick();
+          if (e.key === "Enter" || e.key === " ") onSelectClick();
         }}
       >
         <div style={dropInnerStyle}>
           <div style={iconBadge}>
             <span role="img" aria-label="upload">📤</span>
           </div>
-          <div style={dropTitle}>Drag & drop your file here</div>
+          <div style={dropTitle}>Drag & drop files or folders here</div>
           <div style={dropSubtitle}>
             or <span style={{ color: "var(--text-secondary)", fontWeight: 700 }}>browse</span> to select
+            {" • "}
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                folderRef.current?.click();
+              }}
+              style={linkBtn}
+            >
+              choose a folder
+            </button>
           </div>
           <input
             ref={inputRef}
             type="file"
-            onChange={(e) => handleFiles(e.target.files)}
+            multiple
+            onChange={(e) => addFiles(e.target.files)}
             style={{ display: "none" }}
             accept="audio/*,video/*"
           />
+          <input
+            ref={folderRef}
+            type="file"
+            multiple
+            webkitdirectory=""
+            onChange={(e) => addFiles(e.target.files)}
+            style={{ display: "none" }}
+          />
         </div>
       </div>
 
-      {file && (
-        <div style={fileChip} aria-live="polite">
-          <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-            <span style={{ fontSize: 18 }}>🎞️</span>
-            <div>
-              <div style={{ fontWeight: 700 }}>{file.name}</div>
-              <div style={{ fontSize: 12, opacity: 0.7 }}>
-                {(file.size / (1024 * 1024)).toFixed(2)} MB • {file.type || "unknown"}
-              </div>
-            </div>
+      {items.length > 0 && (
+        <div style={queueBlock} aria-live="polite">
+          <div style={queueHeader}>
+            <span style={{ fontWeight: 700 }}>
+              {summary.done} of {summary.total} uploaded
+              {summary.failed ? ` • ${summary.failed} failed` : ""}
+              {summary.stopped ? ` • ${summary.stopped} stopped` : ""}
+              {summary.checking ? ` • checking ${summary.checking}` : ""}
+              {summary.blocked ? ` • ${summary.blocked} need${summary.blocked === 1 ? "s" : ""} attention` : ""}
+            </span>
+            <span style={{ fontSize: 12, opacity: 0.7 }}>
+              {formatBytes(summary.loaded)} of {formatBytes(summary.size)}
+            </span>
           </div>
-          <button
-            onClick={reset}
-            disabled={busy}
-            style={chipRemove}
-            aria-label="Remove selected file"
-            title="Remove"
-          >
-            ×
-          </button>
-        </div>
-      )}
-
-      {busy && (
-        <div style={progressBlock} aria-live="polite">
-          <div style={progressTrack}>
-            <div style={{ ...progressFill, width: `${progress}%` }} />
-          </div>
-          <div style={{ fontSize: 12, opacity: 0.75, marginTop: 6 }}>
-            Uploading... {Math.round(progress)}%
+          <div style={progressTrack} role="progressbar" aria-label="Queue progress" aria-valuemin={0} aria-valuemax={100}
+            aria-valuenow={summary.size ? Math.round((summary.loaded / summary.size) * 100) : 0}>
+            <div style={{ ...progressFill, width: `${summary.size ? (summary.loaded / summary.size) * 100 : 0}%` }} />
           </div>
+
+          {items.map((item) => (
+            <QueueRow
+              key={item.id}
+              item={item}
+              resumeOf={item.status === "queued" ? pendingFor(item.file) : null}
+              policy={policy}
+              onUploadAnyway={() => uploadAnyway(item.id)}
+              onCancel={() => cancelItem(item.id)}
+              onRetry={() => retryItem(item.id)}
+              onRemove={() => removeItem(item.id)}
+            />
+          ))}
         </div>
       )}
 
       <div style={actionsRow}>
         <button
-          onClick={doUpload}
-          disabled={!file || busy}
-          style={{ ...primaryBtn, ...(busy || !file ? btnDisabled : {}) }}
+          onClick={startQueue}
+          disabled={!waiting || running}
+          style={{ ...primaryBtn, ...(!waiting || running ? btnDisabled : {}) }}
         >
-          <span style={{ marginRight: 8 }}>⬆️</span> Upload
-        </button>
-        <button onClick={reset} disabled={busy || !file} style={{ ...ghostBtn, ...(busy || !file ? btnDisabled : {}) }}>
-          Reset
+          <span style={{ marginRight: 8 }}>⬆️</span>
+          {running ? "Uploading…" : `Upload${waiting ? ` ${waiting} file${waiting === 1 ? "" : "s"}` : ""}`}
         </button>
+        {busy || running ? (
+          <button onClick={cancelAll} style={ghostBtn}>
+            Cancel all
+          </button>
+        ) : (
+          <button
+            onClick={clearFinished}
+            disabled={!items.length}
+            style={{ ...ghostBtn, ...(!items.length ? btnDisabled : {}) }}
+          >
+            Clear finished
+          </button>
+        )}
+        <label style={concurrencyLabel}>
+          Parallel uploads
+          <select value={concurrency} onChange={(e) => setConcurrency(Number(e.target.value))} style={selectStyle}>
+            {[1, 2, 3, 4].map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+        </label>
       </div>
 
       {!!note && <div style={noteStyle}>{note}</div>}
 
+      {otherPending.length > 0 && (
+        <div style={pendingBlock}>
+          <div style={{ fontSize: 12, fontWeight: 700, opacity: 0.8 }}>Unfinished uploads — add the same file to resume</div>
+          {otherPending.map((p) => (
+            <div key={p.id} style={pendingRow}>
+              <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{p.filename}</span>
+              <span style={{ opacity: 0.7, whiteSpace: "nowrap" }}>
+                {Math.round(pendingPercent(p))}% of {formatBytes(p.size)}
+              </span>
+              <button onClick={() => discardPending(p)} style={miniGhostBtn}>
+                Discard
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div style={smallHint}>
-        Supported: common audio/video formats. For best results, keep files under a few hundred MB.
+        Supported: common audio/video formats{policy?.max_size_bytes ? `, up to ${formatBytes(policy.max_size_bytes)} each` : ""}. Large
+        files upload in parts and can resume after a dropped connection.
+      </div>
+    </div>
+  );
+}
+
+// The item once its probe is in; a failed check holds it back (unless already uploaded anyway)
+function withProblems(item, probe, policy) {
+  const problems = preflightProblems(item.file, probe, policy);
+  const blocked = !item.overridden && problems.some((p) => p.level === "error");
+  const waiting = ["checking", "blocked", "queued"].includes(item.status);
+  return { ...item, probe, problems, status: waiting ? (blocked ? "blocked" : "queued") : item.status };
+}
+
+const STATUS_LABELS = {
+  checking: "Checking…",
+  blocked: "Not uploading",
+  queued: "Queued",
+  uploading: "Uploading",
+  paused: "Paused",
+  cancelled: "Cancelled",
+  failed: "Failed",
+  done: "Uploaded",
+};
+
+// One file of the queue: name, status, its own progress line and actions
+function QueueRow({ item, resumeOf, policy, onUploadAnyway, onCancel, onRetry, onRemove }) {
+  const { file, status, transfer, probe } = item;
+  const format = probe?.format;
+  const processing = estimateProcessingSeconds(probe?.duration, policy);
+  const percent = status === "done" ? 100 : transfer?.percent || 0;
+  const sent = status === "uploading" && transfer && transfer.total !== null && transfer.loaded >= transfer.total;
+  return (
+    <div style={fileChip}>
+      <div style={{ display: "flex", flexDirection: "column", gap: 6, minWidth: 0, flex: 1 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 10, minWidth: 0 }}>
+          <span style={{ fontSize: 18 }}>🎞️</span>
+          <div style={{ minWidth: 0 }}>
+            <div style={{ fontWeight: 700, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+              {file.webkitRelativePath || file.name}
+            </div>
+            <div style={{ fontSize: 12, opacity: 0.7 }}>
+              {formatBytes(file.size)} • {format ? [format.container.toUpperCase(), ...format.codecs].join(" · ") : file.type || "unknown"}
+              {typeof probe?.duration === "number" && probe.duration > 0 && <> • ⏱ {formatTime(probe.duration)}</>}
+              {processing !== null && <> • ~{formatEta(processing)} to process</>}
+            </div>
+          </div>
+          <span style={{ ...statusChip, ...statusChipColors[status] }}>{STATUS_LABELS[status] || status}</span>
+          {resumeOf && (
+            <span style={resumeChip} title="Parts already on the server are skipped">
+              ↻ Resumes at {Math.round(pendingPercent(resumeOf))}%
+            </span>
+          )}
+        </div>
+        {(status === "uploading" || status === "paused") && (
+          <>
+            <div style={{ ...progressTrack, height: 6 }}>
+              <div style={{ ...progressFill, width: `${percent}%` }} />
+            </div>
+            <div style={progressLine}>
+              {sent ? (
+                <span>Upload sent, waiting for the server…</span>
+              ) : (
+                <>
+                  <span>{Math.round(percent)}%</span>
+                  {transfer && transfer.total !== null && (
+                    <span>
+                      {formatBytes(transfer.loaded)} of {formatBytes(transfer.total)}
+                    </span>
+                  )}
+                  {status === "uploading" && transfer && transfer.rate !== null && <span>{formatBytes(transfer.rate)}/s</span>}
+                  {status === "uploading" && transfer && transfer.eta !== null && <span>about {formatEta(transfer.eta)} left</span>}
+                  {status === "paused" && <span>Queue it again to continue where it stopped</span>}
+                </>
+              )}
+            </div>
+          </>
+        )}
+        {status !== "done" && item.problems?.length > 0 && (
+          <ul style={problemList}>
+            {item.problems.map((p) => (
+              <li key={p.message} style={{ color: p.level === "error" ? "#EF4444" : "#F59E0B" }}>
+                {p.level === "error" ? "✖" : "⚠"} {p.message}
+              </li>
+            ))}
+          </ul>
+        )}
+        {!!item.retryNote && <div style={{ ...noteStyle, fontSize: 12, color: "#F59E0B" }}>{item.retryNote}</div>}
+        {status === "failed" && !!item.error && <div style={{ fontSize: 12, color: "#EF4444" }}>{item.error}</div>}
+      </div>
+      <div style={{ display: "flex", gap: 6 }}>
+        {status === "blocked" && (
+          <button onClick={onUploadAnyway} style={miniGhostBtn} title="The server may still reject it">
+            Upload anyway
+          </button>
+        )}
+        {status === "uploading" && (
+          <button onClick={onCancel} disabled={sent} style={{ ...miniGhostBtn, ...(sent ? btnDisabled : {}) }}>
+            Cancel
+          </button>
+        )}
+        {(status === "failed" || status === "cancelled" || status === "paused") && (
+          <button onClick={onRetry} style={miniGhostBtn}>
+            {status === "paused" ? "Resume" : "Retry"}
+          </button>
+        )}
+        {status !== "uploading" && (
+          <button onClick={onRemove} style={chipRemove} aria-label={`Remove ${file.name}`} title="Remove">
+            ×
+          </button>
+        )}
       </div>
     </div>
   );
 }
 
+// Share of a pending upload already on the server, from the parts it has checksums for
+function pendingPercent(record) {
+  const parts = planChunks(record.size, record.chunk_size);
+  const sent = parts.filter((p) => record.checksums?.[p.index] !== undefined).reduce((sum, p) => sum + (p.end - p.start), 0);
+  return record.size ? (sent / record.size) * 100 : 0;
+}
+
 const wrapStyle = {
   display: "flex",
   flexDirection: "column",
@@ -208,11 +532,6 @@ const dropActiveStyle = {
   transform: "translateY(-1px)",
 };
 
-const dropBusyStyle = {
-  opacity: 0.7,
-  cursor: "not-allowed",
-};
-
 const dropInnerStyle = {
   padding: "24px 16px",
   textAlign: "center",
@@ -266,10 +585,6 @@ const chipRemove = {
   cursor: "pointer",
 };
 
-const progressBlock = {
-  marginTop: 4,
-};
-
 const progressTrack = {
   width: "100%",
   height: 10,
@@ -279,6 +594,15 @@ const progressTrack = {
   border: "1px solid var(--border-color)",
 };
 
+const progressLine = {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: 10,
+  fontSize: 12,
+  opacity: 0.75,
+  marginTop: 6,
+};
+
 const progressFill = {
   height: "100%",
   borderRadius: 999,
@@ -288,6 +612,8 @@ const progressFill = {
 
 const actionsRow = {
   display: "flex",
+  alignItems: "center",
+  flexWrap: "wrap",
   gap: 10,
   marginTop: 4,
 };
@@ -314,6 +640,114 @@ const ghostBtn = {
   cursor: "pointer",
 };
 
+const linkBtn = {
+  background: "none",
+  border: "none",
+  padding: 0,
+  color: "var(--text-secondary)",
+  fontWeight: 700,
+  cursor: "pointer",
+  font: "inherit",
+};
+
+const queueBlock = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 8,
+};
+
+const queueHeader = {
+  display: "flex",
+  alignItems: "baseline",
+  justifyContent: "space-between",
+  gap: 10,
+};
+
+const statusChip = {
+  fontSize: 11,
+  fontWeight: 700,
+  padding: "3px 8px",
+  borderRadius: 999,
+  border: "1px solid var(--border-color)",
+  whiteSpace: "nowrap",
+};
+
+const statusChipColors = {
+  checking: { opacity: 0.6 },
+  blocked: { background: "rgba(239,68,68,0.12)", borderColor: "rgba(239,68,68,0.5)", color: "#EF4444" },
+  queued: { opacity: 0.8 },
+  uploading: { background: "rgba(97,218,251,0.15)", borderColor: "rgba(97,218,251,0.5)" },
+  paused: { background: "rgba(245,158,11,0.12)", borderColor: "rgba(245,158,11,0.5)" },
+  cancelled: { opacity: 0.7 },
+  failed: { background: "rgba(239,68,68,0.12)", borderColor: "rgba(239,68,68,0.5)", color: "#EF4444" },
+  done: { background: "rgba(34,197,94,0.12)", borderColor: "rgba(34,197,94,0.5)" },
+};
+
+const problemList = {
+  listStyle: "none",
+  margin: 0,
+  padding: 0,
+  display: "flex",
+  flexDirection: "column",
+  gap: 2,
+  fontSize: 12,
+};
+
+const concurrencyLabel = {
+  display: "flex",
+  alignItems: "center",
+  gap: 6,
+  marginLeft: "auto",
+  fontSize: 12,
+  opacity: 0.85,
+};
+
+const selectStyle = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "4px 8px",
+};
+
+const resumeChip = {
+  marginLeft: "auto",
+  fontSize: 12,
+  padding: "4px 8px",
+  borderRadius: 999,
+  border: "1px solid var(--border-color)",
+  background: "rgba(97,218,251,0.1)",
+  whiteSpace: "nowrap",
+};
+
+const pendingBlock = {
+  display: "flex",
+  flexDirection: "column",
+  gap: 6,
+  border: "1px dashed var(--border-color)",
+  borderRadius: 12,
+  padding: "10px 12px",
+};
+
+const pendingRow = {
+  display: "grid",
+  gridTemplateColumns: "1fr auto auto",
+  alignItems: "center",
+  gap: 10,
+  fontSize: 13,
+};
+
+const miniGhostBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 8,
+  padding: "4px 8px",
+  fontSize: 12,
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
 const btnDisabled = {
   opacity: 0.5,
   cursor: "not-allowed",
@@ -3,6 +3,7 @@
 // - Uses environment variable REACT_APP_API_BASE if provided.
 // - Falls back to origin-based heuristics or a localhost default.
 // - Centralizes header/token handling helpers for the app.
+// - Resolves the active workspace (REACT_APP_WORKSPACE_ID).
 //
 
 // PUBLIC_INTERFACE
@@ -46,6 +47,19 @@ export function getApiBaseUrl() {
   return "";
 }
 
+// PUBLIC_INTERFACE
+export function getWorkspaceId() {
+  /**
+   * Workspace the app operates in (scopes shared data such as the glossary).
+   * Uses REACT_APP_WORKSPACE_ID when provided, otherwise "default".
+   */
+  const envWorkspace = process.env.REACT_APP_WORKSPACE_ID;
+  if (envWorkspace && typeof envWorkspace === "string" && envWorkspace.trim() !== "") {
+    return envWorkspace.trim();
+  }
+  return "default";
+}
+
 // PUBLIC_INTERFACE
 export function getDefaultHeaders(token) {
   /** Build default headers for JSON requests, optionally adding auth token. */
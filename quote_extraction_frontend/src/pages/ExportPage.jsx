@@ -1,16 +1,29 @@
 import React, { useEffect, useMemo, useState } from "react";
+import { useLocation } from "react-router-dom";
 import "../App.css";
 import ExportForm from "../components/ExportForm";
 import ExportResult from "../components/ExportResult";
-import { createExportJob, getExportJob, listQuotes } from "../api/client";
+import {
+  createExportJob,
+  getExportJob,
+  listAssets,
+  listCollections,
+  listGlossary,
+  listQuotes,
+  listTranscripts,
+} from "../api/client";
+import { matchesStatusFilter } from "../utils/quoteStatus";
 
 /**
  * ExportPage
  * A visually polished page to:
  * - Choose export format and platform style
- * - Select which approved quotes to include
+ * - Select which approved quotes to include (preselected when sent from the Quotes page),
+ *   or export a collection in its own order
+ * - Narrow hand-picked quotes to one episode or transcript
  * - Submit an export job and fetch/download results
  * - Provide animated status and rich result previews
+ * - Apply the workspace glossary so names and terms are capitalized consistently
  */
 export default function ExportPage() {
   // Quotes and selection
@@ -23,6 +36,17 @@ export default function ExportPage() {
   const [job, setJob] = useState(null);
   const [jobError, setJobError] = useState("");
 
+  // Workspace glossary (preferred spellings for names and terms)
+  const [glossary, setGlossary] = useState([]);
+  const [collections, setCollections] = useState([]);
+  const [assets, setAssets] = useState([]);
+  const [transcripts, setTranscripts] = useState([]);
+
+  // Quotes picked with "Send to export" on the Quotes page arrive in the navigation state
+  const location = useLocation();
+  const sentQuoteIds = location.state?.quoteIds || EMPTY_IDS;
+  const sentCollectionId = location.state?.collectionId || "";
+
   // Load approved quotes for selection
   useEffect(() => {
     let active = true;
@@ -33,7 +57,8 @@ export default function ExportPage() {
         const res = await listQuotes({ status: "approved" });
         if (!active) return;
         const items = Array.isArray(res) ? res : res?.items || res?.data || [];
-        setQuotes(items);
+        // Archived and trashed quotes stay out of exports even if they were approved
+        setQuotes(items.filter((q) => matchesStatusFilter(q, "approved")));
       } catch (e) {
         if (!active) return;
         setQuotesError(e?.payload?.detail || e?.message || "Failed to load quotes.");
@@ -46,6 +71,61 @@ export default function ExportPage() {
     };
   }, []);
 
+  // The glossary only refines capitalization; exports still work without it
+  useEffect(() => {
+    let active = true;
+    (async () => {
+      try {
+        const res = await listGlossary();
+        if (active) setGlossary(Array.isArray(res) ? res : res?.items || res?.data || []);
+      } catch {
+        if (active) setGlossary([]);
+      }
+    })();
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  // Collections are an optional source; picking quotes by hand still works without them
+  useEffect(() => {
+    let active = true;
+    (async () => {
+      try {
+        const res = await listCollections();
+        if (active) setCollections(Array.isArray(res) ? res : res?.items || res?.data || []);
+      } catch {
+        if (active) setCollections([]);
+      }
+    })();
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  // Episodes and transcripts only feed the scope picker; without them every approved quote is listed
+  useEffect(() => {
+    let active = true;
+    (async () => {
+      try {
+        const [assetsRes, transcriptsRes] = await Promise.all([listAssets(), listTranscripts()]);
+        if (!active) return;
+        setAssets(Array.isArray(assetsRes) ? assetsRes : assetsRes?.items || assetsRes?.data || []);
+        setTranscripts(
+          Array.isArray(transcriptsRes) ? transcriptsRes : transcriptsRes?.items || transcriptsRes?.data || []
+        );
+      } catch {
+        if (active) {
+          setAssets([]);
+          setTranscripts([]);
+        }
+      }
+    })();
+    return () => {
+      active = false;
+    };
+  }, []);
+
   const onSubmitExport = async (formValues) => {
     setSubmitting(true);
     setJobError("");
@@ -56,6 +136,8 @@ export default function ExportPage() {
         format: formValues.format,
         title: formValues.title || null,
         author: formValues.author || null,
+        collection_id: formValues.collectionId || null,
+        glossary: glossary.map((g) => ({ term: g.term, variants: g.variants || [] })),
       };
       const res = await createExportJob(payload);
       // wrap: some backend returns { export: {...} } - normalize
@@ -105,6 +187,11 @@ export default function ExportPage() {
             {!loadingQuotes && !quotesError && (
               <ExportForm
                 quotes={quotes}
+                initialSelectedIds={sentQuoteIds}
+                collections={collections}
+                initialCollectionId={sentCollectionId}
+                assets={assets}
+                transcripts={transcripts}
                 disabled={!hasQuotes || submitting}
                 onSubmit={onSubmitExport}
               />
@@ -123,6 +210,7 @@ export default function ExportPage() {
               submitting={submitting}
               error={jobError}
               onRefresh={refreshJob}
+              glossary={glossary}
             />
           </div>
         </div>
@@ -135,6 +223,8 @@ export default function ExportPage() {
   );
 }
 
+const EMPTY_IDS = [];
+
 const heroWrapStyle = {
   position: "relative",
   padding: "32px 16px",
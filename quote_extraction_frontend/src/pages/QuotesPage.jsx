@@ -1,87 +1,424 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import "../App.css";
-import { listQuotes, updateQuote } from "../api/client";
+import {
+  createCollection,
+  deleteCollection,
+  deleteQuote,
+  listAssets,
+  listCollections,
+  listQuotes,
+  listTranscripts,
+  updateCollection,
+  updateQuote,
+} from "../api/client";
 import QuoteFilters from "../components/QuoteFilters";
 import QuoteList from "../components/QuoteList";
+import BulkActionBar from "../components/BulkActionBar";
+import UndoToast from "../components/UndoToast";
+import CollectionsPanel from "../components/CollectionsPanel";
+import TriageMode from "../components/TriageMode";
+import { archivePatch, matchesStatusFilter, reviewPatch, trashPatch } from "../utils/quoteStatus";
+import { pickFields, runBatch, selectRange } from "../utils/batch";
+import {
+  applyQuoteQuery,
+  queryFromSearchParams,
+  queryToSearchParams,
+  readQuotePage,
+  toListQuotesParams,
+} from "../utils/quoteQuery";
+import { episodeLabel } from "../utils/scope";
+
+const PAGE_SIZE = 50;
 
 /**
  * QuotesPage
  * Displays extracted quotes with smart filtering and inline approve/reject controls.
  * Features:
- * - Filters: status (all/approved/pending), min confidence, tags (contains)
- * - Pageless list with smooth, elegant cards
+ * - Server-side query: text search, status (pending/approved/rejected, archive, trash), min confidence,
+ *   speaker, date range, episode/transcript scope, tag AND/OR/NOT and sorting
+ * - Each card names the episode its quote came from
+ * - The query lives in the URL (?q=&status=&tags=…), so a filtered view can be shared as a link
+ * - Cursor-paginated, virtualized list that loads the next page while scrolling and keeps its
+ *   scroll position when the filters change
  * - Inline actions (Approve / Reject) update backend and reflect immediately
+ * - Archive, trash with restore, and permanent delete (DELETE /api/quotes/{id})
+ * - Inline editing of text, timing, speaker and tags (PATCH /api/quotes/{id})
+ * - Multi-select (shift-click ranges, select all filtered) with batch approve/reject/tag/untag/delete,
+ *   per-item progress, a failure report, an undo toast and "send to export"
+ * - Collections: named, ordered sets of quotes (drag to reorder, notes) that can be exported as a whole
+ * - Keyboard-driven triage of the filtered quotes, one at a time with transcript context and media
  * - Subtle loading/error states and badges
  */
 export default function QuotesPage() {
-  // Filters
-  const [status, setStatus] = useState("all"); // 'all' | 'approved' | 'pending'
-  const [minConf, setMinConf] = useState(0);
-  const [tagQuery, setTagQuery] = useState("");
+  // Filters: the URL query string is the source of truth
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = useMemo(() => queryFromSearchParams(searchParams), [searchParams]);
+  const updateQuery = (patch) => setSearchParams(queryToSearchParams({ ...query, ...patch }), { replace: true });
+  const resetQuery = () => setSearchParams(new URLSearchParams(), { replace: true });
+  const [assets, setAssets] = useState([]);
+  const [transcripts, setTranscripts] = useState([]);
+
+  // Collections
+  const [collections, setCollections] = useState([]);
+  const [collectionsError, setCollectionsError] = useState("");
 
   // Data
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState("");
+  const [error, setError] = useState(""); // the first page failed to load; nothing to show
+  const [loadMoreError, setLoadMoreError] = useState(""); // a later page failed; the loaded quotes stay
+  const [actionError, setActionError] = useState(""); // a single-quote change failed; the list stays
   const [quotes, setQuotes] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null); // cursor of the next page, null when all are loaded
+  const [totalCount, setTotalCount] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // Bulk selection and batch state
+  const navigate = useNavigate();
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [anchorId, setAnchorId] = useState(null); // last plain-clicked quote, start of shift ranges
+  const [progress, setProgress] = useState(null); // { label, done, total }
+  const [report, setReport] = useState(null); // { label, succeeded, failed }
+  const [undo, setUndo] = useState(null); // { message, items: [{ id, before }] }
+  const [triageQueue, setTriageQueue] = useState(null); // quote ids while triage mode is open
+  const triaging = !!triageQueue;
 
-  // Fetch quotes when server-facing filters change (status, minConfidence)
+  // Fetch the first page when the query changes; typing is debounced and stale responses are dropped
+  const serverParams = toListQuotesParams(query);
+  const serverKey = JSON.stringify(serverParams);
+  const fetchSeq = useRef(0);
   const fetchQuotes = async () => {
+    const seq = ++fetchSeq.current;
     setLoading(true);
+    setLoadingMore(false);
     setError("");
+    setLoadMoreError("");
+    setActionError("");
     try {
-      // backend supports status (approved/pending) and minConfidence;
-      // we send null for "all" to not filter.
-      const serverStatus = status === "all" ? null : status;
-      const res = await listQuotes({
-        status: serverStatus,
-        minConfidence: minConf > 0 ? minConf : null,
-      });
-      const list = Array.isArray(res) ? res : res?.items || res?.data || [];
-      setQuotes(list);
+      const page = readQuotePage(await listQuotes({ ...serverParams, limit: PAGE_SIZE }));
+      if (seq !== fetchSeq.current) return;
+      setQuotes(page.items);
+      setNextCursor(page.nextCursor);
+      setTotalCount(page.total);
     } catch (e) {
+      if (seq !== fetchSeq.current) return;
       setError(e?.payload?.detail || e?.message || "Failed to load quotes.");
     } finally {
-      setLoading(false);
+      if (seq === fetchSeq.current) setLoading(false);
     }
   };
 
   useEffect(() => {
-    fetchQuotes();
+    const timer = setTimeout(fetchQuotes, 250);
+    return () => clearTimeout(timer);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [status, minConf]);
-
-  // Client-side tag filter (contains any of tokens typed)
-  const filteredQuotes = useMemo(() => {
-    if (!tagQuery.trim()) return quotes;
-    const tokens = tagQuery
-      .split(",")
-      .map((t) => t.trim().toLowerCase())
-      .filter(Boolean);
-    if (!tokens.length) return quotes;
-    return quotes.filter((q) => {
-      const qtags = (q.tags || []).map((t) => String(t).toLowerCase());
-      return tokens.every((tok) => qtags.some((qt) => qt.includes(tok)));
-    });
-  }, [quotes, tagQuery]);
+  }, [serverKey]);
+
+  // Next page, appended; dropped if the query changed while it was loading
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loading || loadingMore) return;
+    const seq = fetchSeq.current;
+    setLoadingMore(true);
+    setLoadMoreError("");
+    try {
+      const page = readQuotePage(await listQuotes({ ...serverParams, limit: PAGE_SIZE, cursor: nextCursor }));
+      if (seq !== fetchSeq.current) return;
+      setQuotes((prev) => {
+        const seen = new Set(prev.map((q) => q.id));
+        return [...prev, ...page.items.filter((q) => !seen.has(q.id))];
+      });
+      setNextCursor(page.nextCursor);
+      if (page.total !== null) setTotalCount(page.total);
+    } catch (e) {
+      if (seq === fetchSeq.current) setLoadMoreError(e?.payload?.detail || e?.message || "Failed to load more quotes.");
+    } finally {
+      if (seq === fetchSeq.current) setLoadingMore(false);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [nextCursor, loading, loadingMore, serverKey]);
+
+  // The pages not loaded yet, for actions on everything that matches the filters (select all, triage).
+  // Resolves to the full list, or null when loading failed or the query changed meanwhile.
+  const loadAllQuotes = async () => {
+    if (!nextCursor) return quotes;
+    const seq = fetchSeq.current;
+    const seen = new Set(quotes.map((q) => q.id));
+    const extra = [];
+    let cursor = nextCursor;
+    setLoadingMore(true);
+    setLoadMoreError("");
+    try {
+      while (cursor) {
+        const page = readQuotePage(await listQuotes({ ...serverParams, limit: PAGE_SIZE, cursor }));
+        if (seq !== fetchSeq.current) return null;
+        page.items.forEach((q) => {
+          if (!seen.has(q.id)) {
+            seen.add(q.id);
+            extra.push(q);
+          }
+        });
+        cursor = page.nextCursor;
+        const loaded = quotes.length + extra.length;
+        setProgress({ label: "Loading quotes", done: loaded, total: Math.max(loaded, page.total ?? totalCount ?? 0) });
+      }
+      setQuotes((prev) => {
+        const have = new Set(prev.map((q) => q.id));
+        return [...prev, ...extra.filter((q) => !have.has(q.id))];
+      });
+      setNextCursor(null);
+      return [...quotes, ...extra];
+    } catch (e) {
+      if (seq === fetchSeq.current) setLoadMoreError(e?.payload?.detail || e?.message || "Failed to load more quotes.");
+      return null;
+    } finally {
+      if (seq === fetchSeq.current) setLoadingMore(false);
+      setProgress(null);
+    }
+  };
+
+  const onSelectAll = async () => {
+    const all = await loadAllQuotes();
+    if (all) setSelectedIds(new Set(applyQuoteQuery(all, query).map((q) => q.id)));
+  };
+
+  const onStartTriage = async () => {
+    const all = await loadAllQuotes();
+    if (all) setTriageQueue(applyQuoteQuery(all, query).map((q) => q.id));
+  };
+
+  // Episodes and transcripts for the scope picker and quote cards; scoping still works by id without them
+  useEffect(() => {
+    let cancelled = false;
+    listAssets()
+      .then((res) => {
+        if (!cancelled) setAssets(Array.isArray(res) ? res : res?.items || res?.data || []);
+      })
+      .catch(() => {});
+    listTranscripts()
+      .then((res) => {
+        if (!cancelled) setTranscripts(Array.isArray(res) ? res : res?.items || res?.data || []);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    listCollections()
+      .then((res) => {
+        if (!cancelled) setCollections(Array.isArray(res) ? res : res?.items || res?.data || []);
+      })
+      .catch((e) => {
+        if (!cancelled) setCollectionsError(e?.payload?.detail || e?.message || "Failed to load collections.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const onCreateCollection = async (name) => {
+    setCollectionsError("");
+    try {
+      const res = await createCollection({ name });
+      const created = res?.collection || res;
+      setCollections((prev) => [...prev, created]);
+      return created;
+    } catch (e) {
+      setCollectionsError(e?.payload?.detail || e?.message || "Failed to create collection.");
+      return null;
+    }
+  };
+
+  // Applied right away (reordering should feel instant) and rolled back if the server refuses
+  const onUpdateCollection = async (id, patch) => {
+    setCollectionsError("");
+    const before = collections.find((c) => c.id === id);
+    setCollections((prev) => prev.map((c) => (c.id === id ? { ...c, ...patch } : c)));
+    try {
+      const res = await updateCollection(id, patch);
+      const updated = res?.collection || res;
+      if (updated?.id) setCollections((prev) => prev.map((c) => (c.id === id ? { ...c, ...updated } : c)));
+    } catch (e) {
+      if (before) setCollections((prev) => prev.map((c) => (c.id === id ? before : c)));
+      setCollectionsError(e?.payload?.detail || e?.message || "Failed to update collection.");
+    }
+  };
+
+  const onDeleteCollection = async (id) => {
+    setCollectionsError("");
+    try {
+      await deleteCollection(id);
+      setCollections((prev) => prev.filter((c) => c.id !== id));
+    } catch (e) {
+      setCollectionsError(e?.payload?.detail || e?.message || "Failed to delete collection.");
+    }
+  };
+
+  // The same query re-applied client-side, for servers that ignore some parameters
+  const filteredQuotes = useMemo(() => applyQuoteQuery(quotes, query), [quotes, query]);
+
+  // Apply a patch and merge the server's copy into the list; rejects when the update fails
+  const applyPatch = async (id, patch) => {
+    const res = await updateQuote(id, patch);
+    const updated = res?.quote || res;
+    setQuotes((prev) => prev.map((q) => (q.id === id ? { ...q, ...patch, ...updated } : q)));
+  };
 
-  const onApprove = async (id) => {
+  const patchQuote = async (id, patch, failure) => {
     try {
-      const updated = await updateQuote(id, { approved: true });
-      setQuotes((prev) => prev.map((q) => (q.id === id ? updated : q)));
+      await applyPatch(id, patch);
     } catch (e) {
-      setError(e?.payload?.detail || e?.message || "Failed to approve quote.");
+      setActionError(e?.payload?.detail || e?.message || failure);
     }
   };
 
-  const onReject = async (id) => {
+  const onApprove = (id) => patchQuote(id, reviewPatch("approved"), "Failed to approve quote.");
+  const onReject = (id) => patchQuote(id, reviewPatch("rejected"), "Failed to reject quote.");
+  const onArchive = (id, archived) =>
+    patchQuote(id, archivePatch(archived), archived ? "Failed to archive quote." : "Failed to unarchive quote.");
+  const onTrash = (id) => patchQuote(id, trashPatch(true), "Failed to move quote to the trash.");
+  const onRestore = (id) => patchQuote(id, trashPatch(false), "Failed to restore quote.");
+
+  const onDelete = async (id) => {
     try {
-      const updated = await updateQuote(id, { approved: false });
-      setQuotes((prev) => prev.map((q) => (q.id === id ? updated : q)));
+      await deleteQuote(id);
+      setQuotes((prev) => prev.filter((q) => q.id !== id));
     } catch (e) {
-      setError(e?.payload?.detail || e?.message || "Failed to reject quote.");
+      setActionError(e?.payload?.detail || e?.message || "Failed to delete quote.");
     }
   };
 
+  const selectedQuotes = useMemo(
+    () => filteredQuotes.filter((q) => selectedIds.has(q.id)),
+    [filteredQuotes, selectedIds]
+  );
+  const allTags = useMemo(
+    () => [...new Set(quotes.flatMap((q) => q.tags || []))].sort((a, b) => a.localeCompare(b)),
+    [quotes]
+  );
+  const allSpeakers = useMemo(
+    () => [...new Set(quotes.map((q) => q.speaker).filter(Boolean))].sort((a, b) => a.localeCompare(b)),
+    [quotes]
+  );
+
+  const onToggleSelect = (id, { shiftKey } = {}) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (shiftKey && anchorId) {
+        const range = selectRange(filteredQuotes.map((q) => q.id), anchorId, id);
+        // The range follows the anchor: selecting when the anchor is selected, clearing otherwise
+        const select = prev.has(anchorId);
+        range.forEach((rid) => (select ? next.add(rid) : next.delete(rid)));
+      } else if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+    if (!shiftKey) setAnchorId(id);
+  };
+
+  const mergeUpdated = (results) => {
+    const byId = new Map(results.map(({ id, patch, res }) => [id, { ...patch, ...(res?.quote || res) }]));
+    setQuotes((prev) => prev.map((q) => (byId.has(q.id) ? { ...q, ...byId.get(q.id) } : q)));
+  };
+
+  // Patch every selected quote; failures stay selected and are listed, successes can be undone
+  const runBulkPatch = async (label, pastTense, patchFor) => {
+    if (!selectedQuotes.length) return;
+    // Snapshot the fields being changed before anything is sent, for undo
+    const planned = selectedQuotes.map((q) => {
+      const patch = patchFor(q);
+      return { ...q, patch, before: pickFields(q, Object.keys(patch)) };
+    });
+    setReport(null);
+    setUndo(null);
+    setProgress({ label, done: 0, total: planned.length });
+    const { succeeded, failed } = await runBatch(
+      planned,
+      async (q) => ({ id: q.id, patch: q.patch, res: await updateQuote(q.id, q.patch) }),
+      { onProgress: (done, total) => setProgress({ label, done, total }) }
+    );
+    mergeUpdated(succeeded.map((s) => s.result));
+    finishBatch(label, succeeded.length, failed);
+    if (succeeded.length) {
+      setUndo({
+        message: `${pastTense} ${succeeded.length} quote${succeeded.length === 1 ? "" : "s"}.`,
+        items: succeeded.map(({ item }) => ({ id: item.id, before: item.before })),
+      });
+    }
+  };
+
+  const finishBatch = (label, succeededCount, failed) => {
+    setProgress(null);
+    setReport({
+      label,
+      succeeded: succeededCount,
+      failed: failed.map(({ item, error: e }) => ({
+        id: item.id,
+        text: item.text,
+        message: e?.payload?.detail || e?.message || "Request failed",
+      })),
+    });
+    setSelectedIds(new Set(failed.map(({ item }) => item.id)));
+  };
+
+  const onUndo = async () => {
+    const pending = undo;
+    setUndo(null);
+    if (!pending) return;
+    setProgress({ label: "Undoing", done: 0, total: pending.items.length });
+    const { succeeded, failed } = await runBatch(
+      pending.items,
+      async ({ id, before }) => ({ id, patch: before, res: await updateQuote(id, before) }),
+      { onProgress: (done, total) => setProgress({ label: "Undoing", done, total }) }
+    );
+    mergeUpdated(succeeded.map((s) => s.result));
+    const byId = new Map(quotes.map((q) => [q.id, q]));
+    finishBatch(
+      "Undo",
+      succeeded.length,
+      failed.map(({ item, error: e }) => ({ item: byId.get(item.id) || { id: item.id }, error: e }))
+    );
+  };
+
+  const onBulkDeleteForever = async () => {
+    const targets = selectedQuotes;
+    if (!targets.length) return;
+    setReport(null);
+    setUndo(null);
+    setProgress({ label: "Deleting", done: 0, total: targets.length });
+    const { succeeded, failed } = await runBatch(targets, (q) => deleteQuote(q.id), {
+      onProgress: (done, total) => setProgress({ label: "Deleting", done, total }),
+    });
+    const removed = new Set(succeeded.map(({ item }) => item.id));
+    setQuotes((prev) => prev.filter((q) => !removed.has(q.id)));
+    finishBatch("Delete forever", succeeded.length, failed);
+  };
+
+  // Quotes matching the filters, including pages not loaded yet (the server's count until then)
+  const matchingCount = nextCursor && totalCount !== null ? Math.max(totalCount, filteredQuotes.length) : filteredQuotes.length;
+
+  const exportable = selectedQuotes.filter((q) => matchesStatusFilter(q, "approved"));
+  const onSendToExport = () => navigate("/export", { state: { quoteIds: exportable.map((q) => q.id) } });
+
+  const dismissUndo = useCallback(() => setUndo(null), []);
+
+  // Errors are shown by the edit form, which stays open so nothing typed is lost
+  const onSaveQuote = async (id, patch) => {
+    const res = await updateQuote(id, patch);
+    const updated = res?.quote || res;
+    setQuotes((prev) => prev.map((q) => (q.id === id ? { ...q, ...updated } : q)));
+  };
+
+  const episodeOf = useCallback((quote) => episodeLabel(quote, { assets, transcripts }), [assets, transcripts]);
+
+  // A refetch keeps the current list on screen, so the page (and scroll position) doesn't collapse
+  const listReady = !loading || quotes.length > 0;
+
   return (
     <section style={heroWrapStyle}>
       <div style={heroGlowStyle} aria-hidden="true" />
@@ -89,31 +426,130 @@ export default function QuotesPage() {
         <div style={eyebrowStyle}>Curation</div>
         <h1 style={heroTitleStyle}>Review and curate standout quotes</h1>
         <p style={heroSubtitleStyle}>
-          Filter by status, confidence, and tags. Approve or reject quickly to prepare for export.
+          Search and filter by status, confidence, speaker and tags. Approve or reject quickly to prepare for export.
         </p>
 
         <QuoteFilters
-          status={status}
-          onStatusChange={setStatus}
-          minConfidence={minConf}
-          onMinConfidenceChange={setMinConf}
-          tagQuery={tagQuery}
-          onTagQueryChange={setTagQuery}
+          query={query}
+          onChange={updateQuery}
+          speakers={allSpeakers}
+          assets={assets}
+          transcripts={transcripts}
+          tagSuggestions={allTags}
+          onReset={resetQuery}
           onRefresh={fetchQuotes}
           loading={loading}
         />
 
-        {loading && <div style={loadingBox}>Loading quotes…</div>}
+        {!triaging && (
+          <CollectionsPanel
+            collections={collections}
+            quotes={quotes}
+            selectedIds={selectedIds}
+            onCreate={onCreateCollection}
+            onUpdate={onUpdateCollection}
+            onDelete={onDeleteCollection}
+            onExport={(id) => navigate("/export", { state: { collectionId: id } })}
+            error={collectionsError}
+          />
+        )}
+
+        {loading && !quotes.length && <div style={loadingBox}>Loading quotes…</div>}
         {!!error && (
           <div role="alert" style={errorStyle}>
             {error}
           </div>
         )}
 
-        {!loading && !error && (
-          <QuoteList quotes={filteredQuotes} onApprove={onApprove} onReject={onReject} />
+        {!triaging && !!actionError && (
+          <div role="alert" style={{ ...errorStyle, display: "flex", alignItems: "center", gap: 10 }}>
+            <span style={{ flex: 1 }}>{actionError}</span>
+            <button type="button" onClick={() => setActionError("")} style={dismissBtn} aria-label="Dismiss error">
+              ×
+            </button>
+          </div>
+        )}
+
+        {triaging && (
+          <TriageMode
+            queueIds={triageQueue}
+            quotes={quotes}
+            onApprove={(id) => applyPatch(id, reviewPatch("approved"))}
+            onReject={(id) => applyPatch(id, reviewPatch("rejected"))}
+            onSave={onSaveQuote}
+            tagSuggestions={allTags}
+            speakerSuggestions={allSpeakers}
+            onExit={() => setTriageQueue(null)}
+          />
+        )}
+
+        {!triaging && listReady && !error && filteredQuotes.length > 0 && query.status !== "trash" && (
+          <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 12 }}>
+            <button
+              onClick={onStartTriage}
+              disabled={!!progress}
+              style={{ ...triageBtn, ...(progress ? { opacity: 0.5, cursor: "not-allowed" } : {}) }}
+              title="Review one quote at a time with the keyboard"
+            >
+              🎯 Triage {matchingCount} quote{matchingCount === 1 ? "" : "s"}
+            </button>
+          </div>
         )}
 
+        {!triaging && listReady && !error && filteredQuotes.length > 0 && (
+          <BulkActionBar
+            selectedCount={selectedQuotes.length}
+            visibleCount={matchingCount}
+            onSelectAll={onSelectAll}
+            onClear={() => setSelectedIds(new Set())}
+            inTrash={query.status === "trash"}
+            tagSuggestions={allTags}
+            exportableCount={exportable.length}
+            onApprove={() => runBulkPatch("Approving", "Approved", () => reviewPatch("approved"))}
+            onReject={() => runBulkPatch("Rejecting", "Rejected", () => reviewPatch("rejected"))}
+            onTag={(tag) =>
+              runBulkPatch(`Tagging #${tag}`, `Tagged #${tag} on`, (q) => ({
+                tags: (q.tags || []).includes(tag) ? q.tags : [...(q.tags || []), tag],
+              }))
+            }
+            onUntag={(tag) =>
+              runBulkPatch(`Removing #${tag}`, `Removed #${tag} from`, (q) => ({
+                tags: (q.tags || []).filter((t) => t !== tag),
+              }))
+            }
+            onTrash={() => runBulkPatch("Moving to trash", "Trashed", () => trashPatch(true))}
+            onRestore={() => runBulkPatch("Restoring", "Restored", () => trashPatch(false))}
+            onDeleteForever={onBulkDeleteForever}
+            onSendToExport={onSendToExport}
+            progress={progress}
+            report={report}
+            onDismissReport={() => setReport(null)}
+          />
+        )}
+
+        {!triaging && listReady && !error && (
+          <QuoteList
+            quotes={filteredQuotes}
+            onApprove={onApprove}
+            onReject={onReject}
+            onSave={onSaveQuote}
+            onArchive={onArchive}
+            onTrash={onTrash}
+            onRestore={onRestore}
+            onDelete={onDelete}
+            selectedIds={selectedIds}
+            onToggleSelect={onToggleSelect}
+            hasMore={!!nextCursor && !loading}
+            loadingMore={loadingMore}
+            loadMoreError={loadMoreError}
+            onLoadMore={loadMore}
+            totalCount={totalCount}
+            episodeOf={episodeOf}
+          />
+        )}
+
+        {undo && <UndoToast message={undo.message} onUndo={onUndo} onDismiss={dismissUndo} />}
+
         <div style={tipsStyle}>
           Tip: Use tags like "product", "vision", or "funny" to organize your quotes for specific channels.
         </div>
@@ -176,6 +612,15 @@ const loadingBox = {
   opacity: 0.85,
 };
 
+const dismissBtn = {
+  background: "transparent",
+  color: "inherit",
+  border: "none",
+  fontSize: 16,
+  fontWeight: 800,
+  cursor: "pointer",
+};
+
 const errorStyle = {
   marginTop: 14,
   padding: 12,
@@ -186,6 +631,16 @@ const errorStyle = {
   fontWeight: 600,
 };
 
+const triageBtn = {
+  background: "transparent",
+  color: "var(--text-primary)",
+  border: "1px solid var(--border-color)",
+  borderRadius: 10,
+  padding: "8px 12px",
+  fontWeight: 700,
+  cursor: "pointer",
+};
+
 const tipsStyle = {
   marginTop: 16,
   fontSize: 12,
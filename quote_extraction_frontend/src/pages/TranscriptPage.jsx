@@ -1,24 +1,59 @@
-import React, { useMemo, useState } from "react";
+import React, { useMemo, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
 import "../App.css";
 import TranscriptEditor from "../components/TranscriptEditor";
+import MediaPlayer from "../components/MediaPlayer";
+import HistoryDrawer from "../components/HistoryDrawer";
+import ExtractionSettings from "../components/ExtractionSettings";
+import ExtractionResults from "../components/ExtractionResults";
+import ScopePicker from "../components/ScopePicker";
 import {
+  appendTranscriptSegment,
+  createQuote,
+  getAsset,
+  getAssetMediaUrl,
+  getQuote,
   getTranscript,
+  listAssets,
+  listQuotes,
   listTranscripts,
+  updateQuote,
   updateTranscript,
   extractQuotes,
 } from "../api/client";
+import {
+  DEFAULT_EXTRACTION_SETTINGS,
+  buildExtractionPayload,
+  validateExtractionSettings,
+} from "../utils/extractionSettings";
+import { mergeQuotes } from "../utils/similarity";
+import { locateQuote, readQuoteFocus } from "../utils/provenance";
+import { reviewPatch } from "../utils/quoteStatus";
+
+// Fields of an extraction candidate that are copied to the quote created from it
+const CANDIDATE_QUOTE_FIELDS = ["text", "start", "end", "speaker", "tags", "confidence"];
 
 /**
  * TranscriptPage
  * A polished page to:
- * - Load a transcript (selectable via simple dropdown)
- * - Edit transcript inline with a refined editor
+ * - Load a transcript, picked by episode then transcript; extraction runs on that transcript
+ * - Edit transcript segments inline (text, speaker, timing, split/merge) with a refined editor
  * - Save to backend (PUT /api/transcripts/{id})
- * - Extract quotes with a clear CTA (POST /api/quotes/extract)
+ * - Extract quotes with a clear CTA (POST /api/quotes/extract, as a dry run)
+ * - Review extraction candidates in context, flag near-duplicates of existing quotes and
+ *   accept, discard or merge each one before it reaches the Quotes page
+ * - Play the source media in sync with transcript segments
+ * - Manage speakers (rename, merge, reassign) with changes saved via PUT /api/transcripts/{id}
+ * - Create quotes by hand from a transcript selection (POST /api/quotes)
+ * - Browse version history with word-level diffs, restore older versions and view the audit trail
+ * - Tune extraction (candidate count, lengths, speakers, range, tag hints) with channel profiles and per-show presets
+ * - Open at a quote ("View in context" links: ?transcript=&quote=&t=&end=): the transcript is selected,
+ *   the quote's span highlighted and scrolled to, and the media parked at its start
  * - Maintain the modern style established on the Upload page
  */
 export default function TranscriptPage() {
   const [transcripts, setTranscripts] = useState([]);
+  const [assets, setAssets] = useState([]);
   const [selectedId, setSelectedId] = useState("");
   const [transcript, setTranscript] = useState(null);
 
@@ -28,6 +63,23 @@ export default function TranscriptPage() {
   const [error, setError] = useState("");
   const [flash, setFlash] = useState("");
 
+  // Source media for the selected transcript
+  const [asset, setAsset] = useState(null);
+  const [currentTime, setCurrentTime] = useState(null);
+  const playerRef = useRef(null);
+
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [extractionSettings, setExtractionSettings] = useState(DEFAULT_EXTRACTION_SETTINGS);
+  // Candidates of the latest extraction run(s), null until something was extracted
+  const [candidates, setCandidates] = useState(null);
+  const [existingQuotes, setExistingQuotes] = useState([]);
+  const extractionRunRef = useRef(0);
+
+  // Quote to show in context, from the URL
+  const [searchParams, setSearchParams] = useSearchParams();
+  const focus = useMemo(() => readQuoteFocus(searchParams), [searchParams]);
+  const [focusQuote, setFocusQuote] = useState(null);
+
   React.useEffect(() => {
     let active = true;
     (async () => {
@@ -38,8 +90,9 @@ export default function TranscriptPage() {
         if (!active) return;
         const items = Array.isArray(res) ? res : res?.items || res?.data || [];
         setTranscripts(items);
-        if (items?.length && !selectedId) {
-          setSelectedId(items[0]?.id || "");
+        // A transcript picked by a link (or by the user meanwhile) wins over the first one
+        if (items?.length) {
+          setSelectedId((prev) => prev || items[0]?.id || "");
         }
       } catch (e) {
         if (!active) return;
@@ -53,6 +106,25 @@ export default function TranscriptPage() {
     };
   }, []); // load once
 
+  // Episodes group the transcript dropdown; without them every transcript is listed
+  React.useEffect(() => {
+    let active = true;
+    listAssets()
+      .then((res) => {
+        if (active) setAssets(Array.isArray(res) ? res : res?.items || res?.data || []);
+      })
+      .catch(() => {});
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  // Only episodes with a transcript can be picked here
+  const transcribedAssets = useMemo(
+    () => assets.filter((a) => transcripts.some((t) => t.asset_id === a.id)),
+    [assets, transcripts]
+  );
+
   React.useEffect(() => {
     if (!selectedId) {
       setTranscript(null);
@@ -63,6 +135,7 @@ export default function TranscriptPage() {
       setLoadingTranscript(true);
       setError("");
       setTranscript(null);
+      setCandidates(null);
       try {
         const res = await getTranscript(selectedId);
         if (!active) return;
@@ -79,6 +152,68 @@ export default function TranscriptPage() {
     };
   }, [selectedId]);
 
+  const focusTranscriptId = focus?.transcriptId;
+  React.useEffect(() => {
+    if (focusTranscriptId) setSelectedId(focusTranscriptId);
+  }, [focusTranscriptId]);
+
+  // The quote's wording locates its span more precisely than its timestamps alone
+  const focusQuoteId = focus?.quoteId;
+  React.useEffect(() => {
+    setFocusQuote(null);
+    if (!focusQuoteId) return;
+    let active = true;
+    (async () => {
+      try {
+        const res = await getQuote(focusQuoteId);
+        if (active) setFocusQuote(res?.quote || res);
+      } catch (e) {
+        // Fall back to the timestamps from the link
+      }
+    })();
+    return () => {
+      active = false;
+    };
+  }, [focusQuoteId]);
+
+  const highlight = useMemo(() => {
+    if (!focus || !transcript || (transcript.id && transcript.id !== focus.transcriptId)) return null;
+    const quote = focusQuote?.id === focus.quoteId ? focusQuote : { start: focus.start, end: focus.end };
+    const located = locateQuote(transcript, { start: focus.start, end: focus.end, ...quote });
+    // Scrolling follows the key: once for the timed span, again if the exact wording is found
+    return located && { ...located, key: `${focus.transcriptId}:${focus.quoteId || focus.start}:${located.exact}` };
+  }, [focus, focusQuote, transcript]);
+
+  const clearFocus = () => setSearchParams(new URLSearchParams(), { replace: true });
+
+  // Load the source asset so the media can be played next to the transcript
+  const assetId = transcript?.asset_id;
+  React.useEffect(() => {
+    setAsset(null);
+    setCurrentTime(null);
+    if (!assetId) return;
+    let active = true;
+    (async () => {
+      try {
+        const res = await getAsset(assetId);
+        if (!active) return;
+        setAsset(res?.asset || res);
+      } catch (e) {
+        // Media is optional for editing; the player shows its own empty state
+        if (active) setAsset(null);
+      }
+    })();
+    return () => {
+      active = false;
+    };
+  }, [assetId]);
+
+  // Park the media at the focused quote once the player is there
+  const focusStart = focus?.start;
+  React.useEffect(() => {
+    if (asset && typeof focusStart === "number") playerRef.current?.seek(focusStart, { play: false });
+  }, [asset, focusStart]);
+
   // Handle save
   const onSave = async () => {
     if (!transcript?.id) return;
@@ -91,6 +226,8 @@ export default function TranscriptPage() {
         language: transcript.language ?? null,
         status: transcript.status ?? null,
       };
+      // Segments are the editable source of the text; send them so both stay consistent
+      if (Array.isArray(transcript.segments)) payload.segments = transcript.segments;
       const updated = await updateTranscript(transcript.id, payload);
       setTranscript(updated);
       setFlash("Saved successfully.");
@@ -102,25 +239,125 @@ export default function TranscriptPage() {
     }
   };
 
+  // Append a segment and merge the server's segment list (keeps unsaved text edits intact)
+  const onAppendSegment = async (segment) => {
+    if (!transcript?.id) return;
+    const res = await appendTranscriptSegment(transcript.id, segment);
+    const updated = res?.transcript || res;
+    setTranscript((prev) => ({
+      ...(prev || {}),
+      segments: Array.isArray(updated?.segments) ? updated.segments : prev?.segments || [],
+    }));
+  };
+
+  // Persist a new segment list (speaker fixes etc.) together with the matching text
+  const onUpdateSegments = async (segments, text) => {
+    if (!transcript?.id) return;
+    const payload = { segments, ...(typeof text === "string" ? { text } : {}) };
+    const res = await updateTranscript(transcript.id, payload);
+    const updated = res?.transcript || res;
+    setTranscript((prev) => ({
+      ...(prev || {}),
+      ...(updated || {}),
+      text: typeof text === "string" ? text : prev?.text ?? updated?.text ?? "",
+      segments: Array.isArray(updated?.segments) ? updated.segments : segments,
+    }));
+  };
+
+  // Restore an older version by saving its content as the newest version
+  const onRestoreVersion = async (version) => {
+    if (!transcript?.id) return;
+    const payload = {
+      text: version.text ?? "",
+      language: version.language ?? transcript.language ?? null,
+    };
+    if (Array.isArray(version.segments)) payload.segments = version.segments;
+    const updated = await updateTranscript(transcript.id, payload);
+    setTranscript(updated?.transcript || updated);
+    setFlash(`Restored version ${version.version}.`);
+    setTimeout(() => setFlash(""), 2000);
+  };
+
+  // Create a quote from an editor selection; it shows up on the Quotes page as pending
+  const onCreateQuote = async ({ text, start, end, speaker, tags }) => {
+    if (!transcript?.id) return;
+    await createQuote({
+      transcript_id: transcript.id,
+      asset_id: transcript.asset_id || null,
+      text,
+      start,
+      end,
+      speaker,
+      tags,
+      ...reviewPatch("pending"),
+    });
+    setFlash("Quote created. Review it on the Quotes tab.");
+    setTimeout(() => setFlash(""), 2500);
+  };
+
   // Handle extract quotes
   const onExtractQuotes = async () => {
     if (!transcript?.id && !transcript?.text) return;
     setError("");
     setFlash("");
+    const problems = validateExtractionSettings(extractionSettings, {
+      segmentCount: transcript.segments?.length || 0,
+    });
+    if (problems.length) {
+      setError(`Check the extraction settings: ${problems.join(" ")}`);
+      return;
+    }
     try {
-      await extractQuotes({
-        transcript_id: transcript.id || null,
-        text: transcript.text || null,
-        max_candidates: 6,
-        min_length: 24,
-      });
-      setFlash("Quote candidates extracted. Visit Quotes tab to review.");
+      // Dry run: candidates are only saved once accepted or merged in the results panel
+      const [res, quotesRes] = await Promise.all([
+        extractQuotes({ ...buildExtractionPayload(extractionSettings, transcript), dry_run: true }),
+        listQuotes({ assetId: transcript.asset_id || undefined }),
+      ]);
+      const items = Array.isArray(res) ? res : res?.items || res?.data || [];
+      const quotes = Array.isArray(quotesRes) ? quotesRes : quotesRes?.items || quotesRes?.data || [];
+      extractionRunRef.current += 1;
+      const run = extractionRunRef.current;
+      const fresh = items.map((item, i) => ({ ...item, key: `run${run}-${item.id || i}`, resolution: null }));
+      setExistingQuotes(quotes.filter((q) => !q.transcript_id || !transcript.id || q.transcript_id === transcript.id));
+      setCandidates((prev) =>
+        extractionSettings.mode === "append" ? [...(prev || []).filter((c) => !c.resolution), ...fresh] : fresh
+      );
+      setFlash(`${items.length} quote candidate${items.length === 1 ? "" : "s"} ready for review below.`);
       setTimeout(() => setFlash(""), 2500);
     } catch (e) {
       setError(e?.payload?.detail || e?.message || "Failed to extract quotes.");
     }
   };
 
+  const resolveCandidate = (key, resolution) =>
+    setCandidates((prev) => (prev || []).map((c) => (c.key === key ? { ...c, resolution } : c)));
+
+  // Save a candidate as a new (pending) quote. Only quote fields are sent: the dry-run id and
+  // any other server bookkeeping on the candidate don't belong to the new quote.
+  const onAcceptCandidate = async (candidate) => {
+    const fields = {};
+    CANDIDATE_QUOTE_FIELDS.forEach((field) => {
+      if (candidate[field] !== undefined) fields[field] = candidate[field];
+    });
+    const res = await createQuote({
+      ...fields,
+      transcript_id: transcript?.id || candidate.transcript_id || null,
+      asset_id: transcript?.asset_id || candidate.asset_id || null,
+      ...reviewPatch("pending"),
+    });
+    const created = res?.quote || res;
+    if (created?.id) setExistingQuotes((prev) => [created, ...prev]);
+    resolveCandidate(candidate.key, "accepted");
+  };
+
+  // Fold a candidate into an existing near-duplicate instead of creating a second quote
+  const onMergeCandidate = async (candidate, quote) => {
+    const res = await updateQuote(quote.id, mergeQuotes(quote, candidate));
+    const updated = res?.quote || res;
+    setExistingQuotes((prev) => prev.map((q) => (q.id === quote.id ? { ...q, ...updated } : q)));
+    resolveCandidate(candidate.key, "merged");
+  };
+
   const headerBadge = useMemo(() => {
     const status = transcript?.status || "—";
     const colorMap = {
@@ -163,45 +400,106 @@ export default function TranscriptPage() {
         </p>
 
         <div style={toolbar}>
-          <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-            <label htmlFor="transcript-select" style={{ fontSize: 12, opacity: 0.8 }}>
-              Transcript
-            </label>
-            <select
-              id="transcript-select"
-              value={selectedId}
-              onChange={(e) => setSelectedId(e.target.value)}
+          <div style={{ display: "flex", alignItems: "flex-end", gap: 10, flexWrap: "wrap" }}>
+            <ScopePicker
+              assets={transcribedAssets}
+              transcripts={transcripts}
+              transcriptId={selectedId}
+              onChange={({ transcriptId }) => {
+                setSelectedId(transcriptId);
+                if (focus) clearFocus();
+              }}
+              allowAll={false}
+              idPrefix="transcript"
               disabled={loadingList}
-              style={selectStyle}
-            >
-              {!transcripts?.length && <option value="">No transcripts</option>}
-              {transcripts?.map((t) => (
-                <option key={t.id} value={t.id}>
-                  {t.id} {t.language ? `(${t.language})` : ""}
-                </option>
-              ))}
-            </select>
+            />
             {headerBadge}
           </div>
-          <div style={{ fontSize: 12, opacity: 0.8 }}>
+          <div style={{ display: "flex", alignItems: "center", gap: 10, fontSize: 12, opacity: 0.8 }}>
             {transcript?.asset_id && (
-              <>
+              <span>
                 Asset: <code>{transcript.asset_id}</code>
-              </>
+              </span>
             )}
+            <button
+              onClick={() => setHistoryOpen(true)}
+              disabled={!transcript?.id}
+              style={ghostBtn}
+              title="Versions and audit trail"
+            >
+              🕘 History
+            </button>
           </div>
         </div>
 
         {loadingTranscript && <div style={loadingBox}>Loading transcript…</div>}
 
+        {focus && transcript && !loadingTranscript && (
+          <div role="status" style={focusBanner}>
+            <span>
+              {highlight
+                ? highlight.exact
+                  ? "Showing the quote in context."
+                  : "The quote's wording has changed; showing the segments at its time."
+                : "This quote couldn't be located in the transcript."}
+              {focusQuote?.text && <em style={{ opacity: 0.85 }}> “{String(focusQuote.text).slice(0, 80)}{focusQuote.text.length > 80 ? "…" : ""}”</em>}
+            </span>
+            <span style={{ display: "flex", gap: 8, marginLeft: "auto" }}>
+              <Link to="/quotes" style={{ ...ghostBtn, textDecoration: "none" }}>
+                ← Quotes
+              </Link>
+              <button type="button" onClick={clearFocus} style={ghostBtn} aria-label="Clear quote highlight">
+                ✕
+              </button>
+            </span>
+          </div>
+        )}
+
+        {transcript && !loadingTranscript && transcript.asset_id && (
+          <MediaPlayer
+            ref={playerRef}
+            asset={asset}
+            src={asset ? getAssetMediaUrl(asset) : null}
+            onTimeUpdate={setCurrentTime}
+          />
+        )}
+
+        {transcript && !loadingTranscript && (
+          <ExtractionSettings
+            settings={extractionSettings}
+            onChange={setExtractionSettings}
+            segments={transcript.segments || []}
+            defaultShow={asset?.show || ""}
+          />
+        )}
+
         {transcript && !loadingTranscript && (
           <TranscriptEditor
             transcript={transcript}
-            onChange={(txt) => setTranscript((prev) => ({ ...(prev || {}), text: txt }))}
+            onChange={(patch) => setTranscript((prev) => ({ ...(prev || {}), ...patch }))}
             onSave={onSave}
+            onAppendSegment={onAppendSegment}
+            onUpdateSegments={onUpdateSegments}
+            onCreateQuote={onCreateQuote}
             saving={saving}
             onExtractQuotes={onExtractQuotes}
             error={error}
+            currentTime={currentTime}
+            onSeek={(t) => playerRef.current?.seek(t)}
+            highlight={highlight}
+          />
+        )}
+
+        {transcript && !loadingTranscript && candidates && (
+          <ExtractionResults
+            candidates={candidates}
+            existingQuotes={existingQuotes}
+            segments={transcript.segments || []}
+            onAccept={onAcceptCandidate}
+            onMerge={onMergeCandidate}
+            onDiscard={(c) => resolveCandidate(c.key, "discarded")}
+            onSeek={(t) => playerRef.current?.seek(t)}
+            onClose={() => setCandidates(null)}
           />
         )}
 
@@ -216,6 +514,14 @@ export default function TranscriptPage() {
           </div>
         )}
       </div>
+
+      <HistoryDrawer
+        isOpen={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        transcript={transcript}
+        onRestore={onRestoreVersion}
+        refreshKey={transcript?.updated_at}
+      />
     </section>
   );
 }
@@ -274,12 +580,14 @@ const toolbar = {
   marginBottom: 12,
 };
 
-const selectStyle = {
+const ghostBtn = {
   background: "transparent",
   color: "var(--text-primary)",
   border: "1px solid var(--border-color)",
   borderRadius: 8,
-  padding: "8px 10px",
+  padding: "6px 10px",
+  fontWeight: 700,
+  cursor: "pointer",
 };
 
 const loadingBox = {
@@ -300,6 +608,19 @@ const errorStyle = {
   fontWeight: 600,
 };
 
+const focusBanner = {
+  marginTop: 12,
+  padding: "8px 10px",
+  display: "flex",
+  alignItems: "center",
+  gap: 10,
+  flexWrap: "wrap",
+  border: "1px solid rgba(255,176,32,0.5)",
+  background: "rgba(255,176,32,0.08)",
+  borderRadius: 10,
+  fontSize: 13,
+};
+
 const flashStyle = {
   marginTop: 12,
   padding: 10,
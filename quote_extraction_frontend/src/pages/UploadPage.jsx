@@ -1,86 +1,76 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useCallback, useEffect, useState } from "react";
 import "../App.css";
 import UploadForm from "../components/UploadForm";
-import { getUploadStatus } from "../api/client";
+import ProcessingPanel from "../components/ProcessingPanel";
+import TranscriptImport from "../components/TranscriptImport";
+import { getUploadStatus, listAssets } from "../api/client";
+import { PROCESSING_DONE } from "../utils/uploadQueue";
+
+const POLL_INTERVAL_MS = 1500;
 
 /**
  * UploadPage provides a polished upload experience with:
- * - Drag & drop upload
+ * - Drag & drop upload of many files or folders through a queue
  * - Progress and status feedback
- * - Polling backend for processing status once uploaded
+ * - Polling backend for the processing status of every uploaded asset, in one combined panel
+ * - Importing an existing SRT/VTT/TXT/JSON transcript, optionally linked to an uploaded episode
  * - Integrated modern styling
  *
  * Note: Layout, navigation, and theme are managed by App.js. This page renders core content only.
  */
 export default function UploadPage() {
-  const [assetId, setAssetId] = useState(null);
-  const [statusInfo, setStatusInfo] = useState(null);
-  const [polling, setPolling] = useState(false);
+  // Uploaded assets in upload order: { assetId, filename, info (latest status), error }
+  const [tracked, setTracked] = useState([]);
   const [error, setError] = useState("");
-
-  // Poll for status after we have an assetId
+  const [assets, setAssets] = useState([]); // episodes an imported transcript can link to
+
+  const loadAssets = useCallback(() => {
+    listAssets()
+      .then((res) => setAssets(Array.isArray(res) ? res : res?.items || res?.data || []))
+      .catch(() => {});
+  }, []);
+  useEffect(loadAssets, [loadAssets]);
+
+  // Assets still processing; one poll refreshes all of them. An asset whose status can't be read
+  // stops being polled and shows the error instead.
+  const activeKey = tracked
+    .filter((t) => !t.error && !PROCESSING_DONE.includes(t.info?.status))
+    .map((t) => t.assetId)
+    .join("\n");
+
+  // The next poll is scheduled once the current one settles, so slow responses never overlap; a
+  // response arriving after the tracked set changed (or the page closed) is dropped
   useEffect(() => {
+    if (!activeKey) return;
     let active = true;
-    if (!assetId) return;
-
-    setPolling(true);
-    const interval = setInterval(async () => {
-      try {
-        const res = await getUploadStatus(assetId);
-        if (!active) return;
-        setStatusInfo(res);
-        if (res?.status === "completed" || res?.status === "failed" || res?.status === "canceled") {
-          clearInterval(interval);
-          setPolling(false);
-        }
-      } catch (e) {
-        if (!active) return;
-        // Stop polling on hard errors, surface message
-        setError(e?.payload?.message || e?.message || "Failed to check status.");
-        clearInterval(interval);
-        setPolling(false);
-      }
-    }, 1500);
+    let timer = null;
+    const ids = activeKey.split("\n");
+    const poll = async () => {
+      const results = await Promise.all(
+        ids.map((id) =>
+          getUploadStatus(id).then(
+            (info) => ({ id, info }),
+            (e) => ({ id, error: e?.payload?.message || e?.message || "Failed to check status." })
+          )
+        )
+      );
+      if (!active) return;
+      setTracked((prev) =>
+        prev.map((t) => {
+          const result = results.find((r) => r.id === t.assetId);
+          if (!result) return t;
+          return result.error ? { ...t, error: result.error } : { ...t, info: result.info };
+        })
+      );
+      timer = setTimeout(poll, POLL_INTERVAL_MS);
+    };
+    timer = setTimeout(poll, POLL_INTERVAL_MS);
 
     return () => {
       active = false;
-      clearInterval(interval);
+      clearTimeout(timer);
     };
-  }, [assetId]);
-
-  const statusBadge = useMemo(() => {
-    if (!statusInfo) return null;
-    const colorMap = {
-      pending: "#FFB020",
-      processing: "#61dafb",
-      completed: "#22C55E",
-      failed: "#EF4444",
-      canceled: "#9CA3AF",
-      queued: "#FFB020",
-    };
-    const text = (statusInfo.status || "pending").toString();
-    const color = colorMap[text] || "#61dafb";
-    return (
-      <span style={{
-        display: "inline-flex",
-        alignItems: "center",
-        gap: 8,
-        padding: "6px 10px",
-        borderRadius: 999,
-        fontSize: 12,
-        fontWeight: 700,
-        letterSpacing: 0.3,
-        color: "#0b0b0b",
-        background: color
-      }}>
-        <span style={{
-          width: 8, height: 8, borderRadius: "50%",
-          background: "#0b0b0b", opacity: 0.4
-        }} />
-        {text.toUpperCase()}
-      </span>
-    );
-  }, [statusInfo]);
+  }, [activeKey]);
 
   return (
     <section style={heroWrapStyle}>
@@ -92,54 +82,21 @@ export default function UploadPage() {
           Drag and drop files or browse from your computer. We’ll transcribe and prepare your content for quote extraction, editing, and export.
         </p>
         <UploadForm
-          onUploaded={(r) => {
+          onUploaded={(r, file) => {
             setError("");
-            setStatusInfo(null);
-            setAssetId(r.asset_id);
+            if (!r?.asset_id) return;
+            loadAssets();
+            setTracked((prev) => [
+              ...prev.filter((t) => t.assetId !== r.asset_id),
+              { assetId: r.asset_id, filename: file?.name || "", info: null, error: "" },
+            ]);
           }}
           onError={(msg) => {
             setError(msg);
           }}
         />
-        {assetId && (
-          <div style={statusPanelStyle} role="status" aria-live="polite">
-            <div style={statusHeaderStyle}>
-              <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
-                <span style={{ fontWeight: 700, letterSpacing: 0.3 }}>Processing Status</span>
-                {statusBadge}
-              </div>
-              <div style={{ fontSize: 12, opacity: 0.8 }}>
-                Asset ID: <code>{assetId}</code>
-              </div>
-            </div>
-            <div style={{ marginTop: 10 }}>
-              {polling && (
-                <div style={progressWrap}>
-                  <div style={progressBar} />
-                </div>
-              )}
-              <ul style={statusListStyle}>
-                <li>
-                  Updated:{" "}
-                  <span style={{ opacity: 0.9 }}>
-                    {statusInfo?.updated_at ? new Date(statusInfo.updated_at).toLocaleString() : "—"}
-                  </span>
-                </li>
-                <li>
-                  Transcript ID:{" "}
-                  <span style={{ opacity: 0.9 }}>
-                    {statusInfo?.transcript_id || "Not available yet"}
-                  </span>
-                </li>
-                {statusInfo?.message && (
-                  <li>
-                    Message: <span style={{ opacity: 0.9 }}>{statusInfo.message}</span>
-                  </li>
-                )}
-              </ul>
-            </div>
-          </div>
-        )}
+        <ProcessingPanel items={tracked} polling={!!activeKey} />
+        <TranscriptImport assets={assets} />
         {!!error && (
           <div role="alert" style={errorStyle}>
             {error}
@@ -200,44 +157,6 @@ const heroSubtitleStyle = {
   opacity: 0.85,
 };
 
-const statusPanelStyle = {
-  marginTop: 18,
-  padding: 14,
-  borderRadius: 12,
-  border: "1px solid var(--border-color)",
-  background: "var(--bg-secondary)",
-};
-
-const statusHeaderStyle = {
-  display: "flex",
-  alignItems: "center",
-  justifyContent: "space-between",
-  gap: 12,
-};
-
-const statusListStyle = {
-  margin: "10px 0 0",
-  paddingLeft: 18,
-  lineHeight: 1.7,
-};
-
-const progressWrap = {
-  width: "100%",
-  height: 8,
-  borderRadius: 999,
-  background: "rgba(255,255,255,0.08)",
-  overflow: "hidden",
-  border: "1px solid var(--border-color)",
-};
-
-const progressBar = {
-  width: "45%",
-  height: "100%",
-  background:
-    "linear-gradient(90deg, rgba(97,218,251,0.9), rgba(34,197,94,0.9))",
-  animation: "progress-pulse 1.2s ease-in-out infinite alternate",
-};
-
 const errorStyle = {
   marginTop: 14,
   padding: 12,
@@ -253,15 +172,3 @@ const tipsStyle = {
   fontSize: 12,
   opacity: 0.7,
 };
-
-// Add keyframes via a style tag injection (safe for CRA)
-const styleTag = document.createElement("style");
-styleTag.innerHTML = `
-@keyframes progress-pulse {
-  from { transform: translateX(-30%); opacity: 0.7; }
-  to { transform: translateX(85%); opacity: 1; }
-}
-`;
-if (typeof document !== "undefined") {
-  document.head.appendChild(styleTag);
-}
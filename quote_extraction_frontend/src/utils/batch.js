@@ -0,0 +1,69 @@
+//
+// Batch helpers for bulk actions.
+// - Run one async call per item with limited concurrency
+// - Collect successes and failures instead of stopping at the first error
+// - Report progress after each item
+// - Snapshot the fields a bulk patch changes, so it can be undone
+//
+
+import { reviewStatus } from "./quoteStatus";
+
+// PUBLIC_INTERFACE
+export async function runBatch(items, worker, { concurrency = 4, onProgress } = {}) {
+  /**
+   * Call `worker(item)` for every item, at most `concurrency` at a time.
+   * Resolves to { succeeded: [{ item, result }], failed: [{ item, error }] } in input order;
+   * `onProgress(done, total)` is called after each item settles.
+   */
+  const list = Array.from(items || []);
+  const outcomes = new Array(list.length);
+  let next = 0;
+  let done = 0;
+
+  const lane = async () => {
+    while (next < list.length) {
+      const index = next;
+      next += 1;
+      try {
+        outcomes[index] = { ok: true, item: list[index], result: await worker(list[index]) };
+      } catch (error) {
+        outcomes[index] = { ok: false, item: list[index], error };
+      }
+      done += 1;
+      if (onProgress) onProgress(done, list.length);
+    }
+  };
+
+  const lanes = Math.max(1, Math.min(concurrency, list.length));
+  await Promise.all(Array.from({ length: lanes }, lane));
+
+  return {
+    succeeded: outcomes.filter((o) => o.ok).map(({ item, result }) => ({ item, result })),
+    failed: outcomes.filter((o) => !o.ok).map(({ item, error }) => ({ item, error })),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function selectRange(orderedIds, anchorId, targetId) {
+  /** Ids between anchor and target (inclusive) in list order; just the target when the anchor is gone. */
+  const from = orderedIds.indexOf(anchorId);
+  const to = orderedIds.indexOf(targetId);
+  if (from === -1 || to === -1) return [targetId];
+  const [lo, hi] = from < to ? [from, to] : [to, from];
+  return orderedIds.slice(lo, hi + 1);
+}
+
+// PUBLIC_INTERFACE
+export function pickFields(quote, keys) {
+  /**
+   * Current values of the fields a batch is about to change, so the change can be undone.
+   * Missing fields become null (the undo patch clears them again).
+   */
+  const before = {};
+  keys.forEach((key) => {
+    before[key] = quote[key] === undefined ? null : quote[key];
+  });
+  // Quotes created before the status field derive it from `approved`
+  if ("status" in before && before.status === null) before.status = reviewStatus(quote);
+  return before;
+}
@@ -0,0 +1,57 @@
+import { pickFields, runBatch, selectRange } from "./batch";
+
+test("runs every item, keeping failures instead of stopping", async () => {
+  const progress = [];
+  const { succeeded, failed } = await runBatch(
+    ["q1", "q2", "q3", "q4"],
+    async (id) => {
+      if (id === "q2" || id === "q4") throw Object.assign(new Error("Conflict"), { status: 409 });
+      return { id, ok: true };
+    },
+    { concurrency: 2, onProgress: (done, total) => progress.push(`${done}/${total}`) }
+  );
+
+  expect(succeeded).toEqual([
+    { item: "q1", result: { id: "q1", ok: true } },
+    { item: "q3", result: { id: "q3", ok: true } },
+  ]);
+  expect(failed.map(({ item, error }) => [item, error.message])).toEqual([
+    ["q2", "Conflict"],
+    ["q4", "Conflict"],
+  ]);
+  expect(progress).toEqual(["1/4", "2/4", "3/4", "4/4"]);
+});
+
+test("never runs more than `concurrency` items at once", async () => {
+  let running = 0;
+  let peak = 0;
+  await runBatch(
+    [1, 2, 3, 4, 5],
+    async () => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await Promise.resolve();
+      running -= 1;
+    },
+    { concurrency: 2 }
+  );
+  expect(peak).toBe(2);
+  expect(await runBatch([], jest.fn())).toEqual({ succeeded: [], failed: [] });
+});
+
+test("selects a shift-click range in either direction", () => {
+  const ids = ["a", "b", "c", "d", "e"];
+  expect(selectRange(ids, "b", "d")).toEqual(["b", "c", "d"]);
+  expect(selectRange(ids, "d", "b")).toEqual(["b", "c", "d"]);
+  expect(selectRange(ids, "c", "c")).toEqual(["c"]);
+  expect(selectRange(ids, "gone", "d")).toEqual(["d"]);
+});
+
+test("records the fields a bulk patch changes for undo", () => {
+  const quote = { id: "q1", status: "approved", approved: true, tags: ["ai"], speaker: "Host" };
+  expect(pickFields(quote, ["status", "approved"])).toEqual({ status: "approved", approved: true });
+  expect(pickFields(quote, ["archived_at", "tags"])).toEqual({ archived_at: null, tags: ["ai"] });
+  // Quotes without a status field undo to the status `approved` implied
+  expect(pickFields({ id: "q2", approved: true }, ["status", "approved"])).toEqual({ status: "approved", approved: true });
+  expect(pickFields({ id: "q3" }, ["status"])).toEqual({ status: "pending" });
+});
@@ -0,0 +1,176 @@
+//
+// Resumable chunked uploads.
+// Large media goes up in fixed-size parts: init -> upload each part (with its SHA-256, retried with
+// exponential backoff on network and server errors) -> complete. The server acknowledges parts one by
+// one, so an interrupted upload resumes after the parts it already has, also after a page reload
+// (see pendingUploads). The network calls are passed in (see the chunked upload calls in client.js).
+//
+
+import { clearPendingUpload, fileFingerprint, loadPendingUpload, savePendingUpload } from "./pendingUploads";
+
+export const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+// Smaller files go up in one request (uploadAsset)
+export const CHUNKED_UPLOAD_MIN_SIZE = 32 * 1024 * 1024;
+
+// PUBLIC_INTERFACE
+export function planChunks(size, chunkSize = DEFAULT_CHUNK_SIZE) {
+  /** The parts of a file as [{ index, start, end }] (end exclusive); an empty file is one empty part. */
+  const step = Math.max(1, chunkSize);
+  const count = Math.max(1, Math.ceil(size / step));
+  return Array.from({ length: count }, (_, index) => ({
+    index,
+    start: index * step,
+    end: Math.min(size, (index + 1) * step),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function backoffDelay(attempt, { base = 1000, max = 30000, random = Math.random } = {}) {
+  /** Wait before retry number `attempt` (0-based): doubling from `base` up to `max`, with 50-100% jitter. */
+  const ceiling = Math.min(max, base * 2 ** attempt);
+  return Math.round(ceiling * (0.5 + random() / 2));
+}
+
+// PUBLIC_INTERFACE
+export function isRetryableError(error) {
+  /**
+   * Whether a failed part is worth sending again: dropped connections, timeouts, rate limiting,
+   * server errors, and checksum mismatches (the bytes were damaged on the way).
+   */
+  if (error?.name === "AbortError") return false;
+  const status = error?.status;
+  if (status === undefined || status === 0) return true;
+  return status === 408 || status === 422 || status === 429 || status >= 500;
+}
+
+// PUBLIC_INTERFACE
+export async function sha256Hex(blob) {
+  /** Hex SHA-256 of a blob, or null where Web Crypto isn't available (e.g. plain-http origins). */
+  const subtle = typeof crypto !== "undefined" ? crypto.subtle : undefined;
+  if (!subtle || !blob?.arrayBuffer) return null;
+  const digest = await subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// PUBLIC_INTERFACE
+export async function runChunkedUpload(
+  file,
+  api,
+  { chunkSize = DEFAULT_CHUNK_SIZE, maxRetries = 5, retryBase = 1000, onProgress, onRetry, signal } = {}
+) {
+  /**
+   * Upload `file` in parts, resuming a pending upload of the same file when the server still has it.
+   * `api` provides the calls:
+   * - init({ filename, size, content_type, chunk_size }) -> { upload_id, chunk_size? }
+   * - status(upload_id) -> { received: number[] } | null (null or a 404/410 error: start over)
+   * - uploadPart(upload_id, index, blob, { checksum, onProgress, signal }) -> any
+   * - complete(upload_id, { parts: [{ index, sha256 }] }) -> the created asset response
+   * onProgress({ loaded, total }) follows the bytes sent, onRetry({ index, attempt, delay, error }) is
+   * called before waiting to resend a part (backoff starts at retryBase ms). Aborting `signal` stops after the current request and
+   * rejects with an AbortError; the pending upload is kept so it can be resumed.
+   */
+  const fingerprint = fileFingerprint(file);
+  const total = file.size;
+  let record = await loadPendingUpload(fingerprint);
+  let received = [];
+
+  if (record) {
+    try {
+      const state = await api.status(record.upload_id);
+      if (state) received = state.received || [];
+      else record = null;
+    } catch (error) {
+      if (error?.status !== 404 && error?.status !== 410) throw error;
+      record = null;
+    }
+    if (!record) await clearPendingUpload(fingerprint);
+  }
+
+  if (!record) {
+    const created = await api.init({
+      filename: file.name,
+      size: total,
+      content_type: file.type || "application/octet-stream",
+      chunk_size: chunkSize,
+    });
+    record = {
+      id: fingerprint,
+      upload_id: created.upload_id,
+      filename: file.name,
+      size: total,
+      chunk_size: created.chunk_size || chunkSize,
+      checksums: {},
+    };
+    await savePendingUpload(record);
+  }
+
+  const parts = planChunks(total, record.chunk_size);
+  const done = new Set(received);
+  let sentBytes = parts.filter((p) => done.has(p.index)).reduce((sum, p) => sum + (p.end - p.start), 0);
+  if (onProgress) onProgress({ loaded: sentBytes, total });
+
+  for (const part of parts) {
+    if (done.has(part.index)) continue;
+    throwIfAborted(signal);
+    const blob = file.slice(part.start, part.end);
+    const checksum = await sha256Hex(blob);
+    const before = sentBytes;
+
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        await api.uploadPart(record.upload_id, part.index, blob, {
+          checksum,
+          signal,
+          onProgress: onProgress ? ({ loaded }) => onProgress({ loaded: before + loaded, total }) : undefined,
+        });
+        break;
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryableError(error)) throw error;
+        const delay = backoffDelay(attempt, { base: retryBase });
+        if (onRetry) onRetry({ index: part.index, attempt: attempt + 1, delay, error });
+        await wait(delay, signal);
+      }
+    }
+
+    done.add(part.index);
+    sentBytes += part.end - part.start;
+    record = { ...record, checksums: { ...record.checksums, [part.index]: checksum } };
+    await savePendingUpload(record);
+    if (onProgress) onProgress({ loaded: sentBytes, total });
+  }
+
+  // Checksums of parts sent before a reload come from the stored record
+  const checksums = { ...record.checksums };
+  for (const part of parts) {
+    if (checksums[part.index] === undefined) checksums[part.index] = await sha256Hex(file.slice(part.start, part.end));
+  }
+  throwIfAborted(signal);
+  const result = await api.complete(record.upload_id, {
+    parts: parts.map((p) => ({ index: p.index, sha256: checksums[p.index] })),
+  });
+  await clearPendingUpload(fingerprint);
+  return result;
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw new DOMException("Upload cancelled", "AbortError");
+}
+
+// setTimeout that an abort cuts short
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException("Upload cancelled", "AbortError"));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new DOMException("Upload cancelled", "AbortError"));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
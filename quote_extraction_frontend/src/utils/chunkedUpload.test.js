@@ -0,0 +1,123 @@
+import { backoffDelay, isRetryableError, planChunks, runChunkedUpload } from "./chunkedUpload";
+import { fileFingerprint, loadPendingUpload, savePendingUpload } from "./pendingUploads";
+
+// In-memory stand-in for IndexedDB
+jest.mock("./localDb", () => {
+  const stores = {};
+  const store = (name) => {
+    stores[name] = stores[name] || new Map();
+    return stores[name];
+  };
+  return {
+    idbGet: async (name, key) => store(name).get(key) ?? null,
+    idbPut: async (name, value) => {
+      store(name).set(value.id, value);
+      return true;
+    },
+    idbDelete: async (name, key) => {
+      store(name).delete(key);
+      return true;
+    },
+    idbGetAll: async (name) => Array.from(store(name).values()),
+  };
+});
+
+test("plans parts and backs off", () => {
+  expect(planChunks(25, 10)).toEqual([
+    { index: 0, start: 0, end: 10 },
+    { index: 1, start: 10, end: 20 },
+    { index: 2, start: 20, end: 25 },
+  ]);
+  expect(planChunks(0, 10)).toEqual([{ index: 0, start: 0, end: 0 }]);
+  expect(backoffDelay(0, { random: () => 1 })).toBe(1000);
+  expect(backoffDelay(3, { random: () => 0 })).toBe(4000);
+  expect(backoffDelay(10, { random: () => 1 })).toBe(30000);
+  expect(isRetryableError({ status: 0 })).toBe(true);
+  expect(isRetryableError({ status: 503 })).toBe(true);
+  expect(isRetryableError({ status: 403 })).toBe(false);
+  expect(isRetryableError(new DOMException("x", "AbortError"))).toBe(false);
+});
+
+test("uploads every part, retrying failures, then completes", async () => {
+  const file = new File(["abcdefghijklmnopqrstuvwxy"], "ep.mp4", { type: "video/mp4" });
+  const sent = [];
+  let failures = 1;
+  const api = {
+    init: jest.fn(async () => ({ upload_id: "u1" })),
+    status: jest.fn(),
+    uploadPart: jest.fn(async (id, index, blob) => {
+      if (index === 1 && failures-- > 0) throw Object.assign(new Error("Network error"), { status: 0 });
+      sent.push([id, index, blob.size]);
+    }),
+    complete: jest.fn(async (id, { parts }) => ({ asset_id: "a1", parts: parts.length })),
+  };
+  const retries = [];
+  const progress = [];
+  const res = await runChunkedUpload(file, api, {
+    chunkSize: 10,
+    retryBase: 1,
+    onRetry: (r) => retries.push(r.index),
+    onProgress: (p) => progress.push(p.loaded),
+  });
+
+  expect(res).toEqual({ asset_id: "a1", parts: 3 });
+  expect(api.init).toHaveBeenCalledWith({ filename: "ep.mp4", size: 25, content_type: "video/mp4", chunk_size: 10 });
+  expect(sent).toEqual([
+    ["u1", 0, 10],
+    ["u1", 1, 10],
+    ["u1", 2, 5],
+  ]);
+  expect(retries).toEqual([1]);
+  expect(progress[progress.length - 1]).toBe(25);
+});
+
+test("resumes a pending upload after the parts the server already has", async () => {
+  const file = new File(["abcdefghijklmnopqrstuvwxy"], "ep2.mp4", { type: "video/mp4", lastModified: 1700000000000 });
+  await savePendingUpload({
+    id: fileFingerprint(file),
+    upload_id: "u2",
+    filename: "ep2.mp4",
+    size: 25,
+    chunk_size: 10,
+    checksums: { 0: "sum-of-part-0" },
+  });
+  const api = {
+    init: jest.fn(),
+    status: jest.fn(async () => ({ received: [0] })),
+    uploadPart: jest.fn(async () => ({})),
+    complete: jest.fn(async () => ({ asset_id: "a2" })),
+  };
+  const progress = [];
+  const res = await runChunkedUpload(file, api, { chunkSize: 4, onProgress: (p) => progress.push(p.loaded) });
+
+  expect(res).toEqual({ asset_id: "a2" });
+  expect(api.status).toHaveBeenCalledWith("u2");
+  expect(api.init).not.toHaveBeenCalled();
+  expect(api.uploadPart.mock.calls.map(([id, index, blob]) => [id, index, blob.size])).toEqual([
+    ["u2", 1, 10],
+    ["u2", 2, 5],
+  ]);
+  expect(progress[0]).toBe(10);
+  const [id, { parts }] = api.complete.mock.calls[0];
+  expect(id).toBe("u2");
+  expect(parts.map((p) => p.index)).toEqual([0, 1, 2]);
+  expect(parts[0].sha256).toBe("sum-of-part-0");
+  expect(await loadPendingUpload(fileFingerprint(file))).toBeNull();
+});
+
+test("starts over when the server no longer has the pending upload", async () => {
+  const file = new File(["abcdefghij"], "ep3.mp4", { type: "video/mp4", lastModified: 1700000000000 });
+  await savePendingUpload({ id: fileFingerprint(file), upload_id: "gone", filename: "ep3.mp4", size: 10, chunk_size: 10, checksums: {} });
+  const api = {
+    init: jest.fn(async () => ({ upload_id: "u3" })),
+    status: jest.fn(async () => {
+      throw Object.assign(new Error("Not found"), { status: 404 });
+    }),
+    uploadPart: jest.fn(async () => ({})),
+    complete: jest.fn(async () => ({ asset_id: "a3" })),
+  };
+  await runChunkedUpload(file, api, { chunkSize: 10 });
+
+  expect(api.init).toHaveBeenCalledTimes(1);
+  expect(api.uploadPart.mock.calls.map(([id, index]) => [id, index])).toEqual([["u3", 0]]);
+});
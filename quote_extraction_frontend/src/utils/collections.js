@@ -0,0 +1,33 @@
+//
+// Quote collections.
+// A collection is { id, name, notes, quote_ids[] }; the order of quote_ids is the collection's
+// custom order (used by drag-to-reorder and by exports). Helpers return new arrays.
+//
+
+// PUBLIC_INTERFACE
+export function moveItem(list, from, to) {
+  /** Copy of list with the item at `from` moved to index `to` (clamped). */
+  const items = [...(list || [])];
+  if (from < 0 || from >= items.length) return items;
+  const target = Math.min(Math.max(to, 0), items.length - 1);
+  const [item] = items.splice(from, 1);
+  items.splice(target, 0, item);
+  return items;
+}
+
+// PUBLIC_INTERFACE
+export function addQuoteIds(quoteIds, ids) {
+  /** quoteIds with ids appended at the end, skipping ones already in the collection. */
+  const existing = new Set(quoteIds || []);
+  return [...(quoteIds || []), ...(ids || []).filter((id) => !existing.has(id) && existing.add(id))];
+}
+
+// PUBLIC_INTERFACE
+export function orderedMembers(collection, quotes) {
+  /**
+   * The collection's quotes in collection order, as { id, quote } where quote is null when it
+   * isn't among `quotes` (deleted, archived, or simply not loaded).
+   */
+  const byId = new Map((quotes || []).map((q) => [q.id, q]));
+  return (collection?.quote_ids || []).map((id) => ({ id, quote: byId.get(id) || null }));
+}
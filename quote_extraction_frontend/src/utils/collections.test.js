@@ -0,0 +1,17 @@
+import { addQuoteIds, moveItem, orderedMembers } from "./collections";
+
+test("reorders and adds without duplicates", () => {
+  expect(moveItem(["a", "b", "c", "d"], 0, 2)).toEqual(["b", "c", "a", "d"]);
+  expect(moveItem(["a", "b", "c"], 2, 0)).toEqual(["c", "a", "b"]);
+  expect(moveItem(["a", "b"], 0, 9)).toEqual(["b", "a"]);
+  expect(addQuoteIds(["a", "b"], ["b", "c", "c", "d"])).toEqual(["a", "b", "c", "d"]);
+});
+
+test("lists members in collection order, marking missing quotes", () => {
+  const members = orderedMembers({ quote_ids: ["q2", "gone", "q1"] }, [{ id: "q1" }, { id: "q2" }]);
+  expect(members).toEqual([
+    { id: "q2", quote: { id: "q2" } },
+    { id: "gone", quote: null },
+    { id: "q1", quote: { id: "q1" } },
+  ]);
+});
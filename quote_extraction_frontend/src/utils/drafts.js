@@ -0,0 +1,50 @@
+//
+// Local transcript drafts.
+// Unsaved editor state is written to IndexedDB per transcript id so it can be recovered
+// after a tab close or crash. Drafts are removed once the server copy is saved.
+//
+
+import { idbDelete, idbGet, idbPut } from "./localDb";
+
+// PUBLIC_INTERFACE
+export function saveDraft(transcriptId, { text, segments, baseUpdatedAt }) {
+  /** Persist the editor state for a transcript. Resolves to true when stored. */
+  if (!transcriptId) return Promise.resolve(false);
+  return idbPut("drafts", {
+    id: transcriptId,
+    text: text ?? "",
+    segments: Array.isArray(segments) ? segments : [],
+    base_updated_at: baseUpdatedAt || null,
+    saved_at: new Date().toISOString(),
+  });
+}
+
+// PUBLIC_INTERFACE
+export function loadDraft(transcriptId) {
+  /** The stored draft for a transcript, or null. */
+  if (!transcriptId) return Promise.resolve(null);
+  return idbGet("drafts", transcriptId);
+}
+
+// PUBLIC_INTERFACE
+export function clearDraft(transcriptId) {
+  /** Remove the stored draft for a transcript. */
+  if (!transcriptId) return Promise.resolve(null);
+  return idbDelete("drafts", transcriptId);
+}
+
+// PUBLIC_INTERFACE
+export function isDraftNewer(draft, transcript) {
+  /**
+   * Whether a draft should be offered for recovery: it differs from the server copy and
+   * was written after the server copy was last updated.
+   */
+  if (!draft || !transcript) return false;
+  const sameText = (draft.text ?? "") === (transcript.text ?? "");
+  const sameSegments = JSON.stringify(draft.segments || []) === JSON.stringify(transcript.segments || []);
+  if (sameText && sameSegments) return false;
+  const serverTime = Date.parse(transcript.updated_at || transcript.created_at || "");
+  const draftTime = Date.parse(draft.saved_at || "");
+  if (Number.isNaN(serverTime)) return true;
+  return !Number.isNaN(draftTime) && draftTime > serverTime;
+}
@@ -0,0 +1,47 @@
+import { clearDraft, isDraftNewer, loadDraft, saveDraft } from "./drafts";
+
+// In-memory stand-in for IndexedDB
+jest.mock("./localDb", () => {
+  const stores = {};
+  const store = (name) => {
+    stores[name] = stores[name] || new Map();
+    return stores[name];
+  };
+  return {
+    idbGet: async (name, key) => store(name).get(key) ?? null,
+    idbPut: async (name, value) => {
+      store(name).set(value.id, value);
+      return true;
+    },
+    idbDelete: async (name, key) => {
+      store(name).delete(key);
+      return true;
+    },
+    idbGetAll: async (name) => Array.from(store(name).values()),
+  };
+});
+
+const segments = [{ start: 0, end: 2, text: "Hello there." }];
+
+test("saves, recovers and discards a draft per transcript", async () => {
+  expect(await saveDraft("t1", { text: "Hello there.", segments, baseUpdatedAt: "2024-05-01T10:00:00Z" })).toBe(true);
+  const draft = await loadDraft("t1");
+  expect(draft).toMatchObject({ id: "t1", text: "Hello there.", segments, base_updated_at: "2024-05-01T10:00:00Z" });
+  expect(typeof draft.saved_at).toBe("string");
+  expect(await loadDraft("t2")).toBeNull();
+
+  await clearDraft("t1");
+  expect(await loadDraft("t1")).toBeNull();
+  expect(await saveDraft("", { text: "x" })).toBe(false);
+  expect(await loadDraft(undefined)).toBeNull();
+});
+
+test("offers a draft only when it differs and is newer than the server copy", () => {
+  const server = { text: "Hello.", segments: [], updated_at: "2024-05-01T10:00:00Z" };
+  const newer = { text: "Hello there.", segments, saved_at: "2024-05-01T10:05:00Z" };
+  expect(isDraftNewer(newer, server)).toBe(true);
+  expect(isDraftNewer({ ...newer, saved_at: "2024-05-01T09:00:00Z" }, server)).toBe(false);
+  expect(isDraftNewer({ text: "Hello.", segments: [], saved_at: newer.saved_at }, server)).toBe(false);
+  expect(isDraftNewer(newer, { ...server, updated_at: undefined })).toBe(true);
+  expect(isDraftNewer(null, server)).toBe(false);
+});
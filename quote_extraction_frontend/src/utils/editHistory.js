@@ -0,0 +1,52 @@
+//
+// Command-based undo/redo history for the transcript editor.
+// Each command records the document state ({ text, segments }) before and after a change,
+// plus a label for the Undo/Redo buttons. Consecutive typing in the same field is coalesced
+// into one command so undo steps feel like words, not keystrokes.
+//
+
+const HISTORY_LIMIT = 200;
+const COALESCE_MS = 1000;
+
+// PUBLIC_INTERFACE
+export const EMPTY_HISTORY = { past: [], future: [] };
+
+// PUBLIC_INTERFACE
+export function recordCommand(history, { label, before, after, key = null, at = Date.now() }) {
+  /**
+   * Push a command and clear the redo stack. Commands sharing a `key` (e.g. typing in one
+   * segment) within a short window extend the previous command instead of adding a new one.
+   */
+  const past = history?.past || [];
+  const last = past[past.length - 1];
+  if (key && last && last.key === key && at - last.at < COALESCE_MS) {
+    return { past: [...past.slice(0, -1), { ...last, after, at }], future: [] };
+  }
+  return { past: [...past, { label, before, after, key, at }].slice(-HISTORY_LIMIT), future: [] };
+}
+
+// PUBLIC_INTERFACE
+export function undoCommand(history) {
+  /** Step back. Returns { history, state, command } where state is the document to restore, or null. */
+  const past = history?.past || [];
+  if (!past.length) return null;
+  const command = past[past.length - 1];
+  return {
+    history: { past: past.slice(0, -1), future: [command, ...(history.future || [])] },
+    state: command.before,
+    command,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function redoCommand(history) {
+  /** Step forward again. Returns { history, state, command } or null when there is nothing to redo. */
+  const future = history?.future || [];
+  if (!future.length) return null;
+  const command = future[0];
+  return {
+    history: { past: [...(history.past || []), { ...command, key: null }], future: future.slice(1) },
+    state: command.after,
+    command,
+  };
+}
@@ -0,0 +1,60 @@
+import { EMPTY_HISTORY, recordCommand, redoCommand, undoCommand } from "./editHistory";
+
+const doc = (text) => ({ text, segments: [] });
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date("2024-05-01T10:00:00Z"));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test("typing in one field within a second is one undo step", () => {
+  let history = recordCommand(EMPTY_HISTORY, { label: "Edit segment 1", before: doc(""), after: doc("H"), key: "seg-0" });
+  jest.advanceTimersByTime(400);
+  history = recordCommand(history, { label: "Edit segment 1", before: doc("H"), after: doc("He"), key: "seg-0" });
+  jest.advanceTimersByTime(900);
+  history = recordCommand(history, { label: "Edit segment 1", before: doc("He"), after: doc("Hey"), key: "seg-0" });
+  expect(history.past).toHaveLength(1);
+  expect(history.past[0].before).toEqual(doc(""));
+  expect(history.past[0].after).toEqual(doc("Hey"));
+
+  const undone = undoCommand(history);
+  expect(undone.state).toEqual(doc(""));
+  expect(undone.history.past).toEqual([]);
+});
+
+test("a pause, another field or an unkeyed command starts a new step", () => {
+  let history = recordCommand(EMPTY_HISTORY, { label: "Edit", before: doc(""), after: doc("a"), key: "seg-0" });
+  jest.advanceTimersByTime(1000);
+  history = recordCommand(history, { label: "Edit", before: doc("a"), after: doc("ab"), key: "seg-0" });
+  history = recordCommand(history, { label: "Edit", before: doc("ab"), after: doc("abc"), key: "seg-1" });
+  history = recordCommand(history, { label: "Split", before: doc("abc"), after: doc("a bc") });
+  history = recordCommand(history, { label: "Split", before: doc("a bc"), after: doc("a b c") });
+  expect(history.past.map((c) => c.after.text)).toEqual(["a", "ab", "abc", "a bc", "a b c"]);
+});
+
+test("undo and redo walk the history; a new command clears redo", () => {
+  let history = recordCommand(EMPTY_HISTORY, { label: "One", before: doc(""), after: doc("1"), key: "seg-0" });
+  history = recordCommand(history, { label: "Two", before: doc("1"), after: doc("12") });
+  const undone = undoCommand(history);
+  expect(undone.command.label).toBe("Two");
+  expect(undone.state).toEqual(doc("1"));
+  const redone = redoCommand(undone.history);
+  expect(redone.state).toEqual(doc("12"));
+  expect(redone.history.future).toEqual([]);
+
+  const branched = recordCommand(undone.history, { label: "Other", before: doc("1"), after: doc("1x") });
+  expect(branched.future).toEqual([]);
+  expect(undoCommand(EMPTY_HISTORY)).toBeNull();
+  expect(redoCommand(EMPTY_HISTORY)).toBeNull();
+});
+
+test("a redone command isn't extended by typing right after it", () => {
+  const typed = recordCommand(EMPTY_HISTORY, { label: "Edit", before: doc(""), after: doc("a"), key: "seg-0" });
+  const redone = redoCommand(undoCommand(typed).history).history;
+  const next = recordCommand(redone, { label: "Edit", before: doc("a"), after: doc("ab"), key: "seg-0" });
+  expect(next.past.map((c) => c.after.text)).toEqual(["a", "ab"]);
+});
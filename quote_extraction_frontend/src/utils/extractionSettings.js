@@ -0,0 +1,165 @@
+//
+// Quote extraction settings.
+// - Defaults and built-in channel profiles (short social posts vs long-form articles)
+// - Validation and conversion to the POST /api/quotes/extract payload
+// - Per-show presets persisted in localStorage
+//
+
+import { parseTime } from "./transcriptTiming";
+
+const PRESETS_KEY = "quote-extraction:presets";
+
+// PUBLIC_INTERFACE
+export const DEFAULT_EXTRACTION_SETTINGS = {
+  maxCandidates: 6,
+  minLength: 24,
+  maxLength: 400,
+  speakers: [], // empty = all speakers
+  rangeMode: "all", // "all" | "segments" | "time"
+  segmentFrom: "",
+  segmentTo: "",
+  timeFrom: "",
+  timeTo: "",
+  tagHints: "",
+  // What a new run does to earlier candidates still waiting for review: "replace" clears them,
+  // "append" keeps them. Runs are dry runs, so this only affects the local review list.
+  mode: "replace",
+};
+
+// PUBLIC_INTERFACE
+export const CHANNEL_PROFILES = [
+  { id: "default", name: "Balanced (default)", settings: {} },
+  { id: "twitter", name: "Twitter / X", settings: { maxCandidates: 12, minLength: 40, maxLength: 260, tagHints: "punchy, hot-take" } },
+  { id: "linkedin", name: "LinkedIn", settings: { maxCandidates: 8, minLength: 80, maxLength: 600, tagHints: "insight, leadership" } },
+  { id: "instagram", name: "Instagram caption", settings: { maxCandidates: 10, minLength: 30, maxLength: 180 } },
+  { id: "article", name: "Long-form article", settings: { maxCandidates: 5, minLength: 160, maxLength: 1200, tagHints: "story, context" } },
+];
+
+// PUBLIC_INTERFACE
+export function validateExtractionSettings(settings, { segmentCount = 0 } = {}) {
+  /** Returns a list of human-readable problems (empty when the settings can be sent). */
+  const s = { ...DEFAULT_EXTRACTION_SETTINGS, ...(settings || {}) };
+  const errors = [];
+  const max = Number(s.maxCandidates);
+  const minLen = Number(s.minLength);
+  const maxLen = Number(s.maxLength);
+  if (!Number.isInteger(max) || max < 1 || max > 50) errors.push("Candidate count must be between 1 and 50.");
+  if (!Number.isFinite(minLen) || minLen < 0) errors.push("Minimum length must be 0 or more.");
+  if (!Number.isFinite(maxLen) || maxLen <= 0) errors.push("Maximum length must be greater than 0.");
+  if (Number.isFinite(minLen) && Number.isFinite(maxLen) && maxLen > 0 && minLen > maxLen) {
+    errors.push("Minimum length cannot exceed maximum length.");
+  }
+  if (s.rangeMode === "segments") {
+    const from = Number(s.segmentFrom || 1);
+    const to = Number(s.segmentTo || segmentCount);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < from || (segmentCount && to > segmentCount)) {
+      errors.push(`Segment range must be within 1-${segmentCount || "?"} and in order.`);
+    }
+  }
+  if (s.rangeMode === "time") {
+    const from = s.timeFrom ? parseTime(s.timeFrom) : 0;
+    const to = s.timeTo ? parseTime(s.timeTo) : null;
+    if (from === null || (s.timeTo && to === null)) errors.push("Times must look like m:ss (e.g. 4:30).");
+    else if (to !== null && to <= from) errors.push("The time range end must be after its start.");
+  }
+  return errors;
+}
+
+// PUBLIC_INTERFACE
+export function buildExtractionPayload(settings, transcript) {
+  /**
+   * Convert editor settings into the extractQuotes payload.
+   * Segment ranges are sent as a start/end time window so the backend only needs one range filter.
+   * `mode` is not sent: it only decides what happens to the local review list.
+   */
+  const s = { ...DEFAULT_EXTRACTION_SETTINGS, ...(settings || {}) };
+  const segments = transcript?.segments || [];
+  let start = null;
+  let end = null;
+  if (s.rangeMode === "segments" && segments.length) {
+    const from = Math.max(1, Number(s.segmentFrom || 1));
+    const to = Math.min(segments.length, Number(s.segmentTo || segments.length));
+    start = segments[from - 1]?.start ?? null;
+    end = segments[to - 1]?.end ?? null;
+  } else if (s.rangeMode === "time") {
+    start = s.timeFrom ? parseTime(s.timeFrom) : null;
+    end = s.timeTo ? parseTime(s.timeTo) : null;
+  }
+  const tagHints = String(s.tagHints || "")
+    .split(",")
+    .map((t) => t.trim().replace(/^#/, ""))
+    .filter(Boolean);
+
+  return {
+    transcript_id: transcript?.id || null,
+    text: transcript?.text || null,
+    max_candidates: Number(s.maxCandidates),
+    min_length: Number(s.minLength),
+    max_length: Number(s.maxLength),
+    speakers: s.speakers?.length ? [...s.speakers] : null,
+    start,
+    end,
+    tag_hints: tagHints.length ? tagHints : null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function loadShowPresets(show) {
+  /** Saved presets for a show: [{ name, settings, saved_at }] sorted by name. */
+  const all = readAll();
+  const byName = all[normalizeShow(show)] || {};
+  return Object.entries(byName)
+    .map(([name, value]) => ({ name, settings: value.settings, saved_at: value.saved_at }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// PUBLIC_INTERFACE
+export function listShows() {
+  /** Names of shows that have saved presets. */
+  return Object.keys(readAll()).sort((a, b) => a.localeCompare(b));
+}
+
+// PUBLIC_INTERFACE
+export function saveShowPreset(show, name, settings) {
+  /** Save (or overwrite) a named preset for a show. Returns false when storage is unavailable. */
+  const key = normalizeShow(show);
+  const presetName = String(name || "").trim();
+  if (!key || !presetName) return false;
+  const all = readAll();
+  all[key] = { ...(all[key] || {}), [presetName]: { settings: { ...settings }, saved_at: new Date().toISOString() } };
+  return writeAll(all);
+}
+
+// PUBLIC_INTERFACE
+export function deleteShowPreset(show, name) {
+  /** Remove a named preset from a show. */
+  const key = normalizeShow(show);
+  const all = readAll();
+  if (!all[key]) return false;
+  delete all[key][name];
+  if (!Object.keys(all[key]).length) delete all[key];
+  return writeAll(all);
+}
+
+function normalizeShow(show) {
+  return String(show || "").trim();
+}
+
+function readAll() {
+  try {
+    const raw = window.localStorage.getItem(PRESETS_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function writeAll(all) {
+  try {
+    window.localStorage.setItem(PRESETS_KEY, JSON.stringify(all));
+    return true;
+  } catch {
+    return false;
+  }
+}
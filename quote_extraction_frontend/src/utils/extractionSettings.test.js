@@ -0,0 +1,63 @@
+import { DEFAULT_EXTRACTION_SETTINGS, buildExtractionPayload, validateExtractionSettings } from "./extractionSettings";
+
+const transcript = {
+  id: "t1",
+  text: "a b c",
+  segments: [
+    { start: 0, end: 5, text: "a" },
+    { start: 5, end: 12, text: "b" },
+    { start: 12, end: 20, text: "c" },
+  ],
+};
+
+test("accepts the defaults and rejects out-of-range values", () => {
+  expect(validateExtractionSettings(DEFAULT_EXTRACTION_SETTINGS, { segmentCount: 3 })).toEqual([]);
+  expect(validateExtractionSettings({ maxCandidates: 0 })).toEqual(["Candidate count must be between 1 and 50."]);
+  expect(validateExtractionSettings({ maxCandidates: 51 })).toEqual(["Candidate count must be between 1 and 50."]);
+  expect(validateExtractionSettings({ maxCandidates: 2.5 })).toEqual(["Candidate count must be between 1 and 50."]);
+  expect(validateExtractionSettings({ minLength: -1 })).toEqual(["Minimum length must be 0 or more."]);
+  expect(validateExtractionSettings({ maxLength: 0 })).toEqual(["Maximum length must be greater than 0."]);
+  expect(validateExtractionSettings({ minLength: 500, maxLength: 100 })).toEqual([
+    "Minimum length cannot exceed maximum length.",
+  ]);
+});
+
+test("checks segment and time ranges", () => {
+  const segments = (from, to) => validateExtractionSettings({ rangeMode: "segments", segmentFrom: from, segmentTo: to }, { segmentCount: 3 });
+  expect(segments("1", "3")).toEqual([]);
+  expect(segments("", "")).toEqual([]);
+  expect(segments("2", "4")).toEqual(["Segment range must be within 1-3 and in order."]);
+  expect(segments("3", "2")).toEqual(["Segment range must be within 1-3 and in order."]);
+  expect(segments("0", "2")).toEqual(["Segment range must be within 1-3 and in order."]);
+
+  const time = (from, to) => validateExtractionSettings({ rangeMode: "time", timeFrom: from, timeTo: to });
+  expect(time("0:30", "1:00")).toEqual([]);
+  expect(time("", "")).toEqual([]);
+  expect(time("abc", "")).toEqual(["Times must look like m:ss (e.g. 4:30)."]);
+  expect(time("1:00", "0:30")).toEqual(["The time range end must be after its start."]);
+});
+
+test("builds the extraction payload", () => {
+  expect(buildExtractionPayload(DEFAULT_EXTRACTION_SETTINGS, transcript)).toEqual({
+    transcript_id: "t1",
+    text: "a b c",
+    max_candidates: 6,
+    min_length: 24,
+    max_length: 400,
+    speakers: null,
+    start: null,
+    end: null,
+    tag_hints: null,
+  });
+  expect(buildExtractionPayload({ mode: "append" }, transcript)).not.toHaveProperty("mode");
+  const ranged = buildExtractionPayload(
+    { maxCandidates: "3", speakers: ["Host"], rangeMode: "segments", segmentFrom: "2", segmentTo: "9", tagHints: "#funny, , insight" },
+    transcript
+  );
+  expect(ranged).toMatchObject({ max_candidates: 3, speakers: ["Host"], start: 5, end: 20, tag_hints: ["funny", "insight"] });
+  expect(buildExtractionPayload({ rangeMode: "time", timeFrom: "1:00", timeTo: "" }, transcript)).toMatchObject({
+    start: 60,
+    end: null,
+  });
+  expect(buildExtractionPayload(null, null)).toMatchObject({ transcript_id: null, text: null });
+});
@@ -0,0 +1,114 @@
+//
+// Find/replace helpers for transcripts.
+// - Build a search pattern from a query and options (match case, whole word, regex)
+// - List matches with surrounding context for previews
+// - Replace across the transcript text and every segment's text in one pass
+//
+
+import { updateSegment } from "./segments";
+
+const CONTEXT_CHARS = 30;
+
+// PUBLIC_INTERFACE
+export function buildPattern(query, { matchCase = false, wholeWord = false, regex = false } = {}) {
+  /**
+   * Compile a global RegExp for the query.
+   * Returns { pattern, error }; pattern is null for an empty query or an invalid regex.
+   */
+  if (!query) return { pattern: null, error: "" };
+  let source = regex ? query : escapeRegExp(query);
+  if (wholeWord) source = `(?<![\\w])(?:${source})(?![\\w])`;
+  try {
+    return { pattern: new RegExp(source, matchCase ? "g" : "gi"), error: "" };
+  } catch (e) {
+    return { pattern: null, error: `Invalid regular expression: ${e.message}` };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function findMatches(text, pattern) {
+  /**
+   * All non-empty matches of pattern in text:
+   * [{ start, end, match, groups, before, after }] where before/after are short context snippets.
+   */
+  const source = String(text || "");
+  if (!pattern) return [];
+  const re = new RegExp(pattern.source, pattern.flags.includes("g") ? pattern.flags : `${pattern.flags}g`);
+  const matches = [];
+  let m;
+  while ((m = re.exec(source)) !== null) {
+    if (m[0] === "") {
+      // Zero-length matches (e.g. /x*/) would replace nothing visible; step past them
+      re.lastIndex += 1;
+      continue;
+    }
+    matches.push({
+      start: m.index,
+      end: m.index + m[0].length,
+      match: m[0],
+      groups: m,
+      before: source.slice(Math.max(0, m.index - CONTEXT_CHARS), m.index),
+      after: source.slice(m.index + m[0].length, m.index + m[0].length + CONTEXT_CHARS),
+    });
+  }
+  return matches;
+}
+
+// PUBLIC_INTERFACE
+export function expandReplacement(replacement, match, regex = false) {
+  /**
+   * Replacement text for one match. In regex mode, $&, $1..$99, $<name> and $$ are expanded
+   * like String.prototype.replace; otherwise the replacement is used literally.
+   */
+  const template = String(replacement ?? "");
+  if (!regex) return template;
+  const groups = match.groups || [match.match];
+  return template.replace(/\$(\$|&|<([^>]+)>|\d{1,2})/g, (token, what, name) => {
+    if (what === "$") return "$";
+    if (what === "&") return match.match;
+    if (name !== undefined) return groups.groups?.[name] ?? "";
+    const n = parseInt(what, 10);
+    return n > 0 && n < groups.length ? groups[n] ?? "" : token;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function replaceInText(text, pattern, replacement, regex = false) {
+  /** Replace all matches in text. Returns { text, count }. */
+  const source = String(text || "");
+  const matches = findMatches(source, pattern);
+  if (!matches.length) return { text: source, count: 0 };
+  let out = "";
+  let at = 0;
+  matches.forEach((m) => {
+    out += source.slice(at, m.start) + expandReplacement(replacement, m, regex);
+    at = m.end;
+  });
+  return { text: out + source.slice(at), count: matches.length };
+}
+
+// PUBLIC_INTERFACE
+export function replaceInTranscript({ text, segments }, query, replacement, options = {}) {
+  /**
+   * Apply a replacement to the transcript text and to every segment's text.
+   * Returns { text, segments, textCount, segmentCount, error }. Segments whose text changes
+   * lose their word timings (see updateSegment).
+   */
+  const { pattern, error } = buildPattern(query, options);
+  if (!pattern) return { text, segments, textCount: 0, segmentCount: 0, error };
+
+  const nextText = replaceInText(text, pattern, replacement, options.regex);
+  let nextSegments = segments || [];
+  let segmentCount = 0;
+  nextSegments.forEach((seg, idx) => {
+    const res = replaceInText(seg?.text, pattern, replacement, options.regex);
+    if (!res.count) return;
+    segmentCount += res.count;
+    nextSegments = updateSegment(nextSegments, idx, { text: res.text });
+  });
+  return { text: nextText.text, segments: nextSegments, textCount: nextText.count, segmentCount, error: "" };
+}
+
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
@@ -0,0 +1,25 @@
+import { buildPattern, findMatches, replaceInTranscript } from "./findReplace";
+
+test("whole-word, case-insensitive replace updates text and segments", () => {
+  const transcript = {
+    text: "Data Flow ships today. data flow rocks. Data Flows differ.",
+    segments: [
+      { start: 0, end: 2, text: "Data Flow ships today.", words: [{}, {}, {}, {}] },
+      { start: 2, end: 4, text: "data flow rocks." },
+    ],
+  };
+  const res = replaceInTranscript(transcript, "data flow", "DataFlow", { wholeWord: true });
+  expect(res.text).toBe("DataFlow ships today. DataFlow rocks. Data Flows differ.");
+  expect(res.textCount).toBe(2);
+  expect(res.segmentCount).toBe(2);
+  expect(res.segments[0].text).toBe("DataFlow ships today.");
+  expect(res.segments[0].words).toBeUndefined();
+});
+
+test("regex replacements expand groups and report invalid patterns", () => {
+  const { pattern } = buildPattern("(\\w+) (\\w+)", { regex: true });
+  expect(findMatches("Sarah Chen", pattern)).toHaveLength(1);
+  const res = replaceInTranscript({ text: "Sarah Chen", segments: [] }, "(\\w+) (\\w+)", "$2, $1", { regex: true });
+  expect(res.text).toBe("Chen, Sarah");
+  expect(buildPattern("(", { regex: true }).error).toMatch(/Invalid regular expression/);
+});
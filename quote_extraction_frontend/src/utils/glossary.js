@@ -0,0 +1,145 @@
+//
+// Workspace glossary helpers.
+// A glossary entry is { id, term, kind, variants[], note } where `term` is the preferred
+// spelling and `variants` are known wrong spellings (e.g. "Data Flow" for "DataFlow").
+// - Flag likely misspellings in transcript text with a suggested correction
+// - Apply fixes to text ranges
+// - Normalize capitalization of glossary terms in export output
+//
+
+const WORD_RE = /[\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*/gu;
+const WORD_CHAR = "[\\p{L}\\p{N}]";
+
+// PUBLIC_INTERFACE
+export function findGlossaryIssues(text, glossary) {
+  /**
+   * Find likely misspellings of glossary terms in text.
+   * Returns [{ start, end, found, suggestion, termId, reason }] sorted by start, where reason is
+   * "variant" (a listed variant), "spelling" (same letters, different casing/spacing) or
+   * "similar" (one or two letters off). Correct occurrences are never flagged.
+   */
+  const source = String(text || "");
+  const entries = (glossary || []).filter((g) => g && typeof g.term === "string" && g.term.trim());
+  if (!source || !entries.length) return [];
+
+  const words = [];
+  let m;
+  WORD_RE.lastIndex = 0;
+  while ((m = WORD_RE.exec(source)) !== null) {
+    words.push({ start: m.index, end: m.index + m[0].length });
+  }
+
+  const exact = [];
+  const found = [];
+  entries.forEach((entry) => {
+    const term = entry.term.trim();
+    const termWords = countWords(term);
+    const termCompact = compact(term);
+    const variants = new Set((entry.variants || []).map((v) => String(v).trim().toLowerCase()).filter(Boolean));
+    // Joined or split compounds ("Data Flow" for "DataFlow") span one word more or less
+    const sizes = new Set([termWords, termWords + 1, termWords - 1, ...[...variants].map(countWords)]);
+    sizes.delete(0);
+
+    sizes.forEach((n) => {
+      for (let i = 0; i + n <= words.length; i += 1) {
+        const start = words[i].start;
+        const end = words[i + n - 1].end;
+        const span = source.slice(start, end);
+        if (span === term) {
+          exact.push({ start, end });
+          continue;
+        }
+        if (/[\n\r.,;:!?()"“”]/.test(span)) continue; // never join words across punctuation
+        const spanCompact = compact(span);
+        let reason = null;
+        if (variants.has(span.toLowerCase().replace(/\s+/g, " "))) reason = "variant";
+        else if (spanCompact === termCompact) reason = "spelling";
+        else if (n === termWords && isSimilar(spanCompact, termCompact)) reason = "similar";
+        if (reason) found.push({ start, end, found: span, suggestion: term, termId: entry.id, reason });
+      }
+    });
+  });
+
+  // Keep the longest issue at each position and drop anything touching a correct occurrence
+  found.sort((a, b) => a.start - b.start || b.end - a.end);
+  const issues = [];
+  found.forEach((issue) => {
+    if (exact.some((x) => x.start < issue.end && x.end > issue.start)) return;
+    const last = issues[issues.length - 1];
+    if (last && last.end > issue.start) return;
+    issues.push(issue);
+  });
+  return issues;
+}
+
+// PUBLIC_INTERFACE
+export function applyGlossaryFixes(text, issues) {
+  /** Replace each issue's range with its suggestion. Issues must come from the same text. */
+  const sorted = [...(issues || [])].sort((a, b) => b.start - a.start);
+  let out = String(text || "");
+  sorted.forEach((issue) => {
+    out = out.slice(0, issue.start) + issue.suggestion + out.slice(issue.end);
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export function applyGlossaryCasing(value, glossary) {
+  /**
+   * Rewrite glossary terms with their preferred capitalization ("dataflow" -> "DataFlow").
+   * Accepts a string, or an array/object whose string values are rewritten (keys are kept).
+   */
+  const patterns = buildCasingPatterns(glossary);
+  if (!patterns.length) return value;
+  const rewrite = (v) => {
+    if (typeof v === "string") return patterns.reduce((acc, { re, term }) => acc.replace(re, term), v);
+    if (Array.isArray(v)) return v.map(rewrite);
+    if (v && typeof v === "object") {
+      return Object.fromEntries(Object.entries(v).map(([k, inner]) => [k, rewrite(inner)]));
+    }
+    return v;
+  };
+  return rewrite(value);
+}
+
+function buildCasingPatterns(glossary) {
+  return (glossary || [])
+    .map((g) => String(g?.term || "").trim())
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map((term) => ({
+      term,
+      re: new RegExp(`(?<!${WORD_CHAR})${escapeRegExp(term)}(?!${WORD_CHAR})`, "giu"),
+    }));
+}
+
+function isSimilar(a, b) {
+  if (b.length < 5 || a[0] !== b[0]) return false;
+  const allowed = b.length >= 9 ? 2 : 1;
+  if (Math.abs(a.length - b.length) > allowed) return false;
+  return editDistance(a, b) <= allowed;
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function compact(str) {
+  return String(str).toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+function countWords(str) {
+  return (String(str).match(WORD_RE) || []).length;
+}
+
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
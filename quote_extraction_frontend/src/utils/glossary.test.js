@@ -0,0 +1,22 @@
+import { applyGlossaryCasing, applyGlossaryFixes, findGlossaryIssues } from "./glossary";
+
+const GLOSSARY = [
+  { id: "t1", term: "DataFlow", variants: ["Data Flow"] },
+  { id: "t2", term: "Sarah Chen", variants: [] },
+];
+
+test("flags variants, spacing and near misses but not correct spellings", () => {
+  const text = "Sara Chen founded Data Flow. DataFlow grew. dataflow, Sarah Chen.";
+  const issues = findGlossaryIssues(text, GLOSSARY);
+  expect(issues.map((i) => [i.found, i.reason])).toEqual([
+    ["Sara Chen", "similar"],
+    ["Data Flow", "variant"],
+    ["dataflow", "spelling"],
+  ]);
+  expect(applyGlossaryFixes(text, issues)).toBe("Sarah Chen founded DataFlow. DataFlow grew. DataFlow, Sarah Chen.");
+});
+
+test("normalizes capitalization in export output", () => {
+  expect(applyGlossaryCasing("built on dataflow by sarah chen", GLOSSARY)).toBe("built on DataFlow by Sarah Chen");
+  expect(applyGlossaryCasing({ quotes: [{ text: "DATAFLOW" }] }, GLOSSARY)).toEqual({ quotes: [{ text: "DataFlow" }] });
+});
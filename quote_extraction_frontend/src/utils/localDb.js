@@ -0,0 +1,86 @@
+//
+// Small promise wrapper around IndexedDB for data that must survive a tab close or crash.
+// - One database for the app; object stores are declared in STORES
+// - Every helper resolves to null/false instead of throwing when IndexedDB is unavailable
+//   (private browsing, old browsers, tests), so callers can treat persistence as best-effort
+//
+
+const DB_NAME = "quote-extraction";
+// Bump DB_VERSION whenever a store is added to STORES
+const DB_VERSION = 2;
+const STORES = {
+  drafts: { keyPath: "id" },
+  uploads: { keyPath: "id" },
+};
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined" || !indexedDB) return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      let request;
+      try {
+        request = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch {
+        resolve(null);
+        return;
+      }
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, options]) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, options);
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+function run(storeName, mode, action) {
+  return openDb().then(
+    (db) =>
+      new Promise((resolve) => {
+        if (!db) {
+          resolve(null);
+          return;
+        }
+        try {
+          const tx = db.transaction(storeName, mode);
+          const request = action(tx.objectStore(storeName));
+          tx.oncomplete = () => resolve(request?.result ?? null);
+          tx.onerror = () => resolve(null);
+          tx.onabort = () => resolve(null);
+        } catch {
+          resolve(null);
+        }
+      })
+  );
+}
+
+// PUBLIC_INTERFACE
+export function idbGet(storeName, key) {
+  /** Read one record by key. Resolves to the record or null. */
+  return run(storeName, "readonly", (store) => store.get(key));
+}
+
+// PUBLIC_INTERFACE
+export function idbGetAll(storeName) {
+  /** Read every record in a store. Resolves to an array (empty when unavailable). */
+  return run(storeName, "readonly", (store) => store.getAll()).then((res) => res || []);
+}
+
+// PUBLIC_INTERFACE
+export function idbPut(storeName, value) {
+  /** Insert or replace a record (keyed by the store's keyPath). Resolves to true on success. */
+  return run(storeName, "readwrite", (store) => store.put(value)).then((res) => res !== null);
+}
+
+// PUBLIC_INTERFACE
+export function idbDelete(storeName, key) {
+  /** Delete a record by key. Resolves when done. */
+  return run(storeName, "readwrite", (store) => store.delete(key));
+}
@@ -0,0 +1,213 @@
+//
+// Pre-flight media checks.
+// Before a file is uploaded it is probed in the browser:
+// - Container and codecs sniffed from the first bytes (magic numbers, codec tags near the start)
+// - Duration from a media element's metadata
+// - Silence, by decoding the first few MB (audio formats that decode from a partial file)
+// The probe is checked against the server's upload policy (GET /api/uploads/policy) to produce
+// errors (the upload would be rejected or is pointless) and warnings (it may not work as expected).
+// Every probe step is best-effort and yields null when the browser can't tell.
+//
+
+export const HEADER_BYTES = 64 * 1024;
+const SILENCE_SAMPLE_BYTES = 4 * 1024 * 1024;
+const SILENCE_PEAK = 0.001; // below -60 dBFS
+const METADATA_TIMEOUT_MS = 10000;
+// Seconds of processing per second of media when the policy doesn't say
+const DEFAULT_PROCESSING_RATIO = 0.3;
+
+// Containers that decode from their first few MB (no index at the end of the file)
+const STREAMABLE_AUDIO = ["mp3", "aac", "wav", "flac", "ogg", "aiff"];
+
+const CODEC_TAGS = [
+  ["avc1", "H.264"],
+  ["hvc1", "HEVC"],
+  ["hev1", "HEVC"],
+  ["av01", "AV1"],
+  ["vp09", "VP9"],
+  ["V_MPEG4/ISO/AVC", "H.264"],
+  ["V_MPEGH/ISO/HEVC", "HEVC"],
+  ["V_VP9", "VP9"],
+  ["V_VP8", "VP8"],
+  ["V_AV1", "AV1"],
+  ["mp4a", "AAC"],
+  ["ac-3", "AC-3"],
+  ["Opus", "Opus"],
+  ["A_OPUS", "Opus"],
+  ["A_VORBIS", "Vorbis"],
+  ["A_AAC", "AAC"],
+];
+
+const WAV_FORMATS = { 1: "PCM", 3: "PCM (float)", 0x55: "MP3", 0xfffe: "PCM" };
+
+// PUBLIC_INTERFACE
+export function sniffContainer(bytes) {
+  /**
+   * Identify a media container from the start of a file: { container, kind, codecs[] } where kind is
+   * "audio", "video" or null (can hold either), or null when the bytes match no known format.
+   */
+  const b = bytes || new Uint8Array(0);
+  const ascii = (offset, length) => String.fromCharCode(...b.subarray(offset, offset + length));
+  const has = (text) => indexOfAscii(b, text) !== -1;
+  const codecs = () => [...new Set(CODEC_TAGS.filter(([tag]) => has(tag)).map(([, name]) => name))];
+
+  if (b.length >= 12 && ascii(4, 4) === "ftyp") {
+    const brand = ascii(8, 4);
+    if (brand === "qt  ") return { container: "mov", kind: null, codecs: codecs() };
+    const audioBrand = brand === "M4A " || brand === "M4B ";
+    return { container: audioBrand ? "m4a" : "mp4", kind: audioBrand ? "audio" : null, codecs: codecs() };
+  }
+  if (b.length >= 4 && b[0] === 0x1a && b[1] === 0x45 && b[2] === 0xdf && b[3] === 0xa3) {
+    return { container: has("webm") ? "webm" : "mkv", kind: null, codecs: codecs() };
+  }
+  if (b.length >= 12 && ascii(0, 4) === "RIFF" && ascii(8, 4) === "WAVE") {
+    const format = ascii(12, 4) === "fmt " && b.length >= 22 ? b[20] | (b[21] << 8) : null;
+    return { container: "wav", kind: "audio", codecs: WAV_FORMATS[format] ? [WAV_FORMATS[format]] : [] };
+  }
+  if (b.length >= 12 && ascii(0, 4) === "RIFF" && ascii(8, 4) === "AVI ") {
+    return { container: "avi", kind: "video", codecs: [] };
+  }
+  if (b.length >= 12 && ascii(0, 4) === "FORM" && (ascii(8, 4) === "AIFF" || ascii(8, 4) === "AIFC")) {
+    return { container: "aiff", kind: "audio", codecs: [] };
+  }
+  if (ascii(0, 4) === "fLaC") return { container: "flac", kind: "audio", codecs: ["FLAC"] };
+  if (ascii(0, 4) === "OggS") {
+    if (has("theora")) return { container: "ogg", kind: "video", codecs: ["Theora"] };
+    const codec = has("OpusHead") ? "Opus" : has("vorbis") ? "Vorbis" : has("FLAC") ? "FLAC" : null;
+    return { container: "ogg", kind: "audio", codecs: codec ? [codec] : [] };
+  }
+  if (ascii(0, 3) === "ID3") return { container: "mp3", kind: "audio", codecs: ["MP3"] };
+  if (b.length >= 2 && b[0] === 0xff && (b[1] & 0xf6) === 0xf0) return { container: "aac", kind: "audio", codecs: ["AAC"] };
+  if (b.length >= 2 && b[0] === 0xff && (b[1] & 0xe0) === 0xe0 && (b[1] & 0x06) !== 0) {
+    return { container: "mp3", kind: "audio", codecs: ["MP3"] };
+  }
+  if (b.length >= 8 && b[0] === 0x30 && b[1] === 0x26 && b[2] === 0xb2 && b[3] === 0x75) {
+    return { container: "asf", kind: null, codecs: [] };
+  }
+  if (b.length >= 4 && b[0] === 0 && b[1] === 0 && b[2] === 1 && b[3] === 0xba) {
+    return { container: "mpeg", kind: "video", codecs: [] };
+  }
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function preflightProblems(file, probe, policy) {
+  /**
+   * Problems to show before uploading, as [{ level: "error" | "warning", message }].
+   * probe: { format (sniffContainer result or null), duration (s or null), silent (boolean or null) }
+   * policy: { max_size_bytes?, max_duration_seconds? } from the server (optional)
+   */
+  const problems = [];
+  const error = (message) => problems.push({ level: "error", message });
+  const warning = (message) => problems.push({ level: "warning", message });
+  const size = file?.size || 0;
+
+  if (size === 0) {
+    error("The file is empty.");
+    return problems;
+  }
+  if (policy?.max_size_bytes && size > policy.max_size_bytes) {
+    error(`Larger than the ${formatSize(policy.max_size_bytes)} upload limit.`);
+  }
+  if (!probe?.format) warning("Unrecognized file format; the server may not be able to process it.");
+
+  const duration = probe?.duration;
+  if (duration === 0) {
+    error("The media has no length (0:00).");
+  } else if (typeof duration !== "number") {
+    warning("Couldn't read the duration in this browser.");
+  } else if (policy?.max_duration_seconds && duration > policy.max_duration_seconds) {
+    error(`Longer than the ${Math.round(policy.max_duration_seconds / 60)}-minute limit.`);
+  }
+  if (probe?.silent) warning("The start of this file sounds silent.");
+  return problems;
+}
+
+// PUBLIC_INTERFACE
+export function estimateProcessingSeconds(duration, policy) {
+  /** Rough processing time for a recording of `duration` seconds, or null when the duration is unknown. */
+  if (typeof duration !== "number" || !(duration > 0)) return null;
+  const ratio = policy?.processing_ratio > 0 ? policy.processing_ratio : DEFAULT_PROCESSING_RATIO;
+  return duration * ratio;
+}
+
+// PUBLIC_INTERFACE
+export async function probeMedia(file) {
+  /** { format, duration, silent } for a local file; each part is null when it can't be determined. */
+  const header = await readBytes(file, 0, HEADER_BYTES);
+  const format = header ? sniffContainer(header) : null;
+  const duration = await readDuration(file, format);
+  const silent = format && STREAMABLE_AUDIO.includes(format.container) ? await soundsSilent(file) : null;
+  return { format, duration, silent };
+}
+
+// Bytes [start, end) of a file, or null when it can't be read (e.g. removed from disk)
+async function readBytes(file, start, end) {
+  try {
+    return new Uint8Array(await file.slice(start, end).arrayBuffer());
+  } catch {
+    return null;
+  }
+}
+
+// Duration from the metadata a media element loads for the file
+function readDuration(file, format) {
+  if (typeof document === "undefined" || typeof URL === "undefined" || !URL.createObjectURL) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    const isVideo = format ? format.kind !== "audio" : /^video\//.test(file.type || "");
+    const el = document.createElement(isVideo ? "video" : "audio");
+    const url = URL.createObjectURL(file);
+    let timer = null;
+    const finish = (value) => {
+      clearTimeout(timer);
+      el.removeAttribute("src");
+      URL.revokeObjectURL(url);
+      resolve(value);
+    };
+    timer = setTimeout(() => finish(null), METADATA_TIMEOUT_MS);
+    el.preload = "metadata";
+    el.onloadedmetadata = () => finish(Number.isFinite(el.duration) ? el.duration : null);
+    el.onerror = () => finish(null);
+    el.src = url;
+  });
+}
+
+// Decode the first few MB and look at the loudest sample
+async function soundsSilent(file) {
+  const AudioCtx = typeof window !== "undefined" ? window.OfflineAudioContext || window.webkitOfflineAudioContext : null;
+  if (!AudioCtx) return null;
+  try {
+    const data = await file.slice(0, SILENCE_SAMPLE_BYTES).arrayBuffer();
+    const ctx = new AudioCtx(1, 1, 44100);
+    const audio = await ctx.decodeAudioData(data);
+    let peak = 0;
+    for (let channel = 0; channel < audio.numberOfChannels; channel += 1) {
+      const samples = audio.getChannelData(channel);
+      for (let i = 0; i < samples.length; i += 1) {
+        const value = Math.abs(samples[i]);
+        if (value > peak) peak = value;
+      }
+    }
+    return audio.length > 0 && peak < SILENCE_PEAK;
+  } catch {
+    return null;
+  }
+}
+
+// Position of an ASCII string in a byte array, or -1
+function indexOfAscii(bytes, text) {
+  const codes = Array.from(text, (c) => c.charCodeAt(0));
+  outer: for (let i = 0; i <= bytes.length - codes.length; i += 1) {
+    for (let j = 0; j < codes.length; j += 1) {
+      if (bytes[i + j] !== codes[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
+
+// Policy limits are round numbers: "4 GB", "500 MB"
+function formatSize(bytes) {
+  const gb = bytes / 1024 ** 3;
+  return gb >= 1 ? `${+gb.toFixed(1)} GB` : `${Math.round(bytes / 1024 ** 2)} MB`;
+}
@@ -0,0 +1,58 @@
+import { estimateProcessingSeconds, preflightProblems, sniffContainer } from "./mediaProbe";
+
+// Bytes from ASCII text and numbers, e.g. bytes("RIFF", [0, 0, 0, 0], "WAVE")
+const bytes = (...parts) =>
+  Uint8Array.from(parts.flatMap((part) => (typeof part === "string" ? Array.from(part, (c) => c.charCodeAt(0)) : part)));
+
+test("sniffs containers and codecs from the first bytes", () => {
+  expect(sniffContainer(bytes([0, 0, 0, 24], "ftypisom", [0, 0, 0, 0], "moov....avc1....mp4a"))).toEqual({
+    container: "mp4",
+    kind: null,
+    codecs: ["H.264", "AAC"],
+  });
+  expect(sniffContainer(bytes([0, 0, 0, 24], "ftypM4A ")).container).toBe("m4a");
+  expect(sniffContainer(bytes("RIFF", [0, 0, 0, 0], "WAVEfmt ", [16, 0, 0, 0], [1, 0]))).toEqual({
+    container: "wav",
+    kind: "audio",
+    codecs: ["PCM"],
+  });
+  expect(sniffContainer(bytes([0x1a, 0x45, 0xdf, 0xa3], "....webm....V_VP9....A_OPUS"))).toEqual({
+    container: "webm",
+    kind: null,
+    codecs: ["VP9", "Opus"],
+  });
+  expect(sniffContainer(bytes("ID3", [4, 0, 0])).container).toBe("mp3");
+  expect(sniffContainer(bytes([0xff, 0xfb, 0x90, 0x00])).container).toBe("mp3");
+  expect(sniffContainer(bytes([0xff, 0xf1, 0x50, 0x80])).container).toBe("aac");
+  expect(sniffContainer(bytes("OggS", [0, 2], "........OpusHead")).codecs).toEqual(["Opus"]);
+  expect(sniffContainer(bytes("fLaC")).container).toBe("flac");
+  expect(sniffContainer(bytes("%PDF-1.7"))).toBeNull();
+  expect(sniffContainer(new Uint8Array(0))).toBeNull();
+});
+
+test("reports empty, oversized, silent and unreadable files", () => {
+  const policy = { max_size_bytes: 1024 ** 3, max_duration_seconds: 3600 };
+  const mp3 = { container: "mp3", kind: "audio", codecs: ["MP3"] };
+  const levels = (file, probe) => preflightProblems(file, probe, policy).map((p) => p.level);
+
+  expect(preflightProblems({ size: 0 }, null, policy)).toEqual([{ level: "error", message: "The file is empty." }]);
+  expect(levels({ size: 10 }, { format: mp3, duration: 60, silent: false })).toEqual([]);
+  expect(preflightProblems({ size: 2 * 1024 ** 3 }, { format: mp3, duration: 60 }, policy)[0].message).toBe(
+    "Larger than the 1 GB upload limit."
+  );
+  expect(preflightProblems({ size: 10 }, { format: mp3, duration: 7200 }, policy)[0].message).toBe(
+    "Longer than the 60-minute limit."
+  );
+  expect(levels({ size: 10 }, { format: mp3, duration: 0 })).toEqual(["error"]);
+  expect(levels({ size: 10 }, { format: mp3, duration: 60, silent: true })).toEqual(["warning"]);
+  expect(levels({ size: 10 }, { format: null, duration: null })).toEqual(["warning", "warning"]);
+  expect(levels({ size: 10 }, { format: mp3, duration: 60 })).toEqual([]);
+  expect(preflightProblems({ size: 5 * 1024 ** 3 }, { format: mp3, duration: 60 }, null)).toEqual([]);
+});
+
+test("estimates processing time from the duration", () => {
+  expect(estimateProcessingSeconds(600, { processing_ratio: 0.5 })).toBe(300);
+  expect(estimateProcessingSeconds(600, null)).toBe(180);
+  expect(estimateProcessingSeconds(null, null)).toBeNull();
+  expect(estimateProcessingSeconds(0, null)).toBeNull();
+});
@@ -0,0 +1,47 @@
+//
+// Pending chunked uploads.
+// While a chunked upload is in flight its server upload id, part size and per-part checksums are
+// kept in IndexedDB, keyed by a fingerprint of the file, so choosing the same file again (even after
+// a reload) resumes it. Records are removed once the upload completes or is discarded.
+//
+
+import { idbDelete, idbGet, idbGetAll, idbPut } from "./localDb";
+
+// PUBLIC_INTERFACE
+export function fileFingerprint(file) {
+  /** Identifies a local file across reloads: name, size and last-modified time. */
+  if (!file) return "";
+  return `${file.name}:${file.size}:${file.lastModified || 0}`;
+}
+
+// PUBLIC_INTERFACE
+export function savePendingUpload(record) {
+  /**
+   * Persist { id (fingerprint), upload_id, filename, size, chunk_size, checksums: { [index]: hex } }.
+   * Resolves to true when stored.
+   */
+  if (!record?.id) return Promise.resolve(false);
+  return idbPut("uploads", { ...record, saved_at: new Date().toISOString() });
+}
+
+// PUBLIC_INTERFACE
+export function loadPendingUpload(fingerprint) {
+  /** The pending upload for a file fingerprint, or null. */
+  if (!fingerprint) return Promise.resolve(null);
+  return idbGet("uploads", fingerprint);
+}
+
+// PUBLIC_INTERFACE
+export function listPendingUploads() {
+  /** Every pending upload, most recently touched first. */
+  return idbGetAll("uploads").then((records) =>
+    [...records].sort((a, b) => String(b.saved_at || "").localeCompare(String(a.saved_at || "")))
+  );
+}
+
+// PUBLIC_INTERFACE
+export function clearPendingUpload(fingerprint) {
+  /** Forget a pending upload. */
+  if (!fingerprint) return Promise.resolve(null);
+  return idbDelete("uploads", fingerprint);
+}
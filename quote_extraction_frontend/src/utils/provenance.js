@@ -0,0 +1,84 @@
+//
+// Quote provenance.
+// A quote points back into its transcript through transcript_id and start/end times.
+// - Link format for "View in context": /transcript?transcript=<id>&quote=<id>&t=<start>&end=<end>
+// - Locating the quote's span in the transcript text, preferring an exact (whitespace-insensitive)
+//   match of the quote wording near its timestamps and falling back to the timed segments
+//
+
+import { joinSegments, segmentOffsets, segmentsAround } from "./segments";
+
+// PUBLIC_INTERFACE
+export function quoteContextPath(quote) {
+  /** TranscriptPage path showing this quote in its transcript, or null without a transcript. */
+  if (!quote?.transcript_id) return null;
+  const params = new URLSearchParams({ transcript: quote.transcript_id });
+  if (quote.id) params.set("quote", quote.id);
+  if (typeof quote.start === "number") params.set("t", String(quote.start));
+  if (typeof quote.end === "number") params.set("end", String(quote.end));
+  return `/transcript?${params.toString()}`;
+}
+
+// PUBLIC_INTERFACE
+export function readQuoteFocus(searchParams) {
+  /** { transcriptId, quoteId, start, end } from a "View in context" link, or null. */
+  const transcriptId = searchParams.get("transcript");
+  if (!transcriptId) return null;
+  const num = (key) => {
+    const raw = searchParams.get(key);
+    const value = raw === null || raw === "" ? NaN : Number(raw);
+    return Number.isFinite(value) ? value : null;
+  };
+  return { transcriptId, quoteId: searchParams.get("quote") || null, start: num("t"), end: num("end") };
+}
+
+// PUBLIC_INTERFACE
+export function locateQuote(transcript, quote) {
+  /**
+   * Where a quote sits in a transcript: { offset, length, segmentIndexes, exact }.
+   * offset/length address the full text (joinSegments of the segments, or transcript.text without
+   * segments); segmentIndexes are the segments the span touches. `exact` is false when the wording
+   * wasn't found and the span covers the segments at the quote's time instead. Null when neither works.
+   */
+  const segments = transcript?.segments || [];
+  const full = segments.length ? joinSegments(segments) : transcript?.text || "";
+  const offsets = segmentOffsets(segments);
+  const timed = segmentsAround(segments, quote?.start, quote?.end, { padding: 0 }).map((s) => s.index);
+  const from = timed.length ? offsets[timed[0]] : 0;
+
+  // The transcript wording first: the quote text itself may have been edited since
+  const wordings = [quote?.original_text, quote?.text].map((t) => String(t || "").trim()).filter(Boolean);
+  for (const wording of wordings) {
+    const match = findLoose(full, wording, from) || (from > 0 ? findLoose(full, wording, 0) : null);
+    if (match) {
+      return {
+        ...match,
+        segmentIndexes: segments
+          .map((s, i) => i)
+          .filter((i) => offsets[i] < match.offset + match.length && offsets[i] + (segments[i].text || "").length > match.offset),
+        exact: true,
+      };
+    }
+  }
+
+  if (!timed.length) return null;
+  const last = timed[timed.length - 1];
+  return {
+    offset: from,
+    length: offsets[last] + (segments[last].text || "").length - from,
+    segmentIndexes: timed,
+    exact: false,
+  };
+}
+
+// Case-insensitive search where any run of whitespace matches any other (quotes span segment breaks)
+function findLoose(haystack, needle, from) {
+  const pattern = needle
+    .split(/\s+/)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("\\s+");
+  const re = new RegExp(pattern, "gi");
+  re.lastIndex = from;
+  const m = re.exec(haystack);
+  return m ? { offset: m.index, length: m[0].length } : null;
+}
@@ -0,0 +1,33 @@
+import { locateQuote, quoteContextPath, readQuoteFocus } from "./provenance";
+
+const transcript = {
+  segments: [
+    { start: 0, end: 5, speaker: "A", text: "Welcome back to the show." },
+    { start: 5, end: 10, speaker: "B", text: "Focus on your customers," },
+    { start: 10, end: 15, speaker: "B", text: "not your competitors. That is the lesson." },
+  ],
+};
+
+test("builds and reads the context link", () => {
+  const path = quoteContextPath({ id: "q1", transcript_id: "t 1", start: 5, end: 12.5 });
+  expect(path).toBe("/transcript?transcript=t+1&quote=q1&t=5&end=12.5");
+  expect(readQuoteFocus(new URLSearchParams(path.split("?")[1]))).toEqual({
+    transcriptId: "t 1",
+    quoteId: "q1",
+    start: 5,
+    end: 12.5,
+  });
+  expect(quoteContextPath({ id: "q2" })).toBeNull();
+});
+
+test("finds the quote wording across segment breaks, or falls back to its time", () => {
+  const exact = locateQuote(transcript, { text: "focus on your customers, not your competitors", start: 5, end: 15 });
+  expect(exact).toMatchObject({ offset: 27, length: 46, segmentIndexes: [1, 2], exact: true });
+
+  const edited = locateQuote(transcript, { text: "Know your customers", original_text: "That is the lesson", start: 10 });
+  expect(edited).toMatchObject({ segmentIndexes: [2], exact: true });
+
+  const timed = locateQuote(transcript, { text: "Something else entirely", start: 6, end: 8 });
+  expect(timed).toEqual({ offset: 27, length: 24, segmentIndexes: [1], exact: false });
+  expect(locateQuote(transcript, { text: "Nowhere" })).toBeNull();
+});
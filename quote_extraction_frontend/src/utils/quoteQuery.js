@@ -0,0 +1,202 @@
+//
+// Quote list query.
+// One object describes a filtered/sorted view of the quotes:
+//   { q, status, minConfidence, speaker, createdFrom, createdTo, transcriptId, assetId,
+//     tags, tagMode, excludeTags, sort, order }
+// - Round-trips through the URL query string so a view can be shared as a link
+// - Converts to the listQuotes parameters sent to the server
+// - Reads the cursor-paginated listQuotes response
+// - Applies the same filtering/sorting locally, so the view is right even when the server
+//   ignores a parameter (and so mock mode behaves like the backend)
+//
+
+import { matchesStatusFilter } from "./quoteStatus";
+
+// PUBLIC_INTERFACE
+export const DEFAULT_QUOTE_QUERY = {
+  q: "",
+  status: "all", // a STATUS_FILTERS value
+  minConfidence: 0,
+  speaker: "",
+  createdFrom: "", // YYYY-MM-DD, inclusive
+  createdTo: "", // YYYY-MM-DD, inclusive
+  transcriptId: "",
+  assetId: "",
+  tags: [], // tags to match, combined with tagMode
+  tagMode: "all", // "all" (AND) | "any" (OR)
+  excludeTags: [], // NOT: quotes with any of these are hidden
+  sort: "created_at", // "created_at" | "confidence" | "start"
+  order: "desc", // "asc" | "desc"
+};
+
+// PUBLIC_INTERFACE
+export const SORT_OPTIONS = [
+  { value: "created_at", label: "Date added" },
+  { value: "confidence", label: "Confidence" },
+  { value: "start", label: "Time in recording" },
+];
+
+// URL parameter name for each query field
+const URL_KEYS = {
+  q: "q",
+  status: "status",
+  minConfidence: "min_conf",
+  speaker: "speaker",
+  createdFrom: "from",
+  createdTo: "to",
+  transcriptId: "transcript",
+  assetId: "asset",
+  tags: "tags",
+  tagMode: "tag_mode",
+  excludeTags: "not_tags",
+  sort: "sort",
+  order: "order",
+};
+
+// PUBLIC_INTERFACE
+export function normalizeQuoteQuery(query) {
+  /** Fill defaults and coerce types; tags may be arrays or comma-separated strings. */
+  const merged = { ...DEFAULT_QUOTE_QUERY, ...(query || {}) };
+  const minConfidence = Number(merged.minConfidence);
+  return {
+    ...merged,
+    q: String(merged.q || ""),
+    minConfidence: Number.isFinite(minConfidence) ? Math.min(1, Math.max(0, minConfidence)) : 0,
+    tags: toTagList(merged.tags),
+    excludeTags: toTagList(merged.excludeTags),
+    tagMode: merged.tagMode === "any" ? "any" : "all",
+    sort: SORT_OPTIONS.some((o) => o.value === merged.sort) ? merged.sort : DEFAULT_QUOTE_QUERY.sort,
+    order: merged.order === "asc" ? "asc" : "desc",
+  };
+}
+
+// PUBLIC_INTERFACE
+export function queryFromSearchParams(searchParams) {
+  /** Read a query from URLSearchParams; unknown or missing values fall back to defaults. */
+  const raw = {};
+  Object.entries(URL_KEYS).forEach(([field, key]) => {
+    const value = searchParams.get(key);
+    if (value !== null) raw[field] = value;
+  });
+  return normalizeQuoteQuery(raw);
+}
+
+// PUBLIC_INTERFACE
+export function queryToSearchParams(query) {
+  /** URLSearchParams holding only the fields that differ from the defaults (keeps links short). */
+  const q = normalizeQuoteQuery(query);
+  const params = new URLSearchParams();
+  Object.entries(URL_KEYS).forEach(([field, key]) => {
+    const value = Array.isArray(q[field]) ? q[field].join(",") : q[field];
+    const fallback = Array.isArray(DEFAULT_QUOTE_QUERY[field])
+      ? DEFAULT_QUOTE_QUERY[field].join(",")
+      : DEFAULT_QUOTE_QUERY[field];
+    if (value !== "" && value !== null && String(value) !== String(fallback)) params.set(key, String(value));
+  });
+  return params;
+}
+
+// PUBLIC_INTERFACE
+export function toListQuotesParams(query) {
+  /** Parameters for listQuotes: tag lists are comma-joined and "all"/empty values are left out. */
+  const q = normalizeQuoteQuery(query);
+  return {
+    q: q.q.trim() || null,
+    status: q.status === "all" ? null : q.status,
+    minConfidence: q.minConfidence > 0 ? q.minConfidence : null,
+    speaker: q.speaker || null,
+    createdFrom: q.createdFrom || null,
+    createdTo: q.createdTo || null,
+    transcriptId: q.transcriptId || null,
+    assetId: q.assetId || null,
+    tags: q.tags.length ? q.tags.join(",") : null,
+    tagMode: q.tags.length ? q.tagMode : null,
+    excludeTags: q.excludeTags.length ? q.excludeTags.join(",") : null,
+    sort: q.sort,
+    order: q.order,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function matchesQuoteQuery(quote, query) {
+  /** Whether a quote passes every filter of the query (sorting aside). */
+  const q = normalizeQuoteQuery(query);
+  if (!matchesStatusFilter(quote, q.status)) return false;
+  if (q.minConfidence > 0 && !(typeof quote.confidence === "number" && quote.confidence >= q.minConfidence)) {
+    return false;
+  }
+  if (q.speaker && String(quote.speaker || "").toLowerCase() !== q.speaker.toLowerCase()) return false;
+  if (q.transcriptId && quote.transcript_id !== q.transcriptId) return false;
+  // Quotes saved without an asset_id belong to an episode through their transcript; the server decides
+  if (q.assetId && quote.asset_id && quote.asset_id !== q.assetId) return false;
+  if (q.createdFrom || q.createdTo) {
+    const created = quote.created_at ? new Date(quote.created_at).getTime() : NaN;
+    if (Number.isNaN(created)) return false;
+    if (q.createdFrom && created < startOfDay(q.createdFrom)) return false;
+    if (q.createdTo && created >= startOfDay(q.createdTo) + DAY_MS) return false;
+  }
+  const words = q.q.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length) {
+    const haystack = [quote.text, quote.original_text, quote.speaker].filter(Boolean).join(" ").toLowerCase();
+    if (!words.every((w) => haystack.includes(w))) return false;
+  }
+  const quoteTags = (quote.tags || []).map((t) => String(t).toLowerCase());
+  if (q.tags.length) {
+    const hit = (t) => quoteTags.includes(t.toLowerCase());
+    if (q.tagMode === "any" ? !q.tags.some(hit) : !q.tags.every(hit)) return false;
+  }
+  if (q.excludeTags.some((t) => quoteTags.includes(t.toLowerCase()))) return false;
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function applyQuoteQuery(quotes, query) {
+  /** Filter and sort quotes by the query. Quotes without the sort value go last. */
+  const q = normalizeQuoteQuery(query);
+  const dir = q.order === "asc" ? 1 : -1;
+  const valueOf = (quote) => {
+    if (q.sort === "created_at") return quote.created_at ? new Date(quote.created_at).getTime() : null;
+    return typeof quote[q.sort] === "number" ? quote[q.sort] : null;
+  };
+  return (quotes || [])
+    .filter((quote) => matchesQuoteQuery(quote, q))
+    .map((quote, index) => ({ quote, index, value: valueOf(quote) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) {
+        if (a.value === b.value) return a.index - b.index;
+        return a.value === null ? 1 : -1;
+      }
+      return (a.value - b.value) * dir || a.index - b.index;
+    })
+    .map(({ quote }) => quote);
+}
+
+// PUBLIC_INTERFACE
+export function readQuotePage(res) {
+  /**
+   * One page of listQuotes results: { items, nextCursor, total }.
+   * Accepts { items | data, next_cursor | nextCursor, total } or a plain array (a single, last page).
+   */
+  if (Array.isArray(res)) return { items: res, nextCursor: null, total: res.length };
+  const items = res?.items || res?.data || [];
+  return {
+    items,
+    nextCursor: res?.next_cursor ?? res?.nextCursor ?? null,
+    total: typeof res?.total === "number" ? res.total : null,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function toTagList(value) {
+  /** ["a", "b"] from an array or a "a, #b" string; duplicates and empties removed. */
+  const list = Array.isArray(value) ? value : String(value || "").split(",");
+  return [...new Set(list.map((t) => String(t).trim().replace(/^#/, "")).filter(Boolean))];
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local midnight of a YYYY-MM-DD date, so the range matches the dates users see
+function startOfDay(date) {
+  const [y, m, d] = String(date).split("-").map(Number);
+  return new Date(y, (m || 1) - 1, d || 1).getTime();
+}
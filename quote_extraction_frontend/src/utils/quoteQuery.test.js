@@ -0,0 +1,26 @@
+import { applyQuoteQuery, queryFromSearchParams, queryToSearchParams } from "./quoteQuery";
+
+const QUOTES = [
+  { id: "a", text: "Focus on your customers", tags: ["advice", "product"], confidence: 0.9, speaker: "Marcus", created_at: "2024-03-02T10:00:00" },
+  { id: "b", text: "Being smaller is an advantage", tags: ["advice"], confidence: 0.7, speaker: "Marcus", created_at: "2024-03-05T10:00:00" },
+  { id: "c", text: "Welcome to the show", tags: ["intro"], confidence: 0.5, speaker: "Sarah", created_at: "2024-03-09T10:00:00" },
+  { id: "d", text: "Old news", tags: ["advice"], confidence: 0.95, archived_at: "2024-03-10T10:00:00" },
+];
+
+test("round-trips through the URL with only non-default values", () => {
+  const params = queryToSearchParams({ q: "customers", tags: ["advice", "product"], tagMode: "any", sort: "confidence" });
+  expect(params.toString()).toBe("q=customers&tags=advice%2Cproduct&tag_mode=any&sort=confidence");
+  const query = queryFromSearchParams(params);
+  expect(query).toMatchObject({ q: "customers", tags: ["advice", "product"], tagMode: "any", sort: "confidence", order: "desc" });
+  expect(queryToSearchParams(queryFromSearchParams(new URLSearchParams())).toString()).toBe("");
+});
+
+test("filters by text, tag logic, speaker and dates and sorts", () => {
+  const ids = (query) => applyQuoteQuery(QUOTES, query).map((q) => q.id);
+  expect(ids({ tags: ["advice"] })).toEqual(["b", "a"]);
+  expect(ids({ tags: ["product", "intro"], tagMode: "any", sort: "confidence" })).toEqual(["a", "c"]);
+  expect(ids({ tags: "advice", excludeTags: "product" })).toEqual(["b"]);
+  expect(ids({ q: "SMALLER advantage", speaker: "marcus" })).toEqual(["b"]);
+  expect(ids({ createdFrom: "2024-03-05", createdTo: "2024-03-09", order: "asc" })).toEqual(["b", "c"]);
+  expect(ids({ status: "archived" })).toEqual(["d"]);
+});
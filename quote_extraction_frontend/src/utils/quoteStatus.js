@@ -0,0 +1,62 @@
+//
+// Quote review state.
+// - Review status: pending | approved | rejected (older quotes only carry `approved: boolean`)
+// - Lifecycle: active, archived (`archived_at`) or in the trash (`trashed_at`)
+// - Status filter values shared by QuoteFilters, QuotesPage and ExportPage
+// Patches always set `approved` alongside `status` so older consumers keep working.
+//
+
+// PUBLIC_INTERFACE
+export const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+// PUBLIC_INTERFACE
+export const STATUS_FILTERS = [
+  { value: "all", label: "All active" },
+  { value: "pending", label: "Pending" },
+  { value: "approved", label: "Approved" },
+  { value: "rejected", label: "Rejected" },
+  { value: "archived", label: "Archived" },
+  { value: "trash", label: "Trash" },
+];
+
+// PUBLIC_INTERFACE
+export function reviewStatus(quote) {
+  /** The quote's review status, derived from `approved` when `status` is missing. */
+  if (REVIEW_STATUSES.includes(quote?.status)) return quote.status;
+  return quote?.approved ? "approved" : "pending";
+}
+
+// PUBLIC_INTERFACE
+export function quoteLocation(quote) {
+  /** "trash", "archived" or "active". The trash wins over the archive. */
+  if (quote?.trashed_at) return "trash";
+  if (quote?.archived_at) return "archived";
+  return "active";
+}
+
+// PUBLIC_INTERFACE
+export function matchesStatusFilter(quote, filter) {
+  /** Whether a quote belongs in the list for a STATUS_FILTERS value. Review filters only match active quotes. */
+  const location = quoteLocation(quote);
+  if (filter === "archived" || filter === "trash") return location === filter;
+  if (location !== "active") return false;
+  return !filter || filter === "all" || reviewStatus(quote) === filter;
+}
+
+// PUBLIC_INTERFACE
+export function reviewPatch(status) {
+  /** updateQuote payload that sets the review status. */
+  return { status, approved: status === "approved" };
+}
+
+// PUBLIC_INTERFACE
+export function archivePatch(archived) {
+  /** updateQuote payload that archives or unarchives a quote. */
+  return { archived_at: archived ? new Date().toISOString() : null };
+}
+
+// PUBLIC_INTERFACE
+export function trashPatch(trashed) {
+  /** updateQuote payload that moves a quote to the trash or restores it. */
+  return { trashed_at: trashed ? new Date().toISOString() : null };
+}
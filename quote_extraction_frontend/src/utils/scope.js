@@ -0,0 +1,59 @@
+//
+// Episode / transcript scope.
+// An episode is an uploaded source asset; each has one or more transcripts (transcript.asset_id), and
+// quotes point at both (quote.asset_id, quote.transcript_id). Quotes saved without an asset_id are
+// placed through their transcript. A scope is { assetId, transcriptId }, where "" means "all".
+//
+
+// PUBLIC_INTERFACE
+export function assetLabel(asset) {
+  /** Display name of an episode: its title (with the show), else the uploaded file name, else its id. */
+  if (!asset) return "";
+  const title = asset.title || asset.episode_title || "";
+  if (title) return asset.show ? `${asset.show} — ${title}` : title;
+  return asset.filename || asset.name || asset.id || "";
+}
+
+// PUBLIC_INTERFACE
+export function transcriptLabel(transcript) {
+  /** Display name of a transcript: title or id, with its language when known. */
+  if (!transcript) return "";
+  const name = transcript.title || transcript.filename || transcript.id || "";
+  return transcript.language ? `${name} (${transcript.language})` : name;
+}
+
+// PUBLIC_INTERFACE
+export function transcriptsForAsset(transcripts, assetId) {
+  /** The transcripts of one episode, or all of them when assetId is empty. */
+  const list = transcripts || [];
+  return assetId ? list.filter((t) => t.asset_id === assetId) : list;
+}
+
+// PUBLIC_INTERFACE
+export function quoteAssetId(quote, transcripts) {
+  /** The episode a quote belongs to, looked up through its transcript when the quote has no asset_id. */
+  if (quote?.asset_id) return quote.asset_id;
+  const transcript = (transcripts || []).find((t) => t.id === quote?.transcript_id);
+  return transcript?.asset_id || null;
+}
+
+// PUBLIC_INTERFACE
+export function inScope(quote, scope, transcripts) {
+  /** Whether a quote falls within { assetId, transcriptId }; empty parts don't narrow. */
+  if (scope?.transcriptId && quote?.transcript_id !== scope.transcriptId) return false;
+  if (scope?.assetId && quoteAssetId(quote, transcripts) !== scope.assetId) return false;
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function episodeLabel(quote, { assets = [], transcripts = [] } = {}) {
+  /**
+   * Where a quote came from, for its card: the episode name, or the transcript name when the
+   * episode isn't known. Empty when neither is.
+   */
+  const assetId = quoteAssetId(quote, transcripts);
+  const asset = assetId ? assets.find((a) => a.id === assetId) : null;
+  if (asset) return assetLabel(asset);
+  const transcript = transcripts.find((t) => t.id === quote?.transcript_id);
+  return transcript ? transcriptLabel(transcript) : "";
+}
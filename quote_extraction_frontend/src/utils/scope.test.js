@@ -0,0 +1,30 @@
+import { assetLabel, episodeLabel, inScope, transcriptsForAsset } from "./scope";
+
+const assets = [
+  { id: "a1", filename: "ep1.mp4" },
+  { id: "a2", filename: "ep2.mp3", title: "Pricing", show: "Founder Stories" },
+];
+const transcripts = [
+  { id: "t1", asset_id: "a1", language: "en" },
+  { id: "t2", asset_id: "a2" },
+  { id: "t3", asset_id: "a2", title: "Second pass" },
+];
+
+test("labels episodes and lists their transcripts", () => {
+  expect(assetLabel(assets[0])).toBe("ep1.mp4");
+  expect(assetLabel(assets[1])).toBe("Founder Stories — Pricing");
+  expect(transcriptsForAsset(transcripts, "a2").map((t) => t.id)).toEqual(["t2", "t3"]);
+  expect(transcriptsForAsset(transcripts, "")).toHaveLength(3);
+});
+
+test("scopes quotes by episode and transcript, placing quotes without asset_id via their transcript", () => {
+  const legacy = { id: "q1", transcript_id: "t3" };
+  expect(inScope(legacy, { assetId: "a2", transcriptId: "" }, transcripts)).toBe(true);
+  expect(inScope(legacy, { assetId: "a1", transcriptId: "" }, transcripts)).toBe(false);
+  expect(inScope(legacy, { assetId: "", transcriptId: "t2" }, transcripts)).toBe(false);
+  expect(inScope(legacy, {}, transcripts)).toBe(true);
+
+  expect(episodeLabel(legacy, { assets, transcripts })).toBe("Founder Stories — Pricing");
+  expect(episodeLabel({ transcript_id: "t1" }, { transcripts })).toBe("t1 (en)");
+  expect(episodeLabel({ transcript_id: "gone" }, { assets, transcripts })).toBe("");
+});
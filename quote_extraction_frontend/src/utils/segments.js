@@ -0,0 +1,130 @@
+//
+// Segment editing helpers.
+// Segments are the source of truth for a transcript: the full text is derived by joining
+// them, and edits (split/merge/update) always return a new, consistent segment array.
+//
+
+import { timeAtOffset } from "./transcriptTiming";
+
+// PUBLIC_INTERFACE
+export const SEGMENT_SEPARATOR = "\n\n";
+
+// PUBLIC_INTERFACE
+export function joinSegments(segments) {
+  /** Full transcript text derived from segments (one paragraph per segment). */
+  return (segments || []).map((s) => s?.text || "").join(SEGMENT_SEPARATOR);
+}
+
+// PUBLIC_INTERFACE
+export function segmentOffsets(segments) {
+  /** Character offset of each segment's text within joinSegments(segments). */
+  const offsets = [];
+  let at = 0;
+  (segments || []).forEach((s) => {
+    offsets.push(at);
+    at += (s?.text || "").length + SEGMENT_SEPARATOR.length;
+  });
+  return offsets;
+}
+
+// PUBLIC_INTERFACE
+export function updateSegment(segments, index, patch) {
+  /**
+   * Apply a patch to one segment. Changing the text drops backend word timings,
+   * which no longer line up with the edited words.
+   */
+  return (segments || []).map((s, i) => {
+    if (i !== index) return s;
+    const next = { ...s, ...patch };
+    if (patch.text !== undefined && patch.text !== s.text) delete next.words;
+    return next;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function splitSegment(segments, index, offset) {
+  /**
+   * Split segment `index` at a character offset of its text.
+   * The boundary time is interpolated from word timings; speaker is kept on both halves.
+   * Returns null when either half would be empty.
+   */
+  const seg = segments?.[index];
+  if (!seg) return null;
+  const text = seg.text || "";
+  const left = text.slice(0, offset).trim();
+  const right = text.slice(offset).trim();
+  if (!left || !right) return null;
+
+  const at = Math.min(Math.max(timeAtOffset(seg, offset), seg.start), seg.end);
+  const { words, ...base } = seg;
+  const first = { ...base, text: left, end: at };
+  const second = { ...base, text: right, start: at };
+  const leftCount = countWords(left);
+  if (Array.isArray(words) && words.length === leftCount + countWords(right)) {
+    first.words = words.slice(0, leftCount);
+    second.words = words.slice(leftCount);
+  }
+  return [...segments.slice(0, index), first, second, ...segments.slice(index + 1)];
+}
+
+// PUBLIC_INTERFACE
+export function mergeWithNext(segments, index) {
+  /**
+   * Merge segment `index` with the one after it. The merged segment keeps the first
+   * segment's speaker and spans both time ranges. Returns null when there is no next segment.
+   */
+  const a = segments?.[index];
+  const b = segments?.[index + 1];
+  if (!a || !b) return null;
+  const merged = {
+    ...a,
+    text: [a.text, b.text].map((t) => (t || "").trim()).filter(Boolean).join(" "),
+    start: Math.min(a.start, b.start),
+    end: Math.max(a.end, b.end),
+  };
+  if (Array.isArray(a.words) && Array.isArray(b.words)) {
+    merged.words = [...a.words, ...b.words];
+  } else {
+    delete merged.words;
+  }
+  return [...segments.slice(0, index), merged, ...segments.slice(index + 2)];
+}
+
+// PUBLIC_INTERFACE
+export function removeSegment(segments, index) {
+  /** Remove one segment (and its text) from the transcript. */
+  return (segments || []).filter((_, i) => i !== index);
+}
+
+// PUBLIC_INTERFACE
+export function segmentsAround(segments, start, end, { padding = 1 } = {}) {
+  /**
+   * Segments overlapping [start, end] plus `padding` neighbours on each side, for showing a
+   * quote in its transcript context. Returns [{ segment, index, inRange }] (empty without timing).
+   */
+  const list = segments || [];
+  if (typeof start !== "number" || !list.length) return [];
+  const to = typeof end === "number" ? end : start;
+  const hits = [];
+  list.forEach((s, i) => {
+    const sStart = s?.start ?? 0;
+    const sEnd = s?.end ?? sStart;
+    if (sStart <= to && sEnd >= start) hits.push(i);
+  });
+  if (!hits.length) {
+    // The range falls in a gap between segments: show the nearest one
+    const next = list.findIndex((s) => (s?.start ?? 0) >= start);
+    hits.push(next === -1 ? list.length - 1 : next);
+  }
+  const first = Math.max(0, hits[0] - padding);
+  const last = Math.min(list.length - 1, hits[hits.length - 1] + padding);
+  const result = [];
+  for (let i = first; i <= last; i += 1) {
+    result.push({ segment: list[i], index: i, inRange: hits.includes(i) });
+  }
+  return result;
+}
+
+function countWords(text) {
+  return (String(text).match(/\S+/g) || []).length;
+}
@@ -0,0 +1,69 @@
+import {
+  joinSegments,
+  mergeWithNext,
+  removeSegment,
+  segmentOffsets,
+  segmentsAround,
+  splitSegment,
+  updateSegment,
+} from "./segments";
+
+const words = [
+  { start: 0, end: 1 },
+  { start: 1, end: 2 },
+  { start: 2, end: 3 },
+  { start: 3, end: 4 },
+];
+const segments = [
+  { start: 0, end: 4, speaker: "Host", text: "one two three four", words },
+  { start: 5, end: 7, speaker: "Guest", text: "five six" },
+];
+
+test("derives the text and each segment's offset in it", () => {
+  expect(joinSegments(segments)).toBe("one two three four\n\nfive six");
+  expect(segmentOffsets(segments)).toEqual([0, 20]);
+});
+
+test("editing a segment's text drops its word timings; other edits keep them", () => {
+  const edited = updateSegment(segments, 0, { text: "one two 3 four" });
+  expect(edited[0].words).toBeUndefined();
+  expect(edited[1]).toBe(segments[1]);
+  expect(updateSegment(segments, 0, { speaker: "Sarah" })[0].words).toBe(words);
+  expect(updateSegment(segments, 0, { text: segments[0].text })[0].words).toBe(words);
+});
+
+test("splits at the word timing of the offset and shares out the words", () => {
+  const split = splitSegment(segments, 0, 8); // before "three"
+  expect(split).toHaveLength(3);
+  expect(split[0]).toMatchObject({ text: "one two", start: 0, end: 2, speaker: "Host" });
+  expect(split[1]).toMatchObject({ text: "three four", start: 2, end: 4, speaker: "Host" });
+  expect(split[0].words).toEqual(words.slice(0, 2));
+  expect(split[1].words).toEqual(words.slice(2));
+  expect(split[2]).toBe(segments[1]);
+});
+
+test("splits without word timings interpolate by word length", () => {
+  const [first, second] = splitSegment([{ start: 10, end: 20, text: "aaaa bbbb" }], 0, 5);
+  expect(first.end).toBe(15);
+  expect(second.start).toBe(15);
+  expect(first.words).toBeUndefined();
+  expect(splitSegment(segments, 0, 0)).toBeNull();
+  expect(splitSegment(segments, 0, segments[0].text.length)).toBeNull();
+});
+
+test("merges with the next segment and removes segments", () => {
+  const merged = mergeWithNext(segments, 0);
+  expect(merged).toEqual([{ start: 0, end: 7, speaker: "Host", text: "one two three four five six" }]);
+  expect(mergeWithNext(segments, 1)).toBeNull();
+  expect(removeSegment(segments, 0)).toEqual([segments[1]]);
+});
+
+test("finds the segments around a time range", () => {
+  expect(segmentsAround(segments, 5.5, 6, { padding: 0 }).map((s) => s.index)).toEqual([1]);
+  expect(segmentsAround(segments, 4.5, 4.6, { padding: 0 })).toEqual([{ segment: segments[1], index: 1, inRange: true }]);
+  expect(segmentsAround(segments, 1, 2).map((s) => [s.index, s.inRange])).toEqual([
+    [0, true],
+    [1, false],
+  ]);
+  expect(segmentsAround(segments, null, null)).toEqual([]);
+});
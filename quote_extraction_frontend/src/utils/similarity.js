@@ -0,0 +1,71 @@
+//
+// Quote similarity helpers.
+// - Word-set similarity between two quote texts (Jaccard + overlap, so a candidate that is a
+//   trimmed or extended version of an existing quote still counts as a near-duplicate)
+// - Find near-duplicates of an extraction candidate among existing quotes
+// - Merge a candidate into an existing quote
+//
+
+const WORD_RE = /[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu;
+// Very short quotes share too few words for the overlap score to mean anything
+const MIN_OVERLAP_WORDS = 5;
+
+// PUBLIC_INTERFACE
+export const DUPLICATE_THRESHOLD = 0.6;
+
+// PUBLIC_INTERFACE
+export function textSimilarity(a, b) {
+  /**
+   * Similarity of two texts in [0, 1], ignoring case and punctuation.
+   * The larger of Jaccard similarity and the overlap coefficient (shared words / smaller set).
+   */
+  const wa = wordSet(a);
+  const wb = wordSet(b);
+  if (!wa.size || !wb.size) return 0;
+  let shared = 0;
+  wa.forEach((w) => {
+    if (wb.has(w)) shared += 1;
+  });
+  const jaccard = shared / (wa.size + wb.size - shared);
+  const smaller = Math.min(wa.size, wb.size);
+  // Scaled down slightly so containment ranks below an (almost) identical quote
+  const overlap = smaller >= MIN_OVERLAP_WORDS ? (shared / smaller) * 0.9 : 0;
+  return Math.max(jaccard, overlap);
+}
+
+// PUBLIC_INTERFACE
+export function findNearDuplicates(candidate, quotes, { threshold = DUPLICATE_THRESHOLD } = {}) {
+  /** Existing quotes similar to the candidate: [{ quote, score }] sorted by score (highest first). */
+  const text = candidate?.text || "";
+  return (quotes || [])
+    .filter((q) => q && q.id && q.id !== candidate?.id)
+    .map((quote) => ({ quote, score: textSimilarity(text, quote.text) }))
+    .filter((m) => m.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+}
+
+// PUBLIC_INTERFACE
+export function mergeQuotes(existing, candidate) {
+  /**
+   * Patch for an existing quote after merging a candidate into it.
+   * Keeps the longer text, widens the time range to cover both and combines tags.
+   */
+  const a = existing || {};
+  const b = candidate || {};
+  const text = String(b.text || "").length > String(a.text || "").length ? b.text : a.text;
+  const starts = [a.start, b.start].filter((t) => typeof t === "number");
+  const ends = [a.end, b.end].filter((t) => typeof t === "number");
+  const confidences = [a.confidence, b.confidence].filter((c) => typeof c === "number");
+  return {
+    text,
+    start: starts.length ? Math.min(...starts) : a.start ?? null,
+    end: ends.length ? Math.max(...ends) : a.end ?? null,
+    speaker: a.speaker || b.speaker || null,
+    tags: [...new Set([...(a.tags || []), ...(b.tags || [])])],
+    confidence: confidences.length ? Math.max(...confidences) : a.confidence ?? null,
+  };
+}
+
+function wordSet(text) {
+  return new Set((String(text || "").toLowerCase().match(WORD_RE) || []).map((w) => w.replace("’", "'")));
+}
@@ -0,0 +1,28 @@
+import { findNearDuplicates, mergeQuotes, textSimilarity } from "./similarity";
+
+const QUOTES = [
+  { id: "q1", text: "We'd spend more time debugging our analytics than actually using them to make decisions." },
+  { id: "q2", text: "There had to be a better way." },
+];
+
+test("flags reworded and trimmed candidates as near-duplicates", () => {
+  expect(textSimilarity("Hello, world!", "hello world")).toBe(1);
+  const trimmed = { text: "We'd spend more time debugging our analytics than actually using them." };
+  expect(findNearDuplicates(trimmed, QUOTES).map((m) => m.quote.id)).toEqual(["q1"]);
+  expect(findNearDuplicates({ text: "Fundraising took six months of pitches." }, QUOTES)).toEqual([]);
+});
+
+test("merges a candidate into an existing quote", () => {
+  const merged = mergeQuotes(
+    { text: "Short version.", start: 10, end: 14, tags: ["a"], confidence: 0.7 },
+    { text: "A longer version of it.", start: 8, end: 13, tags: ["a", "b"], confidence: 0.9, speaker: "Marcus" }
+  );
+  expect(merged).toEqual({
+    text: "A longer version of it.",
+    start: 8,
+    end: 14,
+    speaker: "Marcus",
+    tags: ["a", "b"],
+    confidence: 0.9,
+  });
+});
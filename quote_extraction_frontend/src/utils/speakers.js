@@ -0,0 +1,75 @@
+//
+// Speaker helpers for transcript segments.
+// Segments carry a free-text `speaker`; these helpers summarize and rewrite those labels
+// without touching text or timings.
+//
+
+// PUBLIC_INTERFACE
+export function summarizeSpeakers(segments) {
+  /**
+   * Per-speaker stats: [{ name, segmentCount, talkTime, share }] sorted by talk time.
+   * `share` is the fraction (0..1) of total labeled talk time.
+   * Segments without a speaker are not listed.
+   */
+  const byName = new Map();
+  (segments || []).forEach((s) => {
+    const name = normalizeSpeaker(s?.speaker);
+    if (!name) return;
+    const entry = byName.get(name) || { name, segmentCount: 0, talkTime: 0 };
+    entry.segmentCount += 1;
+    entry.talkTime += segmentDuration(s);
+    byName.set(name, entry);
+  });
+  const list = Array.from(byName.values());
+  const total = list.reduce((acc, e) => acc + e.talkTime, 0);
+  return list
+    .map((e) => ({ ...e, share: total > 0 ? e.talkTime / total : 0 }))
+    .sort((a, b) => b.talkTime - a.talkTime || a.name.localeCompare(b.name));
+}
+
+// PUBLIC_INTERFACE
+export function countUnassigned(segments) {
+  /** Number of segments without a speaker label. */
+  return (segments || []).filter((s) => !normalizeSpeaker(s?.speaker)).length;
+}
+
+// PUBLIC_INTERFACE
+export function renameSpeaker(segments, from, to) {
+  /**
+   * Relabel every segment spoken by `from` as `to`.
+   * Renaming onto an existing label merges the two speakers.
+   */
+  const source = normalizeSpeaker(from);
+  const target = normalizeSpeaker(to);
+  if (!source || !target || source === target) return segments;
+  return (segments || []).map((s) =>
+    normalizeSpeaker(s?.speaker) === source ? { ...s, speaker: target } : s
+  );
+}
+
+// PUBLIC_INTERFACE
+export function reassignSegments(segments, indexes, speaker) {
+  /** Set the speaker of the segments at the given indexes (an empty name clears it). */
+  const target = normalizeSpeaker(speaker);
+  const picked = new Set(indexes || []);
+  return (segments || []).map((s, i) => {
+    if (!picked.has(i)) return s;
+    if (!target) {
+      const copy = { ...s };
+      delete copy.speaker;
+      return copy;
+    }
+    return { ...s, speaker: target };
+  });
+}
+
+// PUBLIC_INTERFACE
+export function normalizeSpeaker(name) {
+  /** Trim and collapse whitespace in a speaker label; returns "" for empty labels. */
+  return String(name ?? "").replace(/\s+/g, " ").trim();
+}
+
+function segmentDuration(s) {
+  const d = (s?.end ?? 0) - (s?.start ?? 0);
+  return Number.isFinite(d) && d > 0 ? d : 0;
+}
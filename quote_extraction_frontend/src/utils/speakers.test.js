@@ -0,0 +1,40 @@
+import { countUnassigned, normalizeSpeaker, reassignSegments, renameSpeaker, summarizeSpeakers } from "./speakers";
+
+const segments = [
+  { start: 0, end: 10, text: "a", speaker: "Sarah Chen" },
+  { start: 10, end: 14, text: "b", speaker: " Marcus  Rodriguez " },
+  { start: 14, end: 20, text: "c", speaker: "Sarah Chen" },
+  { start: 20, end: 22, text: "d" },
+];
+
+test("normalizes labels and summarizes talk time per speaker", () => {
+  expect(normalizeSpeaker("  Marcus \n Rodriguez ")).toBe("Marcus Rodriguez");
+  expect(normalizeSpeaker(null)).toBe("");
+  expect(summarizeSpeakers(segments)).toEqual([
+    { name: "Sarah Chen", segmentCount: 2, talkTime: 16, share: 0.8 },
+    { name: "Marcus Rodriguez", segmentCount: 1, talkTime: 4, share: 0.2 },
+  ]);
+  expect(countUnassigned(segments)).toBe(1);
+});
+
+test("renaming onto an existing speaker merges the two", () => {
+  const merged = renameSpeaker(segments, "Marcus Rodriguez", " Sarah Chen ");
+  expect(merged.map((s) => s.speaker)).toEqual(["Sarah Chen", "Sarah Chen", "Sarah Chen", undefined]);
+  expect(summarizeSpeakers(merged)).toEqual([{ name: "Sarah Chen", segmentCount: 3, talkTime: 20, share: 1 }]);
+  expect(merged[0]).toBe(segments[0]);
+});
+
+test("renames that change nothing return the same segments", () => {
+  expect(renameSpeaker(segments, "Sarah Chen", "  Sarah   Chen")).toBe(segments);
+  expect(renameSpeaker(segments, "Sarah Chen", "   ")).toBe(segments);
+  expect(renameSpeaker(segments, "", "Host")).toBe(segments);
+  expect(renameSpeaker(segments, "Nobody", "Host")).toEqual(segments);
+});
+
+test("reassigns picked segments and clears labels with an empty name", () => {
+  const next = reassignSegments(segments, [1, 3], "Host");
+  expect(next.map((s) => s.speaker)).toEqual(["Sarah Chen", "Host", "Sarah Chen", "Host"]);
+  const cleared = reassignSegments(segments, [0], " ");
+  expect("speaker" in cleared[0]).toBe(false);
+  expect(cleared[0].text).toBe("a");
+});
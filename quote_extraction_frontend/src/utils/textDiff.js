@@ -0,0 +1,103 @@
+//
+// Word-level text diff used to compare transcript versions.
+// Classic LCS over word tokens after trimming the common prefix/suffix, so typical
+// edits (a few words changed in a long transcript) stay cheap.
+//
+
+// Upper bound on the LCS table size; larger middles fall back to a coarse replace
+const MAX_CELLS = 4000000;
+
+// PUBLIC_INTERFACE
+export function diffWords(before, after) {
+  /**
+   * Diff two texts word by word.
+   * Returns [{ type: "equal" | "insert" | "delete", text }] with adjacent parts of the
+   * same type merged; words within a part are joined by single spaces.
+   */
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix += 1;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix &&
+    suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) {
+    suffix += 1;
+  }
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const ops = [];
+  a.slice(0, prefix).forEach((w) => ops.push(["equal", w]));
+  lcsOps(midA, midB).forEach((op) => ops.push(op));
+  a.slice(a.length - suffix).forEach((w) => ops.push(["equal", w]));
+
+  const parts = [];
+  ops.forEach(([type, word]) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.words.push(word);
+    else parts.push({ type, words: [word] });
+  });
+  return parts.map((p) => ({ type: p.type, text: p.words.join(" "), count: p.words.length }));
+}
+
+// PUBLIC_INTERFACE
+export function diffStats(parts) {
+  /** Count inserted and deleted words in a diffWords() result. */
+  return (parts || []).reduce(
+    (acc, p) => {
+      if (p.type === "insert") acc.added += p.count;
+      if (p.type === "delete") acc.removed += p.count;
+      return acc;
+    },
+    { added: 0, removed: 0 }
+  );
+}
+
+function tokenize(text) {
+  return String(text || "").match(/\S+/g) || [];
+}
+
+function lcsOps(a, b) {
+  if (!a.length) return b.map((w) => ["insert", w]);
+  if (!b.length) return a.map((w) => ["delete", w]);
+  if (a.length * b.length > MAX_CELLS) {
+    return [...a.map((w) => ["delete", w]), ...b.map((w) => ["insert", w])];
+  }
+
+  // lengths[i][j] = LCS length of a[i:] and b[j:]
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i * cols + j] =
+        a[i] === b[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push(["equal", a[i]]);
+      i += 1;
+      j += 1;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      ops.push(["delete", a[i]]);
+      i += 1;
+    } else {
+      ops.push(["insert", b[j]]);
+      j += 1;
+    }
+  }
+  while (i < a.length) ops.push(["delete", a[i++]]);
+  while (j < b.length) ops.push(["insert", b[j++]]);
+  return ops;
+}
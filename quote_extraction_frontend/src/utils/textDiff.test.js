@@ -0,0 +1,27 @@
+import { diffStats, diffWords } from "./textDiff";
+
+test("marks changed words and keeps the common prefix and suffix", () => {
+  const parts = diffWords("We raised six million dollars", "We raised  seven million dollars last year");
+  expect(parts).toEqual([
+    { type: "equal", text: "We raised", count: 2 },
+    { type: "delete", text: "six", count: 1 },
+    { type: "insert", text: "seven", count: 1 },
+    { type: "equal", text: "million dollars", count: 2 },
+    { type: "insert", text: "last year", count: 2 },
+  ]);
+  expect(diffStats(parts)).toEqual({ added: 3, removed: 1 });
+});
+
+test("handles empty and identical texts", () => {
+  expect(diffWords("", "")).toEqual([]);
+  expect(diffWords("", "new text")).toEqual([{ type: "insert", text: "new text", count: 2 }]);
+  expect(diffWords("old text", null)).toEqual([{ type: "delete", text: "old text", count: 2 }]);
+  expect(diffWords("same\nwords", "same words")).toEqual([{ type: "equal", text: "same words", count: 2 }]);
+  expect(diffStats([])).toEqual({ added: 0, removed: 0 });
+});
+
+test("finds moved-around words through the longest common subsequence", () => {
+  const parts = diffWords("a b c d", "a c b d");
+  expect(parts.filter((p) => p.type === "equal").map((p) => p.text).join(" ")).toBe("a c d");
+  expect(diffStats(parts)).toEqual({ added: 1, removed: 1 });
+});
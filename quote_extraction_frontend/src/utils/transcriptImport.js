@@ -0,0 +1,241 @@
+//
+// Transcript import.
+// Existing caption and transcript files become { text, segments } for POST /api/transcripts:
+// - SubRip (.srt) and WebVTT (.vtt) cues, with speakers from <v Name> voice tags or "Name:" prefixes
+//   (a prefix only counts when it is "Speaker N" or leads several segments, so "Note: ..." stays text)
+// - Plain text (.txt): one segment per paragraph, led by a "[00:01:02]" timestamp; the editor needs
+//   timed segments, so text without timestamps is reported as an error rather than imported
+// - JSON: { text, segments } as the backend returns it, a bare segment array, or common ASR output
+//   ({ segments | utterances | cues | results.utterances: [{ start, end, text | transcript, speaker }] })
+// Problems are reported like the upload pre-flight checks: [{ level: "error" | "warning", message }];
+// a result with an error must not be imported.
+//
+
+import { joinSegments } from "./segments";
+import { normalizeSpeaker } from "./speakers";
+import { parseTime } from "./transcriptTiming";
+
+export const IMPORT_EXTENSIONS = [".srt", ".vtt", ".txt", ".json"];
+
+const TIMING_LINE = /^\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+// "Sarah Chen: ..." or "SPEAKER 1: ..." at the start of a line (up to four capitalized words)
+const SPEAKER_PREFIX = /^((?:Speaker|SPEAKER)[ _]?\d+|[A-Z][\w.'-]*(?: [A-Z][\w.'-]*){0,3}):\s+(?=\S)/;
+const NUMBERED_SPEAKER = /^speaker[ _]?\d+$/i;
+// Labels that lead a line like a speaker but never name one
+const NOT_SPEAKERS = new Set([
+  ...["note", "notes", "warning", "caution", "tip", "important", "update", "edit", "example"],
+  ...["q", "a", "question", "answer"],
+]);
+const VOICE_TAG = /^<v(?:\.[^\s>]*)?\s+([^>]+)>/;
+const TXT_TIMESTAMP = /^\[?((?:\d+:)?\d{1,2}:\d{2}(?:\.\d+)?)\]?\s+/;
+// Speaking rate used to estimate how long a final segment without an end time runs
+const WORDS_PER_SECOND = 2.5;
+
+// PUBLIC_INTERFACE
+export function detectTranscriptFormat(filename, content) {
+  /** "srt" | "vtt" | "json" | "txt", from the extension or, when that doesn't say, the content. */
+  const ext = (String(filename || "").match(/\.([a-z0-9]+)$/i)?.[1] || "").toLowerCase();
+  if (["srt", "vtt", "json", "txt"].includes(ext)) return ext;
+  const head = String(content || "").replace(/^\uFEFF/, "").trimStart();
+  if (head.startsWith("WEBVTT")) return "vtt";
+  if (head.startsWith("{") || head.startsWith("[")) return "json";
+  if (head.split("\n").slice(0, 3).some((line) => TIMING_LINE.test(line))) return "srt";
+  return "txt";
+}
+
+// PUBLIC_INTERFACE
+export function parseCaptions(content) {
+  /**
+   * Segments from SRT or WebVTT cues: { start, end, text, speaker? } per cue.
+   * Cue numbers, WebVTT headers, NOTE/STYLE/REGION blocks, cue settings and formatting tags are dropped.
+   */
+  const blocks = normalizeNewlines(content).split(/\n\s*\n/);
+  const segments = [];
+  blocks.forEach((block) => {
+    const lines = block.split("\n");
+    const timingAt = lines.findIndex((line) => TIMING_LINE.test(line));
+    if (timingAt === -1) return;
+    const [, from, to] = lines[timingAt].match(TIMING_LINE);
+    const voiced = lines.slice(timingAt + 1).map((line) => line.trim()).filter(Boolean);
+    if (!voiced.length) return;
+    const voice = voiced[0].match(VOICE_TAG);
+    const text = cleanCueText(voiced.join(" "));
+    segments.push(withSpeaker({ start: parseTimecode(from), end: parseTimecode(to), text }, voice?.[1]));
+  });
+  return withSpeakerPrefixes(segments);
+}
+
+// PUBLIC_INTERFACE
+export function parsePlainText(content) {
+  /** One segment per paragraph; a leading "[h:mm:ss]" sets its start (and the previous segment's end). */
+  const paragraphs = normalizeNewlines(content)
+    .split(/\n\s*\n/)
+    .map((p) => p.replace(/\s*\n\s*/g, " ").trim())
+    .filter(Boolean);
+  const segments = paragraphs.map((paragraph) => {
+    const stamp = paragraph.match(TXT_TIMESTAMP);
+    const text = stamp ? paragraph.slice(stamp[0].length) : paragraph;
+    return withSpeaker({ start: stamp ? parseTime(stamp[1]) : null, end: null, text });
+  });
+  segments.forEach((segment, i) => {
+    const next = segments[i + 1];
+    if (segment.start !== null && next?.start != null && next.start >= segment.start) segment.end = next.start;
+  });
+  return withSpeakerPrefixes(segments);
+}
+
+// PUBLIC_INTERFACE
+export function parseJsonTranscript(content) {
+  /** Segments from transcript JSON (see the formats above). Throws on JSON that doesn't parse. */
+  const data = JSON.parse(content);
+  const list = Array.isArray(data)
+    ? data
+    : data?.segments || data?.utterances || data?.cues || data?.results?.utterances || null;
+  if (!list) return typeof data?.text === "string" ? parsePlainText(data.text) : [];
+  const segments = list
+    .filter((item) => item && typeof item === "object")
+    .map((item) => {
+      const speaker = item.speaker ?? item.speaker_label ?? item.speaker_name;
+      return withSpeaker(
+        {
+          start: parseTimecode(item.start ?? item.start_time ?? item.startTime),
+          end: parseTimecode(item.end ?? item.end_time ?? item.endTime),
+          text: String(item.text ?? item.transcript ?? "").trim(),
+        },
+        typeof speaker === "number" ? `Speaker ${speaker}` : speaker
+      );
+    });
+  return withSpeakerPrefixes(segments);
+}
+
+// PUBLIC_INTERFACE
+export function checkImportedSegments(segments) {
+  /**
+   * Clean up parsed segments and list what was wrong: { segments, problems }.
+   * Empty segments are dropped, segments ending before they start end at their start, and timed
+   * segments are put in time order. A missing end is taken from the next segment's start (the last
+   * one is estimated from its length). No text, or segments without a start time, are errors:
+   * the editor, timing tools and exports all need numeric times.
+   */
+  const problems = [];
+  const warning = (message) => problems.push({ level: "warning", message });
+  const kept = (segments || []).filter((s) => s.text);
+  const dropped = (segments || []).length - kept.length;
+  if (!kept.length) {
+    return { segments: [], problems: [{ level: "error", message: "No transcript text found in this file." }] };
+  }
+  if (dropped) warning(`Skipped ${dropped} empty segment${dropped === 1 ? "" : "s"}.`);
+
+  let reversed = 0;
+  const fixed = kept.map((s) => {
+    if (s.start !== null && s.end !== null && s.end < s.start) {
+      reversed += 1;
+      return { ...s, end: s.start };
+    }
+    return s;
+  });
+  if (reversed) warning(`${reversed} segment${reversed === 1 ? " ends" : "s end"} before starting; set to end at the start.`);
+
+  const untimed = fixed.filter((s) => s.start === null).length;
+  if (untimed) {
+    const message =
+      untimed === fixed.length
+        ? "No timestamps found. Add [m:ss] timestamps to each paragraph, or import SRT or WebVTT captions."
+        : `${untimed} of ${fixed.length} segments have no timestamp. Add [m:ss] timestamps to every paragraph.`;
+    return { segments: fixed, problems: [...problems, { level: "error", message }] };
+  }
+
+  const ordered = [...fixed].sort((a, b) => a.start - b.start);
+  if (ordered.some((s, i) => s !== fixed[i])) warning("Segments were out of order and have been sorted by time.");
+
+  let estimated = false;
+  const ended = ordered.map((s, i) => {
+    if (s.end !== null) return s;
+    const next = ordered[i + 1];
+    if (next) return { ...s, end: next.start };
+    estimated = true;
+    const words = s.text.split(/\s+/).filter(Boolean).length;
+    return { ...s, end: Math.round((s.start + Math.max(1, words / WORDS_PER_SECOND)) * 10) / 10 };
+  });
+  if (estimated) warning("The last segment has no end time; it was estimated from its length.");
+  return { segments: ended, problems };
+}
+
+// PUBLIC_INTERFACE
+export function parseTranscriptFile(filename, content) {
+  /**
+   * Parse and check a transcript file: { format, text, segments, speakers, duration, problems }.
+   * text is derived from the segments the way the editor does (see joinSegments).
+   */
+  const format = detectTranscriptFormat(filename, content);
+  let parsed = [];
+  const problems = [];
+  try {
+    if (format === "srt" || format === "vtt") parsed = parseCaptions(content);
+    else if (format === "json") parsed = parseJsonTranscript(content);
+    else parsed = parsePlainText(content);
+  } catch (e) {
+    problems.push({ level: "error", message: `Not valid JSON: ${e?.message || "parse error"}.` });
+  }
+  if ((format === "srt" || format === "vtt") && !parsed.length && String(content || "").trim()) {
+    problems.push({ level: "error", message: `No ${format.toUpperCase()} cues found; is this a caption file?` });
+  }
+  const checked = problems.length ? { segments: [], problems: [] } : checkImportedSegments(parsed);
+  const segments = checked.segments;
+  const ends = segments.map((s) => s.end ?? s.start).filter((t) => t !== null);
+  return {
+    format,
+    text: joinSegments(segments),
+    segments,
+    speakers: [...new Set(segments.map((s) => s.speaker).filter(Boolean))],
+    duration: ends.length ? Math.max(...ends) : null,
+    problems: [...problems, ...checked.problems],
+  };
+}
+
+// "00:01:02,500", "01:02.5", "1:02:03" or plain seconds; null when missing or invalid
+function parseTimecode(value) {
+  if (value === undefined || value === null || value === "") return null;
+  return parseTime(typeof value === "string" ? value.trim().replace(",", ".") : value);
+}
+
+// A segment with its speaker taken from `speaker` (a voice tag or a JSON field), when there is one
+function withSpeaker(segment, speaker) {
+  const explicit = normalizeSpeaker(speaker);
+  return explicit ? { ...segment, speaker: explicit } : segment;
+}
+
+// Segments without a speaker take it from a "Name:" prefix of their text, but only when the label
+// looks like a speaker: "Speaker N", or a label leading at least two segments that isn't a note
+function withSpeakerPrefixes(segments) {
+  const prefixes = segments.map((segment) => (segment.speaker ? null : segment.text.match(SPEAKER_PREFIX)));
+  const counts = new Map();
+  prefixes.forEach((prefix) => {
+    if (prefix) counts.set(prefix[1], (counts.get(prefix[1]) || 0) + 1);
+  });
+  const isSpeaker = (label) =>
+    NUMBERED_SPEAKER.test(label) || (counts.get(label) >= 2 && !NOT_SPEAKERS.has(label.toLowerCase()));
+  return segments.map((segment, i) => {
+    const prefix = prefixes[i];
+    if (!prefix || !isSpeaker(prefix[1])) return segment;
+    return { ...segment, text: segment.text.slice(prefix[0].length), speaker: normalizeSpeaker(prefix[1]) };
+  });
+}
+
+// Caption markup (<i>, <v Name>, <00:00:01.000> timestamps, {\an8}) and entities to plain text
+function cleanCueText(text) {
+  return text
+    .replace(/<[^>]*>/g, "")
+    .replace(/\{\\[^}]*\}/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Without a byte-order mark and with \n line endings
+function normalizeNewlines(content) {
+  return String(content || "").replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+}
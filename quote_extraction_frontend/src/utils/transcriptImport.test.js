@@ -0,0 +1,124 @@
+import { detectTranscriptFormat, parseTranscriptFile } from "./transcriptImport";
+
+const SRT = `1
+00:00:01,000 --> 00:00:04,500
+Sarah Chen: Welcome to the show.
+
+2
+00:00:05,000 --> 00:00:08,250
+<i>Thanks for</i>
+having me &amp; my team.
+
+3
+00:00:09,000 --> 00:00:10,000
+Sarah Chen: Let's begin.
+`;
+
+const VTT = `WEBVTT
+Kind: captions
+
+NOTE exported from the editor
+
+intro
+00:01.000 --> 00:03.000 align:start
+<v Marcus Rodriguez>It was the data pipeline.</v>
+
+00:00:03.500 --> 00:00:06.000
+Speaker 2: And then?
+`;
+
+test("detects the format from the extension or the content", () => {
+  expect(detectTranscriptFormat("ep1.SRT", "")).toBe("srt");
+  expect(detectTranscriptFormat("captions", VTT)).toBe("vtt");
+  expect(detectTranscriptFormat("captions", SRT)).toBe("srt");
+  expect(detectTranscriptFormat("export", '{"segments": []}')).toBe("json");
+  expect(detectTranscriptFormat("notes", "Hello")).toBe("txt");
+});
+
+test("parses SRT and WebVTT cues with speakers", () => {
+  const srt = parseTranscriptFile("ep.srt", SRT.replace(/\n/g, "\r\n"));
+  expect(srt.segments).toEqual([
+    { start: 1, end: 4.5, text: "Welcome to the show.", speaker: "Sarah Chen" },
+    { start: 5, end: 8.25, text: "Thanks for having me & my team." },
+    { start: 9, end: 10, text: "Let's begin.", speaker: "Sarah Chen" },
+  ]);
+  expect(srt.text).toBe("Welcome to the show.\n\nThanks for having me & my team.\n\nLet's begin.");
+  expect(srt.duration).toBe(10);
+  expect(srt.problems).toEqual([]);
+
+  const vtt = parseTranscriptFile("ep.vtt", VTT);
+  expect(vtt.segments).toEqual([
+    { start: 1, end: 3, text: "It was the data pipeline.", speaker: "Marcus Rodriguez" },
+    { start: 3.5, end: 6, text: "And then?", speaker: "Speaker 2" },
+  ]);
+  expect(vtt.speakers).toEqual(["Marcus Rodriguez", "Speaker 2"]);
+});
+
+test("parses plain text paragraphs led by timestamps", () => {
+  const timed = parseTranscriptFile(
+    "ep.txt",
+    "[00:00:05] Host: Hi there.\n\n[0:12] Guest: Hello,\nthanks.\n\n[0:15] Host: Shall we?\n\n[0:17] Guest: Sure."
+  );
+  expect(timed.segments).toEqual([
+    { start: 5, end: 12, text: "Hi there.", speaker: "Host" },
+    { start: 12, end: 15, text: "Hello, thanks.", speaker: "Guest" },
+    { start: 15, end: 17, text: "Shall we?", speaker: "Host" },
+    { start: 17, end: 18, text: "Sure.", speaker: "Guest" },
+  ]);
+  expect(timed.problems).toEqual([
+    { level: "warning", message: "The last segment has no end time; it was estimated from its length." },
+  ]);
+});
+
+test("refuses plain text without timestamps instead of creating untimed segments", () => {
+  const untimed = parseTranscriptFile("ep.txt", "First paragraph.\n\nSecond one: with a colon.");
+  expect(untimed.problems).toEqual([
+    {
+      level: "error",
+      message: "No timestamps found. Add [m:ss] timestamps to each paragraph, or import SRT or WebVTT captions.",
+    },
+  ]);
+  expect(untimed.segments[1].speaker).toBeUndefined();
+
+  const partly = parseTranscriptFile("ep.txt", "[0:01] Timed.\n\nNot timed.");
+  expect(partly.problems.map((p) => [p.level, p.message])).toEqual([
+    ["error", "1 of 2 segments have no timestamp. Add [m:ss] timestamps to every paragraph."],
+  ]);
+});
+
+test("leaves one-off and note-like labels in the text", () => {
+  const notes = parseTranscriptFile(
+    "notes.txt",
+    "Note: the first minute is silent.\n\nWarning: strong language.\n\nQ: Why now?\n\nQ: And later?\n\nSarah: Because."
+  );
+  expect(notes.segments.map((s) => s.text)).toEqual([
+    "Note: the first minute is silent.",
+    "Warning: strong language.",
+    "Q: Why now?",
+    "Q: And later?",
+    "Sarah: Because.",
+  ]);
+  expect(notes.speakers).toEqual([]);
+});
+
+test("parses transcript JSON and reports what it fixed", () => {
+  const backend = parseTranscriptFile(
+    "t.json",
+    JSON.stringify({ text: "ignored", segments: [{ start: 9, end: 10, text: "Later", speaker: "A" }, { start: 1, end: 2, text: "Sooner" }] })
+  );
+  expect(backend.segments.map((s) => s.text)).toEqual(["Sooner", "Later"]);
+  expect(backend.problems).toEqual([{ level: "warning", message: "Segments were out of order and have been sorted by time." }]);
+
+  const asr = parseTranscriptFile(
+    "asr.json",
+    JSON.stringify({ results: { utterances: [{ start: 0, end: 2, transcript: "Hi", speaker: 0 }, { start: 3, end: 1, transcript: "" }] } })
+  );
+  expect(asr.segments).toEqual([{ start: 0, end: 2, text: "Hi", speaker: "Speaker 0" }]);
+  expect(asr.problems[0].message).toBe("Skipped 1 empty segment.");
+
+  expect(parseTranscriptFile("bad.json", "{oops").problems[0].level).toBe("error");
+  expect(parseTranscriptFile("empty.srt", "").problems).toEqual([
+    { level: "error", message: "No transcript text found in this file." },
+  ]);
+  expect(parseTranscriptFile("odd.srt", "just words").problems[0].message).toBe("No SRT cues found; is this a caption file?");
+});
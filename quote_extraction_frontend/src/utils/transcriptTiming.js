@@ -0,0 +1,171 @@
+//
+// Transcript timing helpers.
+// - Locate segments inside the full transcript text (character ranges)
+// - Map a character selection back to media time using word-level timings
+// - Format/parse m:ss time strings for inputs and badges
+//
+
+// PUBLIC_INTERFACE
+export function formatTime(t) {
+  /** Format seconds as m:ss (or h:mm:ss). Returns "0:00" for invalid input. */
+  if (typeof t !== "number" || Number.isNaN(t) || t < 0) return "0:00";
+  const h = Math.floor(t / 3600);
+  const m = Math.floor((t % 3600) / 60);
+  const s = Math.floor(t % 60);
+  const ss = s.toString().padStart(2, "0");
+  return h > 0 ? `${h}:${m.toString().padStart(2, "0")}:${ss}` : `${m}:${ss}`;
+}
+
+// PUBLIC_INTERFACE
+export function formatTimePrecise(t) {
+  /** Format seconds as m:ss.s for editable inputs (keeps tenths so round-trips don't drift). */
+  if (typeof t !== "number" || Number.isNaN(t) || t < 0) return "0:00.0";
+  const m = Math.floor(t / 60);
+  const s = (t - m * 60).toFixed(1).padStart(4, "0");
+  return `${m}:${s}`;
+}
+
+// PUBLIC_INTERFACE
+export function parseTime(value) {
+  /**
+   * Parse a user-entered time into seconds.
+   * Accepts plain seconds ("75", "75.5"), m:ss ("1:15") and h:mm:ss ("1:02:03.5").
+   * Returns null when the value cannot be parsed.
+   */
+  if (typeof value === "number") return Number.isFinite(value) && value >= 0 ? value : null;
+  const str = String(value ?? "").trim();
+  if (!str) return null;
+  const parts = str.split(":");
+  if (parts.length > 3 || parts.some((p) => !/^\d+(\.\d+)?$/.test(p))) return null;
+  return parts.reduce((acc, p) => acc * 60 + parseFloat(p), 0);
+}
+
+// PUBLIC_INTERFACE
+export function locateSegments(text, segments) {
+  /**
+   * Find where each segment's text lives inside the full transcript text.
+   * Segments are searched in order so repeated phrases resolve to the right place.
+   * Segments whose text can no longer be found (e.g. after edits) are skipped.
+   * Returns [{ index, charStart, charEnd, segment }] sorted by charStart.
+   */
+  const located = [];
+  const source = String(text || "");
+  let cursor = 0;
+  (segments || []).forEach((segment, index) => {
+    const segText = String(segment?.text || "").trim();
+    if (!segText || !isTimed(segment)) return;
+    const at = source.indexOf(segText, cursor);
+    if (at < 0) return;
+    located.push({ index, charStart: at, charEnd: at + segText.length, segment });
+    cursor = at + segText.length;
+  });
+  return located;
+}
+
+// PUBLIC_INTERFACE
+export function segmentWordTimings(segment) {
+  /**
+   * Word-level timings for a segment: [{ charStart, charEnd, start, end }] with
+   * character offsets relative to the segment text.
+   * Uses `segment.words` from the backend when it lines up with the text, otherwise
+   * spreads the segment duration over its words proportionally to word length.
+   */
+  const text = String(segment?.text || "").trim();
+  const words = [];
+  const re = /\S+/g;
+  let m;
+  while ((m = re.exec(text)) !== null) {
+    words.push({ charStart: m.index, charEnd: m.index + m[0].length });
+  }
+  if (!words.length) return [];
+
+  const provided = Array.isArray(segment.words) ? segment.words : null;
+  if (provided && provided.length === words.length && provided.every(isTimed)) {
+    return words.map((w, i) => ({ ...w, start: provided[i].start, end: provided[i].end }));
+  }
+
+  const totalChars = words.reduce((acc, w) => acc + (w.charEnd - w.charStart), 0);
+  const duration = Math.max(0, segment.end - segment.start);
+  let t = segment.start;
+  return words.map((w) => {
+    const span = (duration * (w.charEnd - w.charStart)) / totalChars;
+    const timed = { ...w, start: t, end: t + span };
+    t += span;
+    return timed;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function timeAtOffset(segment, offset) {
+  /**
+   * Media time at a character offset inside a segment's text, interpolating within
+   * the word that contains the offset. Clamped to the segment bounds.
+   */
+  const words = segmentWordTimings(segment);
+  if (!words.length) return segment.start;
+  const lead = String(segment.text || "").length - String(segment.text || "").trimStart().length;
+  const rel = offset - lead;
+  const word = words.find((w) => w.charEnd > rel);
+  if (!word) return segment.end;
+  if (rel <= word.charStart) return round(word.start);
+  const ratio = (rel - word.charStart) / (word.charEnd - word.charStart);
+  return round(word.start + (word.end - word.start) * ratio);
+}
+
+// PUBLIC_INTERFACE
+export function inferTimeRange(text, segments, selStart, selEnd) {
+  /**
+   * Infer { start, end, speaker } (seconds) for the character range [selStart, selEnd)
+   * of the full transcript text.
+   * - Inside a segment, the boundaries snap to the selected words' timings
+   * - Selections crossing segments take the start of the first word and the end of the last
+   * - Boundaries in untimed stretches between segments fall back to the neighbouring segment edges
+   * Returns null when no timed segment overlaps the selection.
+   */
+  if (typeof selStart !== "number" || typeof selEnd !== "number" || selEnd <= selStart) return null;
+  const located = locateSegments(text, segments);
+  const overlapping = located.filter((l) => l.charStart < selEnd && l.charEnd > selStart);
+  if (!overlapping.length) return null;
+
+  const first = overlapping[0];
+  const last = overlapping[overlapping.length - 1];
+  const start = edgeTime(first, selStart, "start");
+  const end = edgeTime(last, selEnd, "end");
+  if (!(end > start)) return null;
+
+  return {
+    start: round(start),
+    end: round(end),
+    speaker: first.segment.speaker || null,
+    segmentIndexes: overlapping.map((l) => l.index),
+  };
+}
+
+// Time of a selection edge within a located segment (clamped to the segment bounds)
+function edgeTime(located, offset, edge) {
+  const rel = offset - located.charStart;
+  const words = segmentWordTimings(located.segment);
+  if (!words.length) return edge === "start" ? located.segment.start : located.segment.end;
+
+  if (edge === "start") {
+    const word = words.find((w) => w.charEnd > rel) || words[words.length - 1];
+    return word.start;
+  }
+  const candidates = words.filter((w) => w.charStart < rel);
+  const word = candidates.length ? candidates[candidates.length - 1] : words[0];
+  return word.end;
+}
+
+function isTimed(item) {
+  return (
+    typeof item?.start === "number" &&
+    typeof item?.end === "number" &&
+    !Number.isNaN(item.start) &&
+    !Number.isNaN(item.end) &&
+    item.end > item.start
+  );
+}
+
+function round(t) {
+  return Math.round(t * 100) / 100;
+}
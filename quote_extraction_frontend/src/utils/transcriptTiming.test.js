@@ -0,0 +1,40 @@
+import { formatTime, inferTimeRange, parseTime } from './transcriptTiming';
+
+const text = 'Hello there world.\n\nSecond part here.';
+const segments = [
+  { start: 10, end: 13, speaker: 'Sarah', text: 'Hello there world.' },
+  { start: 20, end: 26, speaker: 'Marcus', text: 'Second part here.' },
+];
+
+test('infers timing from the selected words inside one segment', () => {
+  const from = text.indexOf('there');
+  const range = inferTimeRange(text, segments, from, from + 'there'.length);
+  expect(range.speaker).toBe('Sarah');
+  expect(range.start).toBeGreaterThan(10);
+  expect(range.end).toBeLessThan(13);
+  expect(range.end).toBeGreaterThan(range.start);
+});
+
+test('spans segment boundaries when the selection crosses them', () => {
+  const from = text.indexOf('world');
+  const to = text.indexOf('part') + 'part'.length;
+  const range = inferTimeRange(text, segments, from, to);
+  expect(range.start).toBeGreaterThan(10);
+  expect(range.start).toBeLessThan(13);
+  expect(range.end).toBeGreaterThan(20);
+  expect(range.end).toBeLessThan(26);
+  expect(range.segmentIndexes).toEqual([0, 1]);
+});
+
+test('returns null when no timed segment covers the selection', () => {
+  const extra = `${text}\n\nUntimed tail`;
+  const from = extra.indexOf('Untimed');
+  expect(inferTimeRange(extra, segments, from, extra.length)).toBeNull();
+});
+
+test('parses and formats m:ss times', () => {
+  expect(parseTime('1:15')).toBe(75);
+  expect(parseTime('1:02:03')).toBe(3723);
+  expect(parseTime('abc')).toBeNull();
+  expect(formatTime(75)).toBe('1:15');
+});
@@ -0,0 +1,66 @@
+//
+// Upload progress.
+// Byte progress events ({ loaded, total }) are kept as timed samples over a short sliding window, so
+// the transfer rate and ETA follow the current speed instead of the average since the start.
+// - Percent, rate (bytes/s) and ETA (s) from the samples
+// - Human-readable sizes, rates and remaining time for the progress line
+//
+
+export const RATE_WINDOW_MS = 5000;
+
+// PUBLIC_INTERFACE
+export function addProgressSample(samples, sample, windowMs = RATE_WINDOW_MS) {
+  /**
+   * samples plus { loaded, total, at } (at in ms), dropping samples older than the window.
+   * The newest sample before the window is kept as a baseline so there is always a span to measure.
+   */
+  const next = [...(samples || []), sample];
+  const cutoff = sample.at - windowMs;
+  let first = 0;
+  while (first < next.length - 2 && next[first + 1].at <= cutoff) first += 1;
+  return next.slice(first);
+}
+
+// PUBLIC_INTERFACE
+export function progressStats(samples) {
+  /**
+   * { loaded, total, percent, rate, eta } for the latest sample. total, rate and eta are null while
+   * unknown (no total from the browser, or fewer than two samples / no bytes moved yet).
+   */
+  const list = samples || [];
+  const last = list[list.length - 1];
+  if (!last) return { loaded: 0, total: null, percent: 0, rate: null, eta: null };
+  const total = typeof last.total === "number" && last.total > 0 ? last.total : null;
+  const percent = total ? Math.min(100, (last.loaded / total) * 100) : 0;
+  const first = list[0];
+  const seconds = (last.at - first.at) / 1000;
+  const rate = seconds > 0 && last.loaded > first.loaded ? (last.loaded - first.loaded) / seconds : null;
+  const eta = rate && total ? Math.max(0, (total - last.loaded) / rate) : null;
+  return { loaded: last.loaded, total, percent, rate, eta };
+}
+
+// PUBLIC_INTERFACE
+export function formatBytes(bytes) {
+  /** 512 B, 1.5 KB, 45.0 MB, 1.20 GB. */
+  if (typeof bytes !== "number" || !Number.isFinite(bytes) || bytes < 0) return "0 B";
+  if (bytes < 1024) return `${Math.round(bytes)} B`;
+  const units = ["KB", "MB", "GB", "TB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(unit >= 2 ? 2 : 1)} ${units[unit]}`;
+}
+
+// PUBLIC_INTERFACE
+export function formatEta(seconds) {
+  /** Remaining time as "12s", "3m 05s" or "1h 02m"; empty when unknown. */
+  if (typeof seconds !== "number" || !Number.isFinite(seconds) || seconds < 0) return "";
+  const s = Math.ceil(seconds);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ${String(s % 60).padStart(2, "0")}s`;
+  return `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, "0")}m`;
+}
@@ -0,0 +1,27 @@
+import { addProgressSample, formatBytes, formatEta, progressStats } from "./uploadProgress";
+
+test("measures rate and ETA over the recent window", () => {
+  let samples = [];
+  samples = addProgressSample(samples, { loaded: 0, total: 1000, at: 0 }, 2000);
+  expect(progressStats(samples)).toMatchObject({ percent: 0, rate: null, eta: null });
+
+  samples = addProgressSample(samples, { loaded: 100, total: 1000, at: 1000 }, 2000);
+  samples = addProgressSample(samples, { loaded: 200, total: 1000, at: 2000 }, 2000);
+  // Faster now: the window forgets the slow start
+  samples = addProgressSample(samples, { loaded: 600, total: 1000, at: 3000 }, 2000);
+  samples = addProgressSample(samples, { loaded: 800, total: 1000, at: 3500 }, 2000);
+  expect(samples.map((s) => s.at)).toEqual([1000, 2000, 3000, 3500]);
+  expect(progressStats(samples)).toEqual({ loaded: 800, total: 1000, percent: 80, rate: 280, eta: 200 / 280 });
+
+  expect(progressStats([{ loaded: 5, total: null, at: 0 }])).toMatchObject({ total: null, percent: 0 });
+});
+
+test("formats sizes and remaining time", () => {
+  expect(formatBytes(512)).toBe("512 B");
+  expect(formatBytes(1536)).toBe("1.5 KB");
+  expect(formatBytes(47185920)).toBe("45.0 MB");
+  expect(formatEta(4.2)).toBe("5s");
+  expect(formatEta(185)).toBe("3m 05s");
+  expect(formatEta(3720)).toBe("1h 02m");
+  expect(formatEta(null)).toBe("");
+});
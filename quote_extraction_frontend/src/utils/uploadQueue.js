@@ -0,0 +1,121 @@
+//
+// Upload queue.
+// Many files (or whole folders) can be queued at once and uploaded a few at a time.
+// - Items: { id, file, status, transfer, error, result, probe, problems }, status one of
+//   checking (pre-flight media checks running, see mediaProbe) | blocked (a check failed) |
+//   queued | uploading | paused (chunked upload stopped, resumable) | cancelled | failed | done
+// - Which queued items to start for a concurrency limit, and a summary for the header
+// - Reading dropped folders (recursively) and keeping only audio/video files
+// - Processing states reported by GET /api/uploads/{id}/status after an upload
+//
+
+const MEDIA_EXTENSIONS = /\.(mp3|m4a|aac|wav|flac|ogg|oga|opus|wma|aif|aiff|mp4|m4v|mov|mkv|webm|avi|wmv|mpg|mpeg)$/i;
+
+export const PROCESSING_DONE = ["completed", "failed", "canceled"];
+
+// PUBLIC_INTERFACE
+export function isMediaFile(file) {
+  /** Audio or video, by MIME type or (when the browser reports none) by extension. */
+  if (!file) return false;
+  if (/^(audio|video)\//.test(file.type || "")) return true;
+  return !file.type && MEDIA_EXTENSIONS.test(file.name || "");
+}
+
+// PUBLIC_INTERFACE
+export function queueKey(file) {
+  /** Identifies a file in the queue, so dropping it twice doesn't upload it twice. */
+  return `${file.webkitRelativePath || file.name}:${file.size}:${file.lastModified || 0}`;
+}
+
+// PUBLIC_INTERFACE
+export function addToQueue(items, files) {
+  /**
+   * items plus the media files among `files`, as items waiting for their pre-flight checks
+   * (files already queued are skipped).
+   * Returns { items, skipped } where skipped counts the files that aren't audio or video.
+   */
+  const seen = new Set((items || []).map((item) => item.id));
+  const added = [];
+  let skipped = 0;
+  Array.from(files || []).forEach((file) => {
+    if (!isMediaFile(file)) {
+      skipped += 1;
+      return;
+    }
+    const id = queueKey(file);
+    if (seen.has(id)) return;
+    seen.add(id);
+    added.push({ id, file, status: "checking", transfer: null, error: "", result: null, probe: null, problems: [] });
+  });
+  return { items: [...(items || []), ...added], skipped };
+}
+
+// PUBLIC_INTERFACE
+export function nextToStart(items, concurrency) {
+  /** The queued items to start now so that at most `concurrency` upload at once, in queue order. */
+  const list = items || [];
+  const running = list.filter((item) => item.status === "uploading").length;
+  const free = Math.max(0, Math.max(1, concurrency) - running);
+  return list.filter((item) => item.status === "queued").slice(0, free);
+}
+
+// PUBLIC_INTERFACE
+export function queueSummary(items) {
+  /**
+   * Counts per status plus overall bytes:
+   * { total, checking, blocked, queued, uploading, done, failed, stopped, loaded, size }.
+   */
+  const summary = {
+    total: 0,
+    checking: 0,
+    blocked: 0,
+    queued: 0,
+    uploading: 0,
+    done: 0,
+    failed: 0,
+    stopped: 0,
+    loaded: 0,
+    size: 0,
+  };
+  (items || []).forEach((item) => {
+    summary.total += 1;
+    if (item.status === "paused" || item.status === "cancelled") summary.stopped += 1;
+    else if (summary[item.status] !== undefined) summary[item.status] += 1;
+    const size = item.file?.size || 0;
+    summary.size += size;
+    summary.loaded += item.status === "done" ? size : Math.min(size, item.transfer?.loaded || 0);
+  });
+  return summary;
+}
+
+// PUBLIC_INTERFACE
+export async function filesFromDataTransfer(dataTransfer) {
+  /**
+   * Every file in a drop, descending into dropped folders (where the browser supports entries).
+   * Falls back to dataTransfer.files.
+   */
+  const entries = Array.from(dataTransfer?.items || [])
+    .map((item) => (item.kind === "file" && item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+  if (!entries.length) return Array.from(dataTransfer?.files || []);
+  const nested = await Promise.all(entries.map(readEntry));
+  return nested.flat();
+}
+
+// A file entry as [File], a directory entry as all files below it
+async function readEntry(entry) {
+  if (entry.isFile) {
+    return new Promise((resolve) => entry.file((file) => resolve([file]), () => resolve([])));
+  }
+  if (!entry.isDirectory) return [];
+  const reader = entry.createReader();
+  const children = [];
+  // readEntries returns the directory in batches until an empty one
+  for (;;) {
+    const batch = await new Promise((resolve) => reader.readEntries(resolve, () => resolve([])));
+    if (!batch.length) break;
+    children.push(...batch);
+  }
+  const nested = await Promise.all(children.map(readEntry));
+  return nested.flat();
+}
@@ -0,0 +1,41 @@
+import { addToQueue, isMediaFile, nextToStart, queueSummary } from "./uploadQueue";
+
+const file = (name, size, type = "") => ({ name, size, type, lastModified: 1 });
+
+test("queues media files once and skips the rest", () => {
+  expect(isMediaFile(file("ep1.mp3", 10, "audio/mpeg"))).toBe(true);
+  expect(isMediaFile(file("ep2.MKV", 10))).toBe(true);
+  expect(isMediaFile(file("cover.jpg", 10, "image/jpeg"))).toBe(false);
+
+  const first = addToQueue([], [file("ep1.mp3", 10, "audio/mpeg"), file("notes.txt", 3, "text/plain")]);
+  expect(first.items.map((i) => i.status)).toEqual(["checking"]);
+  expect(first.skipped).toBe(1);
+  const second = addToQueue(first.items, [file("ep1.mp3", 10, "audio/mpeg"), file("ep2.mp4", 20, "video/mp4")]);
+  expect(second.items.map((i) => i.file.name)).toEqual(["ep1.mp3", "ep2.mp4"]);
+});
+
+test("starts queued items up to the concurrency limit and sums progress", () => {
+  const items = [
+    { id: "a", status: "uploading", file: file("a", 100), transfer: { loaded: 40 } },
+    { id: "b", status: "queued", file: file("b", 100) },
+    { id: "c", status: "queued", file: file("c", 100) },
+    { id: "d", status: "done", file: file("d", 50) },
+    { id: "e", status: "paused", file: file("e", 10), transfer: { loaded: 5 } },
+    { id: "f", status: "checking", file: file("f", 0) },
+  ];
+  expect(nextToStart(items, 2).map((i) => i.id)).toEqual(["b"]);
+  expect(nextToStart(items, 1)).toEqual([]);
+  expect(nextToStart(items, 4).map((i) => i.id)).toEqual(["b", "c"]);
+  expect(queueSummary(items)).toEqual({
+    total: 6,
+    checking: 1,
+    blocked: 0,
+    queued: 2,
+    uploading: 1,
+    done: 1,
+    failed: 0,
+    stopped: 1,
+    loaded: 95,
+    size: 360,
+  });
+});
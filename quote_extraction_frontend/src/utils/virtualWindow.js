@@ -0,0 +1,64 @@
+//
+// List virtualization math.
+// Rows have measured heights (or an estimate until measured); only the rows overlapping the
+// viewport, plus some overscan, are rendered. Pure functions so they can be tested without a DOM.
+//
+
+// PUBLIC_INTERFACE
+export function columnsFor(width, minColumnWidth, gap) {
+  /** Column count of a `repeat(auto-fill, minmax(minColumnWidth, 1fr))` grid of this width. */
+  if (!width || width <= 0) return 1;
+  return Math.max(1, Math.floor((width + gap) / (minColumnWidth + gap)));
+}
+
+// PUBLIC_INTERFACE
+export function chunk(items, size) {
+  /** Split items into rows of `size`. */
+  const rows = [];
+  for (let i = 0; i < items.length; i += size) rows.push(items.slice(i, i + size));
+  return rows;
+}
+
+// PUBLIC_INTERFACE
+export function rowOffsets(heights, gap) {
+  /** Top offset of each row and the total height, given row heights and the gap between rows. */
+  const offsets = [];
+  let top = 0;
+  heights.forEach((h, i) => {
+    offsets.push(top);
+    top += h + (i < heights.length - 1 ? gap : 0);
+  });
+  return { offsets, total: top };
+}
+
+// PUBLIC_INTERFACE
+export function visibleRange(offsets, heights, viewTop, viewBottom, overscan = 0) {
+  /**
+   * Inclusive [start, end] row indexes overlapping [viewTop - overscan, viewBottom + overscan],
+   * or [0, -1] when there are no rows. Offsets are ascending, so both ends are binary searched.
+   */
+  const count = offsets.length;
+  if (!count) return [0, -1];
+  const top = viewTop - overscan;
+  const bottom = viewBottom + overscan;
+
+  // First row whose bottom edge is below `top`
+  let lo = 0;
+  let hi = count - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (offsets[mid] + heights[mid] <= top) lo = mid + 1;
+    else hi = mid;
+  }
+  const start = lo;
+
+  // Last row whose top edge is above `bottom`
+  lo = start;
+  hi = count - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] < bottom) lo = mid;
+    else hi = mid - 1;
+  }
+  return [start, Math.max(start, lo)];
+}
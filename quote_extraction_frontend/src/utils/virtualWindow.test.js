@@ -0,0 +1,18 @@
+import { chunk, columnsFor, rowOffsets, visibleRange } from "./virtualWindow";
+
+test("lays out rows like the auto-fill grid", () => {
+  expect(columnsFor(0, 280, 12)).toBe(1);
+  expect(columnsFor(571, 280, 12)).toBe(1);
+  expect(columnsFor(572, 280, 12)).toBe(2);
+  expect(chunk([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+  expect(rowOffsets([100, 50, 80], 10)).toEqual({ offsets: [0, 110, 170], total: 250 });
+});
+
+test("finds the rows overlapping the viewport", () => {
+  const heights = Array(100).fill(100);
+  const { offsets } = rowOffsets(heights, 0);
+  expect(visibleRange(offsets, heights, 0, 250)).toEqual([0, 2]);
+  expect(visibleRange(offsets, heights, 1050, 1300, 100)).toEqual([9, 13]);
+  expect(visibleRange(offsets, heights, 20000, 21000)).toEqual([99, 99]);
+  expect(visibleRange([], [], 0, 100)).toEqual([0, -1]);
+});